@@ -1,12 +1,71 @@
 const DEVICE_CONFIG = {
-  // Set to true to use the mock device service for development without a physical device.
+  // Set to true to develop without a physical device: a ZK protocol emulator is started on
+  // emulator.host:port and the real device service connects to it (see services/zkEmulator.js).
   useMockDevice: false,
-  useMockDevice: false,
-  mockInterval: 15000, // 15 seconds
+  mockInterval: 15000, // 15 seconds between emulated random punches
   syncInterval: 1800000, // 30 minutes (30 * 60 * 1000)
+  syncMaxAttempts: 5, // Failed uploads before a record goes to the sync dead-letter list
   duplicateCheckWindow: 300000, // 5 minutes (increased from 1 min to prevent rapid re-punches)
+  // Other windows in seconds (0 = record every punch). A member category window wins over a device window.
+  // Categories are matched on the member field categoryField, e.g. categories: { "staff-plan": 30 }
+  duplicateWindows: {
+    devices: {},      // { "exit-turnstile": 60 }
+    categories: {},
+    categoryField: "membershipPlanId",
+  },
   ignoreUnknownUsers: true, // Ignore events from users not in the database
 
+  // How punches are paired into check-in/check-out sessions per member and day:
+  // "alternate" (in, out, in, out...), "first-in-last-out" (first punch opens, later punches move the check-out),
+  // "punch-state" (use the device's check-in/check-out state key, falls back to alternate)
+  attendanceSessionMode: "alternate",
+
+  // Catch-up of punches stored on the device but never recorded (app closed, network down).
+  // Runs on every (re)connect and on demand via POST /attendance/backfill?from=&to=
+  backfill: {
+    onConnect: true,
+    lookbackDays: 3, // Default range: today and the previous N days
+  },
+
+  // Device clock monitoring. Punch times come from the device clock, so a drifting clock
+  // files attendance under wrong times/dates. Checked on connect and every checkIntervalMinutes;
+  // a drift beyond toleranceSeconds emits "device_clock_drift" and, with autoSync, resets the clock.
+  clockSync: {
+    enabled: true,
+    checkIntervalMinutes: 30,
+    toleranceSeconds: 60,
+    autoSync: true,
+  },
+
+  // Membership-aware access control. Every punch gets a granted/denied decision (logged + "access_decision" event).
+  // controlDoor: let the backend drive the door relay (disable the device's own lock output first,
+  // otherwise the device opens the door for every verified fingerprint).
+  accessControl: {
+    enabled: true,
+    controlDoor: false,
+    gracePeriodDays: 0,         // Days after membershipEnd that still grant entry
+    unlockSeconds: 5,           // How long the relay stays open
+    maxUnlockDelaySeconds: 30,  // Older punches (polling catch-up) are decided but never open the door
+    deniedStatuses: ["suspended", "cancelled", "frozen"], // Always denied, regardless of end date
+  },
+
+  // Turn members off on the devices once membershipEnd + accessControl.gracePeriodDays has passed
+  // (set gracePeriodDays here to use a different grace period), and back on when a renewal comes in
+  // through Firestore. Uses the cached members, checked every checkIntervalMinutes.
+  // mode "disable" keeps the user and fingerprints; "remove" deletes the user (re-enroll after renewal).
+  membershipExpiry: {
+    enabled: true,
+    mode: "disable",
+    checkIntervalMinutes: 60,
+  },
+
+  // Biometric IDs handed out by GET /users/next-id, and the range enrollments are checked against.
+  // The device stores the id as text of up to 9 digits.
+  biometricIds: {
+    min: 1,
+    max: 999999999,
+  },
+
   // Auto-discovery settings
   autoDiscoverDevice: true, // <-- Set to false to use static IP (faster, more reliable)
   autoDiscoveryRetries: 5, // <-- Just 1 attempt for quick scan
@@ -18,6 +77,32 @@ const DEVICE_CONFIG = {
   timeout: 10000,
   inactivityTimeout: 4000,
 
+  // Multi-device setup (e.g. entrance + back door). Leave empty to use the single ip/port above.
+  // Each entry: { id: "entrance", label: "Main Entrance", ip: "192.168.1.74", port: 4370 }
+  devices: [],
+
+  // ADMS / iclock HTTP push. Point the terminal's "Cloud Server" setting at this app (port 5001);
+  // it then pushes punches to /iclock/cdata instead of being polled - works across subnets and NAT.
+  // Each entry: { serialNumber: "CQZ7232460123", id: "gate", label: "Gate (push)" }
+  adms: {
+    enabled: true,
+    allowUnregisteredDevices: false, // true: accept any serial number (registered as "adms-<SN>")
+    delaySeconds: 10,               // How often devices poll for queued commands
+    errorDelaySeconds: 30,
+    devices: [],
+  },
+
+  // ZK emulator used when useMockDevice is true
+  emulator: {
+    host: "127.0.0.1",
+    port: 4370,
+    tcp: true,
+    udp: true,
+    users: [],              // Seed users, e.g. { userId: "1", name: "Test Member" } - defaults to 10 generated users
+    autoPunchInterval: null, // Random punch interval in ms (null = mockInterval, 0 = off)
+    scriptFile: null,       // JSON scenario (punches, failed scans, disconnects) - replaces random punches
+  },
+
   // Network scanning settings (for auto-discovery)
   scanTimeout: 600,      // ms per connection attempt during scan
   scanConcurrency: 120,  // number of simultaneous connections during scan
@@ -24,9 +24,14 @@ const { findFirstDevice } = require('../utils/networkScanner');
 const initializeSocket = require('../services/socketService');
 const apiRoutes = require('../routes/api');
 const userManagementRoutes = require('../routes/userManagement');
+const iclockRoutes = require('../routes/iclock');
+const deviceAdminRoutes = require('../routes/deviceAdmin');
 const { initializeMemberEnrollmentListener } = require('../services/memberEnrollmentService');
 const { prewarmCache } = require('../services/userService');
 const syncService = require('../services/syncService');
+const membershipExpiry = require('../services/membershipExpiryService');
+const memberCredentials = require('../services/memberCredentialService');
+const { startEmbeddedEmulator } = require('../services/zkEmulator');
 const DEVICE_CONFIG = require('../config/deviceConfig');
 
 // Log app environment for debugging
@@ -124,9 +129,8 @@ function createTray() {
 async function startServer() {
   return new Promise((resolve) => {
     // Initialize device service
-    deviceService = DEVICE_CONFIG.useMockDevice
-      ? require('../services/mockDeviceService')
-      : require('../services/deviceService');
+    // The ZK emulator (useMockDevice) speaks the real protocol, so one service covers both modes
+    deviceService = require('../services/deviceService');
 
     // Initialize Socket.IO
     io = initializeSocket(httpServer);
@@ -137,6 +141,8 @@ async function startServer() {
     expressApp.use(express.json());
     expressApp.use('/', apiRoutes);
     expressApp.use('/users', userManagementRoutes);
+    expressApp.use('/iclock', iclockRoutes); // ADMS push devices
+    expressApp.use('/device/admin', deviceAdminRoutes); // Restart, clear log, unlock, LCD...
 
     server = httpServer.listen(PORT, async () => {
       log('success', `🚀 Server started successfully on port ${PORT}`);
@@ -149,6 +155,15 @@ async function startServer() {
         // Continue anyway - cache will populate on first use
       }
 
+      // Punches journaled but not processed before the last shutdown
+      deviceService.replayJournaledEvents(io);
+
+      // Turn expired members off on the devices (and back on after renewal)
+      membershipExpiry.startMembershipExpiryJob(deviceService, io);
+
+      // Keep member card numbers and PINs on the devices in step with Firestore
+      memberCredentials.startCredentialSync(deviceService, io);
+
       // Start sync service for offline mode
       try {
         syncService.startSync(io);
@@ -165,7 +180,15 @@ async function startServer() {
       let deviceIP = null;
       let shouldConnect = true;
 
-      if (!DEVICE_CONFIG.useMockDevice && DEVICE_CONFIG.autoDiscoverDevice) {
+      if (DEVICE_CONFIG.useMockDevice) {
+        try {
+          await startEmbeddedEmulator();
+          deviceIP = DEVICE_CONFIG.ip;
+        } catch (emulatorError) {
+          log('error', `❌ Failed to start ZK emulator: ${emulatorError.message}`);
+          shouldConnect = false;
+        }
+      } else if (DEVICE_CONFIG.autoDiscoverDevice) {
         log('info', '');
         log('info', '🔍 Auto-discovery enabled. Scanning network for fingerprint device...');
 
@@ -267,7 +290,7 @@ async function startServer() {
 
       if (shouldConnect && deviceIP) {
         const connectionMessage = DEVICE_CONFIG.useMockDevice
-          ? 'Initiating connection to MOCK device...'
+          ? `Initiating connection to ZK emulator at ${deviceIP}:${DEVICE_CONFIG.port}...`
           : `Initiating connection to eSSL K30 Pro device at ${deviceIP}...`;
         log('info', connectionMessage);
 
@@ -290,22 +313,14 @@ async function startServer() {
             }
 
             // Initialize Firebase listener
-            if (!DEVICE_CONFIG.useMockDevice) {
-              log('info', '');
-              log('info', '🎯 Initializing auto-enrollment from Firebase Realtime Database...');
-              initializeMemberEnrollmentListener(deviceService);
-            }
+            log('info', '');
+            log('info', '🎯 Initializing auto-enrollment from Firebase Realtime Database...');
+            initializeMemberEnrollmentListener(deviceService);
 
-            if (DEVICE_CONFIG.useMockDevice) {
-              log('info', '');
-              log('info', '🔥 Mock device is active.');
+            setTimeout(() => {
+              log('info', 'Starting backup polling mechanism...');
               deviceService.startPolling(io);
-            } else {
-              setTimeout(() => {
-                log('info', 'Starting backup polling mechanism...');
-                deviceService.startPolling(io);
-              }, 10000);
-            }
+            }, 10000);
           } else {
             // Ensure minimum time has elapsed before showing error
             const connectionDuration = Date.now() - connectionStartTime;
@@ -372,19 +387,24 @@ function stopServer() {
   return new Promise((resolve) => {
     // Stop sync service
     syncService.stopSync();
+    membershipExpiry.stopMembershipExpiryJob();
+    memberCredentials.stopCredentialSync();
 
     if (deviceService) {
       deviceService.stopPolling();
-      deviceService.disconnectFromDevice().then(() => {
-        if (server) {
-          server.close(() => {
-            log('info', 'Server stopped');
+      // Finish queued punches first - anything left is replayed from the journal on the next start
+      deviceService.drainAttendanceQueue()
+        .then(() => deviceService.disconnectFromDevice())
+        .then(() => {
+          if (server) {
+            server.close(() => {
+              log('info', 'Server stopped');
+              resolve();
+            });
+          } else {
             resolve();
-          });
-        } else {
-          resolve();
-        }
-      });
+          }
+        });
     } else {
       resolve();
     }
@@ -429,8 +449,8 @@ ipcMain.handle('get-status', () => {
   }
   return {
     connected: deviceService.isConnected(),
-    deviceIp: DEVICE_CONFIG.useMockDevice ? 'mock-device' : DEVICE_CONFIG.ip,
-    devicePort: DEVICE_CONFIG.useMockDevice ? null : DEVICE_CONFIG.port,
+    deviceIp: DEVICE_CONFIG.ip,
+    devicePort: DEVICE_CONFIG.port,
     isMock: DEVICE_CONFIG.useMockDevice,
     serverPort: PORT
   };
@@ -514,11 +534,9 @@ ipcMain.handle('connect-to-ip', async (event, ip) => {
         mainWindow.webContents.send('device-connected', { ip: ip });
       }
 
-      // Initialize Firebase listener if not mock device
-      if (!DEVICE_CONFIG.useMockDevice) {
-        log('info', '🎯 Initializing auto-enrollment from Firebase...');
-        initializeMemberEnrollmentListener(deviceService);
-      }
+      // Initialize Firebase listener
+      log('info', '🎯 Initializing auto-enrollment from Firebase...');
+      initializeMemberEnrollmentListener(deviceService);
 
       // Start polling
       setTimeout(() => {
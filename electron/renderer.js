@@ -5,9 +5,8 @@ let totalEvents = 0;
 let todayEvents = 0;
 let socket = null;
 
-// Duplicate detection - tracks recent events to prevent duplicate processing
-const recentEvents = new Map(); // Key: userId-timestamp, Value: timestamp when added
-const DUPLICATE_WINDOW = 5000; // 5 seconds window to detect duplicates
+// Per-device connection state (deviceId -> last device_status payload)
+const deviceStatuses = new Map();
 
 // System status tracking
 let systemStatus = {
@@ -58,6 +57,24 @@ const staticIPInput = document.getElementById('staticIP');
 const staticPortInput = document.getElementById('staticPort');
 const settingsError = document.getElementById('settingsError');
 
+// Fingerprint enrollment modal elements
+const enrollFingerBtn = document.getElementById('enrollFingerBtn');
+const enrollModal = document.getElementById('enrollModal');
+const enrollModalClose = document.getElementById('enrollModalClose');
+const enrollCancelBtn = document.getElementById('enrollCancelBtn');
+const enrollStartBtn = document.getElementById('enrollStartBtn');
+const enrollUserIdInput = document.getElementById('enrollUserId');
+const enrollFingerSelect = document.getElementById('enrollFinger');
+const enrollStatus = document.getElementById('enrollStatus');
+const enrollError = document.getElementById('enrollError');
+
+// Enrollment currently running on the device (null when idle)
+let activeEnrollment = null;
+
+// USB attendance import (attlog .dat file downloaded from the terminal)
+const importAttlogBtn = document.getElementById('importAttlogBtn');
+const attlogFileInput = document.getElementById('attlogFileInput');
+
 // Current settings state
 let currentSettings = {
   connectionType: 'wifi',
@@ -227,6 +244,128 @@ if (settingsModal) {
   });
 }
 
+// =========================================
+// Fingerprint Enrollment Functions
+// =========================================
+
+function openEnrollModal() {
+  enrollError.style.display = 'none';
+  if (!activeEnrollment) {
+    enrollStatus.textContent = 'Start, then ask the member to press the finger three times';
+  }
+  enrollModal.classList.add('active');
+  enrollUserIdInput.focus();
+}
+
+function closeEnrollModal() {
+  enrollModal.classList.remove('active');
+}
+
+function showEnrollError(message) {
+  enrollError.textContent = message;
+  enrollError.style.display = 'block';
+}
+
+function setEnrollRunning(running) {
+  enrollStartBtn.disabled = running;
+  enrollUserIdInput.disabled = running;
+  enrollFingerSelect.disabled = running;
+  enrollCancelBtn.textContent = running ? 'Stop Enrollment' : 'Cancel';
+}
+
+async function startFingerEnrollment() {
+  const userId = enrollUserIdInput.value.trim();
+  if (!userId) {
+    showEnrollError('Enter the member\'s biometric ID');
+    return;
+  }
+
+  enrollError.style.display = 'none';
+  setEnrollRunning(true);
+  enrollStatus.textContent = 'Starting enrollment...';
+
+  try {
+    const response = await fetch(`http://localhost:5001/users/${encodeURIComponent(userId)}/fingers/enroll`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fingerIndex: parseInt(enrollFingerSelect.value, 10), staff: 'desktop-app' })
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || data.error || 'Unknown error');
+    }
+    activeEnrollment = data.session;
+  } catch (error) {
+    setEnrollRunning(false);
+    enrollStatus.textContent = '';
+    showEnrollError('Could not start enrollment: ' + error.message);
+  }
+}
+
+async function handleEnrollCancel() {
+  if (!activeEnrollment) {
+    closeEnrollModal();
+    return;
+  }
+
+  try {
+    await fetch(`http://localhost:5001/users/fingers/enroll/cancel?deviceId=${encodeURIComponent(activeEnrollment.deviceId)}`, {
+      method: 'POST'
+    });
+  } catch (error) {
+    showEnrollError('Could not cancel enrollment: ' + error.message);
+  }
+}
+
+function handleEnrollProgress(data) {
+  if (activeEnrollment && data.id !== activeEnrollment.id) return;
+
+  enrollStatus.textContent = data.message;
+  footerStatus.textContent = `${data.name}: ${data.message}`;
+
+  if (data.step === 'success' || data.step === 'failed') {
+    activeEnrollment = null;
+    setEnrollRunning(false);
+    if (data.step === 'failed') {
+      showEnrollError(data.message);
+    }
+    addLogMessage({
+      level: data.step === 'success' ? 'success' : 'warning',
+      prefix: '🖐️',
+      message: data.step === 'success'
+        ? `${data.finger} finger enrolled for ${data.name} on ${data.deviceLabel}`
+        : `Finger enrollment for ${data.name} failed: ${data.message}`
+    });
+  }
+}
+
+if (importAttlogBtn) {
+  importAttlogBtn.addEventListener('click', () => attlogFileInput.click());
+  attlogFileInput.addEventListener('change', handleAttlogImport);
+}
+
+// Fingerprint enrollment event listeners
+if (enrollFingerBtn) {
+  enrollFingerBtn.addEventListener('click', openEnrollModal);
+}
+if (enrollModalClose) {
+  enrollModalClose.addEventListener('click', closeEnrollModal);
+}
+if (enrollCancelBtn) {
+  enrollCancelBtn.addEventListener('click', handleEnrollCancel);
+}
+if (enrollStartBtn) {
+  enrollStartBtn.addEventListener('click', startFingerEnrollment);
+}
+if (enrollModal) {
+  enrollModal.addEventListener('click', (e) => {
+    if (e.target === enrollModal) {
+      closeEnrollModal();
+    }
+  });
+}
+
 // Initialize
 async function init() {
   console.log('[DEBUG] init() started');
@@ -420,15 +559,29 @@ function setupSocketIO() {
     });
 
     socket.on('device_status', (data) => {
-      if (data.connected) {
-        updateStatus('Connected', 'connected');
-        footerStatus.textContent = `Device connected at ${data.deviceIp}`;
+      // Track each terminal separately - the header shows connected while any device is up
+      const key = data.deviceId || data.deviceIp || 'default';
+      deviceStatuses.set(key, data);
+
+      const statuses = Array.from(deviceStatuses.values());
+      const connectedDevices = statuses.filter(d => d.connected);
+
+      if (connectedDevices.length > 0) {
+        const label = statuses.length > 1
+          ? `Connected (${connectedDevices.length}/${statuses.length})`
+          : 'Connected';
+        updateStatus(label, 'connected');
         updateSystemStatus('device', true);
-        deviceIP.textContent = data.deviceIp;
+        deviceIP.textContent = connectedDevices.map(d => d.deviceIp).join(', ');
       } else {
         updateStatus('Disconnected', 'disconnected');
         updateSystemStatus('device', 'error');
       }
+
+      const name = data.deviceLabel || 'Device';
+      footerStatus.textContent = data.connected
+        ? `${name} connected at ${data.deviceIp}`
+        : `${name} disconnected${data.error ? `: ${data.error}` : ''}`;
     });
 
     // Sync-related events
@@ -469,6 +622,27 @@ function setupSocketIO() {
       showCacheRefreshNotification(data);
     });
 
+    // Expired member turned off / renewed member restored on a device (details are in the log)
+    socket.on('membership_device_action', (data) => {
+      console.log('🗓️ Membership device action:', data);
+      const name = data.name || `ID ${data.biometricDeviceId}`;
+      footerStatus.textContent = data.success
+        ? `${name} ${data.action} on ${data.deviceLabel}`
+        : `Could not set ${name} to ${data.action} on ${data.deviceLabel}: ${data.error}`;
+    });
+
+    socket.on('fingerprint_enroll_progress', (data) => {
+      console.log('🖐️ Fingerprint enrollment:', data);
+      handleEnrollProgress(data);
+    });
+
+    // Bulk member import (started through POST /users/import)
+    socket.on('member_import_progress', (data) => {
+      footerStatus.textContent = data.status === 'running'
+        ? `Importing members to ${data.deviceLabel}... ${data.processed}/${data.total}`
+        : `Member import on ${data.deviceLabel} finished: ${data.applied} applied, ${data.failed} failed, ${data.skipped} skipped`;
+    });
+
     // Receive logs via socket (Sidecar mode)
     socket.on('log-message', (logData) => {
       addLogMessage(logData);
@@ -545,7 +719,7 @@ function setupIPCListeners() {
   window.electronAPI.onConnecting((data) => {
     updateStatus('Connecting...', 'scanning');
     deviceIP.textContent = data.ip;
-    deviceMode.textContent = data.isMock ? 'Mock' : 'Real Device';
+    deviceMode.textContent = data.isMock ? 'Emulator' : 'Real Device';
     footerStatus.textContent = `Connecting to ${data.ip}...`;
     updateSystemStatus('device', 'Connecting...');
   });
@@ -868,6 +1042,45 @@ function handleClear() {
   footerStatus.textContent = 'Events cleared';
 }
 
+// Handle USB attendance import - the file is sent as-is, the backend parses and dedupes it
+async function handleAttlogImport() {
+  const file = attlogFileInput.files[0];
+  attlogFileInput.value = '';
+  if (!file) return;
+
+  importAttlogBtn.disabled = true;
+  footerStatus.textContent = `Importing ${file.name}...`;
+
+  try {
+    const response = await fetch('http://localhost:5001/attendance/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: await file.arrayBuffer()
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Unknown error');
+    }
+
+    const message = `${file.name}: ${data.ingested} punches imported, ${data.alreadyRecorded} already recorded` +
+      (data.skipped > 0 ? `, ${data.skipped} unknown members` : '') +
+      (data.outsideRange > 0 ? `, ${data.outsideRange} outside ${data.from}..${data.to}` : '') +
+      (data.invalidLines.length > 0 ? `, ${data.invalidLines.length} unreadable lines` : '');
+    footerStatus.textContent = message;
+    addLogMessage({ level: 'success', prefix: '📥', message });
+  } catch (error) {
+    footerStatus.textContent = 'Attendance import failed: ' + error.message;
+    addLogMessage({
+      level: 'error',
+      prefix: '❌',
+      message: `Attendance import of ${file.name} failed: ${error.message}`
+    });
+  } finally {
+    importAttlogBtn.disabled = false;
+  }
+}
+
 // Handle Refresh User Cache
 async function handleRefreshCache() {
   // Disable button
@@ -933,6 +1146,28 @@ function showCacheRefreshNotification(data) {
   });
 }
 
+// Text-to-Speech goodbye on check-out
+function speakGoodbye(userName) {
+  if ('speechSynthesis' in window) {
+    window.speechSynthesis.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(`Goodbye ${userName}. See you next time.`);
+    utterance.rate = 0.95;
+    utterance.pitch = 1.1;
+    utterance.volume = 1.0;
+
+    const voices = window.speechSynthesis.getVoices();
+    const preferredVoice =
+      voices.find(v => v.lang.startsWith('en') && (v.name.includes('Zira') || v.name.includes('Aria'))) ||
+      voices.find(v => v.lang.startsWith('en'));
+    if (preferredVoice) {
+      utterance.voice = preferredVoice;
+    }
+
+    window.speechSynthesis.speak(utterance);
+  }
+}
+
 // Text-to-Speech function to welcome user
 function speakWelcome(userName, membershipStatus, membershipEndDate) {
   // Check if browser supports speech synthesis
@@ -1163,31 +1398,11 @@ function playErrorBeep() {
 function addAttendanceEvent(data) {
   console.log('Received attendance event:', data); // Debug log
 
-  // Create a unique key for this event based on user and timestamp
+  // Repeated punches are filtered by the backend (duplicate suppression)
   const userId = data.userId || data.biometricDeviceId || 'unknown';
-  const eventTime = new Date(data.checkInTime || data.timestamp || data.recordTime || new Date());
-  const eventKey = `${userId}-${Math.floor(eventTime.getTime() / 1000)}`; // Round to nearest second
-
-  const now = Date.now();
-
-  // Check if this is a duplicate event
-  if (recentEvents.has(eventKey)) {
-    const eventAge = now - recentEvents.get(eventKey);
-    if (eventAge < DUPLICATE_WINDOW) {
-      console.log('⚠️ Duplicate event detected and ignored:', { userId, eventKey, eventAge });
-      return; // Skip this duplicate event
-    }
-  }
-
-  // Store this event in the recent events map
-  recentEvents.set(eventKey, now);
-
-  // Clean up old entries from the map (older than DUPLICATE_WINDOW)
-  for (const [key, timestamp] of recentEvents.entries()) {
-    if (now - timestamp > DUPLICATE_WINDOW) {
-      recentEvents.delete(key);
-    }
-  }
+  const isCheckOut = data.punchType === 'check_out';
+  const isDenied = data.punchType === 'denied';
+  const eventTime = new Date((isCheckOut && data.checkOutTime) || data.checkInTime || data.timestamp || data.recordTime || new Date());
 
   // Get user info for sound notification
   const userName = data.name || `User ${userId}`;
@@ -1195,15 +1410,19 @@ function addAttendanceEvent(data) {
   const membershipEndDate = data.membershipEndDate || data.membershipEnd || null;
 
   // Play sound and speak welcome message
-  if (userStatus === 'unknown') {
+  if (userStatus === 'unknown' || isDenied) {
     playErrorBeep();
   } else {
     playSuccessBeep();
   }
 
-  // Speak welcome message (slight delay to let beep finish)
+  // Speak welcome (or goodbye on check-out) message (slight delay to let beep finish)
   setTimeout(() => {
-    speakWelcome(userName, userStatus, membershipEndDate);
+    if (isCheckOut) {
+      speakGoodbye(userName);
+    } else {
+      speakWelcome(userName, userStatus, membershipEndDate);
+    }
   }, 200);
 
   // Remove empty state if present
@@ -1216,8 +1435,8 @@ function addAttendanceEvent(data) {
   const eventEl = document.createElement('div');
   eventEl.className = 'event-item';
 
-  // Handle both old format (timestamp/recordTime) and new format (checkInTime)
-  const timestamp = new Date(data.checkInTime || data.timestamp || data.recordTime || new Date());
+  // Handle both old format (timestamp/recordTime) and new format (checkInTime/checkOutTime)
+  const timestamp = eventTime;
   const timeStr = timestamp.toLocaleTimeString();
   const dateStr = timestamp.toLocaleDateString();
 
@@ -1272,10 +1491,19 @@ function addAttendanceEvent(data) {
       <div class="event-info">
         <div class="event-user">${userName}</div>
         <div class="event-time">⏰ ${timeStr} • ${dateStr}</div>
-        <div>${statusBadge}</div>
+        <div>${statusBadge} ${isDenied ? '<span class="badge badge-error">Access Denied</span>' : isCheckOut ? '<span class="badge badge-warning">Check-out</span>' : '<span class="badge badge-success">Check-in</span>'}</div>
       </div>
     </div>
     <div class="event-details">
+      ${isCheckOut ? `
+      <div class="event-detail">
+        <div class="event-detail-label">Checked In</div>
+        <div class="event-detail-value">${new Date(data.checkInTime).toLocaleTimeString()}</div>
+      </div>
+      <div class="event-detail">
+        <div class="event-detail-label">Duration</div>
+        <div class="event-detail-value">${formatSessionDuration(data.durationMinutes)}</div>
+      </div>` : ''}
       <div class="event-detail">
         <div class="event-detail-label">Biometric ID</div>
         <div class="event-detail-value">${data.biometricDeviceId || 'N/A'}</div>
@@ -1294,9 +1522,32 @@ function addAttendanceEvent(data) {
         <div class="event-detail-label">Source</div>
         <div class="event-detail-value">${data.source || 'essl'}</div>
       </div>
+      ${data.deviceLabel ? `
+      <div class="event-detail">
+        <div class="event-detail-label">Device</div>
+        <div class="event-detail-value">${data.deviceLabel}</div>
+      </div>` : ''}
+      ${data.verifyMethod ? `
+      <div class="event-detail">
+        <div class="event-detail-label">Verified By</div>
+        <div class="event-detail-value">${data.verifyMethod === 'pin' ? 'PIN' : data.verifyMethod.charAt(0).toUpperCase() + data.verifyMethod.slice(1)}</div>
+      </div>` : ''}
+      ${isDenied ? `
+      <div class="event-detail">
+        <div class="event-detail-label">Reason</div>
+        <div class="event-detail-value">${(data.accessReason || 'denied').replace(/_/g, ' ')}</div>
+      </div>` : ''}
     </div>
+    ${isDenied ? `
+    <button class="btn btn-secondary btn-sm override-btn" style="margin-top: 0.5rem;">Allow Entry</button>` : ''}
   `;
 
+  if (isDenied) {
+    eventEl.querySelector('.override-btn').addEventListener('click', (e) => {
+      overrideAccess(data, e.currentTarget);
+    });
+  }
+
   // Add to top of list
   eventsContainer.insertBefore(eventEl, eventsContainer.firstChild);
 
@@ -1314,7 +1565,43 @@ function addAttendanceEvent(data) {
     events[events.length - 1].remove();
   }
 
-  footerStatus.textContent = `Latest: ${userName} at ${timeStr}`;
+  footerStatus.textContent = `Latest: ${userName} ${isDenied ? 'denied' : isCheckOut ? 'checked out' : 'checked in'} at ${timeStr}`;
+}
+
+// Staff override: let a denied member in (opens the door and records the entry)
+async function overrideAccess(data, button) {
+  if (!confirm(`Allow entry for ${data.name || data.biometricDeviceId}?`)) return;
+
+  button.disabled = true;
+  try {
+    const response = await fetch('http://localhost:5001/access/override', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        biometricDeviceId: data.biometricDeviceId,
+        deviceId: data.deviceId,
+        staff: 'front-desk',
+        reason: 'staff_override'
+      })
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error);
+
+    button.textContent = 'Entry Allowed';
+    footerStatus.textContent = `Access override: ${data.name || data.biometricDeviceId}`;
+  } catch (error) {
+    console.error('Access override failed:', error);
+    button.disabled = false;
+    footerStatus.textContent = `Override failed: ${error.message}`;
+  }
+}
+
+// Format a session duration in minutes as "1h 25m"
+function formatSessionDuration(minutes) {
+  if (minutes === null || minutes === undefined) return 'N/A';
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
 }
 
 // Update Statistics
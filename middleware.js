@@ -5,19 +5,23 @@ const { findFirstDevice } = require("./utils/networkScanner");
 const initializeSocket = require("./services/socketService");
 const apiRoutes = require("./routes/api");
 const userManagementRoutes = require("./routes/userManagement");
+const iclockRoutes = require("./routes/iclock");
+const deviceAdminRoutes = require("./routes/deviceAdmin");
 const { initializeMemberEnrollmentListener } = require("./services/memberEnrollmentService");
 const { prewarmCache } = require("./services/userService");
+const { startEmbeddedEmulator } = require("./services/zkEmulator");
 const DEVICE_CONFIG = require("./config/deviceConfig");
 
-const deviceService = DEVICE_CONFIG.useMockDevice
-  ? require("./services/mockDeviceService")
-  : require("./services/deviceService");
+// The emulator speaks the real protocol, so the real device service is used in both modes
+const deviceService = require("./services/deviceService");
 
 const app = express();
 const cors = require("cors");
 const server = http.createServer(app);
 const io = initializeSocket(server);
 const syncService = require("./services/syncService");
+const membershipExpiry = require("./services/membershipExpiryService");
+const memberCredentials = require("./services/memberCredentialService");
 syncService.startSync(io); // Start sync service immediately
 
 app.set("io", io);
@@ -27,10 +31,14 @@ app.use(cors());
 app.use(express.json());
 app.use("/", apiRoutes);
 app.use("/users", userManagementRoutes);
+app.use("/iclock", iclockRoutes); // ADMS push devices
+app.use("/device/admin", deviceAdminRoutes); // Restart, clear log, unlock, LCD...
 
 async function gracefulShutdown(signal) {
   log("info", `${signal} received. Starting graceful shutdown...`);
   deviceService.stopPolling();
+  membershipExpiry.stopMembershipExpiryJob();
+  memberCredentials.stopCredentialSync();
 
   // Flush any pending Firestore writes
   const { flushPendingWrites } = require("./services/firestoreService");
@@ -44,6 +52,8 @@ async function gracefulShutdown(signal) {
     log("info", "HTTP server closed");
   });
 
+  // Finish queued punches first (also saves the duplicate suppression state) - anything left is replayed from the journal on the next start
+  await deviceService.drainAttendanceQueue();
   await deviceService.disconnectFromDevice();
 
   io.close(() => {
@@ -67,6 +77,23 @@ server.listen(PORT, async () => {
   // Pre-warm user cache for fast lookups
   await prewarmCache();
 
+  // Punches journaled but not processed before the last shutdown
+  deviceService.replayJournaledEvents(io);
+
+  // Turn expired members off on the devices (and back on after renewal)
+  membershipExpiry.startMembershipExpiryJob(deviceService, io);
+
+  // Keep member card numbers and PINs on the devices in step with Firestore
+  memberCredentials.startCredentialSync(deviceService, io);
+
+  if (DEVICE_CONFIG.useMockDevice) {
+    try {
+      await startEmbeddedEmulator();
+    } catch (error) {
+      log("error", `❌ Failed to start ZK emulator: ${error.message}`);
+    }
+  }
+
   log("info", `📊 API Endpoints:`);
   console.log(`   • Health:        http://localhost:${PORT}/health`);
   console.log(`   • Status:        http://localhost:${PORT}/status`);
@@ -141,7 +168,7 @@ server.listen(PORT, async () => {
 
   if (shouldConnect) {
     const connectionMessage = DEVICE_CONFIG.useMockDevice
-      ? "Initiating connection to MOCK device..."
+      ? `Initiating connection to ZK emulator at ${DEVICE_CONFIG.ip}:${DEVICE_CONFIG.port}...`
       : `Initiating connection to eSSL K30 Pro device at ${deviceIP}...`;
     log("info", connectionMessage);
 
@@ -149,18 +176,15 @@ server.listen(PORT, async () => {
 
     if (connected) {
       // Initialize Firebase Realtime Database listener for auto-enrollment
-      if (!DEVICE_CONFIG.useMockDevice) {
-        log("info", "");
-        log("info", "🎯 Initializing auto-enrollment from Firebase Realtime Database...");
-        initializeMemberEnrollmentListener(deviceService);
-      }
+      log("info", "");
+      log("info", "🎯 Initializing auto-enrollment from Firebase Realtime Database...");
+      initializeMemberEnrollmentListener(deviceService);
 
       if (DEVICE_CONFIG.useMockDevice) {
         log("info", "");
-        log("info", "🔥 Mock device is active.");
-        log("info", "Attendance events will be generated automatically every 3 seconds.");
+        log("info", "🧪 ZK emulator is active.");
+        log("info", "Punches are generated by the emulator (see scripts/zk-emulator.js for scenarios).");
         log("info", "");
-        deviceService.startPolling(io);
       } else {
         log("info", "");
         log("info", "✋ TESTING INSTRUCTIONS:");
@@ -172,12 +196,12 @@ server.listen(PORT, async () => {
         );
         log("info", "4. New members will be auto-enrolled from Firebase");
         log("info", "");
-
-        setTimeout(() => {
-          log("info", "Starting smart polling mechanism (activates only if real-time fails)...");
-          deviceService.startPolling(io, "smart"); // Use smart mode
-        }, 10000);
       }
+
+      setTimeout(() => {
+        log("info", "Starting smart polling mechanism (activates only if real-time fails)...");
+        deviceService.startPolling(io, "smart"); // Use smart mode
+      }, 10000);
     }
   }
 });
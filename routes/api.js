@@ -92,13 +92,29 @@ router.get("/health", looseLimiter, (req, res) => {
   });
 });
 
+// List registered devices with their connection state
+router.get("/devices", looseLimiter, (req, res) => {
+  res.json({ success: true, devices: req.deviceService.listDevices() });
+});
+
+// Status of one device (?deviceId=) - defaults to the primary device
 router.get("/status", defaultLimiter, (req, res) => {
-  const isMock = DEVICE_CONFIG.useMockDevice;
+  const isMock = DEVICE_CONFIG.useMockDevice; // Connected to the ZK emulator
+  const { deviceId } = req.query;
+
+  if (!req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: deviceId ? `Unknown device: ${deviceId}` : "No device registered" });
+  }
+
+  const device = req.deviceService.getDeviceInfo(deviceId);
   res.json({
-    connected: req.deviceService.isConnected(),
-    deviceIp: isMock ? "mock-device" : DEVICE_CONFIG.ip,
-    devicePort: isMock ? null : DEVICE_CONFIG.port,
+    connected: req.deviceService.isConnected(deviceId),
+    deviceId: device.id,
+    deviceLabel: device.label,
+    deviceIp: device.ip,
+    devicePort: device.port,
     isMock,
+    devices: req.deviceService.listDevices(),
     timestamp: new Date().toISOString(),
   });
 });
@@ -117,32 +133,40 @@ router.get("/config", looseLimiter, (req, res) => {
 });
 
 router.post("/device/connect", strictLimiter, async (req, res) => {
-  const { ip } = req.body;
+  const { ip, deviceId } = req.body;
   if (!ip) {
     return res.status(400).json({ success: false, error: "IP address is required" });
   }
 
-  log("info", `Manual connection request to ${ip}`);
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ success: false, error: `Unknown device: ${deviceId}` });
+  }
+
+  log("info", `Manual connection request to ${ip}${deviceId ? ` (${deviceId})` : ""}`);
 
   // Update config
-  DEVICE_CONFIG.ip = ip;
+  if (req.deviceService.setDeviceEndpoint) {
+    req.deviceService.setDeviceEndpoint(deviceId, ip);
+  } else {
+    DEVICE_CONFIG.ip = ip;
+  }
 
   try {
     // Disconnect if connected
-    if (req.deviceService.isConnected && req.deviceService.isConnected()) {
-      await req.deviceService.disconnectFromDevice();
+    if (req.deviceService.isConnected && req.deviceService.isConnected(deviceId)) {
+      await req.deviceService.disconnectFromDevice(deviceId);
     }
 
-    const linked = await req.deviceService.connectToDevice(req.io);
+    const linked = await req.deviceService.connectToDevice(req.io, true, deviceId);
 
-    if (linked && !DEVICE_CONFIG.useMockDevice) {
+    if (linked) {
       // Initialize Firebase listener
       const { initializeMemberEnrollmentListener } = require("../services/memberEnrollmentService");
       initializeMemberEnrollmentListener(req.deviceService);
 
       // Start polling fallback
       setTimeout(() => {
-        req.deviceService.startPolling(req.io);
+        req.deviceService.startPolling(req.io, "smart", deviceId);
       }, 10000);
     }
 
@@ -153,27 +177,27 @@ router.post("/device/connect", strictLimiter, async (req, res) => {
 });
 
 router.get("/reconnect", strictLimiter, async (req, res) => {
-  log("info", "Manual reconnection triggered via API");
-  const success = await req.deviceService.connectToDevice(req.io);
+  const { deviceId } = req.query;
+  log("info", `Manual reconnection triggered via API${deviceId ? ` (${deviceId})` : ""}`);
+  const success = await req.deviceService.connectToDevice(req.io, true, deviceId);
   res.json({
     success: success,
-    connected: req.deviceService.isConnected(),
+    connected: req.deviceService.isConnected(deviceId),
   });
 });
 
 router.get("/attendance/logs", strictLimiter, async (req, res) => {
-  const { isConnected, getZkInstance } = req.deviceService;
-  if (DEVICE_CONFIG.useMockDevice) {
-    return res.json({ success: true, message: "Mock device does not store historical logs." });
+  const { deviceId } = req.query;
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
   }
-
-  if (!isConnected() || !getZkInstance()) {
+  if (!req.deviceService.isConnected(deviceId)) {
     return res.status(503).json({ error: "Device not connected" });
   }
 
   try {
     log("info", "Fetching attendance logs via API...");
-    const logs = await getZkInstance().getAttendances();
+    const logs = await req.deviceService.runDeviceCommand(req.io, deviceId, (zk) => zk.getAttendances(), { timeoutMs: 60000 });
     log("success", `Retrieved ${logs.data.length} attendance records`);
     res.json({
       success: true,
@@ -191,19 +215,136 @@ router.get("/attendance/logs", strictLimiter, async (req, res) => {
   }
 });
 
+// Attendance recorded on this machine, synced or not - answers "who came in yesterday" while offline
+// GET /attendance/history?date=|from=&to=YYYY-MM-DD&memberId=&biometricId=&deviceId=&syncStatus=&limit=
+router.get("/attendance/history", defaultLimiter, async (req, res) => {
+  const { date, from, to, memberId, biometricId, deviceId, syncStatus } = req.query;
+  const limit = req.query.limit === undefined ? 1000 : Number(req.query.limit);
+
+  const badDate = [date, from, to].find((value) => value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+  if (badDate !== undefined) {
+    return res.status(400).json({ success: false, error: `Invalid date: ${badDate} (expected YYYY-MM-DD)` });
+  }
+  if (syncStatus !== undefined && !["pending", "synced", "dead_letter", "discarded"].includes(syncStatus)) {
+    return res.status(400).json({ success: false, error: "syncStatus must be pending, synced, dead_letter or discarded" });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+    return res.status(400).json({ success: false, error: "limit must be between 1 and 5000" });
+  }
+
+  try {
+    const offlineStorage = require("../services/offlineStorage");
+    const records = await offlineStorage.queryAttendance({ date, from, to, memberId, biometricId, deviceId, syncStatus, limit });
+    res.json({ success: true, count: records.length, records });
+  } catch (error) {
+    log("error", "Failed to read attendance history:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Ingest punches stored on the device but never recorded (e.g. while the app was closed)
+// POST /attendance/backfill?from=YYYY-MM-DD&to=YYYY-MM-DD&deviceId=
+router.post("/attendance/backfill", strictLimiter, async (req, res) => {
+  const { from, to, deviceId } = req.query;
+
+  if (!req.deviceService.backfillAttendance) {
+    return res.status(501).json({ success: false, error: "Backfill is not supported by this device service" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ success: false, error: `Unknown device: ${deviceId}` });
+  }
+
+  const { resolveRange } = require("../services/backfillService");
+  let range;
+  try {
+    range = resolveRange(from, to);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ success: false, error: "Device not connected" });
+  }
+
+  try {
+    const summary = await req.deviceService.backfillAttendance(req.io, { deviceId, ...range });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    log("error", "Attendance backfill failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Ingest a USB attendance download (attlog .dat file as the request body) - punches already recorded are skipped
+// POST /attendance/import?deviceId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+router.post("/attendance/import", strictLimiter, express.raw({ type: () => true, limit: "20mb" }), async (req, res) => {
+  const { from, to, deviceId } = req.query;
+
+  if (!req.deviceService.importAttendanceLog) {
+    return res.status(501).json({ success: false, error: "Log import is not supported by this device service" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ success: false, error: `Unknown device: ${deviceId}` });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ success: false, error: "Upload the attlog .dat file as the request body" });
+  }
+
+  try {
+    const { importAttlog } = require("../services/attlogImportService");
+    const summary = await importAttlog(req.deviceService, req.io, { file: req.body, deviceId, from, to });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    log("error", "Attendance log import failed:", error.message);
+    res.status(error.importFile ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /device/time?deviceId= - Read the device clock and its drift from host time
+router.get("/device/time", defaultLimiter, async (req, res) => {
+  await handleDeviceClock(req, res, "checkDeviceClock");
+});
+
+// POST /device/time/sync?deviceId= - Set the device clock to host time
+router.post("/device/time/sync", strictLimiter, async (req, res) => {
+  await handleDeviceClock(req, res, "syncDeviceClock");
+});
+
+async function handleDeviceClock(req, res, method) {
+  const { deviceId } = req.query;
+
+  if (!req.deviceService[method]) {
+    return res.status(501).json({ success: false, error: "Clock sync is not supported by this device service" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ success: false, error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ success: false, error: "Device not connected" });
+  }
+
+  try {
+    const clock = await req.deviceService[method](req.io, deviceId);
+    res.json({ success: true, clock });
+  } catch (error) {
+    log("error", "Device clock request failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
 router.get("/device/info", defaultLimiter, async (req, res) => {
-  const { isConnected, getZkInstance } = req.deviceService;
-  if (DEVICE_CONFIG.useMockDevice) {
-    return res.json({ success: true, message: "Mock device has no specific device info.", data: { mock: true, model: 'MockDevice-v1' } });
+  const { deviceId } = req.query;
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
   }
 
-  if (!isConnected() || !getZkInstance()) {
+  if (!req.deviceService.isConnected(deviceId)) {
     return res.status(503).json({ error: "Device not connected" });
   }
 
   try {
-    const info = await getZkInstance().getInfo();
-    res.json({ success: true, data: info });
+    const info = await req.deviceService.runDeviceCommand(req.io, deviceId, (zk) => zk.getInfo());
+    res.json({ success: true, device: req.deviceService.getDeviceInfo(deviceId), data: info });
   } catch (err) {
     res.status(500).json({ error: "Failed to retrieve device information", message: err.message });
   }
@@ -242,12 +383,12 @@ router.get("/device/scan", strictLimiter, async (req, res) => {
 });
 
 router.post("/polling/start", defaultLimiter, (req, res) => {
-  req.deviceService.startPolling(req.io);
+  req.deviceService.startPolling(req.io, "smart", req.body?.deviceId);
   res.json({ success: true, message: "Polling started" });
 });
 
 router.post("/polling/stop", defaultLimiter, (req, res) => {
-  req.deviceService.stopPolling();
+  req.deviceService.stopPolling(req.body?.deviceId);
   res.json({ success: true, message: "Polling stopped" });
 });
 
@@ -271,6 +412,59 @@ router.get("/sync/status", looseLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Sync dead-letter list: records that failed syncMaxAttempts times (or can never be saved as they are)
+ * and attendance store lines that couldn't be parsed
+ * GET /sync/dead-letter
+ */
+router.get("/sync/dead-letter", defaultLimiter, async (req, res) => {
+  try {
+    const syncService = require("../services/syncService");
+    const { records, unparseable } = await syncService.getDeadLetters();
+    res.json({ success: true, records, unparseable });
+  } catch (error) {
+    log("error", "Failed to list sync dead letters:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Queue a dead letter for the next sync, optionally corrected
+ * POST /sync/dead-letter/:entryId/retry
+ * Body: { changes: { field: value } } for a record, { record: {...} } for an unparseable line
+ */
+router.post("/sync/dead-letter/:entryId/retry", strictLimiter, async (req, res) => {
+  try {
+    const syncService = require("../services/syncService");
+    const record = await syncService.retryDeadLetter(req.params.entryId, req.body || {});
+    if (!record) {
+      return res.status(404).json({ success: false, error: `Dead letter ${req.params.entryId} not found` });
+    }
+    res.json({ success: true, record });
+  } catch (error) {
+    log("error", "Failed to retry sync dead letter:", error.message);
+    res.status(error.deadLetter ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Give up on a dead letter (records are kept locally as discarded)
+ * DELETE /sync/dead-letter/:entryId
+ */
+router.delete("/sync/dead-letter/:entryId", strictLimiter, async (req, res) => {
+  try {
+    const syncService = require("../services/syncService");
+    const entry = await syncService.discardDeadLetter(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: `Dead letter ${req.params.entryId} not found` });
+    }
+    res.json({ success: true, entry });
+  } catch (error) {
+    log("error", "Failed to discard sync dead letter:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 router.post("/sync/force", strictLimiter, async (req, res) => {
   try {
     const syncService = require("../services/syncService");
@@ -374,5 +568,108 @@ router.post("/users/refresh-cache", strictLimiter, async (req, res) => {
   }
 });
 
+// ============================================
+// Access Control Endpoints
+// ============================================
+
+// Recent access decisions (granted / denied / overridden), newest first
+router.get("/access/decisions", looseLimiter, async (req, res) => {
+  try {
+    const offlineStorage = require("../services/offlineStorage");
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const decisions = await offlineStorage.getAccessDecisions(limit);
+    res.json({ success: true, count: decisions.length, decisions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Members turned off on the devices because their membership expired
+router.get("/access/expired", looseLimiter, async (req, res) => {
+  try {
+    const membershipExpiry = require("../services/membershipExpiryService");
+    const status = await membershipExpiry.getExpiryStatus();
+    res.json({ success: true, count: status.members.length, ...status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run the membership expiry check now instead of waiting for the schedule
+router.post("/access/expired/check", strictLimiter, async (req, res) => {
+  try {
+    const membershipExpiry = require("../services/membershipExpiryService");
+    const summary = await membershipExpiry.runExpiryCheck();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    const status = /not running/.test(error.message) ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Staff override: let a member in despite a denied decision
+// Body: { biometricDeviceId, deviceId, staff, reason }
+router.post("/access/override", strictLimiter, async (req, res) => {
+  const { biometricDeviceId, deviceId, staff, reason } = req.body || {};
+
+  if (biometricDeviceId === undefined || biometricDeviceId === null || biometricDeviceId === "") {
+    return res.status(400).json({ success: false, error: "biometricDeviceId is required" });
+  }
+  if (!req.deviceService.admitWithOverride) {
+    return res.status(501).json({ success: false, error: "Access override is not supported by this device service" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ success: false, error: `Unknown device: ${deviceId}` });
+  }
+
+  try {
+    log("info", `Access override requested for ${biometricDeviceId} by ${staff || "staff"}`);
+    await req.deviceService.admitWithOverride(String(biometricDeviceId), deviceId, req.io, {
+      staff: staff || null,
+      reason: reason || "staff_override",
+    });
+    res.json({ success: true, message: `Access granted to ${biometricDeviceId}` });
+  } catch (error) {
+    log("error", "Access override failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// ADMS Push Device Endpoints
+// ============================================
+
+// Commands queued for a push device (newest first)
+router.get("/adms/devices/:serialNumber/commands", looseLimiter, async (req, res) => {
+  try {
+    const admsService = require("../services/admsService");
+    const commands = await admsService.getCommands(req.params.serialNumber);
+    res.json({ success: true, serialNumber: req.params.serialNumber, commands });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Queue a command for a push device - delivered on its next /iclock/getrequest poll
+// Body: { type: "add_user" | "delete_user" | "clear_log", userId, name, password, role, cardNumber }
+router.post("/adms/devices/:serialNumber/commands", strictLimiter, async (req, res) => {
+  const admsService = require("../services/admsService");
+  const { type, ...params } = req.body || {};
+
+  if (!admsService.COMMAND_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `type must be one of: ${admsService.COMMAND_TYPES.join(", ")}`,
+    });
+  }
+
+  try {
+    const command = await admsService.queueCommand(req.params.serialNumber, type, params);
+    res.json({ success: true, command });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,151 @@
+const express = require("express");
+const { createRateLimiter } = require("../middleware/rateLimiter");
+const deviceAdmin = require("../services/deviceAdminService");
+const offlineStorage = require("../services/offlineStorage");
+
+const router = express.Router();
+
+// Middleware to get services from app context
+const getServices = (req, res, next) => {
+  req.deviceService = req.app.get("deviceService");
+  req.io = req.app.get("io");
+  next();
+};
+
+// Rate limiting - every command here is an expensive or disruptive device operation
+const strictLimiter = createRateLimiter("strict"); // 10 req/min
+const looseLimiter = createRateLimiter("loose");   // 120 req/min
+
+router.use(getServices);
+
+/**
+ * Validate the target device, run the action and answer with its audit entry
+ * All commands take ?deviceId= (primary device when omitted) and an optional body.staff
+ */
+async function handleAction(req, res, action, params = {}) {
+  const { deviceId } = req.query;
+
+  if (!req.deviceService.runDeviceCommand) {
+    return res.status(501).json({ success: false, error: "Device administration is not supported by this device service" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ success: false, error: `Unknown device: ${deviceId}` });
+  }
+
+  // Not checking the connection here - refused commands are audited too
+  const entry = await deviceAdmin.runAdminAction(req.deviceService, req.io, {
+    action,
+    deviceId,
+    params,
+    staff: (req.body && req.body.staff) || null,
+  });
+
+  if (entry.success) {
+    return res.json({ success: true, ...entry });
+  }
+
+  const unavailable = /not connected|Circuit breaker is OPEN/.test(entry.error);
+  const status = unavailable ? 503 : /push device/.test(entry.error) ? 409 : 500;
+  res.status(status).json({ ...entry, success: false });
+}
+
+// Irreversible commands must be confirmed with body { confirm: true }
+const requireConfirm = (req, res, next) => {
+  if (!req.body || req.body.confirm !== true) {
+    return res.status(400).json({ success: false, error: "This command cannot be undone - send { \"confirm\": true } to run it" });
+  }
+  next();
+};
+
+/**
+ * Reboot the device (the connection drops, the watchdog reconnects)
+ * POST /device/admin/restart?deviceId=
+ */
+router.post("/restart", strictLimiter, (req, res) => handleAction(req, res, "restart"));
+
+/**
+ * Power the device off - it has to be switched on by hand
+ * POST /device/admin/power-off?deviceId=
+ * Body: { confirm: true, staff }
+ */
+router.post("/power-off", strictLimiter, requireConfirm, (req, res) => handleAction(req, res, "power_off"));
+
+/**
+ * Clear the device attendance log; the full log is archived locally first
+ * POST /device/admin/clear-attendance-log?deviceId=
+ * Body: { confirm: true, staff }
+ */
+router.post("/clear-attendance-log", strictLimiter, requireConfirm, (req, res) =>
+  handleAction(req, res, "clear_attendance_log")
+);
+
+/**
+ * Remove admin privileges from all device users (recovers a device locked by a lost admin)
+ * POST /device/admin/clear-admins?deviceId=
+ * Body: { confirm: true, staff }
+ */
+router.post("/clear-admins", strictLimiter, requireConfirm, (req, res) => handleAction(req, res, "clear_admins"));
+
+/**
+ * Open the door relay
+ * POST /device/admin/unlock?deviceId=
+ * Body: { seconds, staff }
+ */
+router.post("/unlock", strictLimiter, (req, res) => {
+  const seconds = Number((req.body && req.body.seconds) ?? 5);
+  if (!Number.isFinite(seconds) || seconds <= 0 || seconds > deviceAdmin.MAX_UNLOCK_SECONDS) {
+    return res.status(400).json({ success: false, error: `seconds must be between 1 and ${deviceAdmin.MAX_UNLOCK_SECONDS}` });
+  }
+  handleAction(req, res, "unlock", { seconds });
+});
+
+/**
+ * Play the device's test voice
+ * POST /device/admin/test-voice?deviceId=
+ */
+router.post("/test-voice", strictLimiter, (req, res) => handleAction(req, res, "test_voice"));
+
+/**
+ * Show a message on the device screen
+ * POST /device/admin/message?deviceId=
+ * Body: { message, line, staff }
+ */
+router.post("/message", strictLimiter, (req, res) => {
+  const { message, line = 1 } = req.body || {};
+  if (typeof message !== "string" || !message.trim()) {
+    return res.status(400).json({ success: false, error: "message is required" });
+  }
+  if (message.length > deviceAdmin.MAX_LCD_MESSAGE_LENGTH || !/^[\x20-\x7E]*$/.test(message)) {
+    return res.status(400).json({
+      success: false,
+      error: `message must be printable ASCII, at most ${deviceAdmin.MAX_LCD_MESSAGE_LENGTH} characters`,
+    });
+  }
+  if (!Number.isInteger(line) || line < 1 || line > 4) {
+    return res.status(400).json({ success: false, error: "line must be 1-4" });
+  }
+  handleAction(req, res, "show_message", { message, line });
+});
+
+/**
+ * Clear the message from the device screen
+ * DELETE /device/admin/message?deviceId=
+ */
+router.delete("/message", strictLimiter, (req, res) => handleAction(req, res, "clear_message"));
+
+/**
+ * Audit trail of device admin commands (newest first)
+ * GET /device/admin/audit?limit=100&deviceId=
+ */
+router.get("/audit", looseLimiter, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const { deviceId } = req.query;
+    const entries = await offlineStorage.getDeviceAuditLog(limit, deviceId ? (entry) => entry.deviceId === deviceId : null);
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
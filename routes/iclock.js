@@ -0,0 +1,117 @@
+const express = require("express");
+const log = require("../utils/logger");
+const admsService = require("../services/admsService");
+
+// Device-facing ADMS/iclock endpoints. Terminals expect plain-text replies.
+const router = express.Router();
+
+// Devices send text/plain (or no content type at all) - read every body as text
+router.use(express.text({ type: () => true, limit: "10mb" }));
+
+// Middleware to get services from app context and identify the pushing device
+const getServices = (req, res, next) => {
+  req.deviceService = req.app.get("deviceService");
+  req.io = req.app.get("io");
+
+  if (!admsService.getAdmsConfig().enabled) {
+    return res.status(404).type("text/plain").send("ADMS disabled");
+  }
+  if (!req.deviceService || !req.deviceService.registerPushDevice) {
+    return res.status(503).type("text/plain").send("ADMS not supported by the active device service");
+  }
+
+  const serialNumber = req.query.SN;
+  if (!serialNumber) {
+    return res.status(400).type("text/plain").send("SN is required");
+  }
+
+  const ip = (req.ip || "").replace(/^::ffff:/, "");
+  const device = admsService.resolvePushDevice(req.deviceService, serialNumber, ip);
+  if (!device) {
+    log("warning", `Rejected ADMS request from unregistered device SN ${serialNumber} (${ip})`);
+    return res.status(403).type("text/plain").send("Device not registered");
+  }
+
+  req.serialNumber = String(serialNumber);
+  req.pushDevice = device;
+  req.deviceService.markPushDeviceSeen(req.io, device.id, ip);
+  admsService.ensureStaleMonitor(req.io, req.deviceService);
+  next();
+};
+
+router.use(getServices);
+
+/**
+ * Handshake (options=all) or keep-alive
+ * GET /iclock/cdata?SN=...&options=all
+ */
+router.get("/cdata", async (req, res) => {
+  try {
+    if (req.query.options === "all") {
+      log("info", `🤝 ADMS handshake from ${req.pushDevice.label} (SN ${req.serialNumber}, ${req.pushDevice.ip})`);
+      return res.type("text/plain").send(await admsService.buildHandshake(req.serialNumber));
+    }
+    res.type("text/plain").send("OK");
+  } catch (error) {
+    log("error", `ADMS handshake failed for ${req.serialNumber}: ${error.message}`);
+    res.status(500).type("text/plain").send("ERROR");
+  }
+});
+
+/**
+ * Data upload (ATTLOG, OPERLOG, ...)
+ * POST /iclock/cdata?SN=...&table=ATTLOG&Stamp=...
+ */
+router.post("/cdata", async (req, res) => {
+  try {
+    const reply = await admsService.handleUpload({
+      serialNumber: req.serialNumber,
+      table: req.query.table,
+      stamp: req.query.Stamp,
+      body: req.body,
+      device: req.pushDevice,
+      io: req.io,
+      deviceService: req.deviceService,
+    });
+    res.type("text/plain").send(reply);
+  } catch (error) {
+    // Non-OK reply makes the device resend the same data later
+    log("error", `ADMS upload failed for ${req.serialNumber}: ${error.message}`);
+    res.status(500).type("text/plain").send("ERROR");
+  }
+});
+
+/**
+ * Command poll
+ * GET /iclock/getrequest?SN=...
+ */
+router.get("/getrequest", async (req, res) => {
+  try {
+    res.type("text/plain").send(await admsService.takePendingCommands(req.serialNumber));
+  } catch (error) {
+    log("error", `ADMS getrequest failed for ${req.serialNumber}: ${error.message}`);
+    res.type("text/plain").send("OK");
+  }
+});
+
+/**
+ * Command results
+ * POST /iclock/devicecmd?SN=...
+ */
+router.post("/devicecmd", async (req, res) => {
+  try {
+    res.type("text/plain").send(
+      await admsService.handleCommandResults(req.serialNumber, req.body, req.io, req.pushDevice)
+    );
+  } catch (error) {
+    log("error", `ADMS devicecmd failed for ${req.serialNumber}: ${error.message}`);
+    res.status(500).type("text/plain").send("ERROR");
+  }
+});
+
+// Some firmwares ping between uploads
+router.get("/ping", (req, res) => {
+  res.type("text/plain").send("OK");
+});
+
+module.exports = router;
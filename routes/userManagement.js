@@ -7,6 +7,7 @@ const router = express.Router();
 // Middleware to get services from app context
 const getServices = (req, res, next) => {
   req.deviceService = req.app.get("deviceService");
+  req.io = req.app.get("io");
   next();
 };
 
@@ -19,19 +20,20 @@ router.use(getServices);
 /**
  * Add a new user to the biometric device
  * POST /users/add
- * Body: { userId, name, password, role, cardNumber }
+ * Body: { userId, name, pin (or password), role, cardNumber, deviceId }
+ * The biometric ID, card number and PIN must not belong to another member or device user (409).
+ * The same user (same name) is updated in place.
  */
 router.post("/add", strictLimiter, async (req, res) => {
-  const zkInstance = req.deviceService.getZkInstance();
-  
-  if (!req.deviceService.isConnected() || !zkInstance) {
+  const { userId, name, role, cardNumber, deviceId } = req.body;
+  const pin = req.body.pin !== undefined ? req.body.pin : req.body.password;
+
+  if (!req.deviceService.isConnected(deviceId)) {
     return res.status(503).json({
       error: "Device not connected",
     });
   }
 
-  const { userId, name, password, role, cardNumber } = req.body;
-
   // Validate required fields
   if (!userId) {
     return res.status(400).json({
@@ -39,19 +41,49 @@ router.post("/add", strictLimiter, async (req, res) => {
     });
   }
 
+  const { readMemberCredentials, findCredentialConflicts, withCredentials, writeDeviceUser } = require("../services/memberCredentialService");
+  const { validateBiometricId, findBiometricIdCollision, pickDeviceUid } = require("../services/biometricIdService");
+  const { getCachedMembers } = require("../services/userService");
+
+  let credentials;
+  try {
+    validateBiometricId(userId);
+    credentials = readMemberCredentials({ name: name || userId, cardNumber, pin });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   try {
     log("info", `Adding new user to device: ${userId} (${name || "No name"})`);
 
-    // Set user on device
-    // Parameters: uid, userid, name, password, role, cardno
-    await zkInstance.setUser(
-      parseInt(userId),       // uid - unique user ID (number)
-      userId.toString(),      // userid - user ID as string
-      name || "",             // name - user's name
-      password || "",         // password - optional password
-      role || 0,              // role - 0=user, 14=admin
-      cardNumber || 0         // cardno - card number if using RFID
-    );
+    const deviceUsers = await req.deviceService.runDeviceCommand(req.io, deviceId, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+    const members = await getCachedMembers();
+
+    const collision = findBiometricIdCollision(userId, { name }, { deviceUsers, members });
+    if (collision) {
+      return res.status(409).json({
+        error: "Biometric ID already in use",
+        message: collision,
+      });
+    }
+
+    const conflicts = findCredentialConflicts(userId, credentials, { members, deviceUsers });
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: "Credential already in use",
+        message: conflicts.join("; "),
+      });
+    }
+
+    // Set user on device (an existing user with this id keeps its uid)
+    const existing = deviceUsers.find((u) => String(u.userId) === String(userId));
+    const user = withCredentials({
+      uid: existing ? existing.uid : pickDeviceUid(userId, new Set(deviceUsers.map((u) => u.uid))),
+      userId: userId.toString(), // userid - user ID as string
+      name: name || "",
+      role: role || 0,          // 0=user, 14=admin
+    }, credentials);
+    await req.deviceService.runDeviceCommand(req.io, deviceId, (zk) => writeDeviceUser(zk, user));
 
     log("success", `User ${userId} added successfully to biometric device`);
 
@@ -62,6 +94,8 @@ router.post("/add", strictLimiter, async (req, res) => {
         userId,
         name: name || "",
         role: role || 0,
+        cardNumber: user.cardno,
+        pinSet: !!user.password,
       },
     });
   } catch (err) {
@@ -73,14 +107,35 @@ router.post("/add", strictLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Next free biometric ID for a new member (held for 10 minutes)
+ * GET /users/next-id
+ */
+router.get("/next-id", defaultLimiter, async (req, res) => {
+  try {
+    const { getNextBiometricId } = require("../services/biometricIdService");
+    const result = await getNextBiometricId(req.deviceService, req.io);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    log("error", "Failed to allocate a biometric ID:", err.message);
+    res.status(err.biometricId ? 409 : 500).json({
+      error: "Failed to allocate a biometric ID",
+      message: err.message,
+    });
+  }
+});
+
 /**
  * Get all users from the biometric device
- * GET /users
+ * GET /users?deviceId=
  */
 router.get("/", defaultLimiter, async (req, res) => {
-  const zkInstance = req.deviceService.getZkInstance();
-  
-  if (!req.deviceService.isConnected() || !zkInstance) {
+  const { deviceId } = req.query;
+
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
     return res.status(503).json({
       error: "Device not connected",
     });
@@ -88,11 +143,12 @@ router.get("/", defaultLimiter, async (req, res) => {
 
   try {
     log("info", "Fetching all users from biometric device...");
-    const users = await zkInstance.getUsers();
+    const users = await req.deviceService.runDeviceCommand(req.io, deviceId, (zk) => zk.getUsers(), { timeoutMs: 30000 });
     log("success", `Retrieved ${users.data.length} users from device`);
 
     res.json({
       success: true,
+      deviceId: req.deviceService.getDeviceInfo(deviceId)?.id || null,
       count: users.data.length,
       data: users.data.map((user) => ({
         uid: user.uid,
@@ -112,26 +168,75 @@ router.get("/", defaultLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Download the device users as CSV (format=csv, default) or as a zip of the ZK USB files
+ * user.dat and template.dat (format=usb)
+ * GET /users/export?deviceId=&format=csv|usb
+ */
+router.get("/export", defaultLimiter, async (req, res) => {
+  const { deviceId, format = "csv" } = req.query;
+
+  if (!["csv", "usb"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or usb" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ error: "Device not connected" });
+  }
+
+  try {
+    const userExport = require("../services/userExportService");
+    const file = format === "usb"
+      ? await userExport.exportUsbArchive(req.deviceService, req.io, deviceId)
+      : await userExport.exportUsersCsv(req.deviceService, req.io, deviceId);
+
+    res.attachment(file.filename);
+    res.type(format === "usb" ? "application/zip" : "text/csv").send(file.data);
+  } catch (err) {
+    log("error", "User export failed:", err.message);
+    res.status(500).json({
+      error: "Failed to export users",
+      message: err.message,
+    });
+  }
+});
+
 /**
  * Delete a user from the biometric device
- * DELETE /users/:userId
+ * DELETE /users/:userId?deviceId=
  */
 router.delete("/:userId", strictLimiter, async (req, res) => {
-  const zkInstance = req.deviceService.getZkInstance();
-  
-  if (!req.deviceService.isConnected() || !zkInstance) {
+  const { deviceId } = req.query;
+  const { userId } = req.params;
+
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
     return res.status(503).json({
       error: "Device not connected",
     });
   }
 
-  const { userId } = req.params;
-
   try {
     log("info", `Deleting user from device: ${userId}`);
 
-    // Delete user by UID
-    await zkInstance.deleteUser(parseInt(userId));
+    // Delete user by UID - it differs from the user id when the id's uid was taken
+    const deleted = await req.deviceService.runDeviceCommand(req.io, deviceId, async (zk) => {
+      const users = await zk.getUsers();
+      const user = users.data.find((u) => String(u.userId) === String(userId));
+      if (!user) return false;
+      await zk.deleteUser(user.uid);
+      return true;
+    }, { timeoutMs: 30000 });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: `User ${userId} is not on the device`,
+      });
+    }
 
     log("success", `User ${userId} deleted successfully from biometric device`);
 
@@ -148,4 +253,374 @@ router.delete("/:userId", strictLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Back up all device users with their fingerprint templates to a new local backup file
+ * POST /users/templates/backup?deviceId=
+ */
+router.post("/templates/backup", strictLimiter, async (req, res) => {
+  const { deviceId } = req.query;
+
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ error: "Device not connected" });
+  }
+
+  try {
+    const templates = require("../services/fingerprintTemplateService");
+    const backup = await templates.createBackup(req.deviceService, req.io, deviceId);
+    res.json({ success: true, backup });
+  } catch (err) {
+    log("error", "Fingerprint template backup failed:", err.message);
+    res.status(500).json({
+      error: "Failed to back up fingerprint templates",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * List fingerprint template backups (newest first)
+ * GET /users/templates/backups
+ */
+router.get("/templates/backups", defaultLimiter, async (req, res) => {
+  try {
+    const templates = require("../services/fingerprintTemplateService");
+    const backups = await templates.listBackups();
+    res.json({ success: true, count: backups.length, backups });
+  } catch (err) {
+    res.status(500).json({
+      error: "Failed to list template backups",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Restore a template backup to the same or another device
+ * Progress is emitted as "template_restore_progress"; the response is the per-user report
+ * POST /users/templates/restore
+ * Body: { backupId, deviceId, userIds }
+ */
+router.post("/templates/restore", strictLimiter, async (req, res) => {
+  const { backupId, deviceId, userIds } = req.body || {};
+
+  if (!backupId) {
+    return res.status(400).json({ error: "backupId is required" });
+  }
+  if (userIds !== undefined && !Array.isArray(userIds)) {
+    return res.status(400).json({ error: "userIds must be an array" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ error: "Device not connected" });
+  }
+
+  try {
+    const templates = require("../services/fingerprintTemplateService");
+    const report = await templates.restoreBackup(req.deviceService, req.io, { backupId, deviceId, userIds });
+    res.json({ success: report.failed === 0, ...report });
+  } catch (err) {
+    log("error", "Fingerprint template restore failed:", err.message);
+    const status = /not found/.test(err.message) ? 404 : /Invalid backup id|Unsupported backup version/.test(err.message) ? 400 : 500;
+    res.status(status).json({
+      error: "Failed to restore fingerprint templates",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Put the device into enroll mode for a user's finger - progress is streamed as "fingerprint_enroll_progress"
+ * POST /users/:userId/fingers/enroll?deviceId=
+ * Body: { fingerIndex (0-9), staff }
+ */
+router.post("/:userId/fingers/enroll", strictLimiter, async (req, res) => {
+  const { deviceId } = req.query;
+  const { fingerIndex, staff } = req.body || {};
+
+  if (!Number.isInteger(fingerIndex) || fingerIndex < 0 || fingerIndex > 9) {
+    return res.status(400).json({ error: "fingerIndex must be 0-9" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ error: "Device not connected" });
+  }
+
+  try {
+    const enrollment = require("../services/fingerprintEnrollmentService");
+    const session = await enrollment.startEnrollment(req.deviceService, req.io, {
+      deviceId,
+      biometricDeviceId: req.params.userId,
+      fingerIndex,
+      staff: staff || null,
+    });
+    res.status(202).json({ success: true, session });
+  } catch (err) {
+    log("error", "Failed to start fingerprint enrollment:", err.message);
+    const status = /is not on/.test(err.message) ? 404 : /already running/.test(err.message) ? 409 : 500;
+    res.status(status).json({
+      error: "Failed to start fingerprint enrollment",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Cancel the fingerprint enrollment running on a device
+ * POST /users/fingers/enroll/cancel?deviceId=
+ */
+router.post("/fingers/enroll/cancel", strictLimiter, (req, res) => {
+  const enrollment = require("../services/fingerprintEnrollmentService");
+  const session = enrollment.cancelEnrollment(req.deviceService, req.query.deviceId);
+  if (!session) {
+    return res.status(404).json({ error: "No enrollment is running on this device" });
+  }
+  res.json({ success: true, session });
+});
+
+/**
+ * Fingers enrolled for a member from the app
+ * GET /users/:userId/fingers
+ */
+router.get("/:userId/fingers", defaultLimiter, async (req, res) => {
+  try {
+    const enrollment = require("../services/fingerprintEnrollmentService");
+    const fingers = await enrollment.getEnrolledFingers(req.params.userId);
+    res.json({ success: true, userId: req.params.userId, count: fingers.length, fingers });
+  } catch (err) {
+    log("error", "Failed to get enrolled fingers:", err.message);
+    res.status(500).json({
+      error: "Failed to get enrolled fingers",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Compare device users with Firestore members (by biometricDeviceId)
+ * GET /users/reconcile?deviceId=
+ */
+router.get("/reconcile", strictLimiter, async (req, res) => {
+  const { deviceId } = req.query;
+
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ error: "Device not connected" });
+  }
+
+  try {
+    const reconciliation = require("../services/reconciliationService");
+    const report = await reconciliation.buildReport(req.deviceService, req.io, deviceId);
+    res.json({ success: true, ...report });
+  } catch (err) {
+    log("error", "User reconciliation failed:", err.message);
+    res.status(err.message.includes("Firestore") ? 503 : 500).json({
+      error: "Failed to reconcile users",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Apply reconciliation fixes on the device
+ * Each fix is true (all entries of the fresh report) or a list of biometric ids
+ * POST /users/reconcile/apply?deviceId=
+ * Body: { addMissing, fixNames, deleteOrphans, staff }
+ */
+router.post("/reconcile/apply", strictLimiter, async (req, res) => {
+  const { deviceId } = req.query;
+  const { addMissing, fixNames, deleteOrphans, staff } = req.body || {};
+  const isSelection = (value) => value === undefined || value === true || value === false || Array.isArray(value);
+
+  if (![addMissing, fixNames, deleteOrphans].every(isSelection)) {
+    return res.status(400).json({ error: "addMissing, fixNames and deleteOrphans must be true or an array of biometric ids" });
+  }
+  if (!addMissing && !fixNames && !deleteOrphans) {
+    return res.status(400).json({ error: "Nothing to apply - set addMissing, fixNames and/or deleteOrphans" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ error: "Device not connected" });
+  }
+
+  try {
+    const reconciliation = require("../services/reconciliationService");
+    const summary = await reconciliation.applyFixes(req.deviceService, req.io, { deviceId, addMissing, fixNames, deleteOrphans, staff });
+    res.json({ success: summary.failed === 0, ...summary });
+  } catch (err) {
+    log("error", "Applying reconciliation fixes failed:", err.message);
+    res.status(err.message.includes("Firestore") ? 503 : 500).json({
+      error: "Failed to apply reconciliation fixes",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Write member card numbers and PINs from Firestore to the connected devices now
+ * POST /users/credentials/sync
+ */
+router.post("/credentials/sync", strictLimiter, async (req, res) => {
+  try {
+    const { syncAllCredentials } = require("../services/memberCredentialService");
+    const summary = await syncAllCredentials();
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    log("error", "Failed to sync member credentials:", err.message);
+    const status = /not running/.test(err.message) ? 409 : 500;
+    res.status(status).json({
+      error: "Failed to sync member credentials",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Import members from a CSV or XLSX file (columns: id, name, card, role) - the file is the request body
+ * With dryRun=1 nothing is written: the response is the per-row plan (format=csv for a spreadsheet).
+ * Otherwise adds and updates are written in the background, progress is emitted as "member_import_progress".
+ * POST /users/import?deviceId=&dryRun=1&format=csv&staff=
+ */
+router.post("/import", strictLimiter, express.raw({ type: () => true, limit: "10mb" }), async (req, res) => {
+  const { deviceId, staff } = req.query;
+  const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: "Upload the CSV or XLSX file as the request body" });
+  }
+  if (deviceId && !req.deviceService.hasDevice(deviceId)) {
+    return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+  }
+  if (!req.deviceService.isConnected(deviceId)) {
+    return res.status(503).json({ error: "Device not connected" });
+  }
+
+  try {
+    const memberImport = require("../services/memberImportService");
+
+    if (dryRun) {
+      const plan = await memberImport.planImport(req.deviceService, req.io, { file: req.body, deviceId });
+      if (req.query.format === "csv") {
+        const { toCsv } = require("../utils/spreadsheet");
+        res.attachment("member-import-dry-run.csv");
+        return res.type("text/csv").send(toCsv(memberImport.toResultRows(plan.rows)));
+      }
+      return res.json({ success: true, dryRun: true, ...plan });
+    }
+
+    const result = await memberImport.startImport(req.deviceService, req.io, { file: req.body, deviceId, staff: staff || null });
+    res.status(202).json({ success: true, importId: result.id, ...result });
+  } catch (err) {
+    log("error", "Member import failed:", err.message);
+    const status = err.importFile ? 400 : /already running/.test(err.message) ? 409 : 500;
+    res.status(status).json({
+      error: "Failed to import members",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Progress and per-row outcome of a member import
+ * GET /users/import/:importId
+ */
+router.get("/import/:importId", defaultLimiter, (req, res) => {
+  const memberImport = require("../services/memberImportService");
+  const result = memberImport.getImport(req.params.importId);
+  if (!result) {
+    return res.status(404).json({ error: `Import not found: ${req.params.importId}` });
+  }
+  res.json({ success: true, ...result });
+});
+
+/**
+ * Download the results file of a finished member import (CSV, one line per row)
+ * GET /users/import/:importId/results
+ */
+router.get("/import/:importId/results", defaultLimiter, async (req, res) => {
+  try {
+    const memberImport = require("../services/memberImportService");
+    const file = await memberImport.getImportResultsPath(req.params.importId);
+    if (!file) {
+      return res.status(404).json({ error: `No results for import ${req.params.importId} (still running or unknown)` });
+    }
+    res.download(file);
+  } catch (err) {
+    res.status(/Invalid import id/.test(err.message) ? 400 : 500).json({
+      error: "Failed to get import results",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Enrollment queue: jobs waiting for the device and jobs that gave up (dead-letter list)
+ * GET /users/enrollments
+ */
+router.get("/enrollments", defaultLimiter, async (req, res) => {
+  try {
+    const enrollment = require("../services/memberEnrollmentService");
+    const { pending, deadLetter } = await enrollment.getEnrollmentJobs();
+    res.json({ success: true, stats: enrollment.getEnrollmentQueueStats(), pending, deadLetter });
+  } catch (err) {
+    log("error", "Failed to list enrollment jobs:", err.message);
+    res.status(500).json({
+      error: "Failed to list enrollment jobs",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Retry a stuck enrollment job with a fresh set of attempts
+ * POST /users/enrollments/:jobId/retry
+ */
+router.post("/enrollments/:jobId/retry", strictLimiter, async (req, res) => {
+  try {
+    const enrollment = require("../services/memberEnrollmentService");
+    const job = await enrollment.retryEnrollmentJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Enrollment job ${req.params.jobId} not found` });
+    }
+    res.json({ success: true, job });
+  } catch (err) {
+    log("error", "Failed to retry enrollment job:", err.message);
+    res.status(500).json({
+      error: "Failed to retry enrollment job",
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * Discard an enrollment job (queued or dead-lettered)
+ * DELETE /users/enrollments/:jobId
+ */
+router.delete("/enrollments/:jobId", strictLimiter, async (req, res) => {
+  try {
+    const enrollment = require("../services/memberEnrollmentService");
+    const job = await enrollment.discardEnrollmentJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Enrollment job ${req.params.jobId} not found` });
+    }
+    res.json({ success: true, job });
+  } catch (err) {
+    log("error", "Failed to discard enrollment job:", err.message);
+    res.status(500).json({
+      error: "Failed to discard enrollment job",
+      message: err.message,
+    });
+  }
+});
+
 module.exports = router;
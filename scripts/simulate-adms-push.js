@@ -0,0 +1,108 @@
+/**
+ * Simulated ADMS (iclock) push client
+ * Plays the part of a push-capable terminal against a running backend:
+ * handshake -> ATTLOG upload -> OPERLOG upload -> command poll -> command results.
+ * Fails (non-zero exit code) if any reply is not what a real device expects.
+ * Also used by test/adms-push.test.js against an in-process backend.
+ *
+ * Usage:
+ *   node scripts/simulate-adms-push.js [baseUrl] [--sn=SERIAL] [--pins=1,2,3] [--polls=2]
+ *   e.g. node scripts/simulate-adms-push.js http://localhost:5001 --pins=101,102
+ */
+
+const DEVICE_CONFIG = require('../config/deviceConfig');
+
+// Device clocks run in local time without an offset
+function deviceTime(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: DEVICE_CONFIG.timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')} ${get('hour')}:${get('minute')}:${get('second')}`;
+}
+
+async function requestIclock(baseUrl, method, path, body) {
+  const response = await fetch(`${baseUrl}/iclock/${path}`, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'text/plain' } : undefined,
+    body
+  });
+  const text = await response.text();
+  console.log(`${method} /iclock/${path.split('?')[0]} -> ${response.status} ${JSON.stringify(text)}`);
+  return { status: response.status, text };
+}
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Run one push session
+ * @param {object} options - { baseUrl, serialNumber, pins, polls }
+ */
+async function simulate({ baseUrl, serialNumber = 'SIM0000000001', pins = ['1'], polls = 2 }) {
+  const request = (...args) => requestIclock(baseUrl, ...args);
+  console.log(`📟 Simulating push device SN ${serialNumber} against ${baseUrl}`);
+
+  // 1. Handshake
+  const handshake = await request('GET', `cdata?SN=${serialNumber}&options=all&pushver=2.4.1&language=69`);
+  expect(handshake.status === 200, 'Handshake rejected');
+  expect(handshake.text.startsWith(`GET OPTION FROM: ${serialNumber}`), 'Handshake reply is missing the option header');
+
+  // 2. Attendance upload: PIN \t time \t status \t verify \t workcode \t reserved \t reserved
+  const now = Date.now();
+  const attlog = pins
+    .map((pin, i) => [pin, deviceTime(new Date(now - (pins.length - i) * 1000)), '0', '1', '0', '0', '0'].join('\t'))
+    .join('\n');
+  const stamp = Math.floor(now / 1000);
+  const upload = await request('POST', `cdata?SN=${serialNumber}&table=ATTLOG&Stamp=${stamp}`, attlog + '\n');
+  expect(upload.text === `OK: ${pins.length}`, `Expected "OK: ${pins.length}" for ATTLOG upload`);
+
+  // 3. Operation log upload (user change)
+  const operlog = `USER PIN=${pins[0]}\tName=Simulated User\tPri=0\tPasswd=\tCard=\tGrp=1\tTZ=0000000100000000\n`;
+  const operUpload = await request('POST', `cdata?SN=${serialNumber}&table=OPERLOG&Stamp=${stamp}`, operlog);
+  expect(operUpload.text === 'OK: 1', 'Expected "OK: 1" for OPERLOG upload');
+
+  // 4. Command polls - acknowledge everything the server queued
+  for (let i = 0; i < polls; i++) {
+    const poll = await request('GET', `getrequest?SN=${serialNumber}`);
+    expect(poll.status === 200, 'Command poll rejected');
+
+    const commands = poll.text.split('\n').filter(line => line.startsWith('C:'));
+    if (commands.length === 0) continue;
+
+    const results = commands.map((line) => {
+      const [, id, command] = line.match(/^C:(\d+):(\S+)/);
+      return `ID=${id}&Return=0&CMD=${command}`;
+    });
+    const ack = await request('POST', `devicecmd?SN=${serialNumber}`, results.join('\n') + '\n');
+    expect(ack.text === 'OK', 'Expected "OK" for command results');
+  }
+
+  console.log('✅ Simulated push session completed');
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : fallback;
+  };
+
+  simulate({
+    baseUrl: (args.find(a => !a.startsWith('--')) || 'http://localhost:5001').replace(/\/$/, ''),
+    serialNumber: option('sn', 'SIM0000000001'),
+    pins: option('pins', '1').split(',').filter(Boolean),
+    polls: parseInt(option('polls', '2'), 10)
+  }).catch((error) => {
+    console.error(`❌ Simulation failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { simulate };
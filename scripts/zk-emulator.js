@@ -0,0 +1,63 @@
+/**
+ * Standalone ZK device emulator
+ * Runs the protocol emulator on its own so a backend (with useMockDevice: false and
+ * autoDiscoverDevice: false) can be pointed at it like a real terminal.
+ *
+ * Usage:
+ *   node scripts/zk-emulator.js [--host=127.0.0.1] [--port=4370] [--users=10] [--interval=15000] [--script=scenario.json] [--no-udp]
+ *   e.g. node scripts/zk-emulator.js --script=scripts/zk-emulator-scenario.example.json
+ *
+ * Scenario file: { "loop": false, "steps": [{ "delayMs": 2000, "action": "punch", "userId": "1" }, ...] }
+ * Actions: punch, failedScan, addUser, removeUser, clearLogs, drop, offline, freeze
+ */
+
+const fs = require('fs-extra');
+const { ZkEmulator } = require('../services/zkEmulator');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : fallback;
+};
+
+const userCount = parseInt(option('users', '10'), 10);
+const interval = parseInt(option('interval', '15000'), 10);
+const scriptFile = option('script', null);
+
+async function run() {
+  const emulator = new ZkEmulator({
+    host: option('host', '127.0.0.1'),
+    port: parseInt(option('port', '4370'), 10),
+    udp: !args.includes('--no-udp'),
+    users: Array.from({ length: userCount }, (_, i) => ({ userId: String(i + 1), name: `Emulated User ${i + 1}` }))
+  });
+
+  emulator.on('client_connected', ({ transport, sessionId }) => console.log(`🔌 Client connected (${transport}, session ${sessionId})`));
+  emulator.on('punch', record => console.log(`👆 Punch: user ${record.userId} at ${record.timestamp.toISOString()}`));
+  emulator.on('failed_scan', () => console.log('❌ Failed scan'));
+  emulator.on('user_added', user => console.log(`➕ User ${user.userId} (${user.name || 'no name'}) uid ${user.uid}`));
+  emulator.on('user_removed', user => console.log(`➖ User ${user.userId} removed`));
+  emulator.on('door_unlocked', ({ seconds }) => console.log(`🚪 Door unlocked for ${seconds}s`));
+  emulator.on('time_set', time => console.log(`🕒 Clock set to ${time.toISOString()}`));
+
+  await emulator.start();
+
+  process.on('SIGINT', async () => {
+    await emulator.stop();
+    process.exit(0);
+  });
+
+  if (scriptFile) {
+    const script = await fs.readJson(scriptFile);
+    const steps = Array.isArray(script) ? script : script.steps || [];
+    await emulator.runScript(steps, { loop: !!script.loop });
+    console.log('✅ Scenario completed (emulator keeps running, Ctrl+C to stop)');
+  } else if (interval > 0) {
+    emulator.startAutoPunch(interval);
+  }
+}
+
+run().catch((error) => {
+  console.error(`❌ Emulator failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+/**
+ * Access Control Service
+ * Decides whether a member may enter, records every decision and broadcasts it
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const offlineStorage = require("./offlineStorage");
+const log = require("../utils/logger");
+const { getDateInTimezone } = require("../utils/dateUtils");
+
+const DECISIONS = {
+  GRANTED: "granted",
+  DENIED: "denied",
+  OVERRIDDEN: "overridden",
+};
+
+function getAccessConfig() {
+  return {
+    enabled: true,
+    controlDoor: false,
+    gracePeriodDays: 0,
+    unlockSeconds: 5,
+    maxUnlockDelaySeconds: 30,
+    deniedStatuses: ["suspended", "cancelled", "frozen"],
+    ...(DEVICE_CONFIG.accessControl || {}),
+  };
+}
+
+/**
+ * Normalize a membership end date (ISO string, Date or Firestore Timestamp)
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === "function" ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Last day (YYYY-MM-DD, device timezone) a membership still grants entry, grace period included
+ * @param {*} membershipEnd - Membership end date as stored on the user
+ * @param {number} [gracePeriodDays]
+ * @returns {string|null} null when the member has no end date
+ */
+function getAccessExpiryDate(membershipEnd, gracePeriodDays = getAccessConfig().gracePeriodDays) {
+  const endDate = toDate(membershipEnd);
+  if (!endDate) return null;
+
+  const lastDay = new Date(`${getDateInTimezone(endDate, DEVICE_CONFIG.timezone)}T00:00:00Z`);
+  lastDay.setUTCDate(lastDay.getUTCDate() + (Number(gracePeriodDays) || 0));
+  return lastDay.toISOString().split("T")[0];
+}
+
+/**
+ * Evaluate access for a member at a given punch time
+ * @param {object|null} user - User from userService (null = unknown biometric id)
+ * @param {string} timestamp - Punch time
+ * @returns {{ decision: string, reason: string, accessExpiryDate: string|null }}
+ */
+function evaluateAccess(user, timestamp) {
+  const config = getAccessConfig();
+
+  if (!user) {
+    return { decision: DECISIONS.DENIED, reason: "unknown_user", accessExpiryDate: null };
+  }
+
+  const status = (user.membershipStatus || "").toLowerCase();
+  if (config.deniedStatuses.includes(status)) {
+    return { decision: DECISIONS.DENIED, reason: `membership_${status}`, accessExpiryDate: null };
+  }
+
+  // The end date is the source of truth - membershipStatus is often stale
+  const accessExpiryDate = getAccessExpiryDate(user.membershipEnd, config.gracePeriodDays);
+  if (accessExpiryDate) {
+    const punchDate = getDateInTimezone(timestamp, DEVICE_CONFIG.timezone);
+    const endDate = getAccessExpiryDate(user.membershipEnd, 0);
+
+    if (punchDate > accessExpiryDate) {
+      return { decision: DECISIONS.DENIED, reason: "membership_expired", accessExpiryDate };
+    }
+    if (punchDate > endDate) {
+      return { decision: DECISIONS.GRANTED, reason: "grace_period", accessExpiryDate };
+    }
+    return { decision: DECISIONS.GRANTED, reason: "membership_active", accessExpiryDate };
+  }
+
+  if (status === "active") {
+    return { decision: DECISIONS.GRANTED, reason: "membership_active", accessExpiryDate: null };
+  }
+
+  return { decision: DECISIONS.DENIED, reason: "no_active_membership", accessExpiryDate: null };
+}
+
+/**
+ * Whether the door relay should be driven for this punch
+ * Old punches (polling catch-up, imports) are recorded but never open the door.
+ */
+function shouldActuateDoor(timestamp) {
+  const config = getAccessConfig();
+  if (!config.controlDoor) return false;
+
+  const punchTime = Date.parse(timestamp);
+  if (Number.isNaN(punchTime)) return false;
+  return Date.now() - punchTime <= config.maxUnlockDelaySeconds * 1000;
+}
+
+/**
+ * Persist an access decision and broadcast it to the UI
+ * @param {object} decision - { decision, reason, biometricDeviceId, userId, name, deviceId, ... }
+ * @param {object} io - Socket.IO server
+ */
+async function recordDecision(decision, io) {
+  const entry = {
+    ...decision,
+    decidedAt: new Date().toISOString(),
+  };
+
+  const saved = await offlineStorage.saveAccessDecision(entry);
+  if (!saved) {
+    log("error", `❌ Failed to save access decision for ${entry.name || entry.biometricDeviceId}`);
+  }
+
+  const icon = entry.decision === DECISIONS.DENIED ? "⛔" : "🔓";
+  log("info", `${icon} Access ${entry.decision} for ${entry.name || entry.biometricDeviceId} (${entry.reason})`);
+
+  if (io) {
+    io.to("attendance").emit("access_decision", entry);
+  }
+
+  return entry;
+}
+
+module.exports = {
+  DECISIONS,
+  getAccessConfig,
+  getAccessExpiryDate,
+  evaluateAccess,
+  shouldActuateDoor,
+  recordDecision,
+};
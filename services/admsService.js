@@ -0,0 +1,384 @@
+/**
+ * ADMS (iclock) Push Service
+ * Handles terminals that push attendance over HTTP instead of being polled over TCP/UDP.
+ * Works across subnets/NAT because the device connects to us.
+ *
+ * Protocol overview:
+ *   GET  /iclock/cdata?SN=...&options=all   -> handshake, we reply with upload options
+ *   POST /iclock/cdata?SN=...&table=ATTLOG  -> punches, one tab-separated line each
+ *   POST /iclock/cdata?SN=...&table=OPERLOG -> operation log / user info changes
+ *   GET  /iclock/getrequest?SN=...          -> device asks for queued commands
+ *   POST /iclock/devicecmd?SN=...           -> device reports command results
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const offlineStorage = require("./offlineStorage");
+const log = require("../utils/logger");
+const { parseDateTimeInTimezone } = require("../utils/dateUtils");
+
+const COMMAND_HISTORY_LIMIT = 50; // Completed commands kept per device
+const STALE_CHECK_INTERVAL_MS = 15000;
+
+const COMMAND_TYPES = ["add_user", "delete_user", "clear_log"];
+
+// SN -> { attLogStamp, operLogStamp, commands: [{ id, type, command, status, ... }] }
+let state = null;
+let loadingState = null;
+let nextCommandId = 1;
+let staleMonitor = null;
+
+function getAdmsConfig() {
+  return {
+    enabled: true,
+    delaySeconds: 10, // How often devices poll /iclock/getrequest
+    errorDelaySeconds: 30,
+    allowUnregisteredDevices: false,
+    devices: [],
+    ...(DEVICE_CONFIG.adms || {}),
+  };
+}
+
+async function getState() {
+  if (state) return state;
+  if (!loadingState) {
+    loadingState = offlineStorage.loadAdmsState().then((stored) => {
+      state = (stored && stored.devices) || {};
+      nextCommandId = (stored && stored.nextCommandId) || 1;
+      return state;
+    });
+  }
+  return loadingState;
+}
+
+async function persistState() {
+  await offlineStorage.saveAdmsState({ devices: state, nextCommandId });
+}
+
+async function getDeviceState(serialNumber) {
+  const all = await getState();
+  if (!all[serialNumber]) {
+    all[serialNumber] = { attLogStamp: null, operLogStamp: null, commands: [] };
+  }
+  return all[serialNumber];
+}
+
+/**
+ * Resolve a pushing terminal to a registry device (registering it on first contact)
+ * @returns {object|null} Device state, or null if the serial number is not allowed
+ */
+function resolvePushDevice(deviceService, serialNumber, ip) {
+  const config = getAdmsConfig();
+  const configured = config.devices.find((d) => String(d.serialNumber) === String(serialNumber));
+
+  if (!configured && !config.allowUnregisteredDevices) {
+    return null;
+  }
+
+  const definition = configured || { id: `adms-${serialNumber}`, label: `ADMS ${serialNumber}` };
+  return deviceService.registerPushDevice({ ...definition, serialNumber: String(serialNumber), ip });
+}
+
+/**
+ * Start marking devices offline when they stop polling (idempotent)
+ */
+function ensureStaleMonitor(io, deviceService) {
+  if (staleMonitor) return;
+
+  // A healthy device polls getrequest every delaySeconds; allow a few missed polls
+  const maxSilenceMs = getAdmsConfig().delaySeconds * 1000 * 4;
+  staleMonitor = setInterval(() => deviceService.markStalePushDevices(io, maxSilenceMs), STALE_CHECK_INTERVAL_MS);
+  staleMonitor.unref();
+}
+
+/**
+ * Handshake reply: tells the device what to upload and from which stamp to resume
+ */
+async function buildHandshake(serialNumber) {
+  const config = getAdmsConfig();
+  const deviceState = await getDeviceState(serialNumber);
+
+  return [
+    `GET OPTION FROM: ${serialNumber}`,
+    `ATTLOGStamp=${deviceState.attLogStamp || "None"}`,
+    `OPERLOGStamp=${deviceState.operLogStamp || "None"}`,
+    "ATTPHOTOStamp=None",
+    `ErrorDelay=${config.errorDelaySeconds}`,
+    `Delay=${config.delaySeconds}`,
+    "TransTimes=00:00;14:05",
+    "TransInterval=1",
+    "TransFlag=TransData AttLog OpLog EnrollUser ChgUser",
+    "Realtime=1",
+    "Encrypt=None",
+  ].join("\n");
+}
+
+/**
+ * Parse an ATTLOG upload
+ * Each line: PIN \t YYYY-MM-DD HH:mm:ss \t Status \t Verify \t WorkCode \t Reserved...
+ * @returns {{ records: object[], invalid: string[] }}
+ */
+function parseAttLog(body) {
+  const records = [];
+  const invalid = [];
+
+  for (const line of String(body || "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    const [pin, time, status, verify, workCode] = line.split("\t").map((f) => (f || "").trim());
+    const timestamp = parseDateTimeInTimezone(time, DEVICE_CONFIG.timezone);
+
+    if (!pin || !timestamp) {
+      invalid.push(line);
+      continue;
+    }
+
+    records.push({
+      userId: pin,
+      timestamp,
+      state: status !== "" && status !== undefined ? Number(status) : undefined,
+      verifyType: verify !== "" && verify !== undefined ? Number(verify) : undefined,
+      workCode: workCode || null,
+    });
+  }
+
+  return { records, invalid };
+}
+
+/**
+ * Parse an OPERLOG upload (operation log entries and user/fingerprint changes)
+ * e.g. "OPLOG 4\t0\t2024-01-01 10:00:00\t0\t0\t0\t0" or "USER PIN=1\tName=John\tPri=0..."
+ */
+function parseOperLog(body) {
+  const entries = [];
+
+  for (const line of String(body || "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    const spaceIndex = line.indexOf(" ");
+    const type = spaceIndex === -1 ? line.trim() : line.slice(0, spaceIndex);
+    const rest = spaceIndex === -1 ? "" : line.slice(spaceIndex + 1);
+
+    if (type === "OPLOG") {
+      const [opCode, adminId, time] = rest.split("\t");
+      entries.push({ type, opCode: Number(opCode), adminId, time });
+      continue;
+    }
+
+    // USER / FP / FACE lines are KEY=VALUE pairs separated by tabs
+    const fields = {};
+    for (const pair of rest.split("\t")) {
+      const eq = pair.indexOf("=");
+      if (eq > 0) fields[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+    entries.push({ type, ...fields });
+  }
+
+  return entries;
+}
+
+/**
+ * Handle an ATTLOG/OPERLOG upload and feed punches into the attendance pipeline
+ * @returns {Promise<string>} Reply body ("OK: <count>")
+ */
+async function handleUpload({ serialNumber, table, stamp, body, device, io, deviceService }) {
+  const deviceState = await getDeviceState(serialNumber);
+  const tableName = String(table || "").toUpperCase();
+
+  if (tableName === "ATTLOG") {
+    const { records, invalid } = parseAttLog(body);
+
+    // Journaled before the device gets its OK; a refusal makes it resend the upload
+    const accepted = deviceService.queueAttendanceEvents(records, "adms-push", io, device.id);
+    if (accepted < records.length) {
+      throw new Error(`Attendance queue refused ${records.length - accepted} punch(es)`);
+    }
+    if (invalid.length > 0) {
+      log("warning", `ADMS ${serialNumber}: skipped ${invalid.length} unparseable ATTLOG line(s)`, { sample: invalid[0] });
+    }
+
+    if (stamp) {
+      deviceState.attLogStamp = stamp;
+      await persistState();
+    }
+
+    log("info", `📨 ADMS ${device.label}: received ${records.length} punch(es)`);
+    return `OK: ${records.length + invalid.length}`;
+  }
+
+  if (tableName === "OPERLOG") {
+    const entries = parseOperLog(body);
+    const userChanges = entries.filter((e) => e.type === "USER");
+
+    if (userChanges.length > 0) {
+      log("info", `ADMS ${device.label}: ${userChanges.length} user record(s) changed on device`);
+      io.to("attendance").emit("adms_user_changes", {
+        deviceId: device.id,
+        serialNumber,
+        users: userChanges.map((u) => ({ pin: u.PIN, name: u.Name || null, card: u.Card || null })),
+      });
+    }
+
+    if (stamp) {
+      deviceState.operLogStamp = stamp;
+      await persistState();
+    }
+
+    return `OK: ${entries.length}`;
+  }
+
+  // Device info ("options"), photos and other tables are acknowledged but not stored
+  log("debug", `ADMS ${serialNumber}: ignoring upload for table ${table}`);
+  return "OK";
+}
+
+/**
+ * Internal: Numeric USERINFO field (user id, password, card)
+ * Fields are tab-separated and commands newline-separated, so anything but digits could inject either.
+ */
+function digitsField(value, name, required = false) {
+  if (value === undefined || value === null || value === "") {
+    if (required) throw new Error(`${name} is required`);
+    return "";
+  }
+  const text = String(value);
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${name} must contain digits only`);
+  }
+  return text;
+}
+
+/**
+ * Build the raw ADMS command string for a queued command
+ */
+function buildCommand(type, params = {}) {
+  switch (type) {
+    case "add_user": {
+      const fields = [
+        `PIN=${digitsField(params.userId, "userId", true)}`,
+        `Name=${String(params.name || "").replace(/[\t\r\n]+/g, " ").trim()}`,
+        `Pri=${params.role === 14 ? 14 : 0}`,
+        `Passwd=${digitsField(params.password, "password")}`,
+        `Card=${digitsField(params.cardNumber, "cardNumber")}`,
+        "Grp=1",
+        "TZ=0000000100000000",
+      ];
+      return `DATA UPDATE USERINFO ${fields.join("\t")}`;
+    }
+    case "delete_user":
+      return `DATA DELETE USERINFO PIN=${digitsField(params.userId, "userId", true)}`;
+    case "clear_log":
+      return "CLEAR LOG";
+    default:
+      throw new Error(`Unknown command type: ${type}. Expected one of ${COMMAND_TYPES.join(", ")}`);
+  }
+}
+
+/**
+ * Queue a command for a push device; it is delivered on the device's next getrequest poll
+ */
+async function queueCommand(serialNumber, type, params = {}) {
+  const command = buildCommand(type, params);
+  const deviceState = await getDeviceState(serialNumber);
+
+  const entry = {
+    id: nextCommandId++,
+    type,
+    command,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    sentAt: null,
+    completedAt: null,
+    returnCode: null,
+  };
+
+  deviceState.commands.push(entry);
+  await persistState();
+
+  log("info", `📤 Queued ADMS command #${entry.id} for ${serialNumber}: ${type}`);
+  return entry;
+}
+
+/**
+ * Reply to /iclock/getrequest: pending commands as "C:<id>:<command>" lines, or "OK"
+ */
+async function takePendingCommands(serialNumber) {
+  const deviceState = await getDeviceState(serialNumber);
+  const pending = deviceState.commands.filter((c) => c.status === "pending");
+
+  if (pending.length === 0) return "OK";
+
+  const now = new Date().toISOString();
+  for (const command of pending) {
+    command.status = "sent";
+    command.sentAt = now;
+  }
+  await persistState();
+
+  log("info", `📤 Delivering ${pending.length} ADMS command(s) to ${serialNumber}`);
+  return pending.map((c) => `C:${c.id}:${c.command}`).join("\n");
+}
+
+/**
+ * Handle /iclock/devicecmd: "ID=1&Return=0&CMD=DATA" per line (Return 0 = success)
+ */
+async function handleCommandResults(serialNumber, body, io, device) {
+  const deviceState = await getDeviceState(serialNumber);
+
+  for (const line of String(body || "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    const params = new URLSearchParams(line.trim());
+    const id = Number(params.get("ID"));
+    const returnCode = Number(params.get("Return"));
+    const command = deviceState.commands.find((c) => c.id === id);
+
+    if (!command) {
+      log("warning", `ADMS ${serialNumber}: result for unknown command #${params.get("ID")}`);
+      continue;
+    }
+
+    command.status = returnCode === 0 ? "completed" : "failed";
+    command.returnCode = returnCode;
+    command.completedAt = new Date().toISOString();
+
+    log(returnCode === 0 ? "success" : "error", `ADMS command #${id} (${command.type}) on ${serialNumber}: ${command.status} (Return=${returnCode})`);
+    io.to("attendance").emit("adms_command_result", {
+      deviceId: device.id,
+      serialNumber,
+      ...command,
+    });
+  }
+
+  // Keep pending/sent commands, trim old completed ones
+  const finished = deviceState.commands.filter((c) => c.status === "completed" || c.status === "failed");
+  if (finished.length > COMMAND_HISTORY_LIMIT) {
+    const drop = new Set(finished.slice(0, finished.length - COMMAND_HISTORY_LIMIT).map((c) => c.id));
+    deviceState.commands = deviceState.commands.filter((c) => !drop.has(c.id));
+  }
+
+  await persistState();
+  return "OK";
+}
+
+/**
+ * List commands for a device (newest first)
+ */
+async function getCommands(serialNumber) {
+  const deviceState = await getDeviceState(serialNumber);
+  return [...deviceState.commands].reverse();
+}
+
+module.exports = {
+  COMMAND_TYPES,
+  getAdmsConfig,
+  resolvePushDevice,
+  ensureStaleMonitor,
+  buildHandshake,
+  parseAttLog,
+  parseOperLog,
+  handleUpload,
+  queueCommand,
+  takePendingCommands,
+  handleCommandResults,
+  getCommands,
+};
@@ -0,0 +1,172 @@
+/**
+ * Attendance Event Journal
+ * Write-ahead log for the attendance event queue. Device events are appended and flushed to
+ * disk before they are queued, and marked done once processed, so events still queued when
+ * the process dies are replayed on the next start. It also holds the events that don't fit
+ * in memory while the queue is full.
+ *
+ * Lines: { seq, receivedAt, data, source, deviceId } for an event, { done: [seq...] } once processed.
+ * The file is emptied whenever nothing is outstanding.
+ */
+
+const fs = require("fs");
+const offlineStorage = require("./offlineStorage");
+const log = require("../utils/logger");
+
+const COMPACT_AFTER_LINES = 20000; // Rewrite with only the outstanding events past this many lines
+
+let fd = null;
+let nextSeq = 1;
+let lineCount = 0;
+const outstanding = new Set(); // seqs journaled but not processed
+
+/**
+ * Internal: Parse the journal (a partial last line from a crash is cut off first)
+ * @returns {object[]} Outstanding events, oldest first
+ */
+function readJournal() {
+  const file = offlineStorage.eventJournalFile;
+  if (!fs.existsSync(file)) return [];
+
+  let text = fs.readFileSync(file, "utf8");
+  if (text.length > 0 && !text.endsWith("\n")) {
+    text = text.slice(0, text.lastIndexOf("\n") + 1);
+    fs.truncateSync(file, Buffer.byteLength(text));
+    log("warning", "Event journal: dropped an incomplete last line");
+  }
+
+  const events = new Map();
+  lineCount = 0;
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    lineCount++;
+    try {
+      const entry = JSON.parse(line);
+      if (Array.isArray(entry.done)) {
+        entry.done.forEach((seq) => events.delete(seq));
+      } else if (Number.isInteger(entry.seq)) {
+        events.set(entry.seq, entry);
+        nextSeq = Math.max(nextSeq, entry.seq + 1);
+      }
+    } catch (e) {
+      // Skip malformed lines
+    }
+  }
+
+  return [...events.values()].sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Open the journal
+ * @returns {object[]} Events left unprocessed by the previous run, oldest first
+ */
+function open() {
+  if (fd !== null) return [];
+
+  const events = readJournal();
+  events.forEach((event) => outstanding.add(event.seq));
+  fd = fs.openSync(offlineStorage.eventJournalFile, "a");
+
+  if (events.length > 0) {
+    log("warning", `📒 Event journal: ${events.length} attendance event(s) were not processed before the last shutdown`);
+  }
+  return events;
+}
+
+/**
+ * Journal events (one write and one flush for all of them)
+ * @param {object[]} events - { data, source, deviceId, receivedAt }
+ * @returns {object[]} The events with their seq
+ * @throws When the journal can't be written
+ */
+function append(events) {
+  if (fd === null) open();
+
+  const journaled = events.map((event) => ({ seq: nextSeq++, ...event }));
+  fs.writeSync(fd, journaled.map((event) => JSON.stringify(event) + "\n").join(""));
+  fs.fdatasyncSync(fd);
+
+  journaled.forEach((event) => outstanding.add(event.seq));
+  lineCount += journaled.length;
+  return journaled;
+}
+
+/**
+ * Mark events as processed
+ * @param {number[]} seqs
+ */
+function complete(seqs) {
+  const done = seqs.filter((seq) => outstanding.has(seq));
+  if (done.length === 0 || fd === null) return;
+
+  done.forEach((seq) => outstanding.delete(seq));
+  try {
+    if (outstanding.size === 0) {
+      fs.ftruncateSync(fd, 0);
+      lineCount = 0;
+      return;
+    }
+
+    fs.writeSync(fd, JSON.stringify({ done }) + "\n");
+    lineCount++;
+    if (lineCount > COMPACT_AFTER_LINES) compact();
+  } catch (error) {
+    // Worst case the events are processed again after a restart
+    log("error", `Event journal: failed to mark events done: ${error.message}`);
+  }
+}
+
+/**
+ * Internal: Rewrite the journal with only the outstanding events
+ */
+function compact() {
+  const file = offlineStorage.eventJournalFile;
+  const events = readOutstanding(0, Infinity);
+  const tempFile = `${file}.compact`;
+
+  fs.writeFileSync(tempFile, events.map((event) => JSON.stringify(event) + "\n").join(""));
+  fs.closeSync(fd);
+  fs.renameSync(tempFile, file);
+  fd = fs.openSync(file, "a");
+  lineCount = events.length;
+}
+
+/**
+ * Outstanding events from a seq on, oldest first (used to refill the queue after spilling)
+ * @param {number} fromSeq
+ * @param {number} limit
+ */
+function readOutstanding(fromSeq, limit) {
+  const text = fs.readFileSync(offlineStorage.eventJournalFile, "utf8");
+  const events = [];
+
+  for (const line of text.split("\n")) {
+    if (events.length >= limit) break;
+    if (!line) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (Number.isInteger(entry.seq) && entry.seq >= fromSeq && outstanding.has(entry.seq)) {
+        events.push(entry);
+      }
+    } catch (e) {
+      // Skip malformed lines
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Number of journaled events not processed yet
+ */
+function getOutstandingCount() {
+  return outstanding.size;
+}
+
+module.exports = {
+  open,
+  append,
+  complete,
+  readOutstanding,
+  getOutstandingCount,
+};
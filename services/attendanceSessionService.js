@@ -0,0 +1,176 @@
+/**
+ * Attendance Session Service
+ * Pairs punches into check-in / check-out sessions per member and day
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const offlineStorage = require("./offlineStorage");
+const log = require("../utils/logger");
+
+const SESSION_MODES = ["alternate", "first-in-last-out", "punch-state"];
+
+// ZK punch states (attlog "state" byte): 0=Check-In, 1=Check-Out, 2=Break-Out, 3=Break-In, 4=OT-In, 5=OT-Out
+const CHECK_OUT_STATES = [1, 2, 5];
+const CHECK_IN_STATES = [0, 3, 4];
+
+const SESSION_RETENTION_DAYS = 2; // Only today's (and yesterday's late) sessions matter
+
+// Session index: `${userId}|${date}` -> { sessionId, sessionNumber, open, record }
+let sessionIndex = null;
+
+/**
+ * Lazy-load the persisted session index
+ */
+async function getSessionIndex() {
+  if (!sessionIndex) {
+    const stored = await offlineStorage.loadSessionIndex();
+    sessionIndex = new Map(Object.entries(stored || {}));
+  }
+  return sessionIndex;
+}
+
+/**
+ * Drop sessions older than the retention window and persist the index
+ */
+async function persistSessionIndex(today) {
+  const cutoff = new Date(`${today}T00:00:00Z`);
+  cutoff.setUTCDate(cutoff.getUTCDate() - SESSION_RETENTION_DAYS);
+  const cutoffDate = cutoff.toISOString().split("T")[0];
+
+  for (const [key, session] of sessionIndex.entries()) {
+    if (session.record.date < cutoffDate) {
+      sessionIndex.delete(key);
+    }
+  }
+
+  await offlineStorage.saveSessionIndex(Object.fromEntries(sessionIndex));
+}
+
+function getSessionMode() {
+  const mode = DEVICE_CONFIG.attendanceSessionMode || "alternate";
+  if (!SESSION_MODES.includes(mode)) {
+    log("warning", `Unknown attendanceSessionMode "${mode}" - falling back to "alternate"`);
+    return "alternate";
+  }
+  return mode;
+}
+
+/**
+ * Decide whether a punch opens or closes a session
+ * @param {object|undefined} session - Latest session for the member/day
+ * @param {number|undefined} punchState - Punch state reported by the device (polling only)
+ * @returns {"check_in"|"check_out"}
+ */
+function resolvePunchType(session, punchState) {
+  const mode = getSessionMode();
+  const hasOpenSession = !!(session && session.open);
+
+  if (mode === "first-in-last-out") {
+    return session ? "check_out" : "check_in";
+  }
+
+  if (mode === "punch-state" && punchState !== undefined && punchState !== null) {
+    const state = Number(punchState);
+    if (CHECK_OUT_STATES.includes(state)) return session ? "check_out" : "check_in";
+    if (CHECK_IN_STATES.includes(state)) return "check_in";
+  }
+
+  // "alternate" (and punch-state without a usable state): in, out, in, out...
+  return hasOpenSession ? "check_out" : "check_in";
+}
+
+function durationMinutes(checkInTime, checkOutTime) {
+  const start = Date.parse(checkInTime);
+  const end = Date.parse(checkOutTime);
+  if (Number.isNaN(start) || Number.isNaN(end)) return null;
+  return Math.max(0, Math.round((end - start) / 60000));
+}
+
+/**
+ * Apply a punch to the member's session for the day
+ * @param {object} attendanceRecord - Enriched record built by deviceService (checkInTime = punch time)
+ * @param {number} [punchState] - Device punch state, if known
+ * @returns {Promise<{punchType: string, isUpdate: boolean, record: object}>}
+ *   isUpdate=true means an existing record (same sessionId) must be updated instead of appended
+ */
+async function applyPunch(attendanceRecord, punchState) {
+  const index = await getSessionIndex();
+  const key = `${attendanceRecord.userId}|${attendanceRecord.date}`;
+  const session = index.get(key);
+  const punchType = resolvePunchType(session, punchState);
+  const punchTime = attendanceRecord.checkInTime;
+
+  if (punchType === "check_out" && session) {
+    // Never move a check-out backwards (late polled punches arrive out of order)
+    const previousOut = session.record.checkOutTime;
+    const checkOutTime = previousOut && Date.parse(previousOut) > Date.parse(punchTime) ? previousOut : punchTime;
+
+    const record = {
+      ...session.record,
+      checkOutTime,
+      checkOutVerifyMethod: checkOutTime === punchTime ? attendanceRecord.verifyMethod : session.record.checkOutVerifyMethod ?? null,
+      // The record keeps its check-in's attendanceId; this one lets a replayed check-out be recognised
+      checkOutAttendanceId: checkOutTime === punchTime ? attendanceRecord.attendanceId : session.record.checkOutAttendanceId ?? null,
+      durationMinutes: durationMinutes(session.record.checkInTime, checkOutTime),
+      sessionStatus: "closed",
+      updatedAt: attendanceRecord.updatedAt,
+    };
+
+    index.set(key, { ...session, open: false, record });
+    await persistSessionIndex(attendanceRecord.date);
+
+    log("info", `🚪 Check-out for ${record.name} (session ${session.sessionNumber}, ${record.durationMinutes ?? "?"} min)`);
+    return { punchType, isUpdate: true, record };
+  }
+
+  const sessionNumber = session ? session.sessionNumber + 1 : 1;
+  const record = {
+    ...attendanceRecord,
+    sessionId: `${attendanceRecord.userId}_${attendanceRecord.date}_${sessionNumber}`,
+    sessionNumber,
+    sessionStatus: "open",
+    durationMinutes: null,
+  };
+
+  index.set(key, { sessionId: record.sessionId, sessionNumber, open: true, record });
+  await persistSessionIndex(attendanceRecord.date);
+
+  return { punchType: "check_in", isUpdate: false, record };
+}
+
+/**
+ * Seed the session index from records already stored (local or Firestore), so punches
+ * ingested out of band (backfill) continue the member's existing sessions for that day
+ * @param {object[]} records - Stored attendance records
+ */
+async function seedSessions(records) {
+  const index = await getSessionIndex();
+  let changed = false;
+
+  for (const record of records) {
+    if (!record.userId || !record.date) continue;
+
+    const key = `${record.userId}|${record.date}`;
+    const sessionNumber = record.sessionNumber || 1;
+    const existing = index.get(key);
+    if (existing && existing.sessionNumber >= sessionNumber) continue;
+
+    index.set(key, {
+      sessionId: record.sessionId || `${record.userId}_${record.date}_${sessionNumber}`,
+      sessionNumber,
+      open: !record.checkOutTime,
+      record: { ...record, sessionNumber },
+    });
+    changed = true;
+  }
+
+  if (changed) {
+    await offlineStorage.saveSessionIndex(Object.fromEntries(index));
+  }
+}
+
+module.exports = {
+  applyPunch,
+  seedSessions,
+  SESSION_MODES,
+};
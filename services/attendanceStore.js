@@ -0,0 +1,423 @@
+/**
+ * Attendance Store
+ * Embedded SQLite database holding every attendance record permanently - synced or not - so the
+ * local history can be queried while offline ("who came in yesterday").
+ *
+ * One row per record: the full record as JSON plus indexed columns for the fields it is looked up
+ * by (attendance id, date, member, biometric id, device, session, sync status). A check-out or a
+ * sync updates the row in place. The attendance id of every punch a record was built from (its
+ * check-in, and each check-out that set its checkOutTime) is indexed too, so a replayed punch is
+ * recognised whether it opened or closed the session. Legacy lines that couldn't be parsed while migrating are kept in
+ * their own table until they are corrected or discarded.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const log = require('../utils/logger');
+
+const SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  DEAD_LETTER: 'dead_letter', // Gave up syncing - waits for a retry or discard
+  DISCARDED: 'discarded', // Kept locally, never synced
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS attendance (
+    record_id TEXT PRIMARY KEY,
+    attendance_id TEXT,
+    session_id TEXT,
+    date TEXT NOT NULL,
+    time TEXT NOT NULL,
+    member_id TEXT,
+    biometric_id TEXT,
+    device_id TEXT,
+    sync_status TEXT NOT NULL,
+    store_version INTEGER NOT NULL,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS attendance_attendance_id ON attendance (attendance_id);
+  CREATE INDEX IF NOT EXISTS attendance_date ON attendance (date, time);
+  CREATE INDEX IF NOT EXISTS attendance_member ON attendance (member_id);
+  CREATE INDEX IF NOT EXISTS attendance_biometric ON attendance (biometric_id);
+  CREATE INDEX IF NOT EXISTS attendance_device ON attendance (device_id);
+  CREATE INDEX IF NOT EXISTS attendance_session ON attendance (session_id);
+  CREATE INDEX IF NOT EXISTS attendance_sync_status ON attendance (sync_status);
+
+  -- Punch attendance id -> record it went into (kept when a later check-out replaces the record's)
+  CREATE TABLE IF NOT EXISTS attendance_punches (
+    attendance_id TEXT PRIMARY KEY,
+    record_id TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS unparseable_lines (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    line TEXT NOT NULL,
+    captured_at TEXT NOT NULL
+  );
+`;
+
+// Query filter -> indexed column
+const FILTER_COLUMNS = {
+  memberId: 'member_id',
+  biometricId: 'biometric_id',
+  deviceId: 'device_id',
+  syncStatus: 'sync_status',
+};
+
+function textOrNull(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Internal: Column values of a record
+ */
+function toRow(record) {
+  return {
+    record_id: record.recordId,
+    attendance_id: textOrNull(record.attendanceId),
+    session_id: textOrNull(record.sessionId),
+    date: String(record.date || ''),
+    time: String(record.checkInTime || record.createdAt || ''),
+    member_id: textOrNull(record.userId),
+    biometric_id: textOrNull(record.biometricDeviceId),
+    device_id: textOrNull(record.deviceId),
+    sync_status: record.syncStatus,
+    store_version: record.storeVersion,
+    record: JSON.stringify(record),
+  };
+}
+
+class AttendanceStore {
+  constructor(file) {
+    this.file = file;
+    this.db = null;
+  }
+
+  /**
+   * Internal: Open the database on first use
+   */
+  _open() {
+    if (this.db) return this.db;
+
+    fs.ensureDirSync(path.dirname(this.file));
+    const db = new Database(this.file);
+    db.pragma('journal_mode = WAL'); // Readers don't wait for a sync writing its results
+    db.exec(SCHEMA);
+
+    this.statements = {
+      insert: db.prepare(`
+        INSERT INTO attendance (record_id, attendance_id, session_id, date, time, member_id, biometric_id, device_id, sync_status, store_version, record)
+        VALUES (@record_id, @attendance_id, @session_id, @date, @time, @member_id, @biometric_id, @device_id, @sync_status, @store_version, @record)
+        ON CONFLICT (record_id) DO NOTHING`),
+      replace: db.prepare(`
+        UPDATE attendance SET attendance_id = @attendance_id, session_id = @session_id, date = @date, time = @time,
+          member_id = @member_id, biometric_id = @biometric_id, device_id = @device_id, sync_status = @sync_status,
+          store_version = @store_version, record = @record
+        WHERE record_id = @record_id`),
+      get: db.prepare('SELECT record FROM attendance WHERE record_id = ?'),
+      insertPunch: db.prepare('INSERT INTO attendance_punches (attendance_id, record_id) VALUES (?, ?) ON CONFLICT (attendance_id) DO NOTHING'),
+      hasPunch: db.prepare('SELECT 1 FROM attendance_punches WHERE attendance_id = ?'),
+      // The latest record of a session (an update stored before its check-in came later)
+      bySession: db.prepare('SELECT record FROM attendance WHERE session_id = ? ORDER BY rowid DESC LIMIT 1'),
+      insertUnparseable: db.prepare('INSERT INTO unparseable_lines (id, source, line, captured_at) VALUES (@id, @source, @line, @capturedAt)'),
+      listUnparseable: db.prepare('SELECT id, source, line, captured_at AS capturedAt FROM unparseable_lines ORDER BY rowid'),
+      getUnparseable: db.prepare('SELECT id, source, line, captured_at AS capturedAt FROM unparseable_lines WHERE id = ?'),
+      deleteUnparseable: db.prepare('DELETE FROM unparseable_lines WHERE id = ?'),
+    };
+    this.db = db;
+
+    const { records } = db.prepare('SELECT COUNT(*) AS records FROM attendance').get();
+    log('info', `🗄️ Attendance store opened: ${records} records`);
+    return db;
+  }
+
+  _get(recordId) {
+    const row = this.statements.get.get(recordId);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  _replace(record) {
+    this.statements.replace.run(toRow(record));
+    this._indexPunches(record);
+  }
+
+  /**
+   * Internal: Index the attendance ids of the punches in a record
+   */
+  _indexPunches(record) {
+    for (const attendanceId of [record.attendanceId, record.checkOutAttendanceId]) {
+      if (attendanceId) this.statements.insertPunch.run(String(attendanceId), record.recordId);
+    }
+  }
+
+  /**
+   * Internal: WHERE clause of a query filter
+   */
+  _where({ date, from, to, ...filter } = {}) {
+    const clauses = [];
+    const params = [];
+    const lower = date || from;
+    const upper = date || to;
+
+    if (lower) {
+      clauses.push('date >= ?');
+      params.push(String(lower));
+    }
+    if (upper) {
+      clauses.push('date <= ?');
+      params.push(String(upper));
+    }
+    for (const [name, column] of Object.entries(FILTER_COLUMNS)) {
+      const value = filter[name];
+      if (value !== undefined && value !== null && value !== '') {
+        clauses.push(`${column} = ?`);
+        params.push(String(value));
+      }
+    }
+
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Add new records (records whose recordId is already stored are skipped)
+   * @param {object[]} records - Each with a recordId; stored as pending
+   * @returns {number} Records added
+   */
+  insertMany(records) {
+    const db = this._open();
+    return db.transaction(() => {
+      let added = 0;
+      for (const record of records) {
+        if (!record.recordId) continue;
+        const fresh = { syncStatus: SYNC_STATUS.PENDING, ...record, storeVersion: 1 };
+        if (this.statements.insert.run(toRow(fresh)).changes === 0) continue;
+        this._indexPunches(fresh);
+        added++;
+      }
+      return added;
+    })();
+  }
+
+  /**
+   * Merge changes into the record of an attendance session (e.g. its check-out)
+   * A record already in Firestore goes back to pending as an update; a discarded one stays discarded.
+   * @returns {object|null} The new version, null when the session isn't stored
+   */
+  updateSession(changes) {
+    const db = this._open();
+    return db.transaction(() => {
+      const row = this.statements.bySession.get(textOrNull(changes.sessionId));
+      if (!row) return null;
+
+      const current = JSON.parse(row.record);
+      const updated = {
+        ...current,
+        ...changes,
+        recordId: current.recordId,
+        offlineTimestamp: current.offlineTimestamp,
+        storeVersion: current.storeVersion + 1,
+        syncStatus: current.syncStatus === SYNC_STATUS.DISCARDED ? current.syncStatus : SYNC_STATUS.PENDING,
+        syncAction: current.syncStatus === SYNC_STATUS.SYNCED ? 'update' : current.syncAction,
+      };
+      this._replace(updated);
+      return updated;
+    })();
+  }
+
+  /**
+   * Whether a punch is stored - as the check-in or a check-out of a record
+   * @param {string} attendanceId - Attendance id of the punch (see getAttendanceRecordId)
+   */
+  hasPunch(attendanceId) {
+    this._open();
+    return Boolean(this.statements.hasPunch.get(String(attendanceId)));
+  }
+
+  /**
+   * Records by id (missing ids are left out)
+   */
+  getMany(recordIds) {
+    this._open();
+    return recordIds.map((recordId) => this._get(recordId)).filter(Boolean);
+  }
+
+  /**
+   * Records matching every given filter, oldest first
+   * @param {object} [filter] - { date, from, to (YYYY-MM-DD), memberId, biometricId, deviceId, syncStatus, limit }
+   */
+  query(filter = {}) {
+    const db = this._open();
+    const { where, params } = this._where(filter);
+
+    if (filter.limit) {
+      // Most recent ones
+      const rows = db.prepare(`SELECT record FROM attendance ${where} ORDER BY date DESC, time DESC, record_id DESC LIMIT ?`)
+        .all(...params, Number(filter.limit));
+      return rows.reverse().map((row) => JSON.parse(row.record));
+    }
+    return db.prepare(`SELECT record FROM attendance ${where} ORDER BY date, time, record_id`)
+      .all(...params)
+      .map((row) => JSON.parse(row.record));
+  }
+
+  /**
+   * Number of records matching the filter
+   */
+  count(filter = {}) {
+    const db = this._open();
+    const { where, params } = this._where(filter);
+    return db.prepare(`SELECT COUNT(*) AS count FROM attendance ${where}`).get(...params).count;
+  }
+
+  /**
+   * Ids and versions of the records waiting for sync, oldest first
+   * @returns {Array<{ recordId: string, storeVersion: number }>}
+   */
+  listPending() {
+    const db = this._open();
+    return db.prepare('SELECT record_id AS recordId, store_version AS storeVersion FROM attendance WHERE sync_status = ? ORDER BY date, time, record_id')
+      .all(SYNC_STATUS.PENDING);
+  }
+
+  /**
+   * Mark records as synced - unless they changed after being read for sync: then the
+   * document exists in Firestore now and the newer version is sent as an update
+   * @param {Array<{ recordId: string, storeVersion: number }>} synced
+   */
+  markSynced(synced) {
+    const db = this._open();
+    const syncedAt = new Date().toISOString();
+
+    db.transaction(() => {
+      for (const { recordId, storeVersion } of synced) {
+        const record = this._get(recordId);
+        if (!record) continue;
+
+        if (record.storeVersion !== storeVersion) {
+          this._replace({ ...record, syncAction: 'update' });
+          continue;
+        }
+        const { syncError, ...rest } = record;
+        this._replace({ ...rest, syncStatus: SYNC_STATUS.SYNCED, syncedAt });
+      }
+    })();
+  }
+
+  /**
+   * Record a failed sync attempt
+   * Records stay pending until maxAttempts failures (or a permanent one), then they are dead-lettered.
+   * @param {Array<{ recordId: string, error: string, permanent?: boolean }>} failures
+   * @param {number} maxAttempts
+   * @returns {number} Records dead-lettered
+   */
+  markSyncFailed(failures, maxAttempts = Infinity) {
+    const db = this._open();
+    const attemptedAt = new Date().toISOString();
+
+    return db.transaction(() => {
+      let deadLettered = 0;
+      for (const { recordId, error, permanent } of failures) {
+        const record = this._get(recordId);
+        if (!record) continue;
+
+        const syncAttempts = (record.syncAttempts || 0) + 1;
+        const updated = { ...record, syncError: error, syncAttempts, lastSyncAttemptAt: attemptedAt };
+        if (permanent || syncAttempts >= maxAttempts) {
+          deadLettered++;
+          this._replace({ ...updated, syncStatus: SYNC_STATUS.DEAD_LETTER, deadLetteredAt: attemptedAt });
+        } else {
+          this._replace(updated);
+        }
+      }
+      return deadLettered;
+    })();
+  }
+
+  /**
+   * Merge changes into a record (its recordId can't change)
+   * @returns {object|null} The new version, null when the record isn't stored
+   */
+  update(recordId, changes) {
+    const db = this._open();
+    return db.transaction(() => {
+      const current = this._get(recordId);
+      if (!current) return null;
+
+      const updated = { ...current, ...changes, recordId, storeVersion: current.storeVersion + 1 };
+      this._replace(updated);
+      return updated;
+    })();
+  }
+
+  /**
+   * Keep lines that couldn't be parsed (e.g. from migrated legacy files) until they are corrected or discarded
+   * @param {Array<{ source: string, line: string }>} lines
+   */
+  addUnparseable(lines) {
+    const db = this._open();
+    const capturedAt = new Date().toISOString();
+
+    db.transaction(() => {
+      for (const { source, line } of lines) {
+        const id = Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9);
+        this.statements.insertUnparseable.run({ id, source, line, capturedAt });
+      }
+    })();
+  }
+
+  /**
+   * Captured lines that couldn't be parsed
+   * @returns {Array<{ id: string, source: string, line: string, capturedAt: string }>}
+   */
+  listUnparseable() {
+    this._open();
+    return this.statements.listUnparseable.all();
+  }
+
+  /**
+   * Remove a captured unparseable line
+   * @returns {object|null} The removed entry
+   */
+  removeUnparseable(id) {
+    this._open();
+    const removed = this.statements.getUnparseable.get(id);
+    if (!removed) return null;
+    this.statements.deleteUnparseable.run(id);
+    return removed;
+  }
+
+  /**
+   * Record counts and the dates covered
+   */
+  stats() {
+    const db = this._open();
+    const countOf = (status) => this.count({ syncStatus: status });
+    const { firstDate, lastDate } = db.prepare("SELECT MIN(date) AS firstDate, MAX(date) AS lastDate FROM attendance WHERE date <> ''").get();
+    return {
+      records: this.count(),
+      pending: countOf(SYNC_STATUS.PENDING),
+      synced: countOf(SYNC_STATUS.SYNCED),
+      deadLetter: countOf(SYNC_STATUS.DEAD_LETTER),
+      firstDate,
+      lastDate,
+      sizeBytes: [this.file, `${this.file}-wal`].reduce((sum, file) => sum + (fs.existsSync(file) ? fs.statSync(file).size : 0), 0),
+    };
+  }
+
+  /**
+   * Close the database (it reopens on next use)
+   */
+  close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+  }
+}
+
+module.exports = {
+  AttendanceStore,
+  SYNC_STATUS,
+};
@@ -0,0 +1,114 @@
+/**
+ * Attendance Log Import Service
+ * Ingests the attlog .dat file a ZKTeco terminal writes to a USB stick (Attendance download),
+ * for when the terminal couldn't be reached for days. Punches are matched against the stored
+ * records like a backfill, so importing the same file twice records nothing new.
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const log = require("../utils/logger");
+const { parseDateTimeInTimezone, getDateInTimezone } = require("../utils/dateUtils");
+const { resolveRange } = require("./backfillService");
+
+const USB_IMPORT_SOURCE = "usb-import";
+const MAX_IMPORT_DAYS = 31; // Every day in range is read from Firestore (when reachable)
+
+/**
+ * Parse an attlog .dat file
+ * Each line: user id \t YYYY-MM-DD HH:mm:ss \t device no \t punch state \t verify type \t work code
+ * (the user id is space padded; times are the terminal's wall clock)
+ * @param {string} text
+ * @returns {{ logs: object[], invalid: number[] }} Logs shaped like zk.getAttendances(), invalid line numbers
+ */
+function parseAttlog(text) {
+  const logs = [];
+  const invalid = [];
+  const number = (value) => (value !== undefined && /^\d+$/.test(value) ? Number(value) : undefined);
+
+  String(text).replace(/^\uFEFF/, "").split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const [userId, time, , state, verify, workCode] = line.split("\t").map((field) => field.trim());
+    const recordTime = time ? parseDateTimeInTimezone(time, DEVICE_CONFIG.timezone) : null;
+    if (!userId || !/^\d+$/.test(userId) || !recordTime) {
+      invalid.push(index + 1);
+      return;
+    }
+
+    logs.push({
+      user_id: userId,
+      record_time: recordTime,
+      state: number(state),
+      type: number(verify),
+      workCode: workCode || null,
+    });
+  });
+
+  return { logs, invalid };
+}
+
+/**
+ * Dates covered by the file, at most MAX_IMPORT_DAYS ending with its last punch
+ */
+function fileRange(logs) {
+  const dates = logs.map((record) => getDateInTimezone(record.record_time, DEVICE_CONFIG.timezone)).sort();
+  const to = dates[dates.length - 1];
+  const start = new Date(`${to}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - (MAX_IMPORT_DAYS - 1));
+  const earliest = start.toISOString().split("T")[0];
+  return { from: dates[0] > earliest ? dates[0] : earliest, to };
+}
+
+/**
+ * Import an attlog file
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {object} options
+ * @param {Buffer|string} options.file - attlog .dat contents
+ * @param {string} [options.deviceId] - Terminal the file came from (primary device when omitted)
+ * @param {string} [options.from] - YYYY-MM-DD, default: first punch (at most MAX_IMPORT_DAYS back)
+ * @param {string} [options.to] - YYYY-MM-DD, default: last punch
+ * @returns {Promise<object>} Backfill summary plus { linesRead, invalidLines, outsideRange }
+ */
+async function importAttlog(deviceService, io, { file, deviceId, from, to }) {
+  const { logs, invalid } = parseAttlog(Buffer.isBuffer(file) ? file.toString("utf8") : file);
+  if (logs.length === 0) {
+    const error = new Error(invalid.length > 0
+      ? `No punches found - ${invalid.length} line(s) are not in the attlog format`
+      : "The file is empty");
+    error.importFile = true;
+    throw error;
+  }
+  if (invalid.length > 0) {
+    log("warning", `Attendance log import: skipped ${invalid.length} unreadable line(s)`, { lines: invalid.slice(0, 20) });
+  }
+
+  let range;
+  try {
+    range = from || to ? resolveRange(from || fileRange(logs).from, to || fileRange(logs).to) : fileRange(logs);
+  } catch (error) {
+    error.importFile = true;
+    throw error;
+  }
+
+  const summary = await deviceService.importAttendanceLog(io, { deviceId, logs, ...range, source: USB_IMPORT_SOURCE });
+  const result = {
+    ...summary,
+    linesRead: logs.length + invalid.length,
+    invalidLines: invalid,
+    outsideRange: logs.filter((record) => {
+      const date = getDateInTimezone(record.record_time, DEVICE_CONFIG.timezone);
+      return date < range.from || date > range.to;
+    }).length,
+  };
+
+  io.emit("attendance_import_completed", result);
+  return result;
+}
+
+module.exports = {
+  USB_IMPORT_SOURCE,
+  MAX_IMPORT_DAYS,
+  parseAttlog,
+  importAttlog,
+};
@@ -9,9 +9,14 @@ const { findFirstDevice } = require('../utils/networkScanner');
 const initializeSocket = require('../services/socketService');
 const apiRoutes = require('../routes/api');
 const userManagementRoutes = require('../routes/userManagement');
+const iclockRoutes = require('../routes/iclock');
+const deviceAdminRoutes = require('../routes/deviceAdmin');
 const { initializeMemberEnrollmentListener } = require('../services/memberEnrollmentService');
 const { prewarmCache } = require('../services/userService');
 const syncService = require('../services/syncService');
+const membershipExpiry = require('../services/membershipExpiryService');
+const memberCredentials = require('../services/memberCredentialService');
+const { startEmbeddedEmulator } = require('../services/zkEmulator');
 const DEVICE_CONFIG = require('../config/deviceConfig');
 const { getSettings, applySettingsToConfig } = require('../config/userSettings');
 
@@ -33,11 +38,20 @@ console.log('NODE_ENV:', process.env.NODE_ENV);
 console.log('CWD:', process.cwd());
 console.log('==========================');
 
+const CRASH_DRAIN_TIMEOUT = 5000; // How long queued punches get to be saved before a crash exit
+
+let crashing = false;
 process.on('uncaughtException', (err) => {
   log('error', `CRITICAL UNCAUGHT EXCEPTION: ${err.message}`, err.stack);
   console.error('CRITICAL:', err);
-  // Keep alive if possible? No, usually better to restart.
-  process.exit(1);
+  if (crashing) return; // Already exiting
+  crashing = true;
+
+  // Restart rather than keep running in an unknown state - after giving the attendance queue a few
+  // seconds to drain. Events still queued stay in the event journal and are replayed on the next start.
+  setTimeout(() => process.exit(1), CRASH_DRAIN_TIMEOUT + 1000).unref();
+  const drained = deviceService ? deviceService.drainAttendanceQueue(CRASH_DRAIN_TIMEOUT) : Promise.resolve();
+  drained.catch(() => {}).finally(() => process.exit(1));
 });
 
 process.on('unhandledRejection', (reason, promise) => {
@@ -69,32 +83,11 @@ let server = null;
 async function startServer() {
   return new Promise((resolve) => {
     // Explicitly require services for pkg detection with error handling
-    let mockService, realService;
-    try {
-      mockService = require('./mockDeviceService');
-    } catch (e) {
-      log('error', `Failed to load Mock Service: ${e.message}`);
-    }
-
     try {
-      realService = require('./deviceService');
+      deviceService = require('./deviceService');
     } catch (e) {
-      log('error', `Failed to load Real Device Service: ${e.message}`);
-      // Fallback to avoid crash if real service is corrupt
-      if (!mockService) process.exit(1);
-    }
-
-    // Initialize device service based on config
-    // Safety check: if realService failed to load, forced fallback or error?
-    if (!DEVICE_CONFIG.useMockDevice && !realService) {
-      log('error', 'Critical: Real device service requested but failed to load.');
-      // Don't crash, maybe fallback to mock or null? 
-      // Better to let it fail or invalid state than silent mock?
-      // Let's set it to null and handle checking later?
-      deviceService = mockService; // Emergency fallback
-      DEVICE_CONFIG.useMockDevice = true; // Switch mode
-    } else {
-      deviceService = DEVICE_CONFIG.useMockDevice ? mockService : realService;
+      log('error', `Failed to load Device Service: ${e.message}`);
+      process.exit(1);
     }
 
     // Initialize Socket.IO
@@ -186,6 +179,8 @@ async function startServer() {
 
     app.use('/', apiRoutes);
     app.use('/users', userManagementRoutes);
+    app.use('/iclock', iclockRoutes); // ADMS push devices
+    app.use('/device/admin', deviceAdminRoutes); // Restart, clear log, unlock, LCD...
 
 
 
@@ -199,6 +194,15 @@ async function startServer() {
         log('warning', `Cache prewarming failed: ${cacheErr.message}`);
       }
 
+      // Punches journaled but not processed before the last shutdown
+      deviceService.replayJournaledEvents(io);
+
+      // Turn expired members off on the devices (and back on after renewal)
+      membershipExpiry.startMembershipExpiryJob(deviceService, io);
+
+      // Keep member card numbers and PINs on the devices in step with Firestore
+      memberCredentials.startCredentialSync(deviceService, io);
+
       // Start sync service for offline mode
       try {
         syncService.startSync(io);
@@ -221,8 +225,14 @@ async function handleAutoDiscovery() {
   let shouldConnect = true;
 
   if (DEVICE_CONFIG.useMockDevice) {
-    deviceIP = "mock-device";
-    shouldConnect = true;
+    // The emulator speaks the ZK protocol, so the real device service connects to it unchanged
+    try {
+      await startEmbeddedEmulator();
+      deviceIP = DEVICE_CONFIG.ip;
+    } catch (emulatorError) {
+      log('error', `❌ Failed to start ZK emulator: ${emulatorError.message}`);
+      shouldConnect = false;
+    }
   } else if (!DEVICE_CONFIG.useMockDevice && DEVICE_CONFIG.autoDiscoverDevice) {
     log('info', '🔍 Auto-discovery enabled. Scanning network for fingerprint device...');
 
@@ -278,7 +288,7 @@ async function handleAutoDiscovery() {
 
   if (shouldConnect && deviceIP) {
     const connectionMessage = DEVICE_CONFIG.useMockDevice
-      ? 'Initiating connection to MOCK device...'
+      ? `Initiating connection to ZK emulator at ${deviceIP}:${DEVICE_CONFIG.port}...`
       : `Initiating connection to eSSL K30 Pro device at ${deviceIP}...`;
     log('info', connectionMessage);
 
@@ -286,19 +296,13 @@ async function handleAutoDiscovery() {
       const connected = await deviceService.connectToDevice(io);
       if (connected) {
         log('success', '✅ Successfully connected to device!');
-        if (!DEVICE_CONFIG.useMockDevice) {
-          log('info', '🎯 Initializing auto-enrollment from Firebase...');
-          initializeMemberEnrollmentListener(deviceService);
-        }
+        log('info', '🎯 Initializing auto-enrollment from Firebase...');
+        initializeMemberEnrollmentListener(deviceService);
 
-        if (DEVICE_CONFIG.useMockDevice) {
+        setTimeout(() => {
+          log('info', 'Starting backup polling mechanism...');
           deviceService.startPolling(io);
-        } else {
-          setTimeout(() => {
-            log('info', 'Starting backup polling mechanism...');
-            deviceService.startPolling(io);
-          }, 10000);
-        }
+        }, 10000);
       } else {
         log('error', `❌ Failed to connect to device at ${deviceIP}`);
       }
@@ -309,31 +313,34 @@ async function handleAutoDiscovery() {
 
   // ALWAYS start the watchdog.
   // If connected, it monitors. If not connected (failed above), it retries forever.
-  if (!DEVICE_CONFIG.useMockDevice) {
-    log('info', '🛡️ Initializing connection watchdog...');
-    deviceService.startConnectionWatchdog(io);
-  }
+  log('info', '🛡️ Initializing connection watchdog...');
+  deviceService.startConnectionWatchdog(io);
 }
 
 // Handle graceful shutdown
 function stopServer() {
   return new Promise((resolve) => {
     syncService.stopSync();
+    membershipExpiry.stopMembershipExpiryJob();
+    memberCredentials.stopCredentialSync();
     if (deviceService) {
       deviceService.stopPolling();
       if (deviceService.stopConnectionWatchdog) {
         deviceService.stopConnectionWatchdog();
       }
-      deviceService.disconnectFromDevice().then(() => {
-        if (server) {
-          server.close(() => {
-            log('info', 'Server stopped');
+      // Finish queued punches first - anything left is replayed from the journal on the next start
+      deviceService.drainAttendanceQueue()
+        .then(() => deviceService.disconnectFromDevice())
+        .then(() => {
+          if (server) {
+            server.close(() => {
+              log('info', 'Server stopped');
+              resolve();
+            });
+          } else {
             resolve();
-          });
-        } else {
-          resolve();
-        }
-      });
+          }
+        });
     } else {
       resolve();
     }
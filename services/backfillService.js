@@ -0,0 +1,230 @@
+/**
+ * Attendance Backfill Service
+ * Reconciles a device's attendance log with what was already recorded (local attendance
+ * store, the access decision log and, when reachable, Firestore) and ingests only the
+ * missing punches, e.g. everything punched while the desktop app was closed.
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+const { getAttendanceRecordsForDate } = require("./firestoreService");
+const { seedSessions } = require("./attendanceSessionService");
+const { getDateInTimezone, getCurrentDateInTimezone } = require("../utils/dateUtils");
+
+const BACKFILL_SOURCE = "backfilled";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FIRESTORE_READ_TIMEOUT = 20000; // For the whole range - offline, the backfill goes on without Firestore
+
+function getBackfillConfig() {
+  return {
+    onConnect: true,
+    lookbackDays: 3,
+    ...(DEVICE_CONFIG.backfill || {}),
+  };
+}
+
+/**
+ * Resolve and validate a backfill date range (defaults: lookbackDays before today .. today)
+ * @param {string} [from] - YYYY-MM-DD
+ * @param {string} [to] - YYYY-MM-DD
+ * @returns {{ from: string, to: string }}
+ */
+function resolveRange(from, to) {
+  const toDate = to || getCurrentDateInTimezone(DEVICE_CONFIG.timezone);
+  let fromDate = from;
+
+  if (!fromDate && isValidDate(toDate)) {
+    const start = new Date(`${toDate}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - getBackfillConfig().lookbackDays);
+    fromDate = start.toISOString().split("T")[0];
+  }
+
+  if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+    throw new Error("from and to must be dates in YYYY-MM-DD format");
+  }
+  if (fromDate > toDate) {
+    throw new Error("from must not be after to");
+  }
+
+  return { from: fromDate, to: toDate };
+}
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value || "")) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function listDates(from, to) {
+  const dates = [];
+  const cursor = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  while (cursor <= end) {
+    dates.push(cursor.toISOString().split("T")[0]);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+function toMs(value) {
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Punch times already known per biometric id, from stored records and access decisions
+ * (denied punches are never stored as attendance, but must not be re-ingested either)
+ */
+function collectKnownPunches(records, decisions) {
+  const known = new Map(); // biometricDeviceId -> [ms]
+  const add = (biometricId, value) => {
+    const ms = toMs(value);
+    if (biometricId === undefined || biometricId === null || ms === null) return;
+    const key = String(biometricId);
+    if (!known.has(key)) known.set(key, []);
+    known.get(key).push(ms);
+  };
+
+  for (const record of records) {
+    add(record.biometricDeviceId, record.checkInTime);
+    if (record.checkOutTime) add(record.biometricDeviceId, record.checkOutTime);
+  }
+  for (const decision of decisions) {
+    add(decision.biometricDeviceId, decision.punchTime);
+  }
+
+  return known;
+}
+
+/**
+ * Device punches that have no stored counterpart
+ * A stored punch within the duplicate window counts as a match: older live punches were stored with
+ * the processing time (not the device time), and re-scans inside the window were never stored.
+ * @param {object[]} devicePunches - { biometricId, timeMs, raw } sorted by time
+ * @param {Map} known - biometricDeviceId -> [ms]
+ */
+function findMissingPunches(devicePunches, known) {
+  const windowMs = DEVICE_CONFIG.duplicateCheckWindow || 60 * 1000;
+  const missing = [];
+
+  for (const punch of devicePunches) {
+    const times = known.get(punch.biometricId) || [];
+    if (times.some((ms) => Math.abs(ms - punch.timeMs) <= windowMs)) continue;
+
+    missing.push(punch);
+    // Later punches in the same window are re-scans of this one
+    times.push(punch.timeMs);
+    known.set(punch.biometricId, times);
+  }
+
+  return missing;
+}
+
+/**
+ * Firestore records of a date range: synced before the local store existed, or recorded on another machine
+ * Optional - without a service account or network the punches are matched against the local records only.
+ * Read before taking the device lock, so a slow or offline Firestore doesn't hold up polling.
+ * @returns {Promise<{ records: object[], checked: boolean }>}
+ */
+async function getRemoteRecords(from, to) {
+  let timer;
+  try {
+    const days = await Promise.race([
+      Promise.all(listDates(from, to).map((date) => getAttendanceRecordsForDate(date))),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("Firestore read timeout")), FIRESTORE_READ_TIMEOUT);
+      }),
+    ]);
+    return { records: days.flat(), checked: true };
+  } catch (error) {
+    log("warning", `Backfill ${from}..${to}: Firestore not checked (${error.message}) - matching against local records only`);
+    return { records: [], checked: false };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a backfill for one device
+ * @param {object} params
+ * @param {object} params.device - { id, label }
+ * @param {object[]} params.logs - Full device attendance log (zk.getAttendances().data)
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD
+ * @param {object} params.remote - Result of getRemoteRecords for the range
+ * @param {Set<string>} [params.skipKeys] - `${biometricId}|${unixSeconds}` punches already handled in real time
+ * @param {function} params.ingest - async (rawRecord) => saved record or undefined (unknown / ignored user)
+ * @param {string} [params.label] - What is running, for the log
+ * @returns {Promise<object>} Summary
+ */
+async function runBackfill({ device, logs, from, to, remote, skipKeys = new Set(), ingest, label = "Backfill" }) {
+  const startedAt = Date.now();
+  const timezone = DEVICE_CONFIG.timezone;
+
+  const devicePunches = logs
+    .map((raw) => {
+      const timeMs = toMs(raw.record_time ?? raw.recordTime ?? raw.timestamp);
+      return { raw, timeMs, biometricId: String(raw.user_id ?? raw.userId) };
+    })
+    .filter((punch) => punch.timeMs !== null)
+    .filter((punch) => {
+      const date = getDateInTimezone(new Date(punch.timeMs).toISOString(), timezone);
+      return date >= from && date <= to;
+    })
+    .filter((punch) => !skipKeys.has(`${punch.biometricId}|${Math.floor(punch.timeMs / 1000)}`))
+    .sort((a, b) => a.timeMs - b.timeMs);
+
+  const localRecords = await offlineStorage.getStoredAttendance(from, to);
+  const decisions = await offlineStorage.getAccessDecisions(Number.MAX_SAFE_INTEGER, (decision) => {
+    const ms = toMs(decision.punchTime);
+    if (ms === null) return false;
+    const date = getDateInTimezone(new Date(ms).toISOString(), timezone);
+    return date >= from && date <= to;
+  });
+
+  const storedRecords = [...remote.records, ...localRecords];
+  const known = collectKnownPunches(storedRecords, decisions);
+  const missing = findMissingPunches(devicePunches, known);
+
+  let ingested = 0;
+  if (missing.length > 0) {
+    // Continue existing sessions of those days instead of starting over at session 1
+    await seedSessions(storedRecords);
+
+    for (const punch of missing) {
+      const saved = await ingest({ ...punch.raw, timestamp: new Date(punch.timeMs).toISOString() });
+      if (saved) ingested++;
+    }
+  }
+
+  const summary = {
+    deviceId: device.id,
+    deviceLabel: device.label,
+    from,
+    to,
+    devicePunches: devicePunches.length,
+    alreadyRecorded: devicePunches.length - missing.length,
+    missing: missing.length,
+    ingested,
+    skipped: missing.length - ingested, // Unknown users / not saved
+    firestoreChecked: remote.checked,
+    durationMs: Date.now() - startedAt,
+    completedAt: new Date().toISOString(),
+  };
+
+  log(
+    ingested > 0 ? "success" : "info",
+    `🧾 ${label} ${from}..${to} on ${device.label}: ${devicePunches.length} punches on device, ${missing.length} missing, ${ingested} ingested`
+  );
+
+  return summary;
+}
+
+module.exports = {
+  BACKFILL_SOURCE,
+  getBackfillConfig,
+  resolveRange,
+  getRemoteRecords,
+  runBackfill,
+};
@@ -0,0 +1,206 @@
+/**
+ * Biometric ID Service
+ * Biometric IDs are the device user ids members punch in with. Writing a user whose id (or
+ * uid) is already taken silently replaces whoever had it, so ids are checked against the
+ * device users and Firestore members before anything is written. New ids are handed out
+ * above the highest id in use on the connected devices, in Firestore and in the enrollment queue.
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const log = require("../utils/logger");
+const { db } = require("../config/firebaseConfig");
+const { getAllMembers, getCachedMembers } = require("./userService");
+
+const MAX_DEVICE_UID = 3000; // zkteco-js setUser/deleteUser limit
+const DEVICE_ID_LENGTH = 9; // Device user id field
+const DEVICE_NAME_LENGTH = 24;
+const RESERVATION_MS = 10 * 60 * 1000; // A handed-out id is held this long for its registration to arrive
+
+const reservations = new Map(); // biometricDeviceId -> expiresAt
+const claims = new Map(); // biometricDeviceId -> owner currently writing it to a device
+
+function getIdConfig() {
+  return {
+    min: 1,
+    max: 999999999,
+    ...(DEVICE_CONFIG.biometricIds || {}),
+  };
+}
+
+/**
+ * Invalid or colliding biometric ID - retrying won't fix it
+ */
+function idError(message) {
+  const error = new Error(message);
+  error.biometricId = true;
+  return error;
+}
+
+function sameName(a, b) {
+  const normalize = (name) => String(name || "").trim().slice(0, DEVICE_NAME_LENGTH).toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Check a biometric ID is numeric and inside the configured range
+ * @returns {string} The id as written to the device
+ */
+function validateBiometricId(biometricDeviceId) {
+  const id = String(biometricDeviceId ?? "").trim();
+  if (!/^\d+$/.test(id)) {
+    throw idError(`Biometric ID "${id}" must be numeric`);
+  }
+
+  const { min, max } = getIdConfig();
+  if (id.length > DEVICE_ID_LENGTH || Number(id) < min || Number(id) > max) {
+    throw idError(`Biometric ID ${id} is outside the allowed range ${min}-${max}`);
+  }
+  return id;
+}
+
+/**
+ * Who else already holds a biometric ID
+ * The device user or member with the same name (or memberId, when both have one) is the owner itself.
+ * @param {string} biometricDeviceId
+ * @param {object} owner - { name, memberId } of the member the id is meant for
+ * @param {object} holders - { deviceUsers, members }
+ * @returns {string|null} Why the id can't be used, null when it is free or already the owner's
+ */
+function findBiometricIdCollision(biometricDeviceId, owner, { deviceUsers = [], members = [] } = {}) {
+  const id = String(biometricDeviceId);
+
+  const user = deviceUsers.find((u) => String(u.userId) === id);
+  if (user && !sameName(user.name, owner.name)) {
+    return `Biometric ID ${id} is already used on the device by ${user.name || `uid ${user.uid}`}`;
+  }
+
+  const member = members.find((m) => {
+    if (String(m.biometricDeviceId) !== id) return false;
+    return owner.memberId && m.id ? m.id !== owner.memberId : !sameName(m.name, owner.name);
+  });
+  if (member) {
+    return `Biometric ID ${id} already belongs to member ${member.name || member.id}`;
+  }
+  return null;
+}
+
+/**
+ * Device uid (internal record number) for a biometric ID: the id itself when it is a free
+ * uid, otherwise the lowest free one
+ * @param {string} biometricDeviceId
+ * @param {Set<number>} usedUids - uids taken on the device
+ */
+function pickDeviceUid(biometricDeviceId, usedUids) {
+  let uid = parseInt(biometricDeviceId, 10);
+  if (uid > 0 && uid <= MAX_DEVICE_UID && !usedUids.has(uid)) {
+    return uid;
+  }
+  for (uid = 1; uid <= MAX_DEVICE_UID; uid++) {
+    if (!usedUids.has(uid)) return uid;
+  }
+  throw new Error(`The device has no free user slots (max ${MAX_DEVICE_UID})`);
+}
+
+/**
+ * Hold a biometric ID while it is written to a device, so two registrations with the same id
+ * can't both pass the collision check between reading the device users and writing the user
+ * @returns {Function} Release
+ */
+function claimBiometricId(biometricDeviceId, owner) {
+  const id = String(biometricDeviceId);
+  const holder = claims.get(id);
+  if (holder !== undefined && holder !== owner) {
+    throw new Error(`Biometric ID ${id} is being written to the device for another member`);
+  }
+
+  claims.set(id, owner);
+  return () => {
+    if (claims.get(id) === owner) claims.delete(id);
+  };
+}
+
+async function loadMembers() {
+  if (db) {
+    try {
+      return await getAllMembers();
+    } catch (error) {
+      log("warning", `Could not read members from Firestore (${error.message}) - using the cached members`);
+    }
+  }
+  return getCachedMembers();
+}
+
+/**
+ * Hand out the next free biometric ID and hold it for RESERVATION_MS
+ * Devices that are offline can't be checked - they are listed in uncheckedDevices.
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @returns {Promise<object>} { biometricDeviceId, checkedDevices, uncheckedDevices, reservedUntil }
+ */
+async function getNextBiometricId(deviceService, io) {
+  const { min, max } = getIdConfig();
+  const used = new Set();
+  const add = (value) => {
+    const id = String(value ?? "").trim();
+    if (/^\d+$/.test(id)) used.add(Number(id));
+  };
+
+  const checkedDevices = [];
+  const uncheckedDevices = [];
+  for (const device of deviceService.listDevices().filter((d) => d.transport !== "adms")) {
+    if (!device.connected) {
+      uncheckedDevices.push(device.id);
+      continue;
+    }
+    try {
+      const users = await deviceService.runDeviceCommand(io, device.id, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+      users.forEach((user) => add(user.userId));
+      checkedDevices.push(device.id);
+    } catch (error) {
+      log("warning", `Could not read users from ${device.label} for the next biometric ID: ${error.message}`);
+      uncheckedDevices.push(device.id);
+    }
+  }
+
+  (await loadMembers()).forEach((member) => add(member.biometricDeviceId));
+
+  // Registrations still waiting for the device (lazy: the enrollment service uses this module)
+  const { getEnrollmentJobs } = require("./memberEnrollmentService");
+  const { pending, deadLetter } = await getEnrollmentJobs();
+  [...pending, ...deadLetter].forEach((job) => add(job.memberData && job.memberData.biometricDeviceId));
+
+  const now = Date.now();
+  for (const [id, expiresAt] of reservations) {
+    if (expiresAt <= now) reservations.delete(id);
+    else add(id);
+  }
+
+  const inRange = [...used].filter((id) => id >= min && id <= max);
+  let next = inRange.length > 0 ? Math.max(...inRange) + 1 : min;
+  if (next > max) {
+    // Top of the range reached - fill the lowest gap
+    next = min;
+    while (next <= max && used.has(next)) next++;
+    if (next > max) {
+      throw idError(`No free biometric IDs left in ${min}-${max}`);
+    }
+  }
+
+  const biometricDeviceId = String(next);
+  const reservedUntil = now + RESERVATION_MS;
+  reservations.set(biometricDeviceId, reservedUntil);
+  if (uncheckedDevices.length > 0) {
+    log("warning", `⚠️ Biometric ID ${biometricDeviceId} handed out without checking ${uncheckedDevices.join(", ")} (offline)`);
+  }
+
+  return { biometricDeviceId, checkedDevices, uncheckedDevices, reservedUntil: new Date(reservedUntil).toISOString() };
+}
+
+module.exports = {
+  MAX_DEVICE_UID,
+  validateBiometricId,
+  findBiometricIdCollision,
+  pickDeviceUid,
+  claimBiometricId,
+  getNextBiometricId,
+};
@@ -0,0 +1,94 @@
+/**
+ * Device Clock Sync Service
+ * Measures how far a device clock is off from host time and converts between real
+ * instants and the device's wall clock (attendance dates come from device timestamps).
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const { getTimezoneOffsetMs, parseDateTimeInTimezone } = require("../utils/dateUtils");
+
+function getClockSyncConfig() {
+  return {
+    enabled: true,
+    checkIntervalMinutes: 30,
+    toleranceSeconds: 60,
+    autoSync: true,
+    ...(DEVICE_CONFIG.clockSync || {}),
+  };
+}
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * zkteco-js decodes the device clock into a Date built from host-local fields.
+ * Read those fields back as wall-clock time in the configured timezone.
+ * @param {Date} deviceDate - Date returned by zk.getTime()
+ * @returns {number|null} Epoch ms of the instant the device clock shows
+ */
+function deviceDateToInstant(deviceDate) {
+  const wallClock = `${deviceDate.getFullYear()}-${pad(deviceDate.getMonth() + 1)}-${pad(deviceDate.getDate())} ` +
+    `${pad(deviceDate.getHours())}:${pad(deviceDate.getMinutes())}:${pad(deviceDate.getSeconds())}`;
+  const iso = parseDateTimeInTimezone(wallClock, DEVICE_CONFIG.timezone);
+  return iso ? Date.parse(iso) : null;
+}
+
+/**
+ * Inverse of deviceDateToInstant: a Date whose host-local fields are the wall-clock time
+ * of `instant` in the configured timezone (what zk.setTime() expects)
+ * @param {Date} instant
+ */
+function instantToDeviceDate(instant) {
+  const wall = new Date(instant.getTime() + getTimezoneOffsetMs(instant, DEVICE_CONFIG.timezone));
+  return new Date(
+    wall.getUTCFullYear(),
+    wall.getUTCMonth(),
+    wall.getUTCDate(),
+    wall.getUTCHours(),
+    wall.getUTCMinutes(),
+    wall.getUTCSeconds()
+  );
+}
+
+/**
+ * Read the device clock and compare it with host time
+ * @param {object} zk - Connected zkteco-js instance
+ * @returns {Promise<{deviceTime: string, hostTime: string, driftSeconds: number, withinTolerance: boolean}>}
+ *   driftSeconds > 0 means the device clock is ahead
+ */
+async function measureDrift(zk) {
+  const before = Date.now();
+  const deviceDate = await zk.getTime();
+  const after = Date.now();
+
+  const deviceInstant = deviceDateToInstant(deviceDate);
+  if (deviceInstant === null) {
+    throw new Error("Device returned an invalid time");
+  }
+
+  // Compare against the middle of the round trip
+  const hostInstant = Math.round((before + after) / 2);
+  const driftSeconds = Math.round((deviceInstant - hostInstant) / 1000);
+
+  return {
+    deviceTime: new Date(deviceInstant).toISOString(),
+    hostTime: new Date(hostInstant).toISOString(),
+    driftSeconds,
+    withinTolerance: Math.abs(driftSeconds) <= getClockSyncConfig().toleranceSeconds,
+  };
+}
+
+/**
+ * Set the device clock to host time
+ * @param {object} zk - Connected zkteco-js instance
+ */
+async function setDeviceClock(zk) {
+  await zk.setTime(instantToDeviceDate(new Date()));
+}
+
+module.exports = {
+  getClockSyncConfig,
+  deviceDateToInstant,
+  instantToDeviceDate,
+  measureDrift,
+  setDeviceClock,
+};
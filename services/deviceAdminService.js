@@ -0,0 +1,126 @@
+/**
+ * Device Administration Service
+ * Maintenance commands for devices we connect to (restart, power-off, clearing the attendance
+ * log or admin privileges, door, voice and LCD). Every command goes through the device's circuit
+ * breaker and is written to the device audit trail, whether it succeeded or not.
+ */
+
+const { COMMANDS } = require("zkteco-js/src/helper/command");
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+
+const MAX_LCD_MESSAGE_LENGTH = 64;
+const MAX_UNLOCK_SECONDS = 60;
+
+/**
+ * Available commands: (deviceService, io, deviceId, params) => result
+ */
+const ACTIONS = {
+  restart: (deviceService, io, deviceId) =>
+    deviceService.runDeviceCommand(io, deviceId, (zk) => zk.executeCmd(COMMANDS.CMD_RESTART, ""), { disconnect: true })
+      .then(() => ({})),
+
+  power_off: (deviceService, io, deviceId) =>
+    deviceService.runDeviceCommand(io, deviceId, (zk) => zk.executeCmd(COMMANDS.CMD_POWEROFF, ""), { disconnect: true })
+      .then(() => ({})),
+
+  clear_attendance_log: async (deviceService, io, deviceId) => {
+    let archiveFile = null;
+    const { archived } = await deviceService.clearAttendanceLog(io, deviceId, async (records, device) => {
+      const archive = await offlineStorage.saveDeviceLogArchive(device.id, records);
+      archiveFile = archive.file;
+      return archive.count;
+    });
+    return { archived, archiveFile };
+  },
+
+  clear_admins: (deviceService, io, deviceId) =>
+    deviceService.runDeviceCommand(io, deviceId, (zk) => zk.executeCmd(COMMANDS.CMD_CLEAR_ADMIN, ""))
+      .then(() => ({})),
+
+  unlock: (deviceService, io, deviceId, { seconds }) =>
+    deviceService.runDeviceCommand(io, deviceId, (zk) => zk.executeCmd(COMMANDS.CMD_UNLOCK, encodeUnlockDuration(seconds)))
+      .then(() => ({ seconds })),
+
+  test_voice: (deviceService, io, deviceId) =>
+    deviceService.runDeviceCommand(io, deviceId, (zk) => zk.voiceTest()).then(() => ({})),
+
+  show_message: (deviceService, io, deviceId, { message, line }) =>
+    deviceService.runDeviceCommand(io, deviceId, (zk) => zk.executeCmd(COMMANDS.CMD_WRITE_LCD, encodeLcdMessage(message, line)))
+      .then(() => ({ message, line })),
+
+  clear_message: (deviceService, io, deviceId) =>
+    deviceService.runDeviceCommand(io, deviceId, (zk) => zk.executeCmd(COMMANDS.CMD_CLEAR_LCD, "")).then(() => ({})),
+};
+
+/**
+ * CMD_UNLOCK payload: open duration in tenths of a second (uint32)
+ */
+function encodeUnlockDuration(seconds) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(Math.max(1, Math.round(seconds * 10)), 0);
+  return data;
+}
+
+/**
+ * CMD_WRITE_LCD payload: line number (int16), 0, space, ASCII text
+ */
+function encodeLcdMessage(message, line = 1) {
+  const header = Buffer.alloc(3);
+  header.writeInt16LE(line, 0);
+  return Buffer.concat([header, Buffer.from(` ${message}`, "ascii")]);
+}
+
+/**
+ * Run an admin command and record it in the audit trail
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {object} request
+ * @param {string} request.action - Key of ACTIONS
+ * @param {string} [request.deviceId] - Primary device when omitted
+ * @param {object} [request.params] - Action parameters (seconds, message, line)
+ * @param {string} [request.staff] - Who requested it
+ * @returns {Promise<object>} Audit entry ({ success, result | error, ... })
+ */
+async function runAdminAction(deviceService, io, { action, deviceId, params = {}, staff = null }) {
+  const run = ACTIONS[action];
+  if (!run) {
+    throw new Error(`Unknown device action: ${action}`);
+  }
+
+  const device = deviceService.getDeviceInfo(deviceId);
+  const startedAt = Date.now();
+  const entry = {
+    action,
+    deviceId: device ? device.id : deviceId,
+    deviceLabel: device ? device.label : null,
+    params,
+    staff,
+    requestedAt: new Date(startedAt).toISOString(),
+  };
+
+  try {
+    entry.result = await run(deviceService, io, entry.deviceId, params);
+    entry.success = true;
+    log("success", `🛠️ ${action} on ${entry.deviceLabel || entry.deviceId}${staff ? ` (by ${staff})` : ""}`);
+  } catch (error) {
+    entry.success = false;
+    entry.error = error.message;
+    log("error", `❌ ${action} on ${entry.deviceLabel || entry.deviceId} failed: ${error.message}`);
+  }
+  entry.durationMs = Date.now() - startedAt;
+
+  if (!await offlineStorage.saveDeviceAuditEntry(entry)) {
+    log("error", `❌ Failed to write audit entry for ${action} on ${entry.deviceLabel || entry.deviceId}`);
+  }
+  io.emit("device_admin_action", entry);
+
+  return entry;
+}
+
+module.exports = {
+  ACTIONS: Object.keys(ACTIONS),
+  MAX_LCD_MESSAGE_LENGTH,
+  MAX_UNLOCK_SECONDS,
+  runAdminAction,
+};
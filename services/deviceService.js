@@ -1,96 +1,301 @@
 const ZKLib = require("zkteco-js");
 const DEVICE_CONFIG = require("../config/deviceConfig");
 const log = require("../utils/logger");
-const { saveAttendanceRecord } = require("./firestoreService");
+const { saveAttendanceRecord, getAttendanceRecordId } = require("./firestoreService");
 const { getUserByBiometricId } = require("./userService");
 const { getDateInTimezone } = require("../utils/dateUtils");
 const { retryWithBackoff, CircuitBreaker } = require("../utils/retryHelper");
 const offlineStorage = require("./offlineStorage");
+const { applyPunch } = require("./attendanceSessionService");
+const { getVerifyMethod } = require("./memberCredentialService");
+const accessControl = require("./accessControlService");
+const logWatermark = require("./logWatermarkService");
+const backfillService = require("./backfillService");
+const clockSync = require("./clockSyncService");
+const { COMMANDS } = require("zkteco-js/src/helper/command");
 const performanceMonitor = require("../utils/performanceMonitor");
+const eventJournal = require("./attendanceEventJournal");
+const duplicateSuppression = require("./duplicateSuppressionService");
 const EventEmitter = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
 
 // Increase default max listeners globally to prevent warnings
 EventEmitter.defaultMaxListeners = 100;
 
-let zk = null;
-let isConnected = false;
-let pollingInterval = null;
-let lastLogCount = 0;
-let isInitialSync = true; // Flag to track initial sync
-let realtimeListenerSetup = false;
-let lastRealtimeEventTime = null;
-let realtimeFailureCount = 0;
-let pollingFailureCount = 0;
 const MAX_POLLING_FAILURES = 2; // REDUCED: Detect disconnect faster (2 x 5s = ~10s)
 
-// Duplicate detection cache: biometricId -> last processed timestamp (ms)
-// Duplicate detection cache: biometricId -> last processed timestamp (ms)
-const DUPLICATE_WINDOW_MS = DEVICE_CONFIG.duplicateCheckWindow || 60 * 1000; // Default to config or 1 minute
-const RECENT_CACHE_PRUNE_INTERVAL_MS = 60 * 1000; // MEMORY OPTIMIZATION: 1 minute (was 5 minutes)
-const MAX_RECENT_CACHE_SIZE = 1000; // MEMORY OPTIMIZATION: Prevent unbounded growth
-const recentAttendanceCache = new Map();
+// ========================================
+// Device Registry
+// ========================================
+// Each terminal (entrance, back door, ...) gets its own connection, watchdog,
+// polling state and circuit breaker. Single-device installs keep working off the
+// top-level ip/port in deviceConfig (auto-discovery and user settings update those).
+const DEFAULT_DEVICE_ID = "main";
+const devices = new Map(); // deviceId -> device state
+
+/**
+ * Create the runtime state for a registered device
+ * @param {object} definition - { id, label, ip, port }
+ * @param {boolean} followsGlobalConfig - If true, ip/port are re-read from DEVICE_CONFIG on connect
+ */
+function createDeviceState(definition, followsGlobalConfig = false) {
+  const id = String(definition.id);
+  const label = definition.label || `Device ${id}`;
+
+  return {
+    id,
+    label,
+    ip: definition.ip,
+    port: definition.port || 4370,
+    transport: definition.transport || "tcp", // "tcp" (zkteco-js pull) or "adms" (HTTP push)
+    serialNumber: definition.serialNumber || null,
+    lastSeenAt: null, // Push devices only: last request received from the terminal
+    followsGlobalConfig,
+    zk: null,
+    isConnected: false,
+    pollingInterval: null,
+    watchdogInterval: null,
+    realtimeListenerSetup: false,
+    lastRealtimeEventTime: null,
+    realtimeFailureCount: 0,
+    pollingFailureCount: 0,
+    activeTask: null, // In-flight exclusive device operation (log pull, backfill, clock check)
+    lockToken: null, // Identifies the holder of the device lock (see withDeviceLock)
+    clock: null, // Last clock reading: { deviceTime, hostTime, driftSeconds, withinTolerance, checkedAt, lastSyncedAt }
+    clockInterval: null,
+    permanentPollingMode: false, // Once we switch to polling, stay there
+    // Circuit breaker for device connections
+    circuitBreaker: new CircuitBreaker({
+      failureThreshold: 3,
+      resetTimeout: 30000, // 30 seconds
+      operationName: `Device Connection (${label})`,
+    }),
+  };
+}
+
+/**
+ * Build the registry from config
+ * Uses DEVICE_CONFIG.devices when present, otherwise a single device on DEVICE_CONFIG.ip
+ */
+function loadDeviceRegistry() {
+  const configured = Array.isArray(DEVICE_CONFIG.devices) ? DEVICE_CONFIG.devices : [];
 
-// MEMORY OPTIMIZATION: More frequent cleanup and size limit
-setInterval(() => {
-  const now = Date.now();
+  if (configured.length === 0) {
+    devices.set(
+      DEFAULT_DEVICE_ID,
+      createDeviceState({ id: DEFAULT_DEVICE_ID, label: "eSSL K30 Pro", ip: DEVICE_CONFIG.ip, port: DEVICE_CONFIG.port }, true)
+    );
+    return;
+  }
 
-  // Remove expired entries
-  for (const [key, ts] of recentAttendanceCache.entries()) {
-    if (now - ts > DUPLICATE_WINDOW_MS) {
-      recentAttendanceCache.delete(key);
+  for (const definition of configured) {
+    if (definition.id === undefined || definition.id === null || !definition.ip) {
+      log("warning", "Skipping device entry without id or ip in deviceConfig.devices", definition);
+      continue;
+    }
+    if (devices.has(String(definition.id))) {
+      log("warning", `Duplicate device id "${definition.id}" in deviceConfig.devices - keeping the first entry`);
+      continue;
     }
+    devices.set(String(definition.id), createDeviceState(definition));
+  }
+
+  log("info", `📟 Device registry loaded: ${Array.from(devices.values()).map((d) => `${d.label} (${d.ip})`).join(", ")}`);
+}
+
+loadDeviceRegistry();
+
+/**
+ * Get a device by id. Without an id, the primary (first registered) device is returned.
+ * @param {string} [deviceId]
+ * @returns {object|null} Device state or null if the id is unknown
+ */
+function getDevice(deviceId) {
+  if (deviceId === undefined || deviceId === null || deviceId === "") {
+    return devices.values().next().value || null;
+  }
+  return devices.get(String(deviceId)) || null;
+}
+
+/**
+ * Resolve the devices an operation applies to: one device if an id is given, otherwise all
+ */
+function resolveDevices(deviceId) {
+  if (deviceId === undefined || deviceId === null || deviceId === "") {
+    return Array.from(devices.values());
   }
+  const device = getDevice(deviceId);
+  return device ? [device] : [];
+}
+
+/**
+ * Like resolveDevices, but only devices we connect to and poll (push devices connect to us)
+ */
+function resolvePullDevices(deviceId) {
+  return resolveDevices(deviceId).filter((device) => device.transport !== "adms");
+}
 
-  // If still too large, remove oldest entries (LRU eviction)
-  if (recentAttendanceCache.size > MAX_RECENT_CACHE_SIZE) {
-    const sortedEntries = Array.from(recentAttendanceCache.entries())
-      .sort((a, b) => a[1] - b[1]); // Sort by timestamp (oldest first)
+/**
+ * Register (or return) a terminal that pushes over the ADMS/iclock HTTP protocol
+ * @param {object} definition - { id, label, serialNumber, ip }
+ */
+function registerPushDevice(definition) {
+  const id = String(definition.id);
+  const existing = devices.get(id);
+  if (existing) return existing;
+
+  const device = createDeviceState({ ...definition, port: null, transport: "adms" });
+  devices.set(id, device);
+  log("info", `📟 Registered push device ${device.label} (SN ${device.serialNumber})`);
+  return device;
+}
+
+/**
+ * Record activity from a push device, emitting a status update when it comes online
+ */
+function markPushDeviceSeen(io, deviceId, ip) {
+  const device = getDevice(deviceId);
+  if (!device) return;
 
-    const toRemove = recentAttendanceCache.size - MAX_RECENT_CACHE_SIZE;
-    for (let i = 0; i < toRemove; i++) {
-      recentAttendanceCache.delete(sortedEntries[i][0]);
+  device.lastSeenAt = Date.now();
+  if (ip) device.ip = ip;
+
+  if (!device.isConnected) {
+    device.isConnected = true;
+    log("success", `✅ Push device online: ${device.label} (${device.ip})`);
+    if (io) emitDeviceStatus(io, device, { connected: true, message: `${device.label} is pushing over ADMS` });
+  }
+}
+
+/**
+ * Mark push devices offline when they have not contacted us within maxSilenceMs
+ */
+function markStalePushDevices(io, maxSilenceMs) {
+  for (const device of devices.values()) {
+    if (device.transport !== "adms" || !device.isConnected) continue;
+    if (Date.now() - device.lastSeenAt > maxSilenceMs) {
+      device.isConnected = false;
+      log("warning", `⚠️ Push device silent for ${Math.round(maxSilenceMs / 1000)}s: ${device.label}`);
+      if (io) emitDeviceStatus(io, device, { connected: false, message: `${device.label} stopped pushing` });
     }
+  }
+}
+
+/**
+ * Refresh ip/port of the implicit single device from DEVICE_CONFIG
+ */
+function syncGlobalEndpoint(device) {
+  if (device.followsGlobalConfig) {
+    device.ip = DEVICE_CONFIG.ip;
+    device.port = DEVICE_CONFIG.port;
+  }
+}
+
+/**
+ * Point a device at a new endpoint (manual connect). Defaults to the primary device.
+ * @returns {boolean} False if the device id is unknown
+ */
+function setDeviceEndpoint(deviceId, ip, port) {
+  const device = getDevice(deviceId);
+  if (!device) return false;
 
-    log("warning", `Duplicate cache: Evicted ${toRemove} oldest entries (size limit: ${MAX_RECENT_CACHE_SIZE})`);
+  if (device.followsGlobalConfig) {
+    DEVICE_CONFIG.ip = ip;
+    if (port) DEVICE_CONFIG.port = port;
   }
-}, RECENT_CACHE_PRUNE_INTERVAL_MS);
+  device.ip = ip;
+  if (port) device.port = port;
+  return true;
+}
 
-// Circuit breaker for device connections
-const deviceCircuitBreaker = new CircuitBreaker({
-  failureThreshold: 3,
-  resetTimeout: 30000, // 30 seconds
-  operationName: "Device Connection",
-});
+/**
+ * Emit a per-device status update
+ */
+function emitDeviceStatus(io, device, status) {
+  io.emit("device_status", {
+    deviceId: device.id,
+    deviceLabel: device.label,
+    deviceIp: device.ip,
+    ...status,
+  });
+}
 
 // Polling configuration
 const POLLING_INTERVAL = 5000; // REDUCED: Check every 5 seconds (was 10s)
 const REALTIME_TIMEOUT = 60000; // If no real-time event in 60s, assume failure (increased from 30s)
 const MAX_REALTIME_FAILURES = 3; // After 3 failures, switch to polling mode
-let permanentPollingMode = false; // Once we switch to polling, stay there
 
 // ========================================
 // CRITICAL FIX: Async Event Queue
 // ========================================
 // This queue prevents event loop blocking during peak hours
-// Events are queued immediately and processed in background
+// Events are queued immediately and processed in background.
+// Every event is journaled to disk first (see attendanceEventJournal) and replayed after a crash.
 const attendanceEventQueue = [];
 let isProcessingQueue = false;
+let spilledFromSeq = null; // Queue was full: events from this seq on are only in the journal
 const QUEUE_BATCH_SIZE = 10; // Process 10 events at a time
 const QUEUE_PROCESS_DELAY = 100; // 100ms delay between batches
+const MAX_QUEUE_SIZE = 5000; // Protection against memory overflow - later events wait in the journal
+
+/**
+ * Internal: Event back from the journal (replay or spill)
+ * Events without a device punch time are stamped when processed, so these keep the time they were received instead.
+ */
+function fromJournal({ seq, receivedAt, data, source, deviceId }) {
+  const hasTime = data && (data.timestamp || data.recordTime || data.record_time || data.attTime);
+  return {
+    seq,
+    receivedAt,
+    source,
+    deviceId,
+    data: hasTime ? data : { ...data, timestamp: new Date(receivedAt).toISOString() },
+  };
+}
+
+/**
+ * Internal: Move journaled events back into memory once the queue has drained
+ */
+function refillFromJournal() {
+  try {
+    const events = eventJournal.readOutstanding(spilledFromSeq, MAX_QUEUE_SIZE);
+    attendanceEventQueue.push(...events.map(fromJournal));
+    spilledFromSeq = events.length === MAX_QUEUE_SIZE ? events[events.length - 1].seq + 1 : null;
+    log("info", `📒 Loaded ${events.length} attendance event(s) from the journal`);
+  } catch (error) {
+    log("error", `Failed to read the event journal: ${error.message}`);
+    spilledFromSeq = null; // Left in the journal - replayed on the next start
+  }
+}
+
+// Events the previous run didn't process go first (processing starts with replayJournaledEvents)
+try {
+  const journaledEvents = eventJournal.open();
+  attendanceEventQueue.push(...journaledEvents.slice(0, MAX_QUEUE_SIZE).map(fromJournal));
+  if (journaledEvents.length > MAX_QUEUE_SIZE) spilledFromSeq = journaledEvents[MAX_QUEUE_SIZE].seq;
+} catch (error) {
+  log("error", `Failed to open the event journal: ${error.message}`);
+}
+
+// Restore the last punch per member before the first event is checked against it
+duplicateSuppression.init();
 
 /**
  * Process the attendance event queue in background
  * This prevents blocking the event loop during peak hours
  */
 async function processAttendanceQueue(io) {
-  if (isProcessingQueue || attendanceEventQueue.length === 0) {
+  if (isProcessingQueue || (attendanceEventQueue.length === 0 && spilledFromSeq === null)) {
     return;
   }
 
   isProcessingQueue = true;
 
   try {
-    while (attendanceEventQueue.length > 0) {
+    while (attendanceEventQueue.length > 0 || spilledFromSeq !== null) {
+      if (attendanceEventQueue.length === 0) refillFromJournal();
+      if (attendanceEventQueue.length === 0) break;
+
       // Take batch from queue
       const batch = attendanceEventQueue.splice(0, QUEUE_BATCH_SIZE);
 
@@ -102,8 +307,8 @@ async function processAttendanceQueue(io) {
       // Process batch in parallel for maximum throughput
       const startTime = Date.now();
       await Promise.all(
-        batch.map(({ data, source }) =>
-          processAndSaveRecord(data, source, io).catch((err) => {
+        batch.map(({ data, source, deviceId, receivedAt }) =>
+          processAndSaveRecord(data, source, io, getDevice(deviceId), { receivedAt }).catch((err) => {
             log("error", `Failed to process attendance event:`, err.message);
           })
         )
@@ -111,6 +316,7 @@ async function processAttendanceQueue(io) {
 
       const batchTime = Date.now() - startTime;
       performanceMonitor.recordProcessingTime(batchTime / batch.length);
+      eventJournal.complete(batch.map((event) => event.seq).filter((seq) => seq !== undefined));
 
       // Small delay between batches to prevent overwhelming the system
       if (attendanceEventQueue.length > 0) {
@@ -124,37 +330,210 @@ async function processAttendanceQueue(io) {
     performanceMonitor.updateQueueSize(attendanceEventQueue.length);
 
     // If more items added while processing, schedule next run
-    if (attendanceEventQueue.length > 0) {
+    if (attendanceEventQueue.length > 0 || spilledFromSeq !== null) {
       setImmediate(() => processAttendanceQueue(io));
     }
   }
 }
 
-const MAX_QUEUE_SIZE = 5000; // Protection against memory overflow
-
 /**
- * Queue an attendance event for background processing
- * This is NON-BLOCKING and returns immediately
+ * Queue attendance events for background processing
+ * The events are on disk when this returns; it doesn't wait for them to be processed.
+ * @param {object[]} records - Raw device records
+ * @param {string} [deviceId] - Source device (defaults to the primary device)
+ * @returns {number} Events accepted (fewer only when the journal fails and the queue is full)
  */
-function queueAttendanceEvent(data, source, io) {
-  // Protection: Drop events if queue is too large (prevents RAM saturation)
-  if (attendanceEventQueue.length >= MAX_QUEUE_SIZE) {
-    log("warning", `⚠️ Queue overflow! Dropping attendance event from ${source} (Queue size: ${attendanceEventQueue.length})`);
-    // Optional: Emit alert to UI
-    return;
+function queueAttendanceEvents(records, source, io, deviceId) {
+  if (records.length === 0) return 0;
+
+  let events = records.map((data) => ({ data, source, deviceId, receivedAt: Date.now() }));
+  let journaled = true;
+  try {
+    events = eventJournal.append(events);
+  } catch (error) {
+    journaled = false;
+    log("error", `Failed to journal ${events.length} attendance event(s) from ${source}: ${error.message}`);
   }
 
-  attendanceEventQueue.push({ data, source, timestamp: Date.now() });
+  let accepted = events.length;
+  if (spilledFromSeq === null && attendanceEventQueue.length + events.length > MAX_QUEUE_SIZE) {
+    if (journaled) {
+      // Protection against RAM saturation: keep the rest on disk until the queue drains
+      const room = Math.max(MAX_QUEUE_SIZE - attendanceEventQueue.length, 0);
+      attendanceEventQueue.push(...events.slice(0, room));
+      spilledFromSeq = events[room].seq;
+      log("warning", `⚠️ Attendance queue full (${MAX_QUEUE_SIZE}) - holding new events in the journal until it drains`);
+    } else {
+      accepted = Math.max(MAX_QUEUE_SIZE - attendanceEventQueue.length, 0);
+      attendanceEventQueue.push(...events.slice(0, accepted));
+      log("warning", `⚠️ Queue overflow! Dropping ${events.length - accepted} attendance event(s) from ${source}`);
+    }
+  } else if (spilledFromSeq === null) {
+    attendanceEventQueue.push(...events);
+  } else if (!journaled) {
+    // Can't go behind the spilled events - process now rather than lose them
+    attendanceEventQueue.push(...events);
+  }
   performanceMonitor.updateQueueSize(attendanceEventQueue.length);
 
   // Trigger processing (non-blocking)
   setImmediate(() => processAttendanceQueue(io));
+  return accepted;
+}
+
+/**
+ * Queue an attendance event for background processing
+ * This is NON-BLOCKING and returns immediately
+ * @param {string} [deviceId] - Source device (defaults to the primary device)
+ * @returns {boolean} false if the event was dropped
+ */
+function queueAttendanceEvent(data, source, io, deviceId) {
+  return queueAttendanceEvents([data], source, io, deviceId) === 1;
+}
+
+/**
+ * Start processing events left over from the previous run
+ */
+function replayJournaledEvents(io) {
+  const pending = eventJournal.getOutstandingCount();
+  if (pending === 0) return;
+
+  log("info", `📒 Replaying ${pending} journaled attendance event(s)...`);
+  setImmediate(() => processAttendanceQueue(io));
+}
+
+/**
+ * Wait for the attendance queue to drain (graceful shutdown)
+ * Whatever is left after the timeout stays in the journal for the next start.
+ * @returns {Promise<number>} Events not processed
+ */
+async function drainAttendanceQueue(timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while ((isProcessingQueue || attendanceEventQueue.length > 0 || spilledFromSeq !== null) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  await duplicateSuppression.flush();
+
+  const remaining = eventJournal.getOutstandingCount();
+  if (remaining > 0) {
+    log("warning", `⚠️ ${remaining} attendance event(s) not processed before shutdown - kept in the journal`);
+  }
+  return remaining;
+}
+
+const DOOR_LOCK_WAIT = 3000; // Longest a door unlock waits for a busy device
+const DOOR_UNLOCK_TIMEOUT = 3000;
+
+/**
+ * Pulse the door relay of a device for a punch being processed
+ * Runs under the device lock. A door opened long after the punch no longer helps the member at it,
+ * so the unlock is given up when the device stays busy (e.g. a backfill) for DOOR_LOCK_WAIT.
+ * Staff unlocks go through runDeviceCommand (deviceAdminService).
+ * @param {string} [deviceId] - Device to unlock (primary device when omitted)
+ * @param {number} [seconds] - How long the lock stays open
+ */
+async function unlockDoor(deviceId, seconds = accessControl.getAccessConfig().unlockSeconds) {
+  const device = getDevice(deviceId);
+  if (!device) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+
+  // CMD_UNLOCK takes the open duration in tenths of a second
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(Math.max(1, Math.round(seconds * 10)), 0);
+
+  const deadline = Date.now() + DOOR_LOCK_WAIT;
+  const unlock = withDeviceLock(device, async () => {
+    if (Date.now() > deadline) {
+      throw new Error(`${device.label} is busy - door not opened`);
+    }
+    if (!device.isConnected || !device.zk) {
+      throw new Error(`${device.label} is not connected`);
+    }
+    await device.circuitBreaker.execute(() => withTimeout(
+      device.zk.executeCmd(COMMANDS.CMD_UNLOCK, data), DOOR_UNLOCK_TIMEOUT, "Door unlock timeout"));
+  });
+  unlock.catch(() => {}); // Settles later when the wait below gives up first
+
+  await withTimeout(unlock, DOOR_LOCK_WAIT + DOOR_UNLOCK_TIMEOUT, `${device.label} is busy - door not opened`);
+  log("info", `🔓 Door unlocked on ${device.label} for ${seconds}s`);
+}
+
+/**
+ * Run the access decision for a punch: record it, broadcast it and drive the door relay
+ * @param {object|null} userDetails - Member (null = unknown biometric id)
+ * @param {object} context - { biometricId, timestamp, receivedAt, source, device, override }
+ *   receivedAt (ISO) decides whether the door may still open - the device clock can drift
+ * @returns {Promise<object|null>} Recorded decision, or null when access control is disabled
+ */
+async function applyAccessControl(userDetails, { biometricId, timestamp, receivedAt, source, device, override }, io) {
+  if (!accessControl.getAccessConfig().enabled && !override) {
+    return null;
+  }
+
+  const evaluation = accessControl.evaluateAccess(userDetails, timestamp);
+  const decision = override
+    ? {
+      decision: accessControl.DECISIONS.OVERRIDDEN,
+      reason: override.reason || "staff_override",
+      originalDecision: evaluation.decision,
+      originalReason: evaluation.reason,
+      overriddenBy: override.staff || null,
+    }
+    : { decision: evaluation.decision, reason: evaluation.reason };
+
+  let doorUnlocked = false;
+  // Push (ADMS) terminals report punches after the fact - their door can't be driven from here
+  const admitted = decision.decision !== accessControl.DECISIONS.DENIED;
+  const canDriveDoor = !device || device.transport !== "adms";
+  if (admitted && canDriveDoor && (override || accessControl.shouldActuateDoor(receivedAt || timestamp))) {
+    try {
+      await unlockDoor(device?.id);
+      doorUnlocked = true;
+    } catch (error) {
+      log("error", `Failed to unlock door for ${biometricId}: ${error.message}`);
+    }
+  }
+
+  return accessControl.recordDecision({
+    ...decision,
+    biometricDeviceId: biometricId,
+    userId: userDetails ? userDetails.id : null,
+    name: userDetails ? userDetails.name : null,
+    membershipStatus: userDetails ? userDetails.membershipStatus || null : null,
+    membershipEndDate: userDetails ? userDetails.membershipEnd || null : null,
+    accessExpiryDate: evaluation.accessExpiryDate,
+    punchTime: timestamp,
+    source,
+    deviceId: device ? device.id : null,
+    deviceLabel: device ? device.label : null,
+    doorUnlocked,
+    // The backend drives this door, so a denied member was kept out (otherwise the device let them in)
+    doorHeld: !admitted && canDriveDoor && accessControl.getAccessConfig().controlDoor,
+  }, io);
 }
 
 // Helper to process and enrich attendance data
-async function processAndSaveRecord(rawRecord, source, io) {
+// options.override = { staff, reason } admits the member regardless of the access decision
+// options.backfilled = true for historical punches found by a backfill (already diffed, no door, no live UI)
+// options.recordSource overrides the stored source of such punches (e.g. a USB log import)
+// options.receivedAt (ms) = when a queued event arrived, for the door decision
+async function processAndSaveRecord(rawRecord, source, io, device = getDevice(), options = {}) {
   const now = new Date();
-  const timestamp = rawRecord.timestamp || rawRecord.recordTime || rawRecord.record_time || now.toISOString();
+  // The device's punch time (realtime events carry it as attTime), so every path records the same time for a punch
+  const punchTime = rawRecord.timestamp || rawRecord.recordTime || rawRecord.record_time || rawRecord.attTime;
+  const timestamp = punchTime && !Number.isNaN(new Date(punchTime).getTime())
+    ? new Date(punchTime).toISOString()
+    : now.toISOString();
+  const receivedAt = options.receivedAt ? new Date(options.receivedAt).toISOString() : undefined;
+
+  // Finger, card or PIN (zkteco-js calls the verify type of polled logs "type")
+  const verifyMethod = getVerifyMethod(rawRecord.verifyType ?? rawRecord.type);
+
+  // Tag every record with the terminal it came from
+  const deviceId = device ? device.id : null;
+  const deviceLabel = device ? device.label : null;
 
   // Handle both userId and user_id (device sends user_id in snake_case)
   const userId = rawRecord.userId ?? rawRecord.user_id;
@@ -168,37 +547,60 @@ async function processAndSaveRecord(rawRecord, source, io) {
   const biometricId = String(userId);
   const startTime = Date.now();
 
-  // Duplicate suppression: ignore repeated authenticates for the same biometricId within the window
+  // Query user by biometricDeviceId (cached) - the duplicate window can depend on the member's category
+  const [userDetails] = await Promise.all([getUserByBiometricId(biometricId), duplicateSuppression.init()]);
+  const lookupTime = Date.now() - startTime;
+
+  // Duplicate suppression: ignore repeated authenticates for the same biometricId within the window.
+  // Checked and remembered in one step, so two scans processed in the same queue batch can't both pass.
   const parsedTs = Date.parse(timestamp);
   const recordTimeMs = Number.isNaN(parsedTs) ? Date.now() : parsedTs;
-  const lastProcessed = recentAttendanceCache.get(biometricId);
-  if (lastProcessed && (recordTimeMs - lastProcessed) < DUPLICATE_WINDOW_MS) {
-    log("info", `Duplicate attendance ignored for biometricId ${biometricId} (within ${DUPLICATE_WINDOW_MS / 1000}s)`);
-    io.to("attendance").emit("attendance_duplicate_ignored", {
-      biometricDeviceId: biometricId,
-      timestamp: timestamp,
-      windowSeconds: DUPLICATE_WINDOW_MS / 1000
+  // Backfilled punches were already matched against stored records - the live state doesn't apply
+  if (!options.backfilled) {
+    const { duplicate, windowMs } = duplicateSuppression.checkAndRecord(biometricId, recordTimeMs, {
+      deviceId,
+      member: userDetails,
+      force: Boolean(options.override),
     });
-    return; // Skip duplicate
-  }
+    if (duplicate) {
+      log("info", `Duplicate attendance ignored for biometricId ${biometricId} (within ${windowMs / 1000}s)`);
 
-  // Record this event's timestamp so subsequent duplicates within the window are ignored
-  recentAttendanceCache.set(biometricId, recordTimeMs);
+      // A re-scan at the door must still open it, even though no new attendance is recorded
+      if (accessControl.getAccessConfig().enabled && accessControl.shouldActuateDoor(receivedAt || timestamp)) {
+        await applyAccessControl(userDetails, { biometricId, timestamp, receivedAt, source, device }, io);
+      }
 
-  // Immediately emit a "processing" event for instant UI feedback
-  // CRITICAL FIX: Use room-based broadcast instead of io.emit() for better performance
-  io.to("attendance").emit("attendance_processing", {
-    biometricDeviceId: biometricId,
-    timestamp: timestamp,
-    status: "processing"
-  });
+      io.to("attendance").emit("attendance_duplicate_ignored", {
+        biometricDeviceId: biometricId,
+        timestamp: timestamp,
+        deviceId,
+        windowSeconds: windowMs / 1000
+      });
+      return; // Skip duplicate
+    }
+  }
 
-  // Query user by biometricDeviceId (async operation)
-  const userDetails = await getUserByBiometricId(biometricId);
-  const lookupTime = Date.now() - startTime;
+  if (!options.backfilled) {
+    // Immediately emit a "processing" event for instant UI feedback
+    // CRITICAL FIX: Use room-based broadcast instead of io.emit() for better performance
+    io.to("attendance").emit("attendance_processing", {
+      biometricDeviceId: biometricId,
+      timestamp: timestamp,
+      deviceId,
+      status: "processing"
+    });
+  }
 
   let attendanceRecord;
 
+  // Access decision (membership + grace period) - drives the door relay for live punches.
+  // Backfilled punches already happened: the device let them in, and today's membership says nothing about then.
+  const accessDecision = options.backfilled ? null : await applyAccessControl(
+    userDetails,
+    { biometricId, timestamp, receivedAt, source, device, override: options.override },
+    io
+  );
+
   // If user not found, handle unknown user
   if (!userDetails) {
     if (DEVICE_CONFIG.ignoreUnknownUsers) {
@@ -218,6 +620,9 @@ async function processAndSaveRecord(rawRecord, source, io) {
       date: getDateInTimezone(timestamp, DEVICE_CONFIG.timezone),
       status: "present",
       source: "essl",
+      deviceId,
+      deviceLabel,
+      verifyMethod,
       membershipPlanId: null,
       membershipStatus: "unknown",
       membershipEndDate: null,
@@ -226,6 +631,8 @@ async function processAndSaveRecord(rawRecord, source, io) {
       updatedAt: now.toISOString(),
     };
 
+    if (options.backfilled) return; // Nothing to show for a past punch
+
     log("event", `📥 Attendance event for unknown user: ${biometricId}`, attendanceRecord);
 
     // Emit to UI immediately - use room-based broadcast
@@ -242,53 +649,96 @@ async function processAndSaveRecord(rawRecord, source, io) {
     checkOutTime: null,
     date: getDateInTimezone(timestamp, DEVICE_CONFIG.timezone),
     status: "present",
-    source: "essl",
+    source: options.recordSource || (options.backfilled ? backfillService.BACKFILL_SOURCE : "essl"),
+    deviceId,
+    deviceLabel,
+    verifyMethod,
     membershipPlanId: userDetails.membershipPlanId || null,
     membershipStatus: userDetails.membershipStatus || "inactive",
     membershipEndDate: userDetails.membershipEnd || null,
-    remarks: `Entry recorded from ${source}`,
+    remarks: `Entry recorded from ${source}${deviceLabel ? ` (${deviceLabel})` : ""}`,
     createdAt: now.toISOString(),
     updatedAt: now.toISOString(),
   };
 
+  // Firestore document id - the same punch maps to the same document however often it is processed
+  attendanceRecord.attendanceId = getAttendanceRecordId({ deviceId, biometricDeviceId: biometricId, checkInTime: timestamp });
+
+  // This punch is already stored as a check-in or check-out (a replayed event, or a backfill or import run again) -
+  // pairing it again would open a new session or close the current one
+  if (attendanceRecord.attendanceId && await offlineStorage.hasAttendance(attendanceRecord.attendanceId)) {
+    log("info", `Attendance ${attendanceRecord.attendanceId} is already recorded - skipped`);
+    return;
+  }
+
+  if (accessDecision) {
+    attendanceRecord.accessDecision = accessDecision.decision;
+    attendanceRecord.accessReason = accessDecision.reason;
+  }
+
+  // Denied members kept out by the door - show the scan, but don't record attendance.
+  // Without door control the device let them in, so the attendance is recorded with the decision attached.
+  if (accessDecision && accessDecision.doorHeld) {
+    io.to("attendance").emit("attendance_event", { ...attendanceRecord, punchType: "denied" });
+    return;
+  }
+
+  // Pair the punch into the member's check-in/check-out session for the day
+  // (polled logs carry the device punch state; realtime events do not)
+  const { punchType, isUpdate, record: sessionRecord } = await applyPunch(
+    attendanceRecord,
+    rawRecord.state ?? rawRecord.punchState
+  );
+  attendanceRecord = sessionRecord;
+
   const totalTime = Date.now() - startTime;
-  log("event", `✅ Processed attendance for ${attendanceRecord.name} (lookup: ${lookupTime}ms, total: ${totalTime}ms)`);
+  log("event", `✅ Processed ${punchType} for ${attendanceRecord.name} (lookup: ${lookupTime}ms, total: ${totalTime}ms)`);
 
   // Emit to UI immediately (don't wait for Firestore save) - use room-based broadcast
-  io.to("attendance").emit("attendance_event", attendanceRecord);
+  if (!options.backfilled) {
+    io.to("attendance").emit("attendance_event", { ...attendanceRecord, punchType });
+  }
 
   // Save to Offline Storage (Offline-First Architecture)
   // We save to disk IMMEDIATELY. The syncService will handle uploading to Firestore later.
-  const offlineSaved = await offlineStorage.saveOfflineAttendance(attendanceRecord);
+  // A check-out updates the open session's record instead of adding a new one.
+  const offlineSaved = isUpdate
+    ? await offlineStorage.updateOfflineAttendance(attendanceRecord)
+    : await offlineStorage.saveOfflineAttendance(attendanceRecord);
 
   if (offlineSaved) {
     log("success", `💾 Saved attendance offline: ${attendanceRecord.name}`);
 
     // Emit event so UI shows it "Waiting for Sync" or similar if needed
-    // But currently the UI just shows the event. 
+    // But currently the UI just shows the event.
     // We can emit a specific status if the UI supports it.
   } else {
     log("error", `❌ Failed to save attendance offline! Data risk for ${attendanceRecord.name}`);
     io.to("attendance").emit("attendance_save_failed", {
       userId: attendanceRecord.userId,
       name: attendanceRecord.name,
+      deviceId,
       error: "Critical: Failed to save to local disk"
     });
   }
+
+  return offlineSaved ? attendanceRecord : undefined;
 }
 
 /**
  * Core connection logic (without retry)
  */
-async function connectToDeviceCore(io) {
-  log("info", `Attempting to connect to eSSL K30 Pro at ${DEVICE_CONFIG.ip}:${DEVICE_CONFIG.port}...`);
+async function connectToDeviceCore(io, device) {
+  syncGlobalEndpoint(device);
+  log("info", `Attempting to connect to ${device.label} at ${device.ip}:${device.port}...`);
 
-  zk = new ZKLib(
-    DEVICE_CONFIG.ip,
-    DEVICE_CONFIG.port,
+  device.zk = new ZKLib(
+    device.ip,
+    device.port,
     DEVICE_CONFIG.timeout,
     DEVICE_CONFIG.inactivityTimeout
   );
+  const zk = device.zk;
 
   // Create socket with timeout
   const createSocketPromise = zk.createSocket();
@@ -303,8 +753,8 @@ async function connectToDeviceCore(io) {
     zk.socket.setMaxListeners(100); // Increased to 100 to prevent warnings
   }
 
-  log("success", "✅ Successfully connected to eSSL K30 Pro!");
-  isConnected = true;
+  log("success", `✅ Successfully connected to ${device.label}!`);
+  device.isConnected = true;
 
   // Try to get device info with timeout
   try {
@@ -314,9 +764,9 @@ async function connectToDeviceCore(io) {
     );
 
     const deviceInfo = await Promise.race([infoPromise, infoTimeout]);
-    log("success", "📋 Device information retrieved:", deviceInfo);
+    log("success", `📋 Device information retrieved (${device.label}):`, deviceInfo);
   } catch (infoErr) {
-    log("warning", `⚠️ Could not retrieve device info: ${infoErr.message}`);
+    log("warning", `⚠️ Could not retrieve device info from ${device.label}: ${infoErr.message}`);
     log("info", "Continuing without device info...");
   }
 
@@ -328,33 +778,45 @@ async function connectToDeviceCore(io) {
     );
 
     await Promise.race([enablePromise, enableTimeout]);
-    log("success", "✅ Device real-time mode enabled");
+    log("success", `✅ Device real-time mode enabled (${device.label})`);
   } catch (err) {
-    log("warning", `⚠️ Could not enable device: ${err.message}`);
+    log("warning", `⚠️ Could not enable ${device.label}: ${err.message}`);
     log("info", "Device might already be enabled, continuing...");
   }
 
-  setupRealtimeListener(io);
-  io.emit("device_status", {
+  // Check the clock before anything is ingested - punch dates come from device time
+  if (clockSync.getClockSyncConfig().enabled) {
+    try {
+      await checkDeviceClock(io, device);
+    } catch (clockErr) {
+      log("warning", `⚠️ Could not check the clock of ${device.label}: ${clockErr.message}`);
+    }
+    startClockMonitor(io, device);
+  }
+
+  setupRealtimeListener(io, device);
+  emitDeviceStatus(io, device, {
     connected: true,
-    deviceIp: DEVICE_CONFIG.ip,
     timestamp: new Date().toISOString(),
   });
 
+  // Recover punches recorded on the device while we were not connected
+  scheduleConnectBackfill(io, device);
+
   return true;
 }
 
 /**
- * Connect to device with retry logic and circuit breaker
+ * Connect a single device with retry logic and circuit breaker
  */
-async function connectToDevice(io, useRetry = true) {
+async function connectSingleDevice(io, device, useRetry) {
   if (!useRetry) {
     // Direct connection without retry
     try {
-      return await connectToDeviceCore(io);
+      return await connectToDeviceCore(io, device);
     } catch (err) {
-      isConnected = false;
-      log("error", "Failed to connect to device", {
+      device.isConnected = false;
+      log("error", `Failed to connect to ${device.label}`, {
         error: err.message,
         code: err.code || err.err?.code,
       });
@@ -364,16 +826,16 @@ async function connectToDevice(io, useRetry = true) {
 
   // Connection with retry and circuit breaker
   try {
-    await deviceCircuitBreaker.execute(async () => {
+    await device.circuitBreaker.execute(async () => {
       await retryWithBackoff(
         async () => {
-          return await connectToDeviceCore(io);
+          return await connectToDeviceCore(io, device);
         },
         {
           maxAttempts: 3,
           baseDelay: 2000, // Start with 2 seconds
           maxDelay: 10000, // Max 10 seconds
-          operationName: "Device Connection",
+          operationName: `Device Connection (${device.label})`,
           shouldRetry: (error) => {
             // Retry on network errors, timeout, connection refused
             const retryableErrors = ["ETIMEDOUT", "ECONNREFUSED", "EHOSTUNREACH", "ENETUNREACH"];
@@ -382,9 +844,8 @@ async function connectToDevice(io, useRetry = true) {
             return retryableErrors.includes(errorCode) || errorMessage.includes("timeout");
           },
           onRetry: (attempt, error, delay) => {
-            io.emit("device_status", {
+            emitDeviceStatus(io, device, {
               connected: false,
-              deviceIp: DEVICE_CONFIG.ip,
               retrying: true,
               attempt: attempt + 1,
               nextRetryIn: Math.round(delay / 1000),
@@ -396,25 +857,24 @@ async function connectToDevice(io, useRetry = true) {
 
     return true;
   } catch (err) {
-    isConnected = false;
+    device.isConnected = false;
 
     // Check circuit breaker state
-    const cbState = deviceCircuitBreaker.getState();
+    const cbState = device.circuitBreaker.getState();
     if (cbState.state === "OPEN") {
       log(
         "error",
-        "Device connection circuit breaker is OPEN. Too many failures. Will retry automatically in 30s."
+        `${device.label} connection circuit breaker is OPEN. Too many failures. Will retry automatically in 30s.`
       );
     }
 
-    log("error", "Failed to connect to device after all retry attempts", {
+    log("error", `Failed to connect to ${device.label} after all retry attempts`, {
       error: err.message,
       code: err.code || err.err?.code,
     });
 
-    io.emit("device_status", {
+    emitDeviceStatus(io, device, {
       connected: false,
-      deviceIp: DEVICE_CONFIG.ip,
       error: err.message,
       timestamp: new Date().toISOString(),
     });
@@ -423,19 +883,38 @@ async function connectToDevice(io, useRetry = true) {
   }
 }
 
-function setupRealtimeListener(io) {
+/**
+ * Connect to device(s) with retry logic and circuit breaker
+ * @param {object} io - Socket.IO server
+ * @param {boolean} useRetry - Use retry/circuit breaker
+ * @param {string} [deviceId] - Device to connect. Without an id, every registered device is connected.
+ * @returns {Promise<boolean>} True if the device (or at least one device) connected
+ */
+async function connectToDevice(io, useRetry = true, deviceId) {
+  const targets = resolvePullDevices(deviceId);
+  if (targets.length === 0) {
+    log("error", `Unknown device id: ${deviceId}`);
+    return false;
+  }
+
+  const results = await Promise.all(targets.map((device) => connectSingleDevice(io, device, useRetry)));
+  return results.some(Boolean);
+}
+
+function setupRealtimeListener(io, device) {
+  const zk = device.zk;
   if (!zk) {
-    log("error", "Cannot setup listener - device not connected");
+    log("error", `Cannot setup listener - ${device.label} not connected`);
     return;
   }
 
   // Prevent setting up multiple listeners
-  if (realtimeListenerSetup) {
-    log("debug", "Real-time listener already set up, skipping...");
+  if (device.realtimeListenerSetup) {
+    log("debug", `Real-time listener already set up for ${device.label}, skipping...`);
     return;
   }
 
-  log("info", "Setting up real-time attendance listener...");
+  log("info", `Setting up real-time attendance listener for ${device.label}...`);
   try {
     // Increase max listeners to prevent warnings (should already be set, but ensure it's high enough)
     const socket = zk.socket;
@@ -449,12 +928,12 @@ function setupRealtimeListener(io) {
       // Queue events immediately instead of awaiting processing
       zk.getRealTimeLogs((data) => {
         // Log full raw data for debugging
-        console.log("📥 Raw device data:", JSON.stringify(data));
+        console.log(`📥 Raw device data (${device.id}):`, JSON.stringify(data));
 
         // Update last event time for ALL events (including failed scans, heartbeats, etc.)
         // This prevents false "no real-time events" warnings
-        lastRealtimeEventTime = Date.now();
-        realtimeFailureCount = 0; // Reset on any event
+        device.lastRealtimeEventTime = Date.now();
+        device.realtimeFailureCount = 0; // Reset on any event
 
         // Check if this is an attendance event (has userId or user_id)
         const hasUserId = data && (data.userId !== undefined || data.user_id !== undefined);
@@ -464,224 +943,603 @@ function setupRealtimeListener(io) {
 
           // Check for failed/unrecognized fingerprint (userId is often 0 or -1 for failed scans)
           if (userId === 0 || userId === -1 || userId === "0" || userId === "-1") {
-            log("warning", "❌ Fingerprint not recognized - scan failed");
+            log("warning", `❌ Fingerprint not recognized - scan failed (${device.label})`);
             io.to("attendance").emit("fingerprint_failed", {
+              deviceId: device.id,
+              deviceLabel: device.label,
               timestamp: new Date().toISOString(),
               message: "Fingerprint not recognized"
             });
             return;
           }
 
-          log("event", "🎯 Queueing attendance event - User ID:", userId);
+          log("event", `🎯 Queueing attendance event from ${device.label} - User ID:`, userId);
+          // Picked up by the verify type reader below, which sees the same packet right after this
+          device.lastRealtimeRecord = data;
           // CRITICAL: Queue the event instead of awaiting - prevents event loop blocking
-          queueAttendanceEvent(data, "essl-realtime", io);
+          queueAttendanceEvent(data, "essl-realtime", io, device.id);
+          // Already handled - the next log pull must not ingest this punch again
+          logWatermark.noteRealtimeRecord(device.id, userId, data.attTime || new Date());
         } else {
           // Skip non-attendance events (heartbeats, device status, etc.)
           // But we still updated lastRealtimeEventTime above to show real-time is working
           log("debug", "Skipping non-attendance event (heartbeat/status)");
         }
       });
+      if (zk.connectionType === "tcp" && zk.ztcp && zk.ztcp.socket) {
+        readRealtimeVerifyType(device, zk.ztcp.socket);
+      }
     } catch (realtimeError) {
-      log("error", `Failed to setup real-time logs: ${realtimeError.message}`);
+      log("error", `Failed to setup real-time logs for ${device.label}: ${realtimeError.message}`);
       // Don't throw - connection was successful, just real-time monitoring failed
       log("warning", "Device connected but real-time monitoring unavailable");
       log("info", "You can still manually pull attendance records");
     }
 
-    realtimeListenerSetup = true;
-    lastRealtimeEventTime = Date.now(); // Initialize
-    log("success", "Real-time listener activated");
+    device.realtimeListenerSetup = true;
+    device.lastRealtimeEventTime = Date.now(); // Initialize
+    log("success", `Real-time listener activated (${device.label})`);
   } catch (err) {
-    log("error", "Failed to setup real-time listener:", err.message);
-    realtimeFailureCount++;
+    log("error", `Failed to setup real-time listener for ${device.label}:`, err.message);
+    device.realtimeFailureCount++;
   }
 }
 
-async function pollAttendanceLogs(io) {
-  if (!isConnected || !zk) return;
+/**
+ * zkteco-js drops the verify type (finger / card / PIN) from realtime events - read it from
+ * the raw EF_ATTLOG packet and add it to the record the realtime callback just queued.
+ * Must be attached after getRealTimeLogs, which only listens when the socket has no listeners.
+ */
+function readRealtimeVerifyType(device, socket) {
+  socket.on("data", (chunk) => {
+    const record = device.lastRealtimeRecord;
+    device.lastRealtimeRecord = null;
+
+    // [TCP framing (8)] [header (8)] [user id (24)] [verify type] [state] [time (6)]
+    if (!record || chunk.length < 42 || chunk.readUInt16LE(8) !== COMMANDS.CMD_REG_EVENT) return;
+    if (chunk.readUInt16LE(12) !== COMMANDS.EF_ATTLOG) return;
+    record.verifyType = chunk.readUInt8(40);
+  });
+}
+
+// Device locks held by the current async call chain (tokens, see withDeviceLock)
+const heldDeviceLocks = new AsyncLocalStorage();
 
+/**
+ * Run a device operation exclusively - polling and backfill must not ingest the same punches
+ * concurrently, and zkteco-js can't interleave two requests on one connection
+ * A device command issued by the holder itself (e.g. the door unlock for a punch that a log pull
+ * ingests) runs in the holder's turn instead of waiting for the lock it holds.
+ */
+async function withDeviceLock(device, operation) {
+  const held = heldDeviceLocks.getStore();
+  if (held && device.lockToken && held.has(device.lockToken)) {
+    return operation();
+  }
+
+  while (device.activeTask) {
+    await device.activeTask.catch(() => {});
+  }
+
+  const token = {};
+  device.lockToken = token;
+  device.activeTask = heldDeviceLocks.run(new Set([...(held || []), token]), operation);
   try {
-    // Timeout the polling request to prevent hanging
-    const pollingPromise = zk.getAttendances();
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Polling timeout')), 8000)
-    );
+    return await device.activeTask;
+  } finally {
+    device.activeTask = null;
+    device.lockToken = null;
+  }
+}
+
+async function pollAttendanceLogs(io, device) {
+  if (!device.isConnected || !device.zk) return;
+  if (device.activeTask) return; // Backfill or clock check in progress - the next poll catches up
 
-    const logs = await Promise.race([pollingPromise, timeoutPromise]);
+  return withDeviceLock(device, () => pullNewAttendanceLogs(io, device));
+}
+
+async function pullNewAttendanceLogs(io, device) {
+
+  // Timeout each device request to prevent hanging
+  const withTimeout = (promise) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Polling timeout')), 8000)),
+  ]);
+
+  try {
+    const watermark = await logWatermark.getWatermark(device.id);
+
+    // Cheap size check first - skip downloading the whole log when nothing was added
+    if (watermark) {
+      const info = await withTimeout(device.zk.getInfo());
+      if (!logWatermark.hasLogChanged(watermark, info)) {
+        device.pollingFailureCount = 0;
+        return;
+      }
+    }
+
+    const logs = await withTimeout(device.zk.getAttendances());
 
     // Reset failure count on success
-    if (pollingFailureCount > 0) {
-      pollingFailureCount = 0;
-      log("debug", "Polling recovered. Failure count reset.");
+    if (device.pollingFailureCount > 0) {
+      device.pollingFailureCount = 0;
+      log("debug", `Polling recovered for ${device.label}. Failure count reset.`);
     }
 
-    // On initial sync, just set the count and skip processing old logs
-    if (isInitialSync) {
-      lastLogCount = logs.data.length;
-      isInitialSync = false;
-      if (lastLogCount > 0) {
-        log("info", `📚 Initial sync: ${lastLogCount} existing attendance records in device (not processing old records)`);
+    // First pull ever for this device: set the watermark and skip processing old records
+    if (!watermark) {
+      await logWatermark.advanceWatermark(device.id, logs.data);
+      if (logs.data.length > 0) {
+        log("info", `📚 Initial sync: ${logs.data.length} existing attendance records in ${device.label} (not processing old records)`);
       }
       return;
     }
 
-    // After initial sync, only process new logs
-    if (logs.data.length > lastLogCount) {
-      const newLogs = logs.data.slice(lastLogCount);
-      log("event", `📥 New attendance logs detected (polling): ${newLogs.length} new records`);
+    const { records: newLogs, reset } = logWatermark.selectNewRecords(logs.data, watermark);
 
-      // Process all logs in parallel for better performance
-      const processingPromises = newLogs.map(log_entry =>
-        processAndSaveRecord(log_entry, "essl-polling", io).catch(err => {
-          log("error", `Failed to process log entry for user ${log_entry.userId}:`, err.message);
-          // Don't throw - let other logs continue processing
-        })
-      );
+    if (reset) {
+      log("warning", `⚠️ Attendance log on ${device.label} was ${reset} (last ingested record no longer present). Resuming from ${new Date(watermark.lastRecordTime).toISOString()}`);
+      io.emit("device_log_reset", {
+        deviceId: device.id,
+        deviceLabel: device.label,
+        reason: reset,
+        previousCount: watermark.logCount,
+        currentCount: logs.data.length,
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-      await Promise.all(processingPromises);
+    if (newLogs.length > 0) {
+      log("event", `📥 New attendance logs detected on ${device.label} (polling): ${newLogs.length} new records`);
 
-      lastLogCount = logs.data.length;
+      // Oldest first, one at a time - check-in/check-out pairing depends on punch order
+      for (const log_entry of newLogs) {
+        await processAndSaveRecord(log_entry, "essl-polling", io, device).catch(err => {
+          log("error", `Failed to process log entry for user ${log_entry.user_id ?? log_entry.userId}:`, err.message);
+          // Don't throw - let other logs continue processing
+        });
+      }
     }
+
+    await logWatermark.advanceWatermark(device.id, logs.data);
   } catch (err) {
-    pollingFailureCount++;
-    log("warning", `⚠️ Polling error/timeout (${pollingFailureCount}/${MAX_POLLING_FAILURES}): ${err.message}`);
+    device.pollingFailureCount++;
+    log("warning", `⚠️ Polling error/timeout on ${device.label} (${device.pollingFailureCount}/${MAX_POLLING_FAILURES}): ${err.message}`);
 
-    if (pollingFailureCount >= MAX_POLLING_FAILURES) {
-      log("error", `❌ Too many consecutive polling failures (${pollingFailureCount}). Marking device as disconnected.`);
-      io.emit("device_status", {
+    if (device.pollingFailureCount >= MAX_POLLING_FAILURES) {
+      log("error", `❌ Too many consecutive polling failures on ${device.label} (${device.pollingFailureCount}). Marking device as disconnected.`);
+      emitDeviceStatus(io, device, {
         connected: false,
-        deviceIp: DEVICE_CONFIG.ip,
         error: "Connection lost (poll failed)",
         timestamp: new Date().toISOString(),
       });
 
       // Force disconnect - this will trigger the Watchdog to start reconnecting
-      await disconnectFromDevice();
+      await disconnectFromDevice(device.id);
     }
   }
 }
 
+// ========================================
+// Device Administration
+// ========================================
+
 /**
- * Check if real-time events are working
+ * Run an administrative command on a connected device - exclusively and through its circuit breaker
+ * @param {object} io - Socket.IO instance
+ * @param {string} [deviceId] - Primary device when omitted
+ * @param {function} operation - async (zk, device) => result
+ * @param {object} [options]
+ * @param {boolean} [options.disconnect] - The device drops the connection afterwards (restart, power-off);
+ *   the watchdog reconnects once it is back
+ * @param {number} [options.timeoutMs]
  */
-function isRealtimeWorking() {
+async function runDeviceCommand(io, deviceId, operation, { disconnect = false, timeoutMs = 10000 } = {}) {
+  const device = getDevice(deviceId);
+  if (!device) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+  if (device.transport === "adms") {
+    throw new Error(`${device.label} is an ADMS push device - queue a command for it instead`);
+  }
+
+  const result = await withDeviceLock(device, async () => {
+    if (!device.isConnected || !device.zk) {
+      throw new Error(`${device.label} is not connected`);
+    }
+    return device.circuitBreaker.execute(() => withTimeout(operation(device.zk, device), timeoutMs, "Device command timeout"));
+  });
+
+  if (disconnect) {
+    await disconnectSingleDevice(device);
+    emitDeviceStatus(io, device, {
+      connected: false,
+      error: "Device is restarting or powered off",
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return result;
+}
+
+/**
+ * Clear a device's attendance log, but only after it was archived
+ * Pending punches are ingested first, then the full log is handed to `archive`; the log is
+ * cleared only when the archive reports the same number of records.
+ * @param {object} io - Socket.IO instance
+ * @param {string} [deviceId]
+ * @param {function} archive - async (records, device) => number of records archived
+ * @returns {Promise<{ archived: number }>}
+ */
+async function clearAttendanceLog(io, deviceId, archive) {
+  const device = getDevice(deviceId);
+  if (device && device.transport !== "adms" && device.isConnected) {
+    // Catch up first - the log is the only copy of punches not ingested yet
+    await withDeviceLock(device, () => pullNewAttendanceLogs(io, device));
+  }
+
+  return runDeviceCommand(io, deviceId, async (zk) => {
+    const logs = await zk.getAttendances();
+    const archived = await archive(logs.data, device);
+    if (archived !== logs.data.length) {
+      throw new Error(`Archive holds ${archived} of ${logs.data.length} records - log not cleared`);
+    }
+
+    await zk.clearAttendanceLog();
+    await logWatermark.advanceWatermark(device.id, []); // Everything punched from now on is new
+    log("success", `🧹 Attendance log cleared on ${device.label} (${archived} records archived)`);
+    return { archived };
+  }, { timeoutMs: 60000 }); // Downloading a full log takes a while
+}
+
+// ========================================
+// Device Clock
+// ========================================
+
+/**
+ * Read the device clock, record the drift and alert when it is outside the tolerance
+ * @param {object} io - Socket.IO instance
+ * @param {object} device
+ * @param {object} [options] - { autoSync: correct the clock when out of tolerance (default: config) }
+ * @returns {Promise<object>} device.clock
+ */
+async function checkDeviceClock(io, device, { autoSync = clockSync.getClockSyncConfig().autoSync } = {}) {
+  const { toleranceSeconds } = clockSync.getClockSyncConfig();
+
+  return withDeviceLock(device, async () => {
+    if (!device.isConnected || !device.zk) {
+      throw new Error(`${device.label} is not connected`);
+    }
+
+    let reading = await withTimeout(clockSync.measureDrift(device.zk), 5000, "Clock read timeout");
+    if (!reading.withinTolerance) {
+      // Confirm with a second read - a real-time event arriving mid-request can be taken as the reply
+      reading = await withTimeout(clockSync.measureDrift(device.zk), 5000, "Clock read timeout");
+    }
+    let corrected = false;
+
+    if (!reading.withinTolerance) {
+      const drift = reading;
+      log("warning", `🕒 ${device.label} clock is ${Math.abs(drift.driftSeconds)}s ${drift.driftSeconds > 0 ? "ahead" : "behind"} (tolerance ${toleranceSeconds}s)`);
+
+      if (autoSync) {
+        await withTimeout(clockSync.setDeviceClock(device.zk), 5000, "Clock set timeout");
+        corrected = true;
+        reading = await withTimeout(clockSync.measureDrift(device.zk), 5000, "Clock read timeout");
+        log("success", `🕒 ${device.label} clock set to host time (drift now ${reading.driftSeconds}s)`);
+      }
+
+      io.emit("device_clock_drift", {
+        deviceId: device.id,
+        deviceLabel: device.label,
+        driftSeconds: drift.driftSeconds,
+        deviceTime: drift.deviceTime,
+        hostTime: drift.hostTime,
+        toleranceSeconds,
+        corrected,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    device.clock = {
+      ...reading,
+      checkedAt: new Date().toISOString(),
+      lastSyncedAt: corrected ? new Date().toISOString() : device.clock?.lastSyncedAt || null,
+    };
+    return device.clock;
+  });
+}
+
+/**
+ * Set a device clock to host time on request, regardless of the tolerance
+ * @returns {Promise<object>} device.clock after the sync
+ */
+async function syncDeviceClock(io, deviceId) {
+  const device = getDevice(deviceId);
+  if (!device) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+
+  await withDeviceLock(device, async () => {
+    if (!device.isConnected || !device.zk) {
+      throw new Error(`${device.label} is not connected`);
+    }
+    await withTimeout(clockSync.setDeviceClock(device.zk), 5000, "Clock set timeout");
+    log("success", `🕒 ${device.label} clock set to host time (manual)`);
+    device.clock = { ...(device.clock || {}), lastSyncedAt: new Date().toISOString() };
+  });
+
+  return checkDeviceClock(io, device, { autoSync: false });
+}
+
+function startClockMonitor(io, device) {
+  const config = clockSync.getClockSyncConfig();
+  if (!config.enabled || device.clockInterval) return;
+
+  device.clockInterval = setInterval(() => {
+    if (!device.isConnected) return;
+    checkDeviceClock(io, device).catch((error) => {
+      log("warning", `⚠️ Clock check failed for ${device.label}: ${error.message}`);
+    });
+  }, config.checkIntervalMinutes * 60 * 1000);
+}
+
+function stopClockMonitor(device) {
+  if (device.clockInterval) {
+    clearInterval(device.clockInterval);
+    device.clockInterval = null;
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms)),
+  ]);
+}
+
+/**
+ * Date (YYYY-MM-DD, configured timezone) of a device log time, null when the time can't be parsed
+ */
+function logTimeToDate(time) {
+  const date = new Date(time);
+  return isNaN(date) ? null : getDateInTimezone(date.toISOString(), DEVICE_CONFIG.timezone);
+}
+
+/**
+ * Pull the device log and ingest punches in [from, to] that were never recorded
+ * @param {object} io - Socket.IO instance
+ * @param {object} [options] - { deviceId, from, to } (dates YYYY-MM-DD, default: lookback window)
+ * @returns {Promise<object>} Backfill summary
+ */
+async function backfillAttendance(io, { deviceId, from, to } = {}) {
+  const device = getDevice(deviceId);
+  if (!device) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+  if (device.transport === "adms") {
+    throw new Error(`${device.label} pushes its log over ADMS - there is nothing to pull`);
+  }
+
+  const range = backfillService.resolveRange(from, to);
+  const remote = await backfillService.getRemoteRecords(range.from, range.to);
+
+  return withDeviceLock(device, async () => {
+    if (!device.isConnected || !device.zk) {
+      throw new Error(`${device.label} is not connected`);
+    }
+
+    log("info", `🧾 Backfilling ${range.from}..${range.to} from ${device.label}...`);
+    io.emit("attendance_backfill_started", { deviceId: device.id, deviceLabel: device.label, ...range });
+
+    const logs = await device.zk.getAttendances();
+    const watermark = await logWatermark.getWatermark(device.id);
+
+    const summary = await backfillService.runBackfill({
+      device,
+      logs: logs.data,
+      ...range,
+      remote,
+      skipKeys: new Set(watermark ? watermark.realtimeKeys : []),
+      ingest: (rawRecord) => processAndSaveRecord(rawRecord, "essl-backfill", io, device, { backfilled: true }),
+    });
+
+    // Everything after the watermark is now recorded - polling can continue from the end of this log
+    const lastRecord = logs.data[logs.data.length - 1];
+    const lastDate = lastRecord ? logTimeToDate(lastRecord.record_time ?? lastRecord.recordTime) : null;
+    const watermarkDate = watermark && watermark.lastRecordTime ? logTimeToDate(watermark.lastRecordTime) : null;
+    if (watermark && (!lastDate || range.to >= lastDate) && (!watermarkDate || range.from <= watermarkDate)) {
+      await logWatermark.advanceWatermark(device.id, logs.data);
+    }
+
+    io.emit("attendance_backfill_completed", summary);
+    return summary;
+  });
+}
+
+/**
+ * Ingest punches from an attendance log file (e.g. a USB stick export) that were never recorded
+ * Matched against the stored records exactly like a backfill; neither the device nor Firestore needs to be reachable.
+ * @param {object} io - Socket.IO instance
+ * @param {object} params
+ * @param {string} [params.deviceId] - Device the file came from (primary device when omitted)
+ * @param {object[]} params.logs - { user_id, record_time, state, type } like zk.getAttendances()
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD
+ * @param {string} params.source - Stored as the records' source
+ * @returns {Promise<object>} Backfill summary
+ */
+async function importAttendanceLog(io, { deviceId, logs, from, to, source }) {
+  const device = getDevice(deviceId);
+  if (!device) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+
+  const remote = await backfillService.getRemoteRecords(from, to);
+
+  // Under the device lock so polling or a backfill can't ingest the same punches meanwhile
+  return withDeviceLock(device, async () => {
+    const watermark = await logWatermark.getWatermark(device.id);
+    const summary = await backfillService.runBackfill({
+      device,
+      logs,
+      from,
+      to,
+      remote,
+      skipKeys: new Set(watermark ? watermark.realtimeKeys : []),
+      label: "Log import",
+      ingest: (rawRecord) => processAndSaveRecord(rawRecord, source, io, device, { backfilled: true, recordSource: source }),
+    });
+    return { ...summary, source };
+  });
+}
+
+/**
+ * Backfill the lookback window shortly after a (re)connect, without blocking the connection
+ */
+function scheduleConnectBackfill(io, device) {
+  if (!backfillService.getBackfillConfig().onConnect) return;
+
+  setTimeout(() => {
+    backfillAttendance(io, { deviceId: device.id }).catch((error) => {
+      log("warning", `⚠️ Backfill on connect skipped for ${device.label}: ${error.message}`);
+    });
+  }, 5000);
+}
+
+/**
+ * Check if real-time events are working for a device
+ */
+function isRealtimeWorking(device) {
   // If we've permanently switched to polling mode, real-time is not working
-  if (permanentPollingMode) {
+  if (device.permanentPollingMode) {
     return false;
   }
 
-  if (!realtimeListenerSetup || !lastRealtimeEventTime) {
+  if (!device.realtimeListenerSetup || !device.lastRealtimeEventTime) {
     return false;
   }
 
-  const timeSinceLastEvent = Date.now() - lastRealtimeEventTime;
-  return timeSinceLastEvent < REALTIME_TIMEOUT && realtimeFailureCount < MAX_REALTIME_FAILURES;
+  const timeSinceLastEvent = Date.now() - device.lastRealtimeEventTime;
+  return timeSinceLastEvent < REALTIME_TIMEOUT && device.realtimeFailureCount < MAX_REALTIME_FAILURES;
 }
 
 /**
  * Smart polling - only polls when real-time is failing
  */
-async function smartPoll(io) {
+async function smartPoll(io, device) {
   // Check if real-time is working
-  if (isRealtimeWorking()) {
+  if (isRealtimeWorking(device)) {
     // Real-time is working - skip polling
     return;
   }
 
   // Check if we should switch to permanent polling mode
-  if (!permanentPollingMode && realtimeFailureCount >= MAX_REALTIME_FAILURES) {
-    permanentPollingMode = true;
+  if (!device.permanentPollingMode && device.realtimeFailureCount >= MAX_REALTIME_FAILURES) {
+    device.permanentPollingMode = true;
     log(
       "warning",
-      `⚠️ Real-time events not detected after ${MAX_REALTIME_FAILURES} checks. Switching to permanent polling mode.`
+      `⚠️ Real-time events not detected on ${device.label} after ${MAX_REALTIME_FAILURES} checks. Switching to permanent polling mode.`
     );
     log("info", "💡 This is normal for some device models or configurations. Polling will continue every 10 seconds.");
   }
 
   // Real-time might be failing - use polling as backup
-  if (!permanentPollingMode && realtimeFailureCount < MAX_REALTIME_FAILURES) {
-    const timeSinceLastEvent = Date.now() - (lastRealtimeEventTime || 0);
+  if (!device.permanentPollingMode && device.realtimeFailureCount < MAX_REALTIME_FAILURES) {
+    const timeSinceLastEvent = Date.now() - (device.lastRealtimeEventTime || 0);
     if (timeSinceLastEvent > REALTIME_TIMEOUT) {
-      realtimeFailureCount++;
+      device.realtimeFailureCount++;
       log(
         "warning",
-        `No real-time events in ${Math.round(timeSinceLastEvent / 1000)}s. Using polling as backup (check ${realtimeFailureCount}/${MAX_REALTIME_FAILURES})`
+        `No real-time events from ${device.label} in ${Math.round(timeSinceLastEvent / 1000)}s. Using polling as backup (check ${device.realtimeFailureCount}/${MAX_REALTIME_FAILURES})`
       );
     }
   }
 
   // Poll for new logs
-  await pollAttendanceLogs(io);
+  await pollAttendanceLogs(io, device);
 }
 
-function startPolling(io, mode = "smart") {
-  if (pollingInterval) return;
-
-  if (mode === "smart") {
-    log("info", "Starting smart polling (only activates when real-time fails)...");
-    pollingInterval = setInterval(() => smartPoll(io), POLLING_INTERVAL);
-  } else {
-    // Legacy mode - always poll
-    log("info", "Starting continuous polling (10-second intervals)...");
-    pollingInterval = setInterval(() => pollAttendanceLogs(io), POLLING_INTERVAL);
+/**
+ * Start polling for one device, or for every registered device when no id is given
+ */
+function startPolling(io, mode = "smart", deviceId) {
+  for (const device of resolvePullDevices(deviceId)) {
+    if (device.pollingInterval) continue;
+
+    if (mode === "smart") {
+      log("info", `Starting smart polling for ${device.label} (only activates when real-time fails)...`);
+      device.pollingInterval = setInterval(() => smartPoll(io, device), POLLING_INTERVAL);
+    } else {
+      // Legacy mode - always poll
+      log("info", `Starting continuous polling for ${device.label} (10-second intervals)...`);
+      device.pollingInterval = setInterval(() => pollAttendanceLogs(io, device), POLLING_INTERVAL);
+    }
   }
 }
 
-function stopPolling() {
-  if (pollingInterval) {
-    clearInterval(pollingInterval);
-    pollingInterval = null;
-    log("info", "Polling stopped");
+function stopPolling(deviceId) {
+  for (const device of resolvePullDevices(deviceId)) {
+    if (device.pollingInterval) {
+      clearInterval(device.pollingInterval);
+      device.pollingInterval = null;
+      log("info", `Polling stopped (${device.label})`);
+    }
   }
 }
 
-// Watchdog state
-let watchdogInterval = null;
+// Watchdog configuration
 const WATCHDOG_CHECK_INTERVAL = 10000; // REDUCED: Check every 10 seconds (was 15s)
 
 /**
- * Starts the connection watchdog.
+ * Starts the connection watchdog for one device, or for every registered device.
  * Continouusly checks if device is connected, and retries if not.
  */
-function startConnectionWatchdog(io) {
-  if (watchdogInterval) return;
+function startConnectionWatchdog(io, deviceId) {
+  for (const device of resolvePullDevices(deviceId)) {
+    if (device.watchdogInterval) continue;
 
-  log("info", "🛡️ Starting Connection Watchdog...");
+    log("info", `🛡️ Starting Connection Watchdog for ${device.label}...`);
 
-  watchdogInterval = setInterval(async () => {
-    // If already connected, do nothing (maybe ping? but zk lib handles keepalive)
-    if (isConnected) return;
+    device.watchdogInterval = setInterval(async () => {
+      // If already connected, do nothing (maybe ping? but zk lib handles keepalive)
+      if (device.isConnected) return;
 
-    // If we are currently trying to connect (circuit breaker might be open or busy), skip
-    const cbState = deviceCircuitBreaker.getState();
-    if (cbState.state === "OPEN") {
-      // Log occasionally?
-      return;
-    }
+      // If we are currently trying to connect (circuit breaker might be open or busy), skip
+      const cbState = device.circuitBreaker.getState();
+      if (cbState.state === "OPEN") {
+        // Log occasionally?
+        return;
+      }
 
-    log("info", "🛡️ Watchdog: Device disconnected. Attempting to reconnect...");
+      log("info", `🛡️ Watchdog: ${device.label} disconnected. Attempting to reconnect...`);
 
-    // Attempt connection
-    // We pass useRetry=false because the watchdog IS the retry mechanism
-    // but we can use useRetry=true to let the inner logic handle a burst of attempts?
-    // Let's use useRetry=true so we get the "burst" of 3 attempts, then wait for circuit breaker
-    await connectToDevice(io, true);
+      // Attempt connection
+      // We pass useRetry=false because the watchdog IS the retry mechanism
+      // but we can use useRetry=true to let the inner logic handle a burst of attempts?
+      // Let's use useRetry=true so we get the "burst" of 3 attempts, then wait for circuit breaker
+      await connectSingleDevice(io, device, true);
 
-  }, WATCHDOG_CHECK_INTERVAL);
+    }, WATCHDOG_CHECK_INTERVAL);
+  }
 }
 
-function stopConnectionWatchdog() {
-  if (watchdogInterval) {
-    clearInterval(watchdogInterval);
-    watchdogInterval = null;
-    log("info", "🛡️ Connection Watchdog stopped");
+function stopConnectionWatchdog(deviceId) {
+  for (const device of resolvePullDevices(deviceId)) {
+    if (device.watchdogInterval) {
+      clearInterval(device.watchdogInterval);
+      device.watchdogInterval = null;
+      log("info", `🛡️ Connection Watchdog stopped (${device.label})`);
+    }
   }
 }
 
-async function disconnectFromDevice() {
-  if (isConnected && zk) {
+async function disconnectSingleDevice(device) {
+  const zk = device.zk;
+  stopClockMonitor(device);
+  if (device.isConnected && zk) {
     try {
-      log("info", "Disconnecting from device...");
+      log("info", `Disconnecting from ${device.label}...`);
 
       // Remove all listeners first
       if (zk.socket) {
@@ -698,48 +1556,73 @@ async function disconnectFromDevice() {
         }
       }
 
-      realtimeListenerSetup = false; // Reset flag for potential reconnection
-      isConnected = false;
-      zk = null;
+      device.realtimeListenerSetup = false; // Reset flag for potential reconnection
+      device.isConnected = false;
+      device.zk = null;
 
-      log("success", "Device disconnected successfully");
+      log("success", `${device.label} disconnected successfully`);
     } catch (err) {
-      log("error", "Error disconnecting:", err.message);
+      log("error", `Error disconnecting ${device.label}:`, err.message);
       // Ensure cleanup even on error
-      isConnected = false;
-      zk = null;
+      device.isConnected = false;
+      device.zk = null;
     }
   }
 }
 
 /**
- * Get circuit breaker state
+ * Disconnect one device, or every registered device when no id is given
  */
-function getCircuitBreakerState() {
-  return deviceCircuitBreaker.getState();
+async function disconnectFromDevice(deviceId) {
+  await Promise.all(resolvePullDevices(deviceId).map(disconnectSingleDevice));
+}
+
+/**
+ * Collect a per-device value keyed by device id (or just the one device's value)
+ */
+function collectPerDevice(deviceId, fn) {
+  if (deviceId !== undefined && deviceId !== null && deviceId !== "") {
+    const device = getDevice(deviceId);
+    return device ? fn(device) : null;
+  }
+
+  const result = {};
+  for (const device of devices.values()) {
+    result[device.id] = fn(device);
+  }
+  return result;
+}
+
+/**
+ * Get circuit breaker state (per device when no id is given)
+ */
+function getCircuitBreakerState(deviceId) {
+  return collectPerDevice(deviceId, (device) => device.circuitBreaker.getState());
 }
 
 /**
  * Reset circuit breaker (force allow connection attempts)
  */
-function resetCircuitBreaker() {
-  deviceCircuitBreaker.reset();
+function resetCircuitBreaker(deviceId) {
+  for (const device of resolveDevices(deviceId)) {
+    device.circuitBreaker.reset();
+  }
 }
 
 /**
- * Get polling stats
+ * Get polling stats (per device when no id is given)
  */
-function getPollingStats() {
-  return {
-    pollingActive: !!pollingInterval,
-    realtimeActive: realtimeListenerSetup,
-    realtimeWorking: isRealtimeWorking(),
-    permanentPollingMode,
-    lastRealtimeEventTime,
-    timeSinceLastEvent: lastRealtimeEventTime ? Date.now() - lastRealtimeEventTime : null,
-    realtimeFailureCount,
+function getPollingStats(deviceId) {
+  return collectPerDevice(deviceId, (device) => ({
+    pollingActive: !!device.pollingInterval,
+    realtimeActive: device.realtimeListenerSetup,
+    realtimeWorking: isRealtimeWorking(device),
+    permanentPollingMode: device.permanentPollingMode,
+    lastRealtimeEventTime: device.lastRealtimeEventTime,
+    timeSinceLastEvent: device.lastRealtimeEventTime ? Date.now() - device.lastRealtimeEventTime : null,
+    realtimeFailureCount: device.realtimeFailureCount,
     maxFailures: MAX_REALTIME_FAILURES,
-  };
+  }));
 }
 
 /**
@@ -748,18 +1631,75 @@ function getPollingStats() {
 function getAttendanceQueueStats() {
   return {
     queueSize: attendanceEventQueue.length,
+    journaled: eventJournal.getOutstandingCount(), // Includes events held on disk while the queue is full
+    spilling: spilledFromSeq !== null,
     isProcessing: isProcessingQueue,
     batchSize: QUEUE_BATCH_SIZE,
   };
 }
 
+/**
+ * Public summary of a registered device
+ */
+function getDeviceSummary(device) {
+  syncGlobalEndpoint(device);
+  return {
+    id: device.id,
+    label: device.label,
+    ip: device.ip,
+    port: device.port,
+    connected: device.isConnected,
+    transport: device.transport,
+    ...(device.transport === "adms" && {
+      serialNumber: device.serialNumber,
+      lastSeenAt: device.lastSeenAt ? new Date(device.lastSeenAt).toISOString() : null,
+    }),
+    ...(device.clock && { clock: device.clock }),
+    circuitBreaker: device.circuitBreaker.getState().state,
+  };
+}
+
+/**
+ * List all registered devices with their connection state
+ */
+function listDevices() {
+  return Array.from(devices.values()).map(getDeviceSummary);
+}
+
 module.exports = {
   connectToDevice,
   startPolling,
   stopPolling,
   disconnectFromDevice,
-  getZkInstance: () => zk,
-  isConnected: () => isConnected,
+  getZkInstance: (deviceId) => getDevice(deviceId)?.zk || null,
+  isConnected: (deviceId) => !!getDevice(deviceId)?.isConnected,
+  hasDevice: (deviceId) => !!getDevice(deviceId),
+  getDeviceInfo: (deviceId) => {
+    const device = getDevice(deviceId);
+    return device ? getDeviceSummary(device) : null;
+  },
+  listDevices,
+  setDeviceEndpoint,
+  unlockDoor,
+  queueAttendanceEvent,
+  queueAttendanceEvents,
+  replayJournaledEvents,
+  drainAttendanceQueue,
+  registerPushDevice,
+  markPushDeviceSeen,
+  markStalePushDevices,
+  backfillAttendance,
+  importAttendanceLog,
+  checkDeviceClock: (io, deviceId) => {
+    const device = getDevice(deviceId);
+    if (!device) return Promise.reject(new Error(`Unknown device: ${deviceId}`));
+    return checkDeviceClock(io, device, { autoSync: false });
+  },
+  syncDeviceClock,
+  runDeviceCommand,
+  clearAttendanceLog,
+  admitWithOverride: (biometricDeviceId, deviceId, io, override) =>
+    processAndSaveRecord({ userId: biometricDeviceId }, "staff-override", io, getDevice(deviceId), { override }),
   getCircuitBreakerState,
   resetCircuitBreaker,
   getPollingStats,
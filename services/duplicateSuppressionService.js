@@ -0,0 +1,171 @@
+/**
+ * Duplicate Suppression Service
+ * Repeated punches by the same member within a window are ignored (the door still opens).
+ * The last punch per member is kept on disk and, on start, also seeded from the recent records
+ * in the attendance store, so restarting the backend during a rush doesn't let re-scans through.
+ * The window is configurable per device and per member category (deviceConfig.duplicateWindows).
+ */
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const offlineStorage = require("./offlineStorage");
+const log = require("../utils/logger");
+const { getDateInTimezone } = require("../utils/dateUtils");
+
+const SAVE_DELAY_MS = 1000; // Punches in a burst are written together
+const PRUNE_INTERVAL_MS = 60 * 1000;
+const MAX_ENTRIES = 5000; // Prevent unbounded growth
+
+const lastPunches = new Map(); // biometricId -> { at (ms), deviceId }
+let ready = null;
+let saveTimer = null;
+
+function windowConfig() {
+  return DEVICE_CONFIG.duplicateWindows || {};
+}
+
+function defaultWindowMs() {
+  return DEVICE_CONFIG.duplicateCheckWindow ?? 60 * 1000;
+}
+
+/**
+ * Duplicate window for a punch: member category first, then device, then duplicateCheckWindow
+ * @param {object} context
+ * @param {string} [context.deviceId]
+ * @param {object} [context.member] - Member document (null for unknown users)
+ * @returns {number} Window in ms (0 = never suppressed)
+ */
+function getWindowMs({ deviceId, member } = {}) {
+  const { devices = {}, categories = {}, categoryField = "membershipPlanId" } = windowConfig();
+  const category = member ? member[categoryField] : undefined;
+
+  if (category !== undefined && category !== null && categories[category] !== undefined) {
+    return categories[category] * 1000;
+  }
+  if (deviceId && devices[deviceId] !== undefined) {
+    return devices[deviceId] * 1000;
+  }
+  return defaultWindowMs();
+}
+
+/**
+ * Internal: Longest configured window - nothing older can still suppress a punch
+ */
+function maxWindowMs() {
+  const { devices = {}, categories = {} } = windowConfig();
+  return Math.max(defaultWindowMs(), ...[...Object.values(devices), ...Object.values(categories)].map((s) => s * 1000));
+}
+
+function remember(biometricId, at, deviceId) {
+  const current = lastPunches.get(biometricId);
+  if (!current || at > current.at) {
+    lastPunches.set(biometricId, { at, deviceId: deviceId || null });
+  }
+}
+
+/**
+ * Internal: Load the saved state and add the punches stored in the attendance store since yesterday
+ */
+async function load() {
+  const saved = await offlineStorage.loadDuplicateState();
+  for (const [biometricId, entry] of Object.entries(saved)) {
+    if (entry && Number.isFinite(entry.at)) remember(biometricId, entry.at, entry.deviceId);
+  }
+
+  const horizon = Date.now() - maxWindowMs();
+  const from = getDateInTimezone(new Date(horizon).toISOString(), DEVICE_CONFIG.timezone);
+  const to = getDateInTimezone(new Date().toISOString(), DEVICE_CONFIG.timezone);
+  try {
+    for (const record of await offlineStorage.queryAttendance({ from, to })) {
+      if (!record.biometricDeviceId) continue;
+      for (const time of [record.checkInTime, record.checkOutTime]) {
+        const at = Date.parse(time);
+        if (at >= horizon) remember(String(record.biometricDeviceId), at, record.deviceId);
+      }
+    }
+  } catch (error) {
+    log("warning", `Duplicate suppression: could not read recent attendance: ${error.message}`);
+  }
+
+  prune();
+  log("info", `🔁 Duplicate suppression: ${lastPunches.size} recent punch(es) restored`);
+}
+
+/**
+ * Wait until the saved state is loaded (loads it on first use)
+ */
+function init() {
+  if (!ready) {
+    ready = load().catch((error) => log("error", `Failed to restore duplicate suppression state: ${error.message}`));
+  }
+  return ready;
+}
+
+function prune() {
+  const horizon = Date.now() - maxWindowMs();
+  for (const [biometricId, entry] of lastPunches) {
+    if (entry.at < horizon) lastPunches.delete(biometricId);
+  }
+
+  if (lastPunches.size > MAX_ENTRIES) {
+    const oldest = [...lastPunches.entries()].sort((a, b) => a[1].at - b[1].at).slice(0, lastPunches.size - MAX_ENTRIES);
+    oldest.forEach(([biometricId]) => lastPunches.delete(biometricId));
+    log("warning", `Duplicate suppression: evicted ${oldest.length} oldest entries (size limit: ${MAX_ENTRIES})`);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    offlineStorage.saveDuplicateState(Object.fromEntries(lastPunches));
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Check a punch against the member's last one and, unless it is a duplicate, remember it.
+ * Synchronous - the check and the write can't interleave with another punch being processed
+ * (call init() first so the restored state is in place).
+ * @param {string} biometricId
+ * @param {number} timeMs - Punch time
+ * @param {object} context - { deviceId, member, force } force remembers the punch without checking (staff override)
+ * @returns {{ duplicate: boolean, windowMs: number }}
+ */
+function checkAndRecord(biometricId, timeMs, { deviceId, member, force = false } = {}) {
+  const windowMs = getWindowMs({ deviceId, member });
+  const last = lastPunches.get(String(biometricId));
+  if (!force && last && timeMs - last.at < windowMs) {
+    return { duplicate: true, windowMs };
+  }
+
+  lastPunches.set(String(biometricId), { at: timeMs, deviceId: deviceId || null });
+  scheduleSave();
+  return { duplicate: false, windowMs };
+}
+
+/**
+ * Write pending changes now (graceful shutdown)
+ */
+async function flush() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  await offlineStorage.saveDuplicateState(Object.fromEntries(lastPunches));
+}
+
+function getStats() {
+  return {
+    trackedMembers: lastPunches.size,
+    defaultWindowSeconds: defaultWindowMs() / 1000,
+    ...windowConfig(),
+  };
+}
+
+setInterval(prune, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  init,
+  getWindowMs,
+  checkAndRecord,
+  flush,
+  getStats,
+};
@@ -0,0 +1,322 @@
+/**
+ * Fingerprint Enrollment Service
+ * Enrolls a finger from the app instead of the terminal menu: the device is put into enroll mode
+ * for a user and finger index, the member places the finger three times, and every step is
+ * streamed as "fingerprint_enroll_progress". Enrolled fingers are recorded per member.
+ *
+ * zkteco-js has no enrollment support - CMD_STARTENROLL is sent over its TCP connection and the
+ * device's enroll events are read from the socket (result codes as handled by pyzk's enroll_user).
+ */
+
+const { COMMANDS } = require("zkteco-js/src/helper/command");
+const { createTCPHeader } = require("zkteco-js/src/helper/utils");
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+const { getTcp, assertAck } = require("./fingerprintTemplateService");
+
+// ZK finger indexes
+const FINGER_NAMES = [
+  "Left little", "Left ring", "Left middle", "Left index", "Left thumb",
+  "Right thumb", "Right index", "Right middle", "Right ring", "Right little",
+];
+
+const STEPS = {
+  STARTED: "started",
+  PLACE_FINGER: "place_finger",
+  LIFT_FINGER: "lift_finger",
+  PLACE_AGAIN: "place_again",
+  SUCCESS: "success",
+  FAILED: "failed",
+};
+
+// Result code in the first two bytes of an enroll event
+const RESULT = {
+  OK: 0,
+  FAILED: 4,
+  DUPLICATE: 5,
+  TIMEOUT: 6,
+  PRESS_OK: 0x64, // One press accepted, place the finger again
+};
+
+const ENROLL_PRESSES = 3;
+const STEP_TIMEOUT_MS = 60000; // The member has this long for each press
+const TCP_MAGIC = 0x7d825050;
+const EVENT_ACK_REPLY_ID = 0xfffe; // Reply id pyzk uses to acknowledge events
+
+const activeEnrollments = new Map(); // deviceId -> session
+let nextSessionId = 1;
+
+function publicSession({ id, deviceId, deviceLabel, biometricDeviceId, name, fingerIndex, finger, staff, startedAt }) {
+  return { id, deviceId, deviceLabel, biometricDeviceId, name, fingerIndex, finger, staff, startedAt };
+}
+
+/**
+ * Enrollment outcome caused by the member (or staff), not the device - kept out of the circuit breaker
+ */
+function enrollError(message) {
+  const error = new Error(message);
+  error.enrollment = true;
+  return error;
+}
+
+/**
+ * Split a socket read into ZK packets (TCP framing removed) - reads may hold several
+ */
+function splitPackets(chunk) {
+  const packets = [];
+  let offset = 0;
+  while (offset + 8 <= chunk.length && chunk.readUInt32LE(offset) === TCP_MAGIC) {
+    const length = chunk.readUInt32LE(offset + 4);
+    packets.push(chunk.subarray(offset + 8, offset + 8 + length));
+    offset += 8 + length;
+  }
+  return packets;
+}
+
+/**
+ * Resolve when the device reports a stored finger, reject on failure, timeout or cancel
+ */
+function waitForEnrollResult(tcp, session, progress) {
+  let onData = null;
+  let timer = null;
+
+  const promise = new Promise((resolve, reject) => {
+    let accepted = 0;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => reject(enrollError("Timed out waiting for the finger")), STEP_TIMEOUT_MS);
+    };
+
+    onData = (chunk) => {
+      for (const packet of splitPackets(chunk)) {
+        if (packet.length < 8 || packet.readUInt16LE(0) !== COMMANDS.CMD_REG_EVENT) continue;
+
+        // Event packets carry the event type in the session id field
+        const event = packet.readUInt16LE(4);
+        if (event !== COMMANDS.EF_FINGER && event !== COMMANDS.EF_ENROLLFINGER) continue;
+
+        tcp.socket.write(createTCPHeader(COMMANDS.CMD_ACK_OK, tcp.sessionId, EVENT_ACK_REPLY_ID, Buffer.alloc(0)));
+        restartTimer();
+
+        if (event === COMMANDS.EF_FINGER) {
+          progress(STEPS.LIFT_FINGER, "Finger read - lift it", accepted);
+          continue;
+        }
+
+        const result = packet.length >= 10 ? packet.readUInt16LE(8) : null;
+        if (result === RESULT.PRESS_OK) {
+          accepted++;
+          progress(STEPS.PLACE_AGAIN, `Place the same finger again (${accepted}/${ENROLL_PRESSES})`, accepted);
+        } else if (result === RESULT.OK) {
+          resolve();
+        } else if (result === RESULT.DUPLICATE) {
+          reject(enrollError("This finger is already enrolled"));
+        } else if (result === RESULT.TIMEOUT) {
+          reject(enrollError("The device timed out waiting for the finger"));
+        } else {
+          reject(enrollError(`Enrollment failed on the device (result ${result})`));
+        }
+      }
+    };
+
+    session.cancel = () => reject(enrollError("Enrollment cancelled"));
+    tcp.socket.on("data", onData);
+    restartTimer();
+  });
+
+  const stop = () => {
+    clearTimeout(timer);
+    tcp.socket.removeListener("data", onData);
+    session.cancel = null;
+  };
+
+  return { promise, stop };
+}
+
+/**
+ * Put the device into enroll mode and wait for the finger (runs under the device lock)
+ * @returns {Promise<string|null>} Why the enrollment failed, null when the finger was stored
+ */
+async function captureFinger(zk, session, progress) {
+  const tcp = getTcp(zk);
+  if (session.cancelled) {
+    return "Enrollment cancelled";
+  }
+
+  // [user id (24)] [finger index] [1 = overwrite an existing template]
+  const request = Buffer.alloc(26);
+  request.write(session.biometricDeviceId, 0, 24, "ascii");
+  request.writeInt8(session.fingerIndex, 24);
+  request.writeUInt8(1, 25);
+
+  await zk.executeCmd(COMMANDS.CMD_CANCELCAPTURE, "");
+
+  // Listen before sending - the first event can arrive right behind the ack
+  const enrollment = waitForEnrollResult(tcp, session, progress);
+  try {
+    assertAck(await zk.executeCmd(COMMANDS.CMD_STARTENROLL, request), "enroll mode");
+    progress(STEPS.PLACE_FINGER, "Place the finger on the sensor", 0);
+    await enrollment.promise;
+    return null;
+  } catch (error) {
+    if (!error.enrollment) throw error;
+    return error.message;
+  } finally {
+    enrollment.stop();
+    enrollment.promise.catch(() => {});
+
+    // Back to normal verification
+    await zk.executeCmd(COMMANDS.CMD_CANCELCAPTURE, "").catch(() => {});
+    await zk.executeCmd(COMMANDS.CMD_STARTVERIFY, "").catch(() => {});
+  }
+}
+
+async function recordFinger(session) {
+  const members = await offlineStorage.loadFingerEnrollments();
+  const member = members[session.biometricDeviceId] || { name: session.name, fingers: {} };
+  member.name = session.name;
+  member.fingers[session.fingerIndex] = {
+    finger: session.finger,
+    deviceId: session.deviceId,
+    deviceLabel: session.deviceLabel,
+    enrolledAt: new Date().toISOString(),
+    staff: session.staff,
+  };
+  members[session.biometricDeviceId] = member;
+  await offlineStorage.saveFingerEnrollments(members);
+}
+
+async function runEnrollment(deviceService, io, session) {
+  const startedAt = Date.now();
+  const progress = (step, message, pressesAccepted) => {
+    io.emit("fingerprint_enroll_progress", {
+      ...publicSession(session),
+      step,
+      message,
+      pressesAccepted,
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  let error = null;
+  progress(STEPS.STARTED, `Enrolling ${session.finger.toLowerCase()} finger for ${session.name}`, 0);
+  try {
+    const failure = await deviceService.runDeviceCommand(io, session.deviceId, (zk) => captureFinger(zk, session, progress), {
+      timeoutMs: (ENROLL_PRESSES * 2 + 1) * STEP_TIMEOUT_MS,
+    });
+    if (failure) {
+      throw new Error(failure);
+    }
+    await recordFinger(session);
+
+    log("success", `🖐️ ${session.finger} finger enrolled for ${session.name} on ${session.deviceLabel}`);
+    progress(STEPS.SUCCESS, `${session.finger} finger enrolled`, ENROLL_PRESSES);
+  } catch (err) {
+    error = err.message;
+    log("warning", `⚠️ Finger enrollment for ${session.name} on ${session.deviceLabel} failed: ${error}`);
+    progress(STEPS.FAILED, error, null);
+  }
+
+  await offlineStorage.saveDeviceAuditEntry({
+    action: "enroll_finger",
+    deviceId: session.deviceId,
+    deviceLabel: session.deviceLabel,
+    params: { biometricDeviceId: session.biometricDeviceId, fingerIndex: session.fingerIndex },
+    staff: session.staff,
+    requestedAt: session.startedAt,
+    success: !error,
+    ...(error && { error }),
+    durationMs: Date.now() - startedAt,
+  });
+}
+
+/**
+ * Start enrolling a finger for a user that exists on the device
+ * Returns once enroll mode is being set up; progress follows over Socket.IO.
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {object} request
+ * @param {string} [request.deviceId] - Primary device when omitted
+ * @param {string} request.biometricDeviceId - Device user id
+ * @param {number} request.fingerIndex - 0-9 (FINGER_NAMES)
+ * @param {string} [request.staff]
+ * @returns {Promise<object>} The enrollment session
+ */
+async function startEnrollment(deviceService, io, { deviceId, biometricDeviceId, fingerIndex, staff = null }) {
+  const device = deviceService.getDeviceInfo(deviceId);
+  if (!device) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+  if (activeEnrollments.has(device.id)) {
+    throw new Error(`An enrollment is already running on ${device.label}`);
+  }
+
+  const session = {
+    id: nextSessionId++,
+    deviceId: device.id,
+    deviceLabel: device.label,
+    biometricDeviceId: String(biometricDeviceId),
+    name: null,
+    fingerIndex,
+    finger: FINGER_NAMES[fingerIndex],
+    staff,
+    startedAt: new Date().toISOString(),
+    cancelled: false,
+    cancel: null,
+  };
+  activeEnrollments.set(device.id, session);
+
+  try {
+    const users = await deviceService.runDeviceCommand(io, device.id, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+    const user = users.find((u) => String(u.userId) === session.biometricDeviceId);
+    if (!user) {
+      throw new Error(`User ${session.biometricDeviceId} is not on ${device.label}`);
+    }
+    session.name = user.name || session.biometricDeviceId;
+  } catch (error) {
+    activeEnrollments.delete(device.id);
+    throw error;
+  }
+
+  log("info", `🖐️ Enrolling ${session.finger} finger for ${session.name} on ${device.label}${staff ? ` (by ${staff})` : ""}`);
+
+  // Runs in the background - the member has to walk up to the device
+  runEnrollment(deviceService, io, session).finally(() => activeEnrollments.delete(device.id));
+
+  return publicSession(session);
+}
+
+/**
+ * Cancel the enrollment running on a device
+ * @returns {object|null} The cancelled session, null when none was running
+ */
+function cancelEnrollment(deviceService, deviceId) {
+  const device = deviceService.getDeviceInfo(deviceId);
+  const session = device ? activeEnrollments.get(device.id) : null;
+  if (!session) return null;
+
+  session.cancelled = true;
+  if (session.cancel) session.cancel();
+  return publicSession(session);
+}
+
+/**
+ * Fingers recorded for a member, by finger index
+ */
+async function getEnrolledFingers(biometricDeviceId) {
+  const members = await offlineStorage.loadFingerEnrollments();
+  const member = members[String(biometricDeviceId)];
+  if (!member) return [];
+
+  return Object.entries(member.fingers)
+    .map(([fingerIndex, finger]) => ({ fingerIndex: Number(fingerIndex), ...finger }))
+    .sort((a, b) => a.fingerIndex - b.fingerIndex);
+}
+
+module.exports = {
+  FINGER_NAMES,
+  STEPS,
+  startEnrollment,
+  cancelEnrollment,
+  getEnrolledFingers,
+};
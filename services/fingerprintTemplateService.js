@@ -0,0 +1,340 @@
+/**
+ * Fingerprint Template Service
+ * Backs up device users together with their fingerprint templates into versioned local files
+ * and restores them to the same or another device, so a replaced or reset terminal doesn't
+ * need every member to re-enroll.
+ *
+ * zkteco-js has no template support - the template read/write requests are sent over its
+ * TCP connection directly (same packet layouts as the ZK standalone SDK).
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const { COMMANDS } = require("zkteco-js/src/helper/command");
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+
+const BACKUP_FORMAT_VERSION = 1;
+const CMD_SAVE_USER_TEMPLATES = 110; // Apply a buffered user + template upload
+const MAX_UPLOAD_CHUNK = 1024;
+
+// CMD_DB_RRQ for FCT_FINGERTMP, read through CMD_DATA_WRRQ like users and attendance logs
+const GET_TEMPLATES_REQUEST = Buffer.from([0x01, COMMANDS.CMD_DB_RRQ, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+
+function getBackupDir() {
+  return path.join(offlineStorage.storageDir, "template-backups");
+}
+
+function getTcp(zk) {
+  if (zk.connectionType !== "tcp" || !zk.ztcp || !zk.ztcp.socket) {
+    throw new Error("Fingerprint templates can only be transferred over a TCP connection");
+  }
+  return zk.ztcp;
+}
+
+function assertAck(reply, what) {
+  const command = reply && reply.length >= 2 ? reply.readUInt16LE(0) : null;
+  if (command !== COMMANDS.CMD_ACK_OK) {
+    throw new Error(`Device rejected ${what} (reply ${command})`);
+  }
+}
+
+/**
+ * Read every fingerprint template from the device
+ * @param {object} zk - Connected zkteco-js instance
+ * @returns {Promise<Array<{ uid: number, fid: number, valid: number, template: Buffer }>>}
+ */
+async function readTemplates(zk) {
+  const tcp = getTcp(zk);
+
+  await tcp.freeData();
+  const { data, err } = await tcp.readWithBuffer(GET_TEMPLATES_REQUEST);
+  await tcp.freeData();
+  if (err) throw err;
+
+  // [total size][size (2) | uid (2) | fid (1) | valid (1) | template]...
+  const templates = [];
+  let remaining = data.length >= 4 ? Math.min(data.readUInt32LE(0), data.length - 4) : 0;
+  let offset = 4;
+
+  while (remaining >= 6) {
+    const size = data.readUInt16LE(offset);
+    if (size < 6 || size > remaining) break;
+
+    templates.push({
+      uid: data.readUInt16LE(offset + 2),
+      fid: data.readInt8(offset + 4),
+      valid: data.readInt8(offset + 5),
+      template: data.subarray(offset + 6, offset + size),
+    });
+    offset += size;
+    remaining -= size;
+  }
+
+  return templates;
+}
+
+/**
+ * 73-byte user record used by template uploads
+ */
+function encodeUser73(user) {
+  const buf = Buffer.alloc(73);
+  buf.writeUInt8(2, 0);
+  buf.writeUInt16LE(user.uid, 1);
+  buf.writeUInt8(user.role || 0, 3);
+  buf.write(String(user.password || "").slice(0, 8), 4, "ascii");
+  buf.write(String(user.name || "").slice(0, 24), 12, "ascii");
+  buf.writeUInt32LE(Number(user.cardno) || 0, 36);
+  buf.writeUInt8(1, 40);
+  buf.write(String(user.userId).slice(0, 24), 49, "ascii");
+  return buf;
+}
+
+/**
+ * Write one user with all of its fingerprint templates (creates or replaces the user)
+ * @param {object} zk - Connected zkteco-js instance
+ * @param {object} user - { uid, userId, name, password, role, cardno }
+ * @param {Array<{ fid: number, template: Buffer }>} fingers
+ */
+async function writeUserTemplates(zk, user, fingers) {
+  const tcp = getTcp(zk);
+
+  const index = [];
+  const blobs = [];
+  let blobOffset = 0;
+  for (const finger of fingers) {
+    const blob = Buffer.alloc(2 + finger.template.length);
+    blob.writeUInt16LE(finger.template.length, 0);
+    finger.template.copy(blob, 2);
+
+    // Index entry: 2 | uid | 0x10 + finger index | offset into the template blob
+    const entry = Buffer.alloc(8);
+    entry.writeInt8(2, 0);
+    entry.writeUInt16LE(user.uid, 1);
+    entry.writeInt8(0x10 + finger.fid, 3);
+    entry.writeUInt32LE(blobOffset, 4);
+
+    index.push(entry);
+    blobs.push(blob);
+    blobOffset += blob.length;
+  }
+
+  const userRecord = encodeUser73(user);
+  const indexData = Buffer.concat(index);
+  const templateData = Buffer.concat(blobs);
+  const head = Buffer.alloc(12);
+  head.writeUInt32LE(userRecord.length, 0);
+  head.writeUInt32LE(indexData.length, 4);
+  head.writeUInt32LE(templateData.length, 8);
+  const packet = Buffer.concat([head, userRecord, indexData, templateData]);
+
+  // Upload the packet into the device buffer, then apply it
+  await tcp.freeData();
+  const size = Buffer.alloc(4);
+  size.writeUInt32LE(packet.length, 0);
+  assertAck(await tcp.executeCmd(COMMANDS.CMD_PREPARE_DATA, size), "template upload");
+  for (let start = 0; start < packet.length; start += MAX_UPLOAD_CHUNK) {
+    assertAck(await tcp.executeCmd(COMMANDS.CMD_DATA, packet.subarray(start, start + MAX_UPLOAD_CHUNK)), "template data");
+  }
+
+  const apply = Buffer.alloc(8);
+  apply.writeUInt32LE(12, 0);
+  apply.writeUInt16LE(0, 4);
+  apply.writeUInt16LE(8, 6);
+  assertAck(await tcp.executeCmd(CMD_SAVE_USER_TEMPLATES, apply), "user templates");
+  await tcp.executeCmd(COMMANDS.CMD_REFRESHDATA, "");
+}
+
+/**
+ * Download all users and their fingerprint templates into a new backup file
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {string} [deviceId]
+ * @returns {Promise<object>} Backup summary ({ id, file, userCount, templateCount, ... })
+ */
+async function createBackup(deviceService, io, deviceId) {
+  const device = deviceService.getDeviceInfo(deviceId);
+
+  const { users, templates } = await deviceService.runDeviceCommand(io, deviceId, async (zk) => ({
+    users: (await zk.getUsers()).data,
+    templates: await readTemplates(zk),
+  }), { timeoutMs: 120000 }); // Thousands of templates take a while
+
+  const fingersByUid = new Map();
+  for (const { uid, fid, valid, template } of templates) {
+    if (!fingersByUid.has(uid)) fingersByUid.set(uid, []);
+    fingersByUid.get(uid).push({ fid, valid, template: template.toString("base64") });
+  }
+
+  const createdAt = new Date().toISOString();
+  const summary = {
+    version: BACKUP_FORMAT_VERSION,
+    id: `${device.id}_${createdAt.replace(/[:.]/g, "-")}`,
+    createdAt,
+    device: { id: device.id, label: device.label, ip: device.ip },
+    userCount: users.length,
+    templateCount: templates.length,
+    usersWithoutFingers: users.filter((user) => !fingersByUid.has(user.uid)).length,
+  };
+
+  const backup = {
+    ...summary,
+    users: users.map((user) => ({
+      uid: user.uid,
+      userId: user.userId,
+      name: user.name,
+      role: user.role,
+      password: user.password,
+      cardno: user.cardno,
+      fingers: fingersByUid.get(user.uid) || [],
+    })),
+  };
+
+  const file = path.join(getBackupDir(), `${summary.id}.json`);
+  await fs.ensureDir(getBackupDir());
+  await fs.writeJson(file, backup);
+
+  log("success", `💾 Template backup of ${device.label}: ${users.length} users, ${templates.length} templates (${summary.usersWithoutFingers} users without fingerprints)`);
+  return { ...summary, file };
+}
+
+/**
+ * List backup files (newest first)
+ */
+async function listBackups() {
+  await fs.ensureDir(getBackupDir());
+  const files = (await fs.readdir(getBackupDir())).filter((name) => name.endsWith(".json"));
+
+  const backups = [];
+  for (const name of files) {
+    try {
+      const backup = await fs.readJson(path.join(getBackupDir(), name));
+      delete backup.users;
+      backups.push(backup);
+    } catch (error) {
+      log("warning", `Skipping unreadable template backup ${name}: ${error.message}`);
+    }
+  }
+
+  return backups.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+async function loadBackup(backupId) {
+  // Ids are file names - don't let them point outside the backup folder
+  if (!/^[\w.-]+$/.test(String(backupId || ""))) {
+    throw new Error(`Invalid backup id: ${backupId}`);
+  }
+
+  const file = path.join(getBackupDir(), `${backupId}.json`);
+  if (!await fs.pathExists(file)) {
+    throw new Error(`Backup not found: ${backupId}`);
+  }
+
+  const backup = await fs.readJson(file);
+  if (backup.version !== BACKUP_FORMAT_VERSION) {
+    throw new Error(`Unsupported backup version ${backup.version} (expected ${BACKUP_FORMAT_VERSION})`);
+  }
+  return backup;
+}
+
+/**
+ * Restore a backup to a device, one user at a time
+ * Users keep their device uid when the target device already has them (same user id) or the
+ * uid is free; otherwise they get the next free uid.
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {object} options
+ * @param {string} options.backupId
+ * @param {string} [options.deviceId] - Target device (primary device when omitted)
+ * @param {string[]} [options.userIds] - Only restore these users
+ * @returns {Promise<object>} Report: { restored, failed, skipped, results: [{ userId, name, status, fingers, error }] }
+ */
+async function restoreBackup(deviceService, io, { backupId, deviceId, userIds }) {
+  const backup = await loadBackup(backupId);
+  const device = deviceService.getDeviceInfo(deviceId);
+  const startedAt = Date.now();
+
+  const wanted = Array.isArray(userIds) && userIds.length > 0 ? new Set(userIds.map(String)) : null;
+  const users = backup.users.filter((user) => !wanted || wanted.has(String(user.userId)));
+
+  const existing = await deviceService.runDeviceCommand(io, deviceId, async (zk) => (await zk.getUsers()).data);
+  const uidByUserId = new Map(existing.map((user) => [String(user.userId), user.uid]));
+  const usedUids = new Set(existing.map((user) => user.uid));
+  let nextUid = 1;
+
+  const assignUid = (user) => {
+    if (uidByUserId.has(String(user.userId))) return uidByUserId.get(String(user.userId));
+    let uid = user.uid;
+    if (!uid || usedUids.has(uid)) {
+      while (usedUids.has(nextUid)) nextUid++;
+      uid = nextUid;
+    }
+    usedUids.add(uid);
+    return uid;
+  };
+
+  log("info", `♻️ Restoring template backup ${backupId} to ${device.label}: ${users.length} users`);
+
+  const results = [];
+  for (const user of users) {
+    const result = { userId: user.userId, name: user.name, fingers: user.fingers.length };
+
+    if (user.fingers.length === 0) {
+      result.status = "skipped";
+      result.error = "No fingerprints in backup";
+    } else {
+      try {
+        const uid = assignUid(user);
+        const fingers = user.fingers.map((finger) => ({ fid: finger.fid, template: Buffer.from(finger.template, "base64") }));
+
+        // Lock per user - polling and real-time punches carry on between users
+        await deviceService.runDeviceCommand(io, deviceId, (zk) => writeUserTemplates(zk, { ...user, uid }, fingers), { timeoutMs: 30000 });
+        result.uid = uid;
+        result.status = "restored";
+      } catch (error) {
+        result.status = "failed";
+        result.error = error.message;
+        log("warning", `⚠️ Restoring ${user.userId} (${user.name}) failed: ${error.message}`);
+      }
+    }
+
+    results.push(result);
+    io.emit("template_restore_progress", {
+      backupId,
+      deviceId: device.id,
+      done: results.length,
+      total: users.length,
+      userId: user.userId,
+      status: result.status,
+    });
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const report = {
+    backupId,
+    deviceId: device.id,
+    deviceLabel: device.label,
+    total: users.length,
+    restored: count("restored"),
+    failed: count("failed"),
+    skipped: count("skipped"),
+    durationMs: Date.now() - startedAt,
+    results,
+  };
+
+  log(report.failed > 0 ? "warning" : "success",
+    `♻️ Restore to ${device.label} finished: ${report.restored} restored, ${report.failed} failed, ${report.skipped} skipped`);
+
+  return report;
+}
+
+module.exports = {
+  BACKUP_FORMAT_VERSION,
+  getTcp,
+  assertAck,
+  readTemplates,
+  writeUserTemplates,
+  createBackup,
+  listBackups,
+  restoreBackup,
+};
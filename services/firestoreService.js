@@ -2,6 +2,7 @@ const { db } = require("../config/firebaseConfig");
 const log = require("../utils/logger");
 
 const ATTENDANCE_COLLECTION = "attendance_logs";
+const DEFAULT_DEVICE_KEY = "device"; // Records without a deviceId
 
 // Batch write queue
 // OPTIMIZED FOR PEAK HOURS: Faster timeout and concurrent batch support
@@ -12,6 +13,33 @@ const MAX_CONCURRENT_BATCHES = 2; // Allow 2 concurrent batches
 let batchTimer = null;
 let activeBatches = 0;
 
+/**
+ * Deterministic id of an attendance record: terminal + biometric id + check-in punch time (to the second).
+ * The same punch always maps to the same document, so uploading it again (a sync interrupted by a crash,
+ * a journal replay, a backfill or USB import run twice) overwrites it instead of adding a duplicate.
+ * @returns {string|null} e.g. "main_102_20250110T080000Z", null without a biometric id or punch time
+ */
+function getAttendanceRecordId({ deviceId, biometricDeviceId, checkInTime }) {
+  const ms = Date.parse(checkInTime);
+  if (biometricDeviceId === undefined || biometricDeviceId === null || Number.isNaN(ms)) return null;
+
+  const stamp = new Date(Math.floor(ms / 1000) * 1000).toISOString().replace(/[-:]|\.000/g, "");
+  return [deviceId || DEFAULT_DEVICE_KEY, biometricDeviceId, stamp]
+    .map((part) => String(part).replace(/[\/\s]/g, "-"))
+    .join("_");
+}
+
+/**
+ * Firestore path for an attendance record: `records/{attendanceId}`.
+ * Records stored before attendance ids existed keep their original path - `records/{userId}` for the
+ * first session of the day, `records/{userId}_{sessionNumber}` for later ones.
+ */
+function getAttendanceDocPath(record) {
+  const { userId, date, sessionNumber, attendanceId } = record;
+  const legacyId = sessionNumber && sessionNumber > 1 ? `${userId}_${sessionNumber}` : userId;
+  return `${ATTENDANCE_COLLECTION}/${date}/records/${attendanceId || legacyId}`;
+}
+
 /**
  * Flush the write queue using Firestore batch operations
  */
@@ -23,61 +51,64 @@ async function flushBatchQueue() {
 
   activeBatches++;
 
-  try {
-    // Take items from queue
-    const itemsToWrite = writeQueue.splice(0, BATCH_SIZE);
-
-    if (itemsToWrite.length === 0) {
-      activeBatches--;
-      return;
-    }
+  // Take items from queue
+  const itemsToWrite = writeQueue.splice(0, BATCH_SIZE);
+  const deferred = [];
 
+  try {
     log("info", `🔄 Flushing ${itemsToWrite.length} records to Firestore in batch (${activeBatches} active batches)...`);
 
     // Process in batches of 500 (Firestore limit)
     const batch = db.batch();
     const processedPaths = new Set();
+    const written = [];
 
-    for (const { record, resolve, reject } of itemsToWrite) {
-      try {
-        const { userId, date } = record;
-        const docPath = `${ATTENDANCE_COLLECTION}/${date}/records/${userId}`;
-
-        // Skip duplicates within the same batch
-        if (processedPaths.has(docPath)) {
-          log("warning", `Duplicate within batch blocked for user ${userId} on ${date}`);
-          resolve({ success: false, reason: "duplicate_in_batch" });
-          continue;
-        }
+    for (const item of itemsToWrite) {
+      const docPath = getAttendanceDocPath(item.record);
 
-        const docRef = db.doc(docPath);
-        batch.set(docRef, record, { merge: false }); // merge: false ensures create behavior
-        processedPaths.add(docPath);
+      // Same document twice (e.g. a check-in and its check-out): the later version goes in the next batch
+      if (processedPaths.has(docPath)) {
+        deferred.push(item);
+        continue;
+      }
 
-        // Mark as success (will resolve after batch commits)
-        resolve({ success: true, path: docPath });
+      // Upsert: the record is the full latest version of the document
+      try {
+        batch.set(db.doc(docPath), item.record);
       } catch (error) {
-        reject(error);
+        // Invalid path or field value - only this record fails
+        log("error", `Record for user ${item.record.userId} on ${item.record.date} can't be written: ${error.message}`);
+        item.reject(error);
+        continue;
       }
+      processedPaths.add(docPath);
+      written.push({ ...item, docPath });
     }
-
-    // Commit the batch
-    await batch.commit();
-    log("success", `✅ Batch write completed: ${processedPaths.size} records saved to Firestore`);
-
-  } catch (error) {
-    log("error", "Batch write failed:", { errorMessage: error.message });
-
-    // If batch fails, try individual writes as fallback
-    log("warning", "Attempting individual writes as fallback...");
-    for (const { record, resolve, reject } of writeQueue.splice(0, BATCH_SIZE)) {
-      try {
-        await saveAttendanceRecordDirect(record);
-        resolve({ success: true, fallback: true });
-      } catch (err) {
-        reject(err);
+    // Ahead of the rest of the queue, which only holds newer records
+    writeQueue.unshift(...deferred);
+
+    try {
+      await batch.commit();
+      written.forEach(({ resolve, docPath }) => resolve({ success: true, path: docPath }));
+      log("success", `✅ Batch write completed: ${processedPaths.size} records saved to Firestore`);
+    } catch (error) {
+      log("error", "Batch write failed:", { errorMessage: error.message });
+
+      // Writes are idempotent, so the batch's records can safely be written one by one
+      log("warning", "Attempting individual writes as fallback...");
+      for (const { record, resolve, reject } of written) {
+        try {
+          await saveAttendanceRecordDirect(record);
+          resolve({ success: true, fallback: true });
+        } catch (err) {
+          reject(err);
+        }
       }
     }
+  } catch (error) {
+    // Fail the records still waiting on this batch so sync retries them
+    log("error", "Batch flush failed:", { errorMessage: error.message });
+    itemsToWrite.filter((item) => !writeQueue.includes(item)).forEach(({ reject }) => reject(error));
   } finally {
     activeBatches--;
 
@@ -94,11 +125,12 @@ async function flushBatchQueue() {
  */
 async function saveAttendanceRecordDirect(record) {
   const { userId, date } = record;
-  const docPath = `${ATTENDANCE_COLLECTION}/${date}/records/${userId}`;
+  const docPath = getAttendanceDocPath(record);
   const docRef = db.doc(docPath);
 
   try {
-    await docRef.create(record);
+    // A record with an attendance id owns its document; legacy paths are shared per member and day
+    await (record.attendanceId ? docRef.set(record) : docRef.create(record));
     log("success", `📝 Record saved to Firestore path: ${docPath}`);
   } catch (error) {
     if (error.code === 6) {
@@ -148,6 +180,36 @@ async function saveAttendanceRecord(record, immediate = false) {
   });
 }
 
+/**
+ * Update an existing attendance record (e.g. a check-out closing a session).
+ * Uses merge so it also succeeds if the check-in has not reached Firestore yet.
+ * @param {object} record The full updated attendance record
+ */
+async function updateAttendanceRecord(record) {
+  if (!db) {
+    log("error", "Firestore is not initialized. Cannot update attendance record.");
+    return;
+  }
+
+  const docPath = getAttendanceDocPath(record);
+  await db.doc(docPath).set(record, { merge: true });
+  log("success", `📝 Record updated in Firestore path: ${docPath}`);
+}
+
+/**
+ * Read all attendance records stored for a day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<object[]>}
+ */
+async function getAttendanceRecordsForDate(date) {
+  if (!db) {
+    throw new Error("Firestore is not initialized");
+  }
+
+  const snapshot = await db.collection(ATTENDANCE_COLLECTION).doc(date).collection("records").get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
 /**
  * Force flush all pending writes immediately
  */
@@ -174,7 +236,10 @@ function getBatchStats() {
 }
 
 module.exports = {
+  getAttendanceRecordId,
   saveAttendanceRecord,
+  updateAttendanceRecord,
+  getAttendanceRecordsForDate,
   flushPendingWrites,
   getBatchStats,
 };
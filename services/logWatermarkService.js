@@ -0,0 +1,177 @@
+/**
+ * Attendance Log Watermark Service
+ * Remembers, per device, the last device-log record that was ingested so polls,
+ * reconnects and restarts only process new punches. Detects a cleared or wrapped
+ * device log (the watermark record is no longer in the log).
+ */
+
+const offlineStorage = require("./offlineStorage");
+
+const MAX_REALTIME_KEYS = 2000; // Real-time punches not yet covered by a log pull
+
+const RESET_REASONS = {
+  CLEARED: "cleared", // Fewer records than at the last pull
+  WRAPPED: "wrapped", // Same or more records, but the oldest ones (incl. the watermark) were overwritten
+};
+
+// deviceId -> { lastSn, lastUserId, lastRecordTime, logCount, realtimeKeys, updatedAt }
+let watermarks = null;
+let loadPromise = null;
+let persistChain = Promise.resolve(); // Real-time notes and poll updates write the same file
+
+/**
+ * Lazy-load the persisted watermarks
+ */
+async function getWatermarks() {
+  if (!watermarks) {
+    if (!loadPromise) {
+      loadPromise = offlineStorage.loadLogWatermarks().then((stored) => {
+        watermarks = new Map(Object.entries(stored || {}));
+      });
+    }
+    await loadPromise;
+  }
+  return watermarks;
+}
+
+function persist() {
+  persistChain = persistChain.then(() => offlineStorage.saveLogWatermarks(Object.fromEntries(watermarks)));
+  return persistChain;
+}
+
+function getRecordTimeMs(record) {
+  const value = record.record_time ?? record.recordTime ?? record.timestamp ?? record.attTime;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function getRecordUserId(record) {
+  return String(record.user_id ?? record.userId);
+}
+
+// Device times have second precision - real-time events and log records share this key
+function recordKey(userId, timeMs) {
+  return `${userId}|${Math.floor(timeMs / 1000)}`;
+}
+
+function isWatermarkRecord(record, watermark) {
+  if (watermark.lastSn !== null && record.sn !== undefined && record.sn !== watermark.lastSn) {
+    return false;
+  }
+  return getRecordUserId(record) === watermark.lastUserId && getRecordTimeMs(record) === watermark.lastRecordTime;
+}
+
+/**
+ * Get the watermark of a device (null before the first pull)
+ */
+async function getWatermark(deviceId) {
+  const map = await getWatermarks();
+  return map.get(deviceId) || null;
+}
+
+/**
+ * Cheap pre-check from getInfo(): the log can only hold new records if its size changed,
+ * or if it is full (a wrapping log keeps the same size)
+ * @param {object} watermark
+ * @param {object} info - { logCounts, logCapacity } from zk.getInfo()
+ */
+function hasLogChanged(watermark, info) {
+  if (!watermark || !info || typeof info.logCounts !== "number") return true;
+  if (info.logCapacity && info.logCounts >= info.logCapacity) return true;
+  return info.logCounts !== watermark.logCount;
+}
+
+/**
+ * Pick the records that come after the watermark
+ * @param {object[]} records - Full device log (oldest first)
+ * @param {object} watermark
+ * @returns {{ records: object[], reset: string|null }} reset is a RESET_REASONS value when the watermark record is gone
+ */
+function selectNewRecords(records, watermark) {
+  let startIndex = -1;
+  for (let i = records.length - 1; i >= 0; i--) {
+    if (isWatermarkRecord(records[i], watermark)) {
+      startIndex = i + 1;
+      break;
+    }
+  }
+
+  let reset = null;
+  let candidates;
+
+  if (startIndex >= 0) {
+    candidates = records.slice(startIndex);
+  } else if (watermark.lastUserId === null) {
+    candidates = records; // Log was empty at the last pull - everything is new
+  } else {
+    // Watermark record is gone - fall back to everything newer than it
+    reset = records.length < watermark.logCount ? RESET_REASONS.CLEARED : RESET_REASONS.WRAPPED;
+    candidates = records.filter((record) => getRecordTimeMs(record) > watermark.lastRecordTime);
+  }
+
+  // Skip punches already handled through the real-time listener
+  const realtimeKeys = new Set(watermark.realtimeKeys || []);
+  const fresh = candidates.filter((record) => {
+    const timeMs = getRecordTimeMs(record);
+    return timeMs === null || !realtimeKeys.has(recordKey(getRecordUserId(record), timeMs));
+  });
+
+  return { records: fresh, reset };
+}
+
+/**
+ * Move the watermark to the newest record of a pulled log
+ * @param {string} deviceId
+ * @param {object[]} records - Full device log (oldest first)
+ */
+async function advanceWatermark(deviceId, records) {
+  const map = await getWatermarks();
+  const previous = map.get(deviceId);
+  const last = records.length > 0 ? records[records.length - 1] : null;
+
+  const watermark = {
+    lastSn: last && last.sn !== undefined ? last.sn : null,
+    lastUserId: last ? getRecordUserId(last) : null,
+    lastRecordTime: last ? getRecordTimeMs(last) : previous ? previous.lastRecordTime : null,
+    logCount: records.length,
+    realtimeKeys: [],
+    updatedAt: new Date().toISOString(),
+  };
+
+  // Real-time punches newer than the pulled log still need to be skipped by the next pull
+  if (previous && previous.realtimeKeys && watermark.lastRecordTime !== null) {
+    const cutoff = Math.floor(watermark.lastRecordTime / 1000);
+    watermark.realtimeKeys = previous.realtimeKeys.filter((key) => Number(key.split("|")[1]) > cutoff);
+  }
+
+  map.set(deviceId, watermark);
+  await persist();
+  return watermark;
+}
+
+/**
+ * Remember a punch ingested through the real-time listener so the next log pull skips it
+ * @param {string} deviceId
+ * @param {string|number} userId - Biometric id
+ * @param {Date|string} timestamp - Device time of the punch
+ */
+async function noteRealtimeRecord(deviceId, userId, timestamp) {
+  const timeMs = new Date(timestamp).getTime();
+  if (Number.isNaN(timeMs)) return;
+
+  const map = await getWatermarks();
+  const watermark = map.get(deviceId);
+  if (!watermark) return; // First pull will set the watermark past this punch anyway
+
+  watermark.realtimeKeys = [...(watermark.realtimeKeys || []), recordKey(String(userId), timeMs)].slice(-MAX_REALTIME_KEYS);
+  await persist();
+}
+
+module.exports = {
+  RESET_REASONS,
+  getWatermark,
+  hasLogChanged,
+  selectNewRecords,
+  advanceWatermark,
+  noteRealtimeRecord,
+};
@@ -0,0 +1,393 @@
+/**
+ * Member Credential Service
+ * RFID card numbers and PINs as member credentials. They come from the Firestore member
+ * document (`cardNumber`, `pin`), are checked against the other members and device users
+ * so no two people share one, and are written to the device user record.
+ *
+ * A member document without the field leaves the device value alone; null or "" clears it.
+ * Also maps the verify type devices report with each punch to finger / card / PIN.
+ */
+
+const { db } = require("../config/firebaseConfig");
+const { COMMANDS } = require("zkteco-js/src/helper/command");
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+const { getCachedMembers, updateCachedMember } = require("./userService");
+const { assertAck } = require("./fingerprintTemplateService");
+
+const CARD_NUMBER_MAX = 0xffffffff; // 32-bit on the device
+const PIN_PATTERN = /^\d{1,8}$/; // Device password field is 8 bytes
+const FIRST_SYNC_DELAY_MS = 60 * 1000; // Let the devices connect first
+
+const VERIFY_METHODS = {
+  FINGER: "finger",
+  CARD: "card",
+  PIN: "pin",
+  FACE: "face",
+  OTHER: "other",
+};
+
+// Verify type in attendance logs (TCP and ADMS)
+const VERIFY_TYPE_METHODS = {
+  0: VERIFY_METHODS.PIN,
+  1: VERIFY_METHODS.FINGER,
+  2: VERIFY_METHODS.CARD,
+  3: VERIFY_METHODS.PIN,
+  4: VERIFY_METHODS.CARD,
+  15: VERIFY_METHODS.FACE,
+};
+
+let deviceService = null;
+let io = null;
+let unsubscribeMembers = null;
+let firstSyncTimer = null;
+let queue = Promise.resolve(); // Syncs must not modify devices concurrently
+
+function exclusive(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * How a punch was verified
+ * @param {number} [verifyType] - Verify type reported by the device
+ * @returns {string|null} One of VERIFY_METHODS, null when the device didn't say
+ */
+function getVerifyMethod(verifyType) {
+  if (verifyType === undefined || verifyType === null || Number.isNaN(Number(verifyType))) return null;
+  return VERIFY_TYPE_METHODS[Number(verifyType)] || VERIFY_METHODS.OTHER;
+}
+
+/**
+ * Bad or conflicting credentials - retrying won't fix them
+ */
+function credentialError(message) {
+  const error = new Error(message);
+  error.credential = true;
+  return error;
+}
+
+/**
+ * Card number and PIN managed by the member document
+ * @param {object} member - { name, cardNumber, pin }
+ * @returns {{ cardNumber?: number, pin?: string }} Only the fields the document sets (0 / "" = none)
+ */
+function readMemberCredentials(member) {
+  const credentials = {};
+  const name = member.name || member.biometricDeviceId;
+
+  if (member.cardNumber !== undefined) {
+    const cardNumber = member.cardNumber === null || member.cardNumber === "" ? 0 : Number(member.cardNumber);
+    if (!Number.isInteger(cardNumber) || cardNumber < 0 || cardNumber > CARD_NUMBER_MAX) {
+      throw credentialError(`Invalid card number for ${name}: ${member.cardNumber}`);
+    }
+    credentials.cardNumber = cardNumber;
+  }
+
+  if (member.pin !== undefined) {
+    const pin = member.pin === null ? "" : String(member.pin).trim();
+    if (pin && !PIN_PATTERN.test(pin)) {
+      throw credentialError(`PIN for ${name} must be 1-8 digits`);
+    }
+    credentials.pin = pin;
+  }
+
+  return credentials;
+}
+
+/**
+ * Other members or device users already holding the card number or PIN
+ * @param {string} biometricDeviceId - Whose credentials are checked
+ * @param {{ cardNumber?: number, pin?: string }} credentials
+ * @param {object} [holders] - { members, deviceUsers }
+ * @returns {string[]} One message per conflict
+ */
+function findCredentialConflicts(biometricDeviceId, credentials, { members = [], deviceUsers = [] } = {}) {
+  const id = String(biometricDeviceId);
+  const conflicts = [];
+  const check = (label, value, memberValue, userValue) => {
+    const member = members.find((m) => String(m.biometricDeviceId) !== id && memberValue(m) === value);
+    if (member) {
+      conflicts.push(`${label} is already assigned to ${member.name || member.biometricDeviceId}`);
+      return;
+    }
+    const user = deviceUsers.find((u) => String(u.userId) !== id && userValue(u) === value);
+    if (user) {
+      conflicts.push(`${label} is already used on the device by ${user.name || `user ${user.userId}`}`);
+    }
+  };
+
+  if (credentials.cardNumber) {
+    check(`Card ${credentials.cardNumber}`, credentials.cardNumber, (m) => Number(m.cardNumber) || 0, (u) => Number(u.cardno) || 0);
+  }
+  if (credentials.pin) {
+    check("PIN", credentials.pin, (m) => (m.pin === undefined || m.pin === null ? "" : String(m.pin).trim()), (u) => u.password || "");
+  }
+  return conflicts;
+}
+
+/**
+ * Validate a member's credentials and check them for uniqueness
+ * @throws {Error} error.credential = true for invalid or duplicate credentials
+ */
+async function resolveCredentials(member, deviceUsers = []) {
+  const credentials = readMemberCredentials(member);
+  const conflicts = findCredentialConflicts(member.biometricDeviceId, credentials, {
+    members: await getCachedMembers(),
+    deviceUsers,
+  });
+  if (conflicts.length > 0) {
+    throw credentialError(conflicts.join("; "));
+  }
+  return credentials;
+}
+
+/**
+ * A device user record with the member's credentials applied
+ */
+function withCredentials(user, credentials) {
+  return {
+    ...user,
+    password: credentials.pin ?? user.password ?? "",
+    cardno: credentials.cardNumber ?? user.cardno ?? 0,
+  };
+}
+
+function hasCredentialChanges(user, credentials) {
+  return (credentials.pin !== undefined && credentials.pin !== (user.password || "")) ||
+    (credentials.cardNumber !== undefined && credentials.cardNumber !== (Number(user.cardno) || 0));
+}
+
+/**
+ * 72-byte device user record - the layout of CMD_USER_WRQ and of user.dat on a USB stick
+ * @param {object} user - { uid, userId, name, password, role, cardno }
+ * @returns {Buffer}
+ */
+function encodeUser72(user) {
+  // [uid (2)] [role] [password (8)] [name (24)] [card (4)] [-] [group (7)] [-] [user id (24)]
+  const buf = Buffer.alloc(72);
+  buf.writeUInt16LE(user.uid, 0);
+  buf.writeUInt8(user.role || 0, 2);
+  buf.write(String(user.password || "").slice(0, 8), 3, "ascii");
+  buf.write(String(user.name || "").slice(0, 24), 11, "ascii");
+  buf.writeUInt32LE(Number(user.cardno) || 0, 35);
+  buf.write("1", 40, "ascii");
+  buf.write(String(user.userId).slice(0, 24), 48, "ascii");
+  return buf;
+}
+
+/**
+ * Create or replace a device user (CMD_USER_WRQ)
+ * zkteco-js setUser writes the card number as 16 bits, too small for RFID card numbers.
+ * @param {object} zk - Connected zkteco-js instance
+ * @param {object} user - { uid, userId, name, password, role, cardno }
+ */
+async function writeDeviceUser(zk, user) {
+  const userId = String(user.userId);
+  if (!(user.uid > 0 && user.uid <= 0xffff) || userId.length > 9) {
+    throw new Error(`Invalid device user: uid ${user.uid}, user id ${userId}`);
+  }
+  assertAck(await zk.executeCmd(COMMANDS.CMD_USER_WRQ, encodeUser72(user)), "user write");
+}
+
+function getConnectedDevices() {
+  return deviceService.listDevices().filter((device) => device.connected && device.transport !== "adms");
+}
+
+/**
+ * Log, audit and broadcast a credential update on a device
+ */
+async function recordResult(member, device, credentials, error = null) {
+  const name = member.name || member.biometricDeviceId;
+  if (error) {
+    log("warning", `⚠️ Credentials for ${name} not written to ${device.label}: ${error}`);
+  } else {
+    log("success", `🪪 Card/PIN updated for ${name} on ${device.label}`);
+  }
+
+  await offlineStorage.saveDeviceAuditEntry({
+    action: "set_credentials",
+    deviceId: device.id,
+    deviceLabel: device.label,
+    // Never log the PIN itself
+    params: { biometricDeviceId: String(member.biometricDeviceId), cardNumber: credentials.cardNumber, pinSet: credentials.pin === undefined ? undefined : !!credentials.pin },
+    staff: null,
+    requestedAt: new Date().toISOString(),
+    success: !error,
+    ...(error && { error }),
+  });
+  if (io) {
+    io.emit("member_credentials_updated", {
+      biometricDeviceId: String(member.biometricDeviceId),
+      name,
+      deviceId: device.id,
+      deviceLabel: device.label,
+      success: !error,
+      ...(error && { error }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Write one member's card number and PIN to a device, if they differ
+ * @returns {Promise<string>} "updated", "unchanged", "not_on_device" or "failed"
+ */
+async function syncOnDevice(device, member, users) {
+  const user = users.find((u) => String(u.userId) === String(member.biometricDeviceId));
+  if (!user) return "not_on_device";
+
+  let credentials;
+  try {
+    credentials = readMemberCredentials(member);
+    if (!hasCredentialChanges(user, credentials)) return "unchanged";
+    await resolveCredentials(member, users);
+  } catch (error) {
+    await recordResult(member, device, credentials || {}, error.message);
+    return "failed";
+  }
+
+  try {
+    const updated = withCredentials(user, credentials);
+    await deviceService.runDeviceCommand(io, device.id, (zk) => writeDeviceUser(zk, updated));
+    user.password = updated.password;
+    user.cardno = updated.cardno;
+    await recordResult(member, device, credentials);
+    return "updated";
+  } catch (error) {
+    await recordResult(member, device, credentials, error.message);
+    return "failed";
+  }
+}
+
+function getDeviceUsers(device) {
+  return deviceService.runDeviceCommand(io, device.id, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+}
+
+/**
+ * Write a member's credentials to every connected device (called for Firestore changes)
+ */
+function syncMemberCredentials(member) {
+  return exclusive(async () => {
+    if (member.cardNumber === undefined && member.pin === undefined) return;
+
+    for (const device of getConnectedDevices()) {
+      try {
+        await syncOnDevice(device, member, await getDeviceUsers(device));
+      } catch (error) {
+        log("error", `Failed to sync credentials for ${member.name} to ${device.label}: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Compare every cached member's card number and PIN with the connected devices and fix differences
+ * @returns {Promise<object>} { syncedAt, devices, updated, failed }
+ */
+function syncAllCredentials() {
+  if (!deviceService) {
+    return Promise.reject(new Error("Credential sync is not running"));
+  }
+
+  return exclusive(async () => {
+    const members = (await getCachedMembers()).filter((m) => m.cardNumber !== undefined || m.pin !== undefined);
+    const summary = { syncedAt: new Date().toISOString(), devices: 0, updated: 0, failed: 0 };
+
+    for (const device of getConnectedDevices()) {
+      let users;
+      try {
+        users = await getDeviceUsers(device);
+      } catch (error) {
+        log("error", `Credential sync skipped ${device.label}: ${error.message}`);
+        continue;
+      }
+      summary.devices++;
+
+      for (const member of members) {
+        const status = await syncOnDevice(device, member, users);
+        if (status === "updated") summary.updated++;
+        if (status === "failed") summary.failed++;
+      }
+    }
+
+    if (summary.updated > 0 || summary.failed > 0) {
+      log("info", `🪪 Credential sync: ${summary.updated} updated, ${summary.failed} failed`);
+    }
+    return summary;
+  });
+}
+
+/**
+ * Watch Firestore members so card and PIN changes reach the devices as they happen
+ */
+function listenForCredentialChanges() {
+  if (!db) {
+    log("warning", "⚠️ Firestore is not initialized. Card and PIN changes are synced on start-up only.");
+    return;
+  }
+
+  let initialSnapshot = true;
+  unsubscribeMembers = db.collection("users")
+    .where("biometricDeviceId", "!=", null)
+    .onSnapshot((snapshot) => {
+      if (initialSnapshot) {
+        initialSnapshot = false; // Covered by the first full sync
+        return;
+      }
+
+      for (const change of snapshot.docChanges()) {
+        if (change.type !== "modified") continue;
+
+        const member = { id: change.doc.id, ...change.doc.data() };
+        delete member.profileImageUrl;
+
+        updateCachedMember(member)
+          .then(() => syncMemberCredentials(member))
+          .catch((error) => log("error", `Failed to handle credential update for ${member.name}: ${error.message}`));
+      }
+    }, (error) => {
+      log("error", `Member credential listener failed: ${error.message}`);
+    });
+}
+
+/**
+ * Start the credential listener and a first full sync
+ * @param {object} deviceSvc - Device service
+ * @param {object} socketIo - Socket.IO instance
+ */
+function startCredentialSync(deviceSvc, socketIo) {
+  if (deviceService) return;
+
+  deviceService = deviceSvc;
+  io = socketIo;
+
+  firstSyncTimer = setTimeout(() => {
+    syncAllCredentials().catch((error) => log("error", `Credential sync failed: ${error.message}`));
+  }, FIRST_SYNC_DELAY_MS);
+  listenForCredentialChanges();
+}
+
+function stopCredentialSync() {
+  clearTimeout(firstSyncTimer);
+  if (unsubscribeMembers) {
+    unsubscribeMembers();
+    unsubscribeMembers = null;
+  }
+  deviceService = null;
+}
+
+module.exports = {
+  VERIFY_METHODS,
+  getVerifyMethod,
+  readMemberCredentials,
+  findCredentialConflicts,
+  resolveCredentials,
+  withCredentials,
+  encodeUser72,
+  writeDeviceUser,
+  syncAllCredentials,
+  startCredentialSync,
+  stopCredentialSync,
+};
@@ -1,42 +1,132 @@
 const { realtimeDb } = require("../config/firebaseConfig");
 const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+const { retryWithBackoff } = require("../utils/retryHelper");
+const { getCachedMembers } = require("./userService");
+const { readMemberCredentials, resolveCredentials, withCredentials, writeDeviceUser } = require("./memberCredentialService");
+const { validateBiometricId, findBiometricIdCollision, pickDeviceUid, claimBiometricId } = require("./biometricIdService");
 
 let deviceService = null;
+let registrationsRef = null;
 
-// Enrollment queue
-const enrollmentQueue = [];
+// Enrollment queue - new registrations, edits and deletions all go through it.
+// Persisted to disk, so nothing is lost while the device is offline or the app restarts.
+let queue = null; // { pending: [job], deadLetter: [job], nextJobId }
+let loadingQueue = null;
+let persistChain = Promise.resolve();
 let isProcessingQueue = false;
+let hasNewJobs = false;
+const runningJobs = new Set(); // Jobs being written to the device right now
 const MAX_CONCURRENT_ENROLLMENTS = 3; // Process 3 enrollments at a time
+const MAX_ENROLLMENT_ATTEMPTS = 5; // Failed passes before a job moves to the dead-letter list
+const RETRY_CHECK_INTERVAL_MS = 30000; // How often waiting jobs are retried (once the device is connected)
+const DEVICE_NAME_LENGTH = 24; // zkteco-js setUser limit
+
+const JOB_TYPES = {
+  ENROLL: "enroll",
+  UPDATE: "update",
+  DELETE: "delete",
+};
+
+// What the device knows about each registration (registrationId -> { biometricDeviceId, name }),
+// so our own esslStatus write-backs are not mistaken for member edits
+const knownRegistrations = new Map();
+
+async function getQueue() {
+  if (queue) return queue;
+  if (!loadingQueue) {
+    loadingQueue = offlineStorage.loadEnrollmentQueue().then((stored) => {
+      queue = {
+        pending: (stored && stored.pending) || [],
+        deadLetter: (stored && stored.deadLetter) || [],
+        nextJobId: (stored && stored.nextJobId) || 1,
+      };
+      return queue;
+    });
+  }
+  return loadingQueue;
+}
+
+function persistQueue() {
+  persistChain = persistChain.then(() => offlineStorage.saveEnrollmentQueue(queue));
+  return persistChain;
+}
+
+/**
+ * An error that retrying won't fix (bad member data) - the job goes straight to the dead-letter list
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Devices the queue writes to - every terminal connected over TCP (push devices take ADMS commands)
+ */
+function getTargetDevices() {
+  return deviceService.listDevices().filter((device) => device.transport !== "adms");
+}
+
+function isAnyDeviceConnected() {
+  return getTargetDevices().some((device) => device.connected);
+}
+
+/**
+ * Whether a job only waits for devices to come back: every device it hasn't reached is offline
+ */
+function isWaitingForDevices(job) {
+  const remaining = getTargetDevices().filter((device) => !(job.completedDevices || []).includes(device.id));
+  return remaining.length > 0 && remaining.every((device) => !device.connected);
+}
+
+/**
+ * Write the job's status back to its registration (deleted registrations have no node to write to)
+ */
+async function writeStatus(job, status) {
+  if (job.type === JOB_TYPES.DELETE || !registrationsRef) return;
+
+  try {
+    await registrationsRef.child(job.registrationId).update(status);
+  } catch (error) {
+    log("warning", `Failed to update enrollment status for ${job.memberData.name}: ${error.message}`);
+  }
+}
 
 /**
  * Process enrollment queue with concurrency control
+ * Jobs that fail stay queued for the next pass; jobs whose remaining devices are all offline wait for them.
  */
 async function processEnrollmentQueue() {
-  if (isProcessingQueue || enrollmentQueue.length === 0) {
+  if (isProcessingQueue || !deviceService) {
     return;
   }
 
   isProcessingQueue = true;
+  hasNewJobs = false;
 
   try {
-    while (enrollmentQueue.length > 0) {
+    const { pending } = await getQueue();
+    const jobs = pending.filter((job) => !isWaitingForDevices(job));
+
+    while (jobs.length > 0 && isAnyDeviceConnected()) {
       // Take batch of items from queue
-      const batch = enrollmentQueue.splice(0, MAX_CONCURRENT_ENROLLMENTS);
+      const batch = jobs.splice(0, MAX_CONCURRENT_ENROLLMENTS);
 
-      log("info", `🔄 Processing ${batch.length} enrollment(s) from queue (${enrollmentQueue.length} remaining)...`);
+      log("info", `🔄 Processing ${batch.length} enrollment(s) from queue (${jobs.length} remaining)...`);
 
       // Process batch in parallel
-      const promises = batch.map(({ memberData, registrationId, snapshotRef }) =>
-        enrollMemberInDevice(memberData, registrationId, snapshotRef).catch(err => {
+      const promises = batch.map((job) =>
+        runJob(job).catch(err => {
           const errorMsg = err?.message || err?.toString() || "Unknown error occurred";
-          log("error", `Failed to process enrollment for ${memberData.name}:`, errorMsg);
+          log("error", `Failed to process ${job.type} for ${job.memberData.name}:`, errorMsg);
         })
       );
 
       await Promise.all(promises);
 
       // Small delay between batches to avoid overwhelming the device
-      if (enrollmentQueue.length > 0) {
+      if (jobs.length > 0) {
         await new Promise(resolve => setTimeout(resolve, 500));
       }
     }
@@ -44,21 +134,193 @@ async function processEnrollmentQueue() {
     isProcessingQueue = false;
 
     // If more items added while processing, schedule next run
-    if (enrollmentQueue.length > 0) {
+    if (hasNewJobs) {
       setImmediate(() => processEnrollmentQueue());
     }
   }
 }
 
+/**
+ * Run one queued job with retries and record the outcome
+ */
+async function runJob(job) {
+  if (!queue.pending.includes(job)) return; // Discarded by staff meanwhile
+
+  job.lastAttemptAt = new Date().toISOString();
+  runningJobs.add(job);
+
+  try {
+    await retryWithBackoff(() => processJob(job), {
+      maxAttempts: 3,
+      baseDelay: 2000,
+      maxDelay: 10000,
+      operationName: `Enrollment ${job.type} (${job.memberData.name})`,
+      shouldRetry: (error) => !error.permanent && !isWaitingForDevices(job),
+    });
+
+    queue.pending = queue.pending.filter((j) => j !== job);
+    await persistQueue();
+  } catch (error) {
+    const errorMsg = error?.message || error?.toString() || "Unknown error occurred";
+    job.lastError = errorMsg;
+
+    // Changed again while this ran - the newer job replaces it, diffing against what the device still holds
+    const newer = queue.pending.find((j) => j !== job && j.registrationId === job.registrationId && j.type === job.type);
+    if (newer) {
+      queue.pending = queue.pending.filter((j) => j !== job);
+      newer.previousData = job.previousData;
+      await persistQueue();
+      log("warning", `${job.type} for ${job.memberData.name} failed and was replaced by a newer change:`, errorMsg);
+      return;
+    }
+
+    if (!error.permanent && isWaitingForDevices(job)) {
+      // Lost the devices - doesn't count as an attempt, retried once they reconnect
+      log("warning", `${job.type} for ${job.memberData.name} stays queued until its devices reconnect:`, errorMsg);
+      await persistQueue();
+      return;
+    }
+
+    job.attempts = (job.attempts || 0) + 1;
+
+    if (error.permanent || job.attempts >= MAX_ENROLLMENT_ATTEMPTS) {
+      moveToDeadLetter(job);
+      await persistQueue();
+
+      log("error", `❌ ${job.type} for ${job.memberData.name} failed (${job.attempts} attempt(s)) - moved to dead-letter list:`, errorMsg);
+      await writeStatus(job, {
+        ...(job.type === JOB_TYPES.ENROLL && { esslEnrolled: false }),
+        esslStatus: "failed",
+        esslError: errorMsg,
+        esslAttemptedAt: job.lastAttemptAt,
+      });
+      return;
+    }
+
+    await persistQueue();
+
+    log("warning", `⚠️ ${job.type} for ${job.memberData.name} failed (attempt ${job.attempts}/${MAX_ENROLLMENT_ATTEMPTS}) - will retry:`, errorMsg);
+    await writeStatus(job, {
+      esslStatus: "retrying",
+      esslError: errorMsg,
+      esslAttempts: job.attempts,
+      esslAttemptedAt: job.lastAttemptAt,
+    });
+  } finally {
+    runningJobs.delete(job);
+  }
+}
+
+function moveToDeadLetter(job) {
+  queue.pending = queue.pending.filter((j) => j !== job);
+  job.deadLetteredAt = new Date().toISOString();
+  queue.deadLetter.push(job);
+
+  if (job.type === JOB_TYPES.UPDATE) {
+    // The device still holds the previous data - next edit diffs against that
+    knownRegistrations.set(job.registrationId, job.previousData);
+  }
+}
+
+/**
+ * Run one queued job on every device it hasn't reached yet
+ * Devices it was written to are kept in job.completedDevices, so a retry only writes the others.
+ * Throws while a device is offline or fails; bad member data fails the job on the first device.
+ */
+async function processJob(job) {
+  const { type, memberData, previousData, registrationId } = job;
+  const devices = getTargetDevices();
+  if (devices.length === 0) {
+    throw new Error("No device registered");
+  }
+
+  job.completedDevices = job.completedDevices || [];
+  const failures = [];
+  for (const device of devices) {
+    if (job.completedDevices.includes(device.id)) continue;
+    if (!device.connected) {
+      failures.push(`${device.label} is not connected`);
+      continue;
+    }
+
+    try {
+      switch (type) {
+        case JOB_TYPES.UPDATE:
+          await updateMemberInDevice(memberData, previousData, registrationId, device);
+          break;
+        case JOB_TYPES.DELETE:
+          await deleteMemberFromDevice(memberData, registrationId, device);
+          break;
+        default:
+          await enrollMemberInDevice(memberData, registrationId, device);
+      }
+    } catch (error) {
+      if (error.permanent) throw error;
+      failures.push(`${device.label}: ${error.message}`);
+      continue;
+    }
+
+    job.completedDevices.push(device.id);
+    await persistQueue();
+  }
+
+  if (failures.length > 0) {
+    throw new Error(failures.join("; "));
+  }
+
+  const now = new Date().toISOString();
+  await writeStatus(job, {
+    esslEnrolled: true,
+    ...(type === JOB_TYPES.ENROLL ? { esslEnrolledAt: now } : { esslUpdatedAt: now }),
+    esslStatus: "success",
+    esslError: null,
+  });
+}
+
 /**
  * Add enrollment to queue
+ * A newer change for a registration replaces its queued one, or is queued after it while that one is
+ * being written to the device; a deletion drops everything queued for it.
+ * @param {string} [type] - JOB_TYPES value
+ * @param {object} [previousData] - Registration as the device knows it (updates only)
  */
-function queueEnrollment(memberData, registrationId, snapshotRef) {
-  enrollmentQueue.push({ memberData, registrationId, snapshotRef });
+async function queueEnrollment(memberData, registrationId, type = JOB_TYPES.ENROLL, previousData = null) {
+  await getQueue();
+
+  if (type === JOB_TYPES.DELETE) {
+    queue.pending = queue.pending.filter((job) => job.registrationId !== registrationId);
+  }
+
+  const queued = queue.pending.find((job) => job.registrationId === registrationId && job.type === type && !runningJobs.has(job));
+  if (queued) {
+    queued.memberData = memberData;
+    queued.completedDevices = []; // The new data goes to every device
+    log("info", `📥 Updated queued ${type} for ${memberData.name}`);
+  } else {
+    queue.pending.push({
+      id: queue.nextJobId++,
+      type,
+      registrationId,
+      memberData,
+      previousData,
+      attempts: 0,
+      completedDevices: [], // Devices the job was written to
+      queuedAt: new Date().toISOString(),
+    });
+    log("info", `📥 Added ${memberData.name} (${type}) to enrollment queue (position: ${queue.pending.length})`);
+  }
+  await persistQueue();
 
-  log("info", `📥 Added ${memberData.name} to enrollment queue (position: ${enrollmentQueue.length})`);
+  if (!isAnyDeviceConnected()) {
+    await writeStatus({ type, registrationId, memberData }, {
+      esslStatus: "pending",
+      esslError: "Device not connected - queued until it reconnects",
+      esslAttemptedAt: new Date().toISOString(),
+    });
+  }
 
   // Trigger processing
+  hasNewJobs = true;
   processEnrollmentQueue();
 }
 
@@ -69,17 +331,45 @@ function queueEnrollment(memberData, registrationId, snapshotRef) {
 function initializeMemberEnrollmentListener(deviceSvc) {
   deviceService = deviceSvc;
 
-  const registrationsRef = realtimeDb.ref("member_registrations");
+  if (!realtimeDb) {
+    log("warning", "⚠️ Firebase Realtime Database is not initialized. Auto-enrollment is disabled.");
+    return;
+  }
+
+  if (registrationsRef) {
+    // Already listening (reconnect) - just pick up what waited for the device
+    processEnrollmentQueue();
+    return;
+  }
+
+  registrationsRef = realtimeDb.ref("member_registrations");
+  getQueue()
+    .then(() => attachRegistrationListeners())
+    .catch((error) => log("error", `Failed to load enrollment queue: ${error.message}`));
+
+  // Jobs waiting for the device (or for another attempt) are retried from here
+  setInterval(() => {
+    if (queue && queue.pending.length > 0 && isAnyDeviceConnected()) {
+      processEnrollmentQueue();
+    }
+  }, RETRY_CHECK_INTERVAL_MS);
+}
+
+function attachRegistrationListeners() {
   let isInitialLoad = true;
   let enrolledCount = 0;
   let newMembersCount = 0;
 
   log("info", "🎧 Starting Firebase Realtime Database listener for member registrations...");
+  if (queue.pending.length > 0 || queue.deadLetter.length > 0) {
+    log("info", `📥 Enrollment queue restored: ${queue.pending.length} pending, ${queue.deadLetter.length} in dead-letter list`);
+  }
 
   // Listen for new member registrations
   registrationsRef.on("child_added", async (snapshot) => {
     const memberData = snapshot.val();
     const registrationId = snapshot.key;
+    rememberRegistration(registrationId, memberData);
 
     // Skip if already enrolled
     if (memberData.esslEnrolled === true) {
@@ -90,6 +380,11 @@ function initializeMemberEnrollmentListener(deviceSvc) {
       return;
     }
 
+    // Given up on - staff retries or discards it from the dead-letter list
+    if (queue.deadLetter.some((job) => job.registrationId === registrationId)) {
+      return;
+    }
+
     // New member that needs enrollment
     if (isInitialLoad) {
       newMembersCount++;
@@ -99,7 +394,39 @@ function initializeMemberEnrollmentListener(deviceSvc) {
     }
 
     // Add to queue instead of processing immediately
-    queueEnrollment(memberData, registrationId, snapshot.ref);
+    queueEnrollment(memberData, registrationId);
+  });
+
+  // Member edited in the web app (name or biometric id)
+  registrationsRef.on("child_changed", (snapshot) => {
+    const memberData = snapshot.val();
+    const registrationId = snapshot.key;
+    const previousData = knownRegistrations.get(registrationId);
+    rememberRegistration(registrationId, memberData);
+
+    if (previousData && !hasDeviceFieldChanges(previousData, memberData)) {
+      return; // esslStatus write-back or a field the device doesn't store
+    }
+
+    if (memberData.esslEnrolled !== true) {
+      // Not on the device yet (pending or failed) - enroll with the corrected data
+      log("info", `📝 Member registration changed before enrollment: ${memberData.name} (ID: ${memberData.biometricDeviceId})`);
+      queueEnrollment(memberData, registrationId);
+      return;
+    }
+
+    log("info", `✏️ Member registration changed: ${memberData.name} (ID: ${memberData.biometricDeviceId})`);
+    queueEnrollment(memberData, registrationId, JOB_TYPES.UPDATE, previousData || memberData);
+  });
+
+  // Member deleted in the web app
+  registrationsRef.on("child_removed", (snapshot) => {
+    const memberData = snapshot.val();
+    const registrationId = snapshot.key;
+    knownRegistrations.delete(registrationId);
+
+    log("info", `🗑️ Member registration removed: ${memberData.name} (ID: ${memberData.biometricDeviceId})`);
+    queueEnrollment(memberData, registrationId, JOB_TYPES.DELETE);
   });
 
   // Once initial data is loaded, show summary
@@ -116,89 +443,296 @@ function initializeMemberEnrollmentListener(deviceSvc) {
 }
 
 /**
- * Enroll a member in the ESSL biometric device
+ * Enroll a member in an ESSL biometric device
+ * Throws when the device is unavailable or refuses the user - the queue retries it.
+ * An invalid biometric ID, or one that belongs to someone else, is rejected before anything is written.
  * @param {object} memberData - Member data from Realtime Database
  * @param {string} registrationId - The registration ID
- * @param {object} snapshotRef - Reference to update status
+ * @param {object} device - { id, label } from deviceService.listDevices()
  */
-async function enrollMemberInDevice(memberData, registrationId, snapshotRef) {
-  const zkInstance = deviceService.getZkInstance();
+async function enrollMemberInDevice(memberData, registrationId, device) {
+  log("info", `🔄 Enrolling ${memberData.name} on ${device.label}...`);
 
-  // Check if device is connected
-  if (!deviceService.isConnected() || !zkInstance) {
-    log("warning", `Cannot enroll ${memberData.name} - ESSL device not connected`);
+  const biometricDeviceId = checkBiometricId(memberData.biometricDeviceId);
+  const name = (memberData.name || "").slice(0, DEVICE_NAME_LENGTH);
 
-    // Update status in Firebase
-    await snapshotRef.update({
-      esslEnrolled: false,
-      esslStatus: "failed",
-      esslError: "Device not connected",
-      esslAttemptedAt: new Date().toISOString(),
-    });
+  const release = claimBiometricId(biometricDeviceId, registrationId);
+  try {
+    const users = await getDeviceUsers(device.id);
+    await assertBiometricIdFree(biometricDeviceId, memberData, users);
+    const credentials = await getMemberCredentials(memberData, users);
+
+    // Already on the device as this member (re-enrollment): keep its uid and privilege
+    const existing = findDeviceUser(users, biometricDeviceId);
+    const user = withCredentials(existing ? { ...existing, name } : {
+      userId: biometricDeviceId,
+      name,
+      role: 0, // 0=user, 14=admin
+    }, credentials);
 
-    return;
+    // Enroll user in the biometric device
+    await saveDeviceUser(device.id, user);
+  } finally {
+    release();
   }
 
-  try {
-    log("info", `🔄 Enrolling ${memberData.name} in ESSL device...`);
+  log("success", `✅ Successfully enrolled ${memberData.name} on ${device.label}!`);
+}
 
-    // Enroll user in the biometric device
-    // Parameters: uid, userid, name, password, role, cardno
-    await zkInstance.setUser(
-      parseInt(memberData.biometricDeviceId), // uid - unique user ID (number)
-      memberData.biometricDeviceId.toString(), // userid - user ID as string
-      memberData.name || "", // name - user's name
-      "", // password - optional password
-      0, // role - 0=user, 14=admin
-      0 // cardno - card number if using RFID
-    );
-
-    log("success", `✅ Successfully enrolled ${memberData.name} in ESSL device!`);
-
-    // Update status in Firebase
-    await snapshotRef.update({
-      esslEnrolled: true,
-      esslEnrolledAt: new Date().toISOString(),
-      esslStatus: "success",
-    });
+/**
+ * Remember the fields the device stores for a registration
+ */
+function rememberRegistration(registrationId, memberData) {
+  knownRegistrations.set(registrationId, {
+    biometricDeviceId: memberData.biometricDeviceId,
+    name: memberData.name,
+    cardNumber: memberData.cardNumber,
+    pin: memberData.pin,
+  });
+}
+
+function hasDeviceFieldChanges(previousData, memberData) {
+  return String(previousData.biometricDeviceId) !== String(memberData.biometricDeviceId) ||
+    (previousData.name || "") !== (memberData.name || "") ||
+    String(previousData.cardNumber ?? "") !== String(memberData.cardNumber ?? "") ||
+    String(previousData.pin ?? "") !== String(memberData.pin ?? "");
+}
+
+/**
+ * Card number and PIN for a member: the Firestore member document, overridden by the
+ * registration when it carries them. Invalid or duplicate credentials can't be retried.
+ * @param {object} memberData - Member data from Realtime Database
+ * @param {object[]} deviceUsers - Users on the device written to
+ */
+async function getMemberCredentials(memberData, deviceUsers) {
+  const member = (await getCachedMembers()).find((m) => String(m.biometricDeviceId) === String(memberData.biometricDeviceId)) || {};
+  const source = {
+    name: memberData.name,
+    biometricDeviceId: memberData.biometricDeviceId,
+    cardNumber: memberData.cardNumber !== undefined ? memberData.cardNumber : member.cardNumber,
+    pin: memberData.pin !== undefined ? memberData.pin : member.pin,
+  };
 
-    log("success", `✅ Updated enrollment status in Firebase for ${memberData.name}`);
+  try {
+    const credentials = readMemberCredentials(source);
+    if (!credentials.cardNumber && !credentials.pin) {
+      return credentials;
+    }
+    return await resolveCredentials(source, deviceUsers);
   } catch (error) {
-    const errorMsg = error?.message || error?.toString() || "Unknown error occurred";
-    log("error", `❌ Failed to enroll ${memberData.name}:`, errorMsg);
+    throw error.credential ? permanentError(error.message) : error;
+  }
+}
 
-    // Update with error status
-    await snapshotRef.update({
-      esslEnrolled: false,
-      esslStatus: "failed",
-      esslError: errorMsg,
-      esslAttemptedAt: new Date().toISOString(),
-    });
+/**
+ * Validate a biometric ID - an invalid one can't be retried
+ * @returns {string} The id as written to the device
+ */
+function checkBiometricId(biometricDeviceId) {
+  try {
+    return validateBiometricId(biometricDeviceId);
+  } catch (error) {
+    throw permanentError(error.message);
   }
 }
 
+/**
+ * Reject a biometric ID held by another device user or Firestore member, before anything is written
+ * The registration's memberId (when it has one) identifies the member, otherwise the name does.
+ */
+async function assertBiometricIdFree(biometricDeviceId, memberData, deviceUsers) {
+  const collision = findBiometricIdCollision(biometricDeviceId, { name: memberData.name, memberId: memberData.memberId }, {
+    deviceUsers,
+    members: await getCachedMembers(),
+  });
+  if (collision) {
+    throw permanentError(collision);
+  }
+}
+
+/**
+ * Users on a device
+ */
+function getDeviceUsers(deviceId) {
+  return deviceService.runDeviceCommand(null, deviceId, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+}
+
+/**
+ * Write a user to a device
+ * A new user (without uid) gets its uid picked from the users read in the same device command:
+ * jobs run concurrently, and picks from separate reads could hand two members the same free uid.
+ * @param {object} user - { uid, userId, name, password, role, cardno }
+ */
+function saveDeviceUser(deviceId, user) {
+  return deviceService.runDeviceCommand(null, deviceId, async (zk) => {
+    if (user.uid === undefined) {
+      const users = (await zk.getUsers()).data;
+      user = { ...user, uid: pickDeviceUid(user.userId, new Set(users.map((u) => u.uid))) };
+    }
+    await writeDeviceUser(zk, user);
+  }, { timeoutMs: 30000 });
+}
+
+/**
+ * Find a device user by biometric id (the device "userId")
+ */
+function findDeviceUser(users, biometricDeviceId) {
+  return users.find((u) => String(u.userId) === String(biometricDeviceId)) || null;
+}
+
+/**
+ * Apply a member edit to the user on a device
+ * A changed biometric id keeps the device uid, so the enrolled fingerprints stay with the member.
+ * @param {object} memberData - Member data from Realtime Database
+ * @param {object} previousData - { biometricDeviceId, name } as last written to the device
+ * @param {string} registrationId - The registration ID
+ * @param {object} device - { id, label } from deviceService.listDevices()
+ */
+async function updateMemberInDevice(memberData, previousData, registrationId, device) {
+  const biometricDeviceId = checkBiometricId(memberData.biometricDeviceId);
+  const name = (memberData.name || "").slice(0, DEVICE_NAME_LENGTH);
+  const idChanged = String(previousData.biometricDeviceId) !== biometricDeviceId;
+
+  log("info", `🔄 Updating ${memberData.name} on ${device.label}...`);
+
+  const release = claimBiometricId(biometricDeviceId, registrationId);
+  try {
+    await writeMemberUpdate(memberData, previousData, biometricDeviceId, name, idChanged, device);
+  } finally {
+    release();
+  }
+
+  log("success", `✅ Successfully updated ${memberData.name} on ${device.label}!`);
+}
+
+/**
+ * Write the edit under the biometric ID claim (see updateMemberInDevice)
+ */
+async function writeMemberUpdate(memberData, previousData, biometricDeviceId, name, idChanged, device) {
+  const users = await getDeviceUsers(device.id);
+  const user = findDeviceUser(users, previousData.biometricDeviceId);
+
+  if (idChanged) {
+    const holder = findDeviceUser(users, biometricDeviceId);
+    if (holder) {
+      throw permanentError(`Biometric ID ${biometricDeviceId} is already used on the device by ${holder.name || `uid ${holder.uid}`}`);
+    }
+    await assertBiometricIdFree(biometricDeviceId, memberData, []);
+  }
+
+  const credentials = await getMemberCredentials(memberData, users);
+
+  if (user) {
+    // Keep privilege, and card number / PIN unless the member sets them
+    await saveDeviceUser(device.id, withCredentials({ ...user, userId: biometricDeviceId, name }, credentials));
+  } else {
+    // Not on the device (deleted there, or never made it) - enroll it like a new member
+    log("warning", `${memberData.name} was not found on ${device.label} - enrolling again`);
+    await saveDeviceUser(device.id, withCredentials({ userId: biometricDeviceId, name, role: 0 }, credentials));
+  }
+}
+
+/**
+ * Delete a removed member from a device (fingerprints included)
+ * There is no status write-back: updating the removed node would recreate it.
+ * @param {object} memberData - Member data as it was before removal
+ * @param {string} registrationId - The registration ID
+ * @param {object} device - { id, label } from deviceService.listDevices()
+ */
+async function deleteMemberFromDevice(memberData, registrationId, device) {
+  const user = findDeviceUser(await getDeviceUsers(device.id), memberData.biometricDeviceId);
+  if (!user) {
+    log("info", `${memberData.name} was not on ${device.label} - nothing to remove`);
+    return;
+  }
+
+  await deviceService.runDeviceCommand(null, device.id, (zk) => zk.deleteUser(user.uid));
+  log("success", `✅ Removed ${memberData.name} (registration ${registrationId}) from ${device.label}`);
+}
+
 /**
  * Get enrollment queue statistics
  */
 function getEnrollmentQueueStats() {
   return {
-    queueLength: enrollmentQueue.length,
+    queueLength: queue ? queue.pending.length : 0,
+    deadLetterLength: queue ? queue.deadLetter.length : 0,
     isProcessing: isProcessingQueue,
     maxConcurrent: MAX_CONCURRENT_ENROLLMENTS,
+    maxAttempts: MAX_ENROLLMENT_ATTEMPTS,
   };
 }
 
+/**
+ * Queued and dead-lettered jobs
+ */
+async function getEnrollmentJobs() {
+  const { pending, deadLetter } = await getQueue();
+  return { pending, deadLetter };
+}
+
+function findJob(jobId) {
+  const id = Number(jobId);
+  return queue.pending.find((job) => job.id === id) || queue.deadLetter.find((job) => job.id === id) || null;
+}
+
+/**
+ * Give a job a fresh set of attempts (dead-lettered jobs go back into the queue)
+ * @returns {Promise<object|null>} The job, null when unknown
+ */
+async function retryEnrollmentJob(jobId) {
+  await getQueue();
+  const job = findJob(jobId);
+  if (!job) return null;
+
+  queue.deadLetter = queue.deadLetter.filter((j) => j !== job);
+  if (!queue.pending.includes(job)) {
+    queue.pending.push(job);
+  }
+  job.attempts = 0;
+  delete job.deadLetteredAt;
+  await persistQueue();
+
+  log("info", `🔁 Retrying ${job.type} for ${job.memberData.name} (job ${job.id})`);
+  hasNewJobs = true;
+  processEnrollmentQueue();
+  return job;
+}
+
+/**
+ * Drop a job from the queue or the dead-letter list
+ * @returns {Promise<object|null>} The discarded job, null when unknown
+ */
+async function discardEnrollmentJob(jobId) {
+  await getQueue();
+  const job = findJob(jobId);
+  if (!job) return null;
+
+  queue.pending = queue.pending.filter((j) => j !== job);
+  queue.deadLetter = queue.deadLetter.filter((j) => j !== job);
+  await persistQueue();
+
+  log("warning", `🗑️ Discarded ${job.type} for ${job.memberData.name} (job ${job.id})`);
+  return job;
+}
+
 /**
  * Clear enrollment queue (for testing or emergency)
  */
 function clearEnrollmentQueue() {
-  const count = enrollmentQueue.length;
-  enrollmentQueue.length = 0;
+  const count = queue ? queue.pending.length : 0;
+  if (queue) {
+    queue.pending = [];
+    persistQueue();
+  }
   log("warning", `Enrollment queue cleared (${count} items removed)`);
 }
 
 module.exports = {
   initializeMemberEnrollmentListener,
   getEnrollmentQueueStats,
+  getEnrollmentJobs,
+  retryEnrollmentJob,
+  discardEnrollmentJob,
   clearEnrollmentQueue,
 };
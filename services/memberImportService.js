@@ -0,0 +1,467 @@
+/**
+ * Member Import Service
+ * Bulk-adds members to a device from a CSV or XLSX file (id, name, card, role) - for onboarding
+ * a branch with hundreds of existing members. Every row is validated and compared with the
+ * device users first (dry run); the changes are then written one user at a time with a pause
+ * between writes, progress is emitted as "member_import_progress" and the per-row outcome is
+ * saved as a CSV results file.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+const { readSpreadsheet, toCsv } = require("../utils/spreadsheet");
+const { getCachedMembers } = require("./userService");
+const { readMemberCredentials, findCredentialConflicts, writeDeviceUser } = require("./memberCredentialService");
+const { validateBiometricId, findBiometricIdCollision, pickDeviceUid, claimBiometricId } = require("./biometricIdService");
+
+const MAX_ROWS = 5000;
+const THROTTLE_MS = 250; // Pause between user writes so polling and real-time punches keep flowing
+const DEVICE_NAME_LENGTH = 24;
+const KEEP_IMPORTS = 20; // Finished imports kept in memory for status requests
+
+const ACTIONS = {
+  ADD: "add",
+  UPDATE: "update",
+  UNCHANGED: "unchanged",
+  ERROR: "error",
+};
+
+// Accepted column headers (lowercased, spaces and punctuation removed)
+const COLUMNS = {
+  userId: ["id", "userid", "biometricid", "biometricdeviceid", "memberid"],
+  name: ["name", "fullname", "membername"],
+  cardNumber: ["card", "cardnumber", "cardno", "rfid"],
+  role: ["role", "privilege"],
+};
+
+const ROLES = { user: 0, "0": 0, admin: 14, "14": 14 };
+const ROLE_NAMES = { 0: "user", 14: "admin" };
+
+const RESULT_COLUMNS = ["row", "userId", "name", "cardNumber", "role", "action", "status", "error", "warnings"];
+
+const imports = new Map(); // importId -> import state
+let importRunning = false;
+
+function getImportDir() {
+  return path.join(offlineStorage.storageDir, "member-imports");
+}
+
+/**
+ * Unreadable or unusable file - the upload has to be fixed
+ */
+function fileError(message) {
+  const error = new Error(message);
+  error.importFile = true;
+  return error;
+}
+
+/**
+ * Map each field to its column index from the header row
+ */
+function readHeader(header) {
+  const normalized = header.map((value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const columns = {};
+  for (const [field, names] of Object.entries(COLUMNS)) {
+    const index = normalized.findIndex((value) => names.includes(value));
+    if (index !== -1) columns[field] = index;
+  }
+
+  const missing = ["userId", "name"].filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw fileError(`Missing column${missing.length > 1 ? "s" : ""}: ${missing.map((field) => COLUMNS[field][0]).join(", ")}`);
+  }
+  return columns;
+}
+
+/**
+ * Validate one row and work out what it changes on the device
+ */
+function planRow(values, rowNumber, columns, deviceUser) {
+  const cell = (field) => (columns[field] === undefined ? "" : String(values[columns[field]] ?? "").trim());
+  const row = {
+    row: rowNumber,
+    userId: cell("userId"),
+    name: cell("name"),
+    cardNumber: null,
+    role: null,
+    action: null,
+    errors: [],
+    warnings: [],
+  };
+
+  try {
+    row.userId = validateBiometricId(row.userId);
+  } catch (error) {
+    row.errors.push(error.message);
+  }
+
+  if (!row.name) {
+    row.errors.push("Name is required");
+  } else if (row.name.length > DEVICE_NAME_LENGTH) {
+    row.warnings.push(`Name shortened to ${DEVICE_NAME_LENGTH} characters`);
+    row.name = row.name.slice(0, DEVICE_NAME_LENGTH);
+  }
+
+  // Blank card or role keeps what the device has
+  const card = cell("cardNumber");
+  if (card) {
+    try {
+      row.cardNumber = readMemberCredentials({ name: row.name || row.userId, cardNumber: card }).cardNumber;
+    } catch (error) {
+      row.errors.push(error.message);
+    }
+  } else {
+    row.cardNumber = deviceUser ? Number(deviceUser.cardno) || 0 : 0;
+  }
+
+  const role = cell("role").toLowerCase();
+  if (role && ROLES[role] === undefined) {
+    row.errors.push(`Invalid role "${cell("role")}" (user or admin)`);
+  } else {
+    row.role = role ? ROLES[role] : deviceUser ? Number(deviceUser.role) || 0 : 0;
+  }
+
+  if (row.errors.length > 0) {
+    row.action = ACTIONS.ERROR;
+  } else if (!deviceUser) {
+    row.action = ACTIONS.ADD;
+  } else {
+    const changes = {};
+    const compare = (field, from, to) => {
+      if (from !== to) changes[field] = { from, to };
+    };
+    compare("name", String(deviceUser.name || ""), row.name);
+    compare("cardNumber", Number(deviceUser.cardno) || 0, row.cardNumber);
+    compare("role", Number(deviceUser.role) || 0, row.role);
+
+    row.action = Object.keys(changes).length > 0 ? ACTIONS.UPDATE : ACTIONS.UNCHANGED;
+    if (row.action === ACTIONS.UPDATE) row.changes = changes;
+  }
+  return row;
+}
+
+/**
+ * Errors that need the whole file: repeated ids, and cards held twice once the import is applied
+ */
+function checkAcrossRows(rows, deviceUsers) {
+  const firstRowById = new Map();
+  for (const row of rows) {
+    if (row.action === ACTIONS.ERROR) continue;
+    if (firstRowById.has(row.userId)) {
+      row.errors.push(`Duplicate of row ${firstRowById.get(row.userId)}`);
+      row.action = ACTIONS.ERROR;
+    } else {
+      firstRowById.set(row.userId, row.row);
+    }
+  }
+
+  // Card holders after the import: device users, overlaid by the file
+  const deviceCards = new Map(deviceUsers.map((user) => [String(user.userId), Number(user.cardno) || 0]));
+  const cardByUserId = new Map(deviceCards);
+  const valid = rows.filter((row) => row.action !== ACTIONS.ERROR);
+  valid.forEach((row) => cardByUserId.set(row.userId, row.cardNumber));
+
+  // Only the rows giving out a card are blamed - a user keeping its own card isn't
+  for (const row of valid) {
+    if (!row.cardNumber || deviceCards.get(row.userId) === row.cardNumber) continue;
+    const holders = [...cardByUserId].filter(([userId, card]) => card === row.cardNumber && userId !== row.userId);
+    if (holders.length > 0) {
+      row.errors.push(`Card ${row.cardNumber} is also used by ${holders.map(([userId]) => userId).join(", ")}`);
+    }
+  }
+  valid.filter((row) => row.errors.length > 0).forEach((row) => {
+    row.action = ACTIONS.ERROR;
+    delete row.changes;
+  });
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length };
+  Object.values(ACTIONS).forEach((action) => {
+    summary[action] = rows.filter((row) => row.action === action).length;
+  });
+  return summary;
+}
+
+async function buildPlan(deviceService, io, { file, deviceId }) {
+  const device = deviceService.getDeviceInfo(deviceId);
+  if (!device) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+
+  let spreadsheet;
+  try {
+    spreadsheet = readSpreadsheet(file);
+  } catch (error) {
+    throw fileError(error.message);
+  }
+  const { format, rows: sheet } = spreadsheet;
+  if (sheet.length < 2) {
+    throw fileError("The file has no member rows");
+  }
+  if (sheet.length - 1 > MAX_ROWS) {
+    throw fileError(`The file has ${sheet.length - 1} rows - at most ${MAX_ROWS} can be imported at once`);
+  }
+  const columns = readHeader(sheet[0]);
+
+  const deviceUsers = await deviceService.runDeviceCommand(io, device.id, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+  const members = await getCachedMembers();
+  const userById = new Map(deviceUsers.map((user) => [String(user.userId), user]));
+
+  // Spreadsheet row numbers - the header is row 1
+  const rows = sheet.slice(1).map((values, index) => planRow(values, index + 2, columns, userById.get(String(values[columns.userId] ?? "").trim())));
+  checkAcrossRows(rows, deviceUsers);
+
+  // Firestore only warns - the file is what the branch has on record
+  for (const row of rows.filter((r) => r.action !== ACTIONS.ERROR)) {
+    const collision = findBiometricIdCollision(row.userId, { name: row.name }, { members });
+    if (collision) row.warnings.push(collision);
+    if (row.cardNumber) {
+      row.warnings.push(...findCredentialConflicts(row.userId, { cardNumber: row.cardNumber }, { members }));
+    }
+  }
+
+  const plan = {
+    deviceId: device.id,
+    deviceLabel: device.label,
+    format,
+    summary: summarize(rows),
+    rows,
+  };
+  return { plan, deviceUsers };
+}
+
+/**
+ * Validate a spreadsheet and compare it with the device users (dry run - nothing is written)
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {object} options
+ * @param {Buffer} options.file - CSV or XLSX contents
+ * @param {string} [options.deviceId] - Primary device when omitted
+ * @returns {Promise<object>} Plan: { deviceId, deviceLabel, format, summary, rows }
+ */
+async function planImport(deviceService, io, options) {
+  return (await buildPlan(deviceService, io, options)).plan;
+}
+
+function publicImport(state) {
+  const { rows, ...status } = state;
+  return status;
+}
+
+/**
+ * One CSV line per row: what the file asked for and what happened
+ */
+function toResultRows(rows) {
+  return [
+    RESULT_COLUMNS,
+    ...rows.map((row) => [
+      row.row,
+      row.userId,
+      row.name,
+      row.cardNumber,
+      ROLE_NAMES[row.role] ?? row.role,
+      row.action,
+      row.status || "",
+      [...row.errors, row.error].filter(Boolean).join("; "),
+      row.warnings.join("; "),
+    ]),
+  ];
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function applyRow(deviceService, io, state, row, usedUids, uidByUserId) {
+  const release = claimBiometricId(row.userId, state.id);
+  try {
+    let uid = uidByUserId.get(row.userId);
+    if (uid === undefined) {
+      uid = pickDeviceUid(row.userId, usedUids);
+      usedUids.add(uid);
+      uidByUserId.set(row.userId, uid);
+    }
+
+    // Lock per user - polling and real-time punches carry on between users
+    await deviceService.runDeviceCommand(io, state.deviceId, (zk) => writeDeviceUser(zk, {
+      uid,
+      userId: row.userId,
+      name: row.name,
+      password: row.password,
+      role: row.role,
+      cardno: row.cardNumber,
+    }), { timeoutMs: 10000 });
+  } finally {
+    release();
+  }
+}
+
+async function runImport(deviceService, io, state, deviceUsers) {
+  const startedAt = Date.now();
+  const usedUids = new Set(deviceUsers.map((user) => user.uid));
+  const uidByUserId = new Map(deviceUsers.map((user) => [String(user.userId), user.uid]));
+  const pinByUserId = new Map(deviceUsers.map((user) => [String(user.userId), user.password || ""]));
+  const pending = state.rows.filter((row) => row.action === ACTIONS.ADD || row.action === ACTIONS.UPDATE);
+
+  state.rows.filter((row) => !pending.includes(row)).forEach((row) => {
+    row.status = row.action === ACTIONS.ERROR ? "failed" : "skipped";
+  });
+
+  const progress = (row) => {
+    io.emit("member_import_progress", {
+      ...publicImport(state),
+      row: row ? { row: row.row, userId: row.userId, name: row.name, action: row.action, status: row.status, error: row.error } : null,
+    });
+  };
+
+  for (const row of pending) {
+    if (!deviceService.isConnected(state.deviceId)) {
+      row.status = "skipped";
+      row.error = "Device disconnected";
+    } else {
+      try {
+        // The file has no PINs - existing users keep theirs
+        row.password = pinByUserId.get(row.userId) || "";
+        await applyRow(deviceService, io, state, row, usedUids, uidByUserId);
+        row.status = "applied";
+        state.applied++;
+      } catch (error) {
+        row.status = "failed";
+        row.error = error.message;
+        state.failed++;
+        log("warning", `⚠️ Importing ${row.userId} (${row.name}) failed: ${error.message}`);
+      }
+      delete row.password;
+    }
+
+    state.processed++;
+    progress(row);
+    if (row.status !== "skipped" && state.processed < pending.length) await wait(THROTTLE_MS);
+  }
+
+  state.skipped = pending.filter((row) => row.status === "skipped").length;
+  state.status = state.failed > 0 || state.skipped > 0 ? "completed_with_errors" : "completed";
+  state.finishedAt = new Date().toISOString();
+
+  try {
+    await fs.ensureDir(getImportDir());
+    await fs.writeFile(path.join(getImportDir(), `${state.id}.csv`), toCsv(toResultRows(state.rows)));
+    state.resultsFile = `${state.id}.csv`;
+  } catch (error) {
+    log("error", `Failed to save member import results ${state.id}: ${error.message}`);
+  }
+
+  await offlineStorage.saveDeviceAuditEntry({
+    action: "import_members",
+    deviceId: state.deviceId,
+    deviceLabel: state.deviceLabel,
+    params: { importId: state.id, format: state.format, rows: state.summary.total },
+    staff: state.staff,
+    requestedAt: state.startedAt,
+    result: { applied: state.applied, failed: state.failed, skipped: state.skipped },
+    success: state.failed === 0 && state.skipped === 0,
+    durationMs: Date.now() - startedAt,
+  });
+
+  log(
+    state.status === "completed" ? "success" : "warning",
+    `📥 Member import ${state.id} on ${state.deviceLabel} finished: ${state.applied} applied, ${state.failed} failed, ${state.skipped} skipped`
+  );
+  progress(null);
+}
+
+/**
+ * Validate a spreadsheet and write its adds and updates to the device in the background
+ * Rows with errors are left out; the plan is returned straight away.
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {object} options
+ * @param {Buffer} options.file - CSV or XLSX contents
+ * @param {string} [options.deviceId] - Primary device when omitted
+ * @param {string} [options.staff]
+ * @returns {Promise<object>} The import: { id, status, summary, ... } plus the planned rows
+ */
+async function startImport(deviceService, io, { file, deviceId, staff = null }) {
+  if (importRunning) {
+    throw new Error("A member import is already running");
+  }
+  importRunning = true;
+
+  try {
+    const { plan, deviceUsers } = await buildPlan(deviceService, io, { file, deviceId });
+    const pending = plan.summary.add + plan.summary.update;
+    const state = {
+      id: `import_${new Date().toISOString().replace(/[:.]/g, "-")}`,
+      deviceId: plan.deviceId,
+      deviceLabel: plan.deviceLabel,
+      format: plan.format,
+      staff,
+      status: "running",
+      summary: plan.summary,
+      total: pending,
+      processed: 0,
+      applied: 0,
+      failed: 0,
+      skipped: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      resultsFile: null,
+      rows: plan.rows,
+    };
+
+    imports.set(state.id, state);
+    for (const id of [...imports.keys()].slice(0, Math.max(0, imports.size - KEEP_IMPORTS))) {
+      imports.delete(id);
+    }
+
+    log("info", `📥 Importing members to ${state.deviceLabel}: ${plan.summary.add} to add, ${plan.summary.update} to update, ${plan.summary.error} rows with errors${staff ? ` (by ${staff})` : ""}`);
+
+    runImport(deviceService, io, state, deviceUsers)
+      .catch((error) => {
+        state.status = "failed";
+        state.error = error.message;
+        log("error", `Member import ${state.id} failed: ${error.message}`);
+      })
+      .finally(() => {
+        importRunning = false;
+      });
+
+    return { ...publicImport(state), rows: plan.rows };
+  } catch (error) {
+    importRunning = false;
+    throw error;
+  }
+}
+
+/**
+ * Status of a running or recent import, with its rows
+ * @returns {object|null}
+ */
+function getImport(importId) {
+  const state = imports.get(importId);
+  return state ? { ...publicImport(state), rows: state.rows } : null;
+}
+
+/**
+ * Results file of a finished import (kept on disk, so it survives a restart)
+ * @returns {Promise<string|null>} Absolute path, null when there is none
+ */
+async function getImportResultsPath(importId) {
+  // Ids are file names - don't let them point outside the import folder
+  if (!/^[\w.-]+$/.test(String(importId || ""))) {
+    throw new Error(`Invalid import id: ${importId}`);
+  }
+
+  const file = path.join(getImportDir(), `${importId}.csv`);
+  return await fs.pathExists(file) ? file : null;
+}
+
+module.exports = {
+  ACTIONS,
+  planImport,
+  startImport,
+  getImport,
+  getImportResultsPath,
+  toResultRows,
+};
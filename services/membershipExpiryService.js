@@ -0,0 +1,347 @@
+/**
+ * Membership Expiry Service
+ * Turns expired members off on the devices so they can't get past the turnstile, and turns
+ * them back on when a renewal comes in through Firestore.
+ *
+ * A scheduled check compares the device users with the cached members (userService cache /
+ * offline cache, no Firestore reads) and disables - or, in "remove" mode, deletes - users
+ * whose membershipEnd plus grace period has passed. What was changed is persisted per device,
+ * so only users this service turned off are ever turned back on.
+ */
+
+const { db } = require("../config/firebaseConfig");
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+const accessControl = require("./accessControlService");
+const { getCachedMembers, updateCachedMember } = require("./userService");
+const { writeDeviceUser } = require("./memberCredentialService");
+const { getCurrentDateInTimezone } = require("../utils/dateUtils");
+
+const MODES = {
+  DISABLE: "disable", // Keep the user and fingerprints, set the device's "disabled" privilege bit
+  REMOVE: "remove", // Delete the user - fingerprints have to be re-enrolled after a renewal
+};
+
+const ACTIONS = {
+  DISABLED: "disabled",
+  REMOVED: "removed",
+  RESTORED: "restored",
+};
+
+const DISABLED_FLAG = 1; // Bit 0 of the device privilege byte
+const FIRST_CHECK_DELAY_MS = 60 * 1000; // Let the devices connect first
+
+let deviceService = null;
+let io = null;
+let checkInterval = null;
+let firstCheckTimer = null;
+let unsubscribeMembers = null;
+let state = null; // biometricDeviceId -> { memberId, name, membershipEnd, devices: { deviceId: { mode, user, actionAt } } }
+let queue = Promise.resolve(); // Checks and renewals must not modify devices concurrently
+let lastCheck = null;
+
+function getExpiryConfig() {
+  return {
+    enabled: true,
+    mode: MODES.DISABLE,
+    checkIntervalMinutes: 60,
+    gracePeriodDays: accessControl.getAccessConfig().gracePeriodDays,
+    ...(DEVICE_CONFIG.membershipExpiry || {}),
+  };
+}
+
+function exclusive(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function getState() {
+  if (!state) {
+    state = await offlineStorage.loadMembershipExpiryState();
+  }
+  return state;
+}
+
+/**
+ * Whether a member is past membershipEnd + grace period (members without an end date never expire here)
+ */
+function isExpired(member, today = getCurrentDateInTimezone(DEVICE_CONFIG.timezone)) {
+  const accessExpiryDate = accessControl.getAccessExpiryDate(member.membershipEnd, getExpiryConfig().gracePeriodDays);
+  return !!accessExpiryDate && today > accessExpiryDate;
+}
+
+/**
+ * Log, audit and broadcast an action taken on a device user
+ */
+async function recordAction(action, { member, biometricDeviceId, device, mode, error = null }) {
+  const entry = {
+    action,
+    biometricDeviceId,
+    memberId: member ? member.id : null,
+    name: member ? member.name : null,
+    membershipEnd: member ? member.membershipEnd || null : null,
+    deviceId: device.id,
+    deviceLabel: device.label,
+    mode,
+    success: !error,
+    ...(error && { error }),
+    timestamp: new Date().toISOString(),
+  };
+
+  if (error) {
+    log("error", `❌ Could not set ${entry.name || biometricDeviceId} to ${action} on ${device.label}: ${error}`);
+  } else if (action === ACTIONS.RESTORED) {
+    log("success", `🔁 ${entry.name || biometricDeviceId} renewed - restored on ${device.label}`);
+    if (mode === MODES.REMOVE) {
+      log("warning", `⚠️ ${entry.name || biometricDeviceId} was removed from ${device.label} - fingerprints must be enrolled again`);
+    }
+  } else {
+    log("warning", `⛔ ${entry.name || biometricDeviceId} expired - ${action} on ${device.label}`);
+  }
+
+  await offlineStorage.saveDeviceAuditEntry({
+    action: `membership_${action}`,
+    deviceId: device.id,
+    deviceLabel: device.label,
+    params: { biometricDeviceId, mode },
+    staff: null,
+    requestedAt: entry.timestamp,
+    result: { memberId: entry.memberId, name: entry.name, membershipEnd: entry.membershipEnd },
+    success: entry.success,
+    ...(error && { error }),
+  });
+  if (io) {
+    io.emit("membership_device_action", entry);
+  }
+}
+
+/**
+ * Turn one expired member off on one device
+ */
+async function expireOnDevice(device, user, member, mode) {
+  const operation = mode === MODES.REMOVE
+    ? (zk) => zk.deleteUser(user.uid)
+    : (zk) => writeDeviceUser(zk, { ...user, role: user.role | DISABLED_FLAG });
+
+  await deviceService.runDeviceCommand(io, device.id, operation);
+
+  const current = await getState();
+  const entry = current[user.userId] || { memberId: member.id, name: member.name, devices: {} };
+  entry.membershipEnd = member.membershipEnd || null;
+  entry.devices[device.id] = { mode, user, actionAt: new Date().toISOString() };
+  current[user.userId] = entry;
+}
+
+/**
+ * Undo expireOnDevice: re-enable the user (original privilege) or add it back
+ */
+async function restoreOnDevice(device, biometricDeviceId, record) {
+  const { user } = record;
+  await deviceService.runDeviceCommand(io, device.id, (zk) => writeDeviceUser(zk, { ...user, role: user.role & ~DISABLED_FLAG }));
+
+  const current = await getState();
+  delete current[biometricDeviceId].devices[device.id];
+  if (Object.keys(current[biometricDeviceId].devices).length === 0) {
+    delete current[biometricDeviceId];
+  }
+}
+
+function getConnectedDevices() {
+  return deviceService.listDevices().filter((device) => device.connected && device.transport !== "adms");
+}
+
+/**
+ * Check every connected device once: turn expired members off, renewed members back on
+ * @returns {Promise<object>} { checkedAt, devices, expired, restored, failed }
+ */
+function runExpiryCheck() {
+  if (!deviceService) {
+    return Promise.reject(new Error("Membership expiry job is not running"));
+  }
+
+  return exclusive(async () => {
+    const config = getExpiryConfig();
+    const today = getCurrentDateInTimezone(DEVICE_CONFIG.timezone);
+    const membersById = new Map((await getCachedMembers()).map((member) => [String(member.biometricDeviceId), member]));
+    const current = await getState();
+    const summary = { checkedAt: new Date().toISOString(), devices: 0, expired: 0, restored: 0, failed: 0 };
+
+    if (membersById.size === 0) {
+      log("warning", "⚠️ Membership expiry check skipped - no cached members");
+      return summary;
+    }
+
+    for (const device of getConnectedDevices()) {
+      let deviceUsers;
+      try {
+        deviceUsers = await deviceService.runDeviceCommand(io, device.id, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+      } catch (error) {
+        log("warning", `⚠️ Membership expiry check skipped ${device.label}: ${error.message}`);
+        continue;
+      }
+      summary.devices++;
+
+      // Renewed (or no longer expired) members this service turned off
+      for (const [biometricDeviceId, entry] of Object.entries(current)) {
+        const record = entry.devices[device.id];
+        const member = membersById.get(biometricDeviceId);
+        if (!record || !member || isExpired(member, today)) continue;
+
+        try {
+          await restoreOnDevice(device, biometricDeviceId, record);
+          await recordAction(ACTIONS.RESTORED, { member, biometricDeviceId, device, mode: record.mode });
+          summary.restored++;
+        } catch (error) {
+          await recordAction(ACTIONS.RESTORED, { member, biometricDeviceId, device, mode: record.mode, error: error.message });
+          summary.failed++;
+        }
+      }
+
+      for (const user of deviceUsers) {
+        const member = membersById.get(String(user.userId));
+        if (!member || !isExpired(member, today)) continue;
+        if (current[user.userId] && current[user.userId].devices[device.id]) continue; // Already handled
+        if (user.role & DISABLED_FLAG) continue; // Disabled by staff - not ours to restore later
+
+        const action = config.mode === MODES.REMOVE ? ACTIONS.REMOVED : ACTIONS.DISABLED;
+        try {
+          await expireOnDevice(device, user, member, config.mode);
+          await recordAction(action, { member, biometricDeviceId: user.userId, device, mode: config.mode });
+          summary.expired++;
+        } catch (error) {
+          await recordAction(action, { member, biometricDeviceId: user.userId, device, mode: config.mode, error: error.message });
+          summary.failed++;
+        }
+      }
+    }
+
+    await offlineStorage.saveMembershipExpiryState(current);
+    lastCheck = summary;
+
+    if (summary.expired > 0 || summary.restored > 0 || summary.failed > 0) {
+      log("info", `🗓️ Membership expiry check: ${summary.expired} turned off, ${summary.restored} restored, ${summary.failed} failed`);
+    }
+    return summary;
+  });
+}
+
+/**
+ * Restore a renewed member on every device right away (called for Firestore changes)
+ */
+function handleMemberChange(member) {
+  return exclusive(async () => {
+    const biometricDeviceId = String(member.biometricDeviceId);
+    const current = await getState();
+    const entry = current[biometricDeviceId];
+    if (!entry || isExpired(member)) return;
+
+    const connected = new Map(getConnectedDevices().map((device) => [device.id, device]));
+    for (const [deviceId, record] of Object.entries(entry.devices)) {
+      const device = connected.get(deviceId);
+      if (!device) continue; // Restored by the next scheduled check once the device is back
+
+      try {
+        await restoreOnDevice(device, biometricDeviceId, record);
+        await recordAction(ACTIONS.RESTORED, { member, biometricDeviceId, device, mode: record.mode });
+      } catch (error) {
+        await recordAction(ACTIONS.RESTORED, { member, biometricDeviceId, device, mode: record.mode, error: error.message });
+      }
+    }
+    if (Object.keys(entry.devices).length > 0) {
+      log("info", `${member.name} renewed - restored on the remaining devices once they reconnect`);
+    }
+
+    await offlineStorage.saveMembershipExpiryState(current);
+  });
+}
+
+/**
+ * Watch Firestore members so renewals are picked up (and cached) as they happen
+ */
+function listenForRenewals() {
+  if (!db) {
+    log("warning", "⚠️ Firestore is not initialized. Renewals are picked up by the scheduled expiry check only.");
+    return;
+  }
+
+  let initialSnapshot = true;
+  unsubscribeMembers = db.collection("users")
+    .where("biometricDeviceId", "!=", null)
+    .onSnapshot((snapshot) => {
+      if (initialSnapshot) {
+        initialSnapshot = false; // Already loaded by prewarmCache
+        return;
+      }
+
+      for (const change of snapshot.docChanges()) {
+        if (change.type === "removed") continue;
+
+        const member = { id: change.doc.id, ...change.doc.data() };
+        delete member.profileImageUrl;
+
+        updateCachedMember(member)
+          .then(() => handleMemberChange(member))
+          .catch((error) => log("error", `Failed to handle member update for ${member.name}: ${error.message}`));
+      }
+    }, (error) => {
+      log("error", `Member renewal listener failed: ${error.message}`);
+    });
+}
+
+/**
+ * Start the scheduled expiry check and the renewal listener
+ * @param {object} deviceSvc - Device service
+ * @param {object} socketIo - Socket.IO instance
+ */
+function startMembershipExpiryJob(deviceSvc, socketIo) {
+  const config = getExpiryConfig();
+  if (!config.enabled || checkInterval) return;
+
+  deviceService = deviceSvc;
+  io = socketIo;
+
+  const check = () => runExpiryCheck().catch((error) => log("error", `Membership expiry check failed: ${error.message}`));
+  firstCheckTimer = setTimeout(check, FIRST_CHECK_DELAY_MS);
+  checkInterval = setInterval(check, config.checkIntervalMinutes * 60 * 1000);
+  listenForRenewals();
+
+  log("info", `🗓️ Membership expiry job started (${config.mode} expired members, every ${config.checkIntervalMinutes} min)`);
+}
+
+function stopMembershipExpiryJob() {
+  clearTimeout(firstCheckTimer);
+  clearInterval(checkInterval);
+  checkInterval = null;
+  if (unsubscribeMembers) {
+    unsubscribeMembers();
+    unsubscribeMembers = null;
+  }
+}
+
+/**
+ * Members currently turned off on a device by this service
+ */
+async function getExpiryStatus() {
+  const current = await getState();
+  return {
+    config: getExpiryConfig(),
+    lastCheck,
+    members: Object.entries(current).map(([biometricDeviceId, entry]) => ({
+      biometricDeviceId,
+      memberId: entry.memberId,
+      name: entry.name,
+      membershipEnd: entry.membershipEnd,
+      devices: Object.entries(entry.devices).map(([deviceId, record]) => ({ deviceId, mode: record.mode, actionAt: record.actionAt })),
+    })),
+  };
+}
+
+module.exports = {
+  MODES,
+  startMembershipExpiryJob,
+  stopMembershipExpiryJob,
+  runExpiryCheck,
+  getExpiryStatus,
+};
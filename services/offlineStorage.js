@@ -1,12 +1,13 @@
 /**
- * Offline Storage Service (NDJSON Version - O(1) Writes)
- * Manages local storage of attendance data using Append-Only JSON files
+ * Offline Storage Service
+ * Manages local storage of attendance data (attendance store) and the small JSON state files
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const log = require('../utils/logger');
 const readline = require('readline');
+const { AttendanceStore, SYNC_STATUS } = require('./attendanceStore');
 
 class OfflineStorageService {
   constructor() {
@@ -21,13 +22,30 @@ class OfflineStorageService {
       (process.platform === 'darwin' ? process.env.HOME + '/Library/Application Support' : '/var/local');
 
     this.storageDir = path.join(appDataPath, 'ZK-Attendance', 'offline-data');
-    this.batchesDir = path.join(this.storageDir, 'batches'); // New: Dedicated batches directory
-    this.attendanceFile = path.join(this.storageDir, 'pending-attendance.json'); // Still the active write head
+    this.attendanceDbFile = path.join(this.storageDir, 'attendance.db'); // Attendance store (SQLite)
+    this.attendanceFile = path.join(this.storageDir, 'pending-attendance.json'); // Legacy pending file (migrated)
+    this.legacyBatchesDir = path.join(this.storageDir, 'batches'); // Legacy sync batches (migrated)
+    this.legacyAttendanceDir = path.join(this.storageDir, 'legacy-attendance'); // Migrated files are parked here
     this.usersFile = path.join(this.storageDir, 'users-cache.json');
+    this.sessionsFile = path.join(this.storageDir, 'attendance-sessions.json');
+    this.accessDecisionsFile = path.join(this.storageDir, 'access-decisions.json'); // NDJSON audit trail (local only)
+    this.admsStateFile = path.join(this.storageDir, 'adms-state.json'); // Push device stamps + command queues
+    this.logWatermarksFile = path.join(this.storageDir, 'log-watermarks.json'); // Last ingested device log record per device
+    this.deviceAuditFile = path.join(this.storageDir, 'device-audit.json'); // NDJSON trail of device admin commands
+    this.logArchivesDir = path.join(this.storageDir, 'device-log-archives'); // Device logs saved before clearing
+    this.membershipExpiryFile = path.join(this.storageDir, 'membership-expiry.json'); // Device users disabled for an expired membership
+    this.enrollmentQueueFile = path.join(this.storageDir, 'enrollment-queue.json'); // Pending + dead-lettered enrollment jobs
+    this.fingerEnrollmentsFile = path.join(this.storageDir, 'finger-enrollments.json'); // Fingers enrolled per member from the app
+    this.eventJournalFile = path.join(this.storageDir, 'event-journal.ndjson'); // Write-ahead log of queued device events
+    this.duplicateStateFile = path.join(this.storageDir, 'duplicate-state.json'); // Last punch per member (duplicate suppression)
 
     fs.ensureDirSync(this.storageDir);
-    fs.ensureDirSync(this.batchesDir);
-    this._migrateToNdjson();
+    this.attendanceStore = new AttendanceStore(this.attendanceDbFile);
+
+    // Attendance methods wait for the legacy files to be moved into the store
+    this.ready = this._migrateToNdjson()
+      .then(() => this._migrateLegacyAttendance())
+      .catch((error) => log('error', `Attendance store migration failed: ${error.message}`));
   }
 
   /**
@@ -72,24 +90,89 @@ class OfflineStorageService {
     }
   }
 
+  /**
+   * Internal: Move the pending file and any sync batch files left by earlier versions into the
+   * attendance store, then park them in legacy-attendance/ (kept, not deleted)
+   */
+  async _migrateLegacyAttendance() {
+    const batchFiles = await fs.pathExists(this.legacyBatchesDir)
+      ? (await fs.readdir(this.legacyBatchesDir))
+        .filter(f => f.startsWith('batch-') && f.endsWith('.ndjson'))
+        .sort() // Oldest first
+        .map(f => path.join(this.legacyBatchesDir, f))
+      : [];
+    const files = [...batchFiles];
+    if (await fs.pathExists(this.attendanceFile)) files.push(this.attendanceFile); // Newest entries
+
+    if (files.length === 0) return;
+    log('info', `📦 Moving ${files.length} legacy attendance file(s) into the attendance store...`);
+
+    let migrated = 0;
+    let unparseable = 0;
+    for (const file of files) {
+      let creates = [];
+      const malformed = [];
+      const flush = async () => {
+        migrated += await this.attendanceStore.insertMany(creates);
+        creates = [];
+      };
+
+      const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          malformed.push({ source: path.basename(file), line }); // Listed with the sync dead letters
+          continue;
+        }
+
+        if (!record.recordId) {
+          record.recordId = Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9);
+        }
+        if (record.syncAction === 'update') {
+          // Updates apply to the session's record, which must be in the store first
+          await flush();
+          if (await this.attendanceStore.updateSession(record)) continue;
+        }
+        creates.push(record);
+      }
+      await flush();
+      if (malformed.length > 0) {
+        await this.attendanceStore.addUnparseable(malformed);
+        unparseable += malformed.length;
+      }
+
+      await fs.move(file, path.join(this.legacyAttendanceDir, path.basename(file)), { overwrite: true });
+    }
+
+    if (await fs.pathExists(this.legacyBatchesDir) && (await fs.readdir(this.legacyBatchesDir)).length === 0) {
+      await fs.remove(this.legacyBatchesDir);
+    }
+    log('success', `✅ Moved ${migrated} legacy attendance records into the attendance store`);
+    if (unparseable > 0) log('warning', `${unparseable} legacy attendance line(s) couldn't be parsed - see GET /sync/dead-letter`);
+  }
+
   /**
    * Save attendance event to offline storage
-   * PERFORMANCE: O(1) - Appends a single line instead of rewriting the whole file
+   * Every record is kept in the attendance store; sync only flips its sync status
    */
   async saveOfflineAttendance(attendanceData) {
     try {
-      // If we are strictly offline-first, we don't strictly need 'syncStatus' inside the object 
-      // because separation is done by file location (pending file vs batch file), 
-      // but keeping it doesn't hurt.
+      await this.ready;
       const newRecord = {
         ...attendanceData,
-        recordId: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
+        // The attendance id (device + biometric id + punch time) keeps a punch from being stored twice
+        recordId: attendanceData.attendanceId || Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
         offlineTimestamp: new Date().toISOString(),
-        syncStatus: 'pending'
+        syncStatus: SYNC_STATUS.PENDING
       };
 
-      const line = JSON.stringify(newRecord) + '\n';
-      await fs.appendFile(this.attendanceFile, line);
+      if (await this.attendanceStore.insertMany([newRecord]) === 0) {
+        log('info', `💾 Attendance ${newRecord.recordId} was already stored`);
+        return true;
+      }
 
       log('info', `💾 Saved attendance offline: ${attendanceData.userId || attendanceData.userSn}`);
       return true;
@@ -100,88 +183,398 @@ class OfflineStorageService {
   }
 
   /**
-   * ROTATE LOGS (Atomic Operation)
-   * Renames the current pending file to a batch file for processing.
-   * This guarantees that new writes go to a new empty file, isolationg the batch.
+   * Update a previously saved attendance record (e.g. check-out closing a session)
+   * The stored record is merged with the update; if it was already synced the sync service
+   * upserts the existing Firestore document. A session not found locally is stored as an update.
+   * @param {object} attendanceData - Full updated record, matched by sessionId
    */
-  async rotatePendingFile() {
+  async updateOfflineAttendance(attendanceData) {
     try {
-      if (!await fs.pathExists(this.attendanceFile)) {
-        return null;
+      await this.ready;
+      const updated = await this.attendanceStore.updateSession(attendanceData);
+
+      if (updated) {
+        log('info', `💾 Updated stored attendance: ${attendanceData.sessionId}`);
+        return true;
       }
 
-      const stats = await fs.stat(this.attendanceFile);
-      if (stats.size === 0) return null;
+      const updateRecord = {
+        ...attendanceData,
+        recordId: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
+        offlineTimestamp: new Date().toISOString(),
+        syncStatus: SYNC_STATUS.PENDING,
+        syncAction: 'update'
+      };
+      await this.attendanceStore.insertMany([updateRecord]);
+
+      log('info', `💾 Queued attendance update for sync: ${attendanceData.sessionId}`);
+      return true;
+    } catch (error) {
+      log('error', `Failed to update offline attendance: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Query the local attendance history (synced and pending records), oldest first
+   * @param {object} [filter] - { date, from, to (YYYY-MM-DD), memberId, biometricId, deviceId, syncStatus, limit }
+   */
+  async queryAttendance(filter = {}) {
+    await this.ready;
+    return this.attendanceStore.query(filter);
+  }
+
+  /**
+   * Ids and versions of the records waiting for sync, oldest first
+   */
+  async listPendingAttendance() {
+    await this.ready;
+    return this.attendanceStore.listPending();
+  }
+
+  /**
+   * Whether a punch is stored, as the check-in or a check-out of a record
+   * @param {string} attendanceId - Attendance id of the punch
+   */
+  async hasAttendance(attendanceId) {
+    await this.ready;
+    return this.attendanceStore.hasPunch(attendanceId);
+  }
+
+  /**
+   * Read stored attendance records by id
+   */
+  async getAttendanceRecords(recordIds) {
+    await this.ready;
+    return this.attendanceStore.getMany(recordIds);
+  }
+
+  /**
+   * Mark records as synced
+   * @param {Array<{ recordId: string, storeVersion: number }>} synced - Versions that were sent
+   */
+  async markAttendanceSynced(synced) {
+    await this.ready;
+    return this.attendanceStore.markSynced(synced);
+  }
+
+  /**
+   * Record failed sync attempts
+   * @param {Array<{ recordId: string, error: string, permanent?: boolean }>} failures
+   * @param {number} maxAttempts - Failures before a record is dead-lettered
+   * @returns {Promise<number>} Records dead-lettered
+   */
+  async markAttendanceSyncFailed(failures, maxAttempts) {
+    await this.ready;
+    return this.attendanceStore.markSyncFailed(failures, maxAttempts);
+  }
+
+  /**
+   * Merge changes into a stored attendance record
+   * @returns {Promise<object|null>} The updated record, null when not stored
+   */
+  async editStoredAttendance(recordId, changes) {
+    await this.ready;
+    return this.attendanceStore.update(recordId, changes);
+  }
+
+  /**
+   * Legacy attendance lines that couldn't be parsed while migrating
+   */
+  async getUnparseableAttendance() {
+    await this.ready;
+    return this.attendanceStore.listUnparseable();
+  }
 
-      const timestamp = Date.now();
-      const batchFileName = `batch-${timestamp}.ndjson`;
-      const batchPath = path.join(this.batchesDir, batchFileName);
+  /**
+   * Remove a captured unparseable line
+   * @returns {Promise<object|null>} The removed entry
+   */
+  async removeUnparseableAttendance(id) {
+    await this.ready;
+    return this.attendanceStore.removeUnparseable(id);
+  }
 
-      // Atomic rename
-      await fs.rename(this.attendanceFile, batchPath);
-      log('info', `🔄 Rotated pending log to batch: ${batchFileName}`);
-      return batchPath;
+  /**
+   * Load the open/closed attendance session index (small JSON, like the users cache)
+   */
+  async loadSessionIndex() {
+    try {
+      if (!await fs.pathExists(this.sessionsFile)) return {};
+      const data = await fs.readJson(this.sessionsFile);
+      return data && data.sessions ? data.sessions : {};
     } catch (error) {
-      log('error', `Failed to rotate pending file: ${error.message}`);
+      log('error', `Failed to load attendance sessions: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the attendance session index
+   */
+  async saveSessionIndex(sessions) {
+    try {
+      await fs.writeJson(this.sessionsFile, { updatedAt: new Date().toISOString(), sessions });
+    } catch (error) {
+      log('error', `Failed to save attendance sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load ADMS push state (per-device upload stamps and pending commands)
+   */
+  async loadAdmsState() {
+    try {
+      if (!await fs.pathExists(this.admsStateFile)) return null;
+      return await fs.readJson(this.admsStateFile);
+    } catch (error) {
+      log('error', `Failed to load ADMS state: ${error.message}`);
       return null;
     }
   }
 
   /**
-   * Get list of all batch files waiting to be processed
+   * Persist ADMS push state
    */
-  async getBatches() {
+  async saveAdmsState(state) {
     try {
-      const files = await fs.readdir(this.batchesDir);
-      return files
-        .filter(f => f.startsWith('batch-') && f.endsWith('.ndjson'))
-        .map(f => path.join(this.batchesDir, f))
-        .sort(); // Oldest first
+      await fs.writeJson(this.admsStateFile, { ...state, updatedAt: new Date().toISOString() });
     } catch (error) {
-      log('error', `Failed to list batches: ${error.message}`);
-      return [];
+      log('error', `Failed to save ADMS state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the per-device attendance log high-water marks
+   */
+  async loadLogWatermarks() {
+    try {
+      if (!await fs.pathExists(this.logWatermarksFile)) return {};
+      const data = await fs.readJson(this.logWatermarksFile);
+      return data && data.devices ? data.devices : {};
+    } catch (error) {
+      log('error', `Failed to load log watermarks: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the per-device attendance log high-water marks
+   */
+  async saveLogWatermarks(devices) {
+    try {
+      await fs.writeJson(this.logWatermarksFile, { updatedAt: new Date().toISOString(), devices });
+    } catch (error) {
+      log('error', `Failed to save log watermarks: ${error.message}`);
     }
   }
 
   /**
-   * Create a read stream interface for a batch file
-   * This allows processing line-by-line without loading 100MB into RAM
+   * Load the last punch per member used for duplicate suppression
+   * @returns {Promise<object>} biometricDeviceId -> { at (ms), deviceId }
    */
-  createBatchStream(batchPath) {
-    if (!fs.existsSync(batchPath)) return null;
-    const fileStream = fs.createReadStream(batchPath);
-    return readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
+  async loadDuplicateState() {
+    try {
+      if (!await fs.pathExists(this.duplicateStateFile)) return {};
+      const data = await fs.readJson(this.duplicateStateFile);
+      return data && data.members ? data.members : {};
+    } catch (error) {
+      log('error', `Failed to load duplicate suppression state: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the last punch per member
+   */
+  async saveDuplicateState(members) {
+    try {
+      await fs.writeJson(this.duplicateStateFile, { updatedAt: new Date().toISOString(), members });
+    } catch (error) {
+      log('error', `Failed to save duplicate suppression state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the enrollment queue ({ pending, deadLetter, nextJobId })
+   */
+  async loadEnrollmentQueue() {
+    try {
+      if (!await fs.pathExists(this.enrollmentQueueFile)) return null;
+      return await fs.readJson(this.enrollmentQueueFile);
+    } catch (error) {
+      log('error', `Failed to load enrollment queue: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Persist the enrollment queue
+   */
+  async saveEnrollmentQueue(state) {
+    try {
+      await fs.writeJson(this.enrollmentQueueFile, { ...state, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      log('error', `Failed to save enrollment queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the fingers enrolled per member
+   * @returns {Promise<object>} biometricDeviceId -> { name, fingers: { fingerIndex: { finger, deviceId, enrolledAt, ... } } }
+   */
+  async loadFingerEnrollments() {
+    try {
+      if (!await fs.pathExists(this.fingerEnrollmentsFile)) return {};
+      const data = await fs.readJson(this.fingerEnrollmentsFile);
+      return data && data.members ? data.members : {};
+    } catch (error) {
+      log('error', `Failed to load finger enrollments: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the fingers enrolled per member
+   */
+  async saveFingerEnrollments(members) {
+    try {
+      await fs.writeJson(this.fingerEnrollmentsFile, { updatedAt: new Date().toISOString(), members });
+    } catch (error) {
+      log('error', `Failed to save finger enrollments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the device users disabled/removed because their membership expired
+   * @returns {Promise<object>} biometricDeviceId -> { memberId, name, devices: { deviceId: { mode, user, actionAt } } }
+   */
+  async loadMembershipExpiryState() {
+    try {
+      if (!await fs.pathExists(this.membershipExpiryFile)) return {};
+      const data = await fs.readJson(this.membershipExpiryFile);
+      return data && data.members ? data.members : {};
+    } catch (error) {
+      log('error', `Failed to load membership expiry state: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the membership expiry state
+   */
+  async saveMembershipExpiryState(members) {
+    try {
+      await fs.writeJson(this.membershipExpiryFile, { updatedAt: new Date().toISOString(), members });
+    } catch (error) {
+      log('error', `Failed to save membership expiry state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Append an access decision (granted / denied / overridden) to the local audit trail
+   */
+  async saveAccessDecision(decision) {
+    try {
+      await fs.appendFile(this.accessDecisionsFile, JSON.stringify(decision) + '\n');
+      return true;
+    } catch (error) {
+      log('error', `Failed to save access decision: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Read the most recent access decisions (newest first)
+   * @param {number} limit - Max number of decisions to return
+   * @param {function} [filter] - Only keep decisions for which filter(decision) is true
+   */
+  async getAccessDecisions(limit = 100, filter = null) {
+    try {
+      return await this._readRecentEntries(this.accessDecisionsFile, limit, filter);
+    } catch (error) {
+      log('error', `Failed to read access decisions: ${error.message}`);
+      return [];
+    }
   }
 
   /**
-   * Re-queue failed records back to the MAIN pending file
+   * Append a device administration command (restart, clear log, unlock...) to the audit trail
    */
-  async requeueFailedRecords(records) {
-    if (!records || records.length === 0) return;
+  async saveDeviceAuditEntry(entry) {
     try {
-      const lines = records.map(r => JSON.stringify(r)).join('\n') + '\n';
-      await fs.appendFile(this.attendanceFile, lines);
-      log('warning', `↩️ Re-queued ${records.length} failed records to pending file`);
+      await fs.appendFile(this.deviceAuditFile, JSON.stringify(entry) + '\n');
+      return true;
     } catch (error) {
-      log('error', `CRITICAL: Failed to requeue records: ${error.message}`);
+      log('error', `Failed to save device audit entry: ${error.message}`);
+      return false;
     }
   }
 
   /**
-   * Delete a processed batch file
+   * Read the most recent device audit entries (newest first)
+   * @param {number} limit - Max number of entries to return
+   * @param {function} [filter] - Only keep entries for which filter(entry) is true
    */
-  async deleteBatch(batchPath) {
+  async getDeviceAuditLog(limit = 100, filter = null) {
     try {
-      await fs.unlink(batchPath);
-      // log('debug', `🗑️ Deleted processed batch: ${path.basename(batchPath)}`);
+      return await this._readRecentEntries(this.deviceAuditFile, limit, filter);
     } catch (error) {
-      log('error', `Failed to delete batch ${batchPath}: ${error.message}`);
+      log('error', `Failed to read device audit log: ${error.message}`);
+      return [];
     }
   }
 
+  /**
+   * Internal: Last `limit` entries of an NDJSON file (newest first)
+   */
+  async _readRecentEntries(file, limit, filter) {
+    if (!await fs.pathExists(file)) return [];
+
+    const entries = [];
+    const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (filter && !filter(entry)) continue;
+        entries.push(entry);
+        if (entries.length > limit) entries.shift();
+      } catch (e) {
+        // Skip malformed lines
+      }
+    }
+
+    return entries.reverse();
+  }
+
+  /**
+   * Save a full device attendance log before it is cleared on the device
+   * @param {string} deviceId
+   * @param {object[]} records - Raw device log records
+   * @returns {Promise<{ file: string, count: number }>} count is read back from the written file
+   */
+  async saveDeviceLogArchive(deviceId, records) {
+    await fs.ensureDir(this.logArchivesDir);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.logArchivesDir, `${deviceId}_${stamp}.json`);
+
+    await fs.writeJson(file, { deviceId, archivedAt: new Date().toISOString(), count: records.length, records });
+
+    const written = await fs.readJson(file);
+    return { file, count: Array.isArray(written.records) ? written.records.length : 0 };
+  }
+
+  /**
+   * Read stored attendance records (synced and pending) for a date range
+   * @param {string} fromDate - YYYY-MM-DD (inclusive)
+   * @param {string} toDate - YYYY-MM-DD (inclusive)
+   */
+  async getStoredAttendance(fromDate, toDate) {
+    return this.queryAttendance({ from: fromDate, to: toDate });
+  }
+
   /**
    * Cache user data (Users are still small enough for standard JSON)
    */
@@ -201,6 +594,24 @@ class OfflineStorageService {
     }
   }
 
+  /**
+   * Replace (or add) one user in the offline users cache, matched by document id
+   */
+  async updateCachedUser(user) {
+    try {
+      const users = await this.getCachedUsers(true);
+      const index = users.findIndex(u => u.id === user.id);
+      if (index >= 0) {
+        users[index] = user;
+      } else {
+        users.push(user);
+      }
+      await fs.writeJson(this.usersFile, { updatedAt: new Date().toISOString(), users }, { spaces: 2 });
+    } catch (error) {
+      log('error', `Failed to update cached user: ${error.message}`);
+    }
+  }
+
   /**
    * Get cached users
    */
@@ -228,34 +639,28 @@ class OfflineStorageService {
    */
   async getStats() {
     try {
-      let pendingLines = 0;
-      let batchCount = 0;
+      await this.ready;
+      const store = await this.attendanceStore.stats();
       let userCount = 0;
 
-      if (await fs.pathExists(this.attendanceFile)) {
-        // Just checking size might be faster than reading lines for stats
-        const stats = await fs.stat(this.attendanceFile);
-        pendingLines = Math.ceil(stats.size / 150); // Rough estimate
-      }
-
-      if (await fs.pathExists(this.batchesDir)) {
-        const files = await fs.readdir(this.batchesDir);
-        batchCount = files.filter(f => f.endsWith('.ndjson')).length;
-      }
-
       if (await fs.pathExists(this.usersFile)) {
         const data = await fs.readJson(this.usersFile);
         if (data && Array.isArray(data.users)) userCount = data.users.length;
       }
 
       return {
-        pendingSyncFiles: batchCount,
-        estimatedPendingRecords: pendingLines + (batchCount * 50), // Rough guess
+        pendingRecords: store.pending,
+        syncedRecords: store.synced,
+        deadLetterRecords: store.deadLetter,
+        storedRecords: store.records,
+        firstDate: store.firstDate,
+        lastDate: store.lastDate,
+        storeSizeBytes: store.sizeBytes,
         cachedUsers: userCount,
-        storageType: 'Log Rotation (Atomic)'
+        storageType: 'Attendance store (SQLite)'
       };
     } catch (error) {
-      return { pendingSyncFiles: 0, cachedUsers: 0 };
+      return { pendingRecords: 0, storedRecords: 0, cachedUsers: 0 };
     }
   }
 }
@@ -0,0 +1,238 @@
+/**
+ * Member / Device User Reconciliation Service
+ * Compares the users on a device (getUsers) with the Firestore members by biometricDeviceId
+ * and reports what doesn't agree: device users without a member (orphans), members missing
+ * from the device and name mismatches. Fixes are applied on the device side in bulk.
+ */
+
+const log = require("../utils/logger");
+const offlineStorage = require("./offlineStorage");
+const { getAllMembers } = require("./userService");
+const { resolveCredentials, withCredentials, writeDeviceUser } = require("./memberCredentialService");
+const { pickDeviceUid } = require("./biometricIdService");
+
+const DEVICE_NAME_LENGTH = 24; // Longer names are truncated on the device
+const ADMIN_ROLE = 14;
+
+const FIXES = {
+  ADD_MISSING: "addMissing",
+  FIX_NAMES: "fixNames",
+  DELETE_ORPHANS: "deleteOrphans",
+};
+
+/**
+ * The name as the device stores it
+ */
+function toDeviceName(name) {
+  return String(name || "").trim().slice(0, DEVICE_NAME_LENGTH);
+}
+
+function sameName(deviceName, memberName) {
+  return toDeviceName(deviceName).toLowerCase() === toDeviceName(memberName).toLowerCase();
+}
+
+/**
+ * Compare device users with members
+ * @param {object[]} deviceUsers - zk.getUsers().data
+ * @param {object[]} members - Firestore members with a biometricDeviceId
+ */
+function compare(deviceUsers, members) {
+  const membersById = new Map(members.map((member) => [String(member.biometricDeviceId), member]));
+  const deviceIds = new Set();
+
+  const orphans = [];
+  const nameMismatches = [];
+  let matched = 0;
+
+  for (const user of deviceUsers) {
+    const userId = String(user.userId);
+    deviceIds.add(userId);
+    const member = membersById.get(userId);
+
+    if (!member) {
+      orphans.push({ uid: user.uid, userId, name: user.name, admin: user.role === ADMIN_ROLE });
+    } else if (!sameName(user.name, member.name)) {
+      nameMismatches.push({ uid: user.uid, userId, deviceName: user.name, memberName: member.name, memberId: member.id });
+    } else {
+      matched++;
+    }
+  }
+
+  // Biometric IDs given to more than one member - adding either would overwrite the other
+  const memberCounts = new Map();
+  for (const member of members) {
+    const id = String(member.biometricDeviceId);
+    memberCounts.set(id, (memberCounts.get(id) || 0) + 1);
+  }
+  const duplicateIds = members
+    .filter((member) => memberCounts.get(String(member.biometricDeviceId)) > 1)
+    .map((member) => ({ memberId: member.id, userId: String(member.biometricDeviceId), name: member.name }));
+
+  const missing = members
+    .filter((member) => !deviceIds.has(String(member.biometricDeviceId)))
+    .map((member) => ({
+      memberId: member.id,
+      userId: String(member.biometricDeviceId),
+      name: member.name,
+      membershipStatus: member.membershipStatus || null,
+      membershipEnd: member.membershipEnd || null,
+    }));
+
+  return { matched, orphans, missing, nameMismatches, duplicateIds };
+}
+
+/**
+ * Build the reconciliation report for a device
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {string} [deviceId]
+ */
+async function buildReport(deviceService, io, deviceId) {
+  const device = deviceService.getDeviceInfo(deviceId);
+  const members = await getAllMembers();
+  const deviceUsers = await deviceService.runDeviceCommand(io, deviceId, async (zk) => (await zk.getUsers()).data, { timeoutMs: 30000 });
+
+  const comparison = compare(deviceUsers, members);
+  const report = {
+    deviceId: device.id,
+    deviceLabel: device.label,
+    generatedAt: new Date().toISOString(),
+    deviceUserCount: deviceUsers.length,
+    memberCount: members.length,
+    ...comparison,
+  };
+
+  log(
+    "info",
+    `🔍 Reconciliation ${device.label}: ${comparison.matched} matched, ${comparison.orphans.length} orphans, ` +
+    `${comparison.missing.length} missing, ${comparison.nameMismatches.length} name mismatches`
+  );
+  if (comparison.duplicateIds.length > 0) {
+    log("warning", `⚠️ ${comparison.duplicateIds.length} members share a biometric ID: ${[...new Set(comparison.duplicateIds.map((entry) => entry.userId))].join(", ")}`);
+  }
+
+  return { report, deviceUsers, members };
+}
+
+/**
+ * Pick the report entries a fix applies to: `true` = all, array = only those user ids
+ */
+function select(entries, selection) {
+  if (selection === true) return entries;
+  if (!Array.isArray(selection)) return [];
+  const wanted = new Set(selection.map(String));
+  return entries.filter((entry) => wanted.has(entry.userId));
+}
+
+/**
+ * Apply fixes on the device, based on a fresh report
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {object} options
+ * @param {string} [options.deviceId]
+ * @param {true|string[]} [options.addMissing] - Enroll members missing from the device
+ * @param {true|string[]} [options.fixNames] - Rename device users to their member name
+ * @param {true|string[]} [options.deleteOrphans] - Delete device users without a member (admins are kept)
+ * @param {string} [options.staff]
+ * @returns {Promise<object>} { applied, failed, skipped, results: [{ fix, userId, name, status, error }] }
+ */
+async function applyFixes(deviceService, io, { deviceId, addMissing, fixNames, deleteOrphans, staff = null }) {
+  const startedAt = Date.now();
+  const { report, deviceUsers, members } = await buildReport(deviceService, io, deviceId);
+  const membersById = new Map(members.map((member) => [String(member.biometricDeviceId), member]));
+  const usedUids = new Set(deviceUsers.map((user) => user.uid));
+  const results = [];
+
+  const run = async (fix, entry, operation) => {
+    const result = { fix, userId: entry.userId, name: entry.name || entry.memberName };
+    try {
+      await deviceService.runDeviceCommand(io, deviceId, operation);
+      result.status = "applied";
+    } catch (error) {
+      result.status = "failed";
+      result.error = error.message;
+    }
+    results.push(result);
+  };
+
+  const duplicateIds = new Set(report.duplicateIds.map((entry) => entry.userId));
+  for (const member of select(report.missing, addMissing)) {
+    if (duplicateIds.has(member.userId)) {
+      results.push({ fix: FIXES.ADD_MISSING, userId: member.userId, name: member.name, status: "skipped", error: "Biometric ID shared by several members" });
+      continue;
+    }
+
+    // Same uid as the enrollment listener, unless another device user holds it
+    let uid;
+    try {
+      uid = pickDeviceUid(member.userId, usedUids);
+    } catch (error) {
+      results.push({ fix: FIXES.ADD_MISSING, userId: member.userId, name: member.name, status: "failed", error: error.message });
+      continue;
+    }
+    usedUids.add(uid);
+
+    // Bring the member's card number and PIN along - unless someone else already has them
+    let credentials;
+    try {
+      credentials = await resolveCredentials(membersById.get(member.userId), deviceUsers);
+    } catch (error) {
+      results.push({ fix: FIXES.ADD_MISSING, userId: member.userId, name: member.name, status: "failed", error: error.message });
+      continue;
+    }
+
+    const user = withCredentials({ uid, userId: member.userId, name: toDeviceName(member.name), role: 0 }, credentials);
+    await run(FIXES.ADD_MISSING, member, (zk) => writeDeviceUser(zk, user));
+  }
+
+  const usersById = new Map(deviceUsers.map((user) => [String(user.userId), user]));
+  for (const mismatch of select(report.nameMismatches, fixNames)) {
+    const user = usersById.get(mismatch.userId);
+    await run(FIXES.FIX_NAMES, mismatch, (zk) => writeDeviceUser(zk, { ...user, name: toDeviceName(mismatch.memberName) }));
+  }
+
+  for (const orphan of select(report.orphans, deleteOrphans)) {
+    if (orphan.admin) {
+      results.push({ fix: FIXES.DELETE_ORPHANS, userId: orphan.userId, name: orphan.name, status: "skipped", error: "Device admin" });
+      continue;
+    }
+    await run(FIXES.DELETE_ORPHANS, orphan, (zk) => zk.deleteUser(orphan.uid));
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const summary = {
+    deviceId: report.deviceId,
+    deviceLabel: report.deviceLabel,
+    applied: count("applied"),
+    failed: count("failed"),
+    skipped: count("skipped"),
+    durationMs: Date.now() - startedAt,
+    results,
+  };
+
+  await offlineStorage.saveDeviceAuditEntry({
+    action: "reconcile_users",
+    deviceId: report.deviceId,
+    deviceLabel: report.deviceLabel,
+    params: { addMissing, fixNames, deleteOrphans },
+    staff,
+    requestedAt: new Date(startedAt).toISOString(),
+    result: { applied: summary.applied, failed: summary.failed, skipped: summary.skipped },
+    success: summary.failed === 0,
+    durationMs: summary.durationMs,
+  });
+
+  log(
+    summary.failed > 0 ? "warning" : "success",
+    `🔧 Reconciliation applied on ${report.deviceLabel}: ${summary.applied} applied, ${summary.failed} failed, ${summary.skipped} skipped`
+  );
+
+  return summary;
+}
+
+module.exports = {
+  FIXES,
+  compare,
+  buildReport: async (deviceService, io, deviceId) => (await buildReport(deviceService, io, deviceId)).report,
+  applyFixes,
+};
@@ -11,7 +11,7 @@ function initializeSocket(server) {
     log("info", `Web client connected: ${socket.id}`);
 
     // Lazy load to avoid circular dependency or load order issues
-    const { isConnected } = require("./deviceService");
+    const { isConnected, listDevices } = require("./deviceService");
 
     // Auto-join clients to rooms for targeted broadcasts
     // This improves performance by avoiding broadcast to all clients
@@ -20,17 +20,30 @@ function initializeSocket(server) {
 
     log("debug", `Client ${socket.id} joined rooms: attendance, stats`);
 
-    socket.emit("device_status", {
-      connected: isConnected ? isConnected() : false,
-      deviceIp: DEVICE_CONFIG.ip,
-      timestamp: new Date().toISOString(),
-    });
+    // One device_status per registered device
+    const registeredDevices = listDevices ? listDevices() : [];
+    if (registeredDevices.length === 0) {
+      socket.emit("device_status", {
+        connected: isConnected ? isConnected() : false,
+        deviceIp: DEVICE_CONFIG.ip,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    for (const device of registeredDevices) {
+      socket.emit("device_status", {
+        deviceId: device.id,
+        deviceLabel: device.label,
+        deviceIp: device.ip,
+        connected: device.connected,
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     // Send initial system status
     socket.emit("system_status", {
       server: true,
       database: true, // If we reached here, DB is likely fine or will report error later
-      device: isConnected ? isConnected() : false,
+      device: registeredDevices.some((device) => device.connected) || (isConnected ? isConnected() : false),
       socket: true
     });
 
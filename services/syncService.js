@@ -4,10 +4,9 @@
  */
 
 const offlineStorage = require('./offlineStorage');
-const { saveAttendanceRecord } = require('./firestoreService');
+const { saveAttendanceRecord, updateAttendanceRecord, getAttendanceRecordId } = require('./firestoreService');
 const { db } = require('../config/firebaseConfig');
 const log = require('../utils/logger');
-const path = require('path');
 
 let syncInterval = null;
 let isSyncing = false;
@@ -24,6 +23,13 @@ const DEVICE_CONFIG = require('../config/deviceConfig');
 const SYNC_INTERVAL = DEVICE_CONFIG.syncInterval || 1800000; // Default to 30 mins if missing
 const MAX_CONSECUTIVE_FAILURES = 3;
 const BATCH_SIZE = 10; // Sync 10 records at a time
+const MAX_SYNC_ATTEMPTS = DEVICE_CONFIG.syncMaxAttempts || 5; // Then the record is dead-lettered
+
+// Local store metadata - never sent to Firebase, never changed by a dead-letter edit
+const STORE_FIELDS = [
+  'recordId', 'dbId', 'offlineTimestamp', 'syncStatus', 'syncedAt', 'syncAction', 'syncError',
+  'syncAttempts', 'lastSyncAttemptAt', 'deadLetteredAt', 'discardedAt', 'storeVersion',
+];
 
 /**
  * Check if Firebase is available
@@ -43,16 +49,38 @@ async function checkFirebaseConnection() {
   }
 }
 
+/**
+ * Reason a record can never be saved (retrying won't help), or null
+ */
+function validateRecord(record) {
+  if (!record.userId) return 'Invalid record: missing userId';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) return `Invalid record: bad date "${record.date}"`;
+  if (Number.isNaN(Date.parse(record.checkInTime))) return `Invalid record: bad checkInTime "${record.checkInTime}"`;
+  return null;
+}
+
 /**
  * Sync a single attendance record to Firebase
  */
 async function syncSingleRecord(record) {
-  try {
-    // Remove offline metadata before saving to Firebase
-    // dbId is internal SQLite ID, offlineTimestamp is the legacy field
-    const { dbId, offlineTimestamp, syncStatus, syncedAt, ...attendanceData } = record;
+  const invalid = validateRecord(record);
+  if (invalid) {
+    log('error', `Not syncing record ${record.recordId}: ${invalid}`);
+    return { success: false, error: invalid, permanent: true };
+  }
 
-    await saveAttendanceRecord(attendanceData);
+  try {
+    // Remove local store metadata before saving to Firebase (recordId is kept as a field)
+    const attendanceData = { ...record };
+    STORE_FIELDS.filter((field) => field !== 'recordId').forEach((field) => delete attendanceData[field]);
+    const { syncAction } = record;
+
+    // Check-outs for sessions that were already synced arrive as updates
+    if (syncAction === 'update') {
+      await updateAttendanceRecord(attendanceData);
+    } else {
+      await saveAttendanceRecord(attendanceData);
+    }
     log('success', `✅ Synced offline record: ${attendanceData.name || attendanceData.userId}`);
 
     // Return the ID so we can mark it as synced
@@ -75,84 +103,60 @@ async function syncPendingRecords(io) {
   isSyncing = true;
   lastSyncAttempt = new Date().toISOString();
 
-  const syncResults = { synced: 0, failed: 0, pending: 0 };
+  const syncResults = { synced: 0, failed: 0, deadLettered: 0, pending: 0 };
 
   try {
-    // 1. Rotate the current pending file to isolate it as a batch
-    await offlineStorage.rotatePendingFile();
+    // Snapshot of what is pending now; records saved meanwhile wait for the next run
+    const pending = await offlineStorage.listPendingAttendance();
 
-    // 2. Get all batch files (including the one we just rotated)
-    const batches = await offlineStorage.getBatches();
-
-    if (batches.length === 0) {
+    if (pending.length === 0) {
       log('debug', 'No pending records to sync');
       isSyncing = false;
       return syncResults;
     }
 
-    log('info', `📤 Starting sync of ${batches.length} batch files...`);
-
-    // 3. Process each batch file
-    for (const batchPath of batches) {
-      const batchFailures = [];
-      let batchSynced = 0;
-
-      const rl = offlineStorage.createBatchStream(batchPath);
-      if (!rl) continue; // Skip if file invalid
-
-      // Process line by line (Stream)
-      for await (const line of rl) {
-        if (!line.trim()) continue;
-
-        try {
-          const record = JSON.parse(line);
-          const result = await syncSingleRecord(record);
-
-          if (result.success) {
-            syncResults.synced++;
-            batchSynced++;
-          } else {
-            record.syncError = result.error; // Add error info
-            batchFailures.push(record);
-            syncResults.failed++;
-          }
-        } catch (e) {
-          log('error', `Skipping malformed line in batch: ${e.message}`);
+    log('info', `📤 Starting sync of ${pending.length} pending records...`);
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const records = await offlineStorage.getAttendanceRecords(pending.slice(i, i + BATCH_SIZE).map(p => p.recordId));
+      const results = await Promise.all(records.map(syncSingleRecord));
+
+      const synced = [];
+      const failures = [];
+      results.forEach((result, index) => {
+        const { recordId, storeVersion } = records[index];
+        if (result.success) {
+          synced.push({ recordId, storeVersion });
+        } else {
+          failures.push({ recordId, error: result.error, permanent: result.permanent });
         }
-      }
+      });
 
-      // 4. Handle Batch Completion
-      if (batchFailures.length === 0) {
-        // Full success: Delete batch file
-        await offlineStorage.deleteBatch(batchPath);
-      } else {
-        // Partial/Full failure: Requeue failed records to current pending file
-        // and then delete the old batch file (since we moved the failed ones back)
-        // This prevents infinite loops of bad files - they get re-appended to the end
-        await offlineStorage.requeueFailedRecords(batchFailures);
-
-        // Only delete if we successfully requeued (requeue method logs errors but doesn't throw)
-        // For safety, we assume requeue worked if no crash.
-        await offlineStorage.deleteBatch(batchPath);
-      }
+      // Records stay in the store either way - only their sync status changes
+      await offlineStorage.markAttendanceSynced(synced);
+      const deadLettered = await offlineStorage.markAttendanceSyncFailed(failures, MAX_SYNC_ATTEMPTS);
+      syncResults.synced += synced.length;
+      syncResults.failed += failures.length;
+      syncResults.deadLettered += deadLettered;
 
-      // Report progress per batch
       if (io) {
         io.emit('sync_progress', {
           synced: syncResults.synced,
           failed: syncResults.failed,
-          batch: path.basename(batchPath)
+          progress: Math.round(Math.min(i + BATCH_SIZE, pending.length) / pending.length * 100)
         });
       }
     }
 
-    // Update cached pending count (Stats structure changed)
     const stats = await offlineStorage.getStats();
-    syncResults.pending = stats.estimatedPendingRecords;
+    syncResults.pending = stats.pendingRecords;
     cachedPendingCount = syncResults.pending;
     lastPendingCountUpdate = Date.now();
 
     log('success', `✅ Sync completed: ${syncResults.synced} synced, ${syncResults.failed} failed`);
+    if (syncResults.deadLettered > 0) {
+      log('warning', `⚠️ ${syncResults.deadLettered} record(s) moved to the sync dead-letter list (GET /sync/dead-letter)`);
+    }
 
     if (io) {
       io.emit('sync_complete', syncResults);
@@ -183,7 +187,7 @@ async function getPendingCount() {
 
   // Cache is stale, refresh it
   const stats = await offlineStorage.getStats();
-  cachedPendingCount = stats.estimatedPendingRecords || stats.pendingSyncFiles; // Fallback or new prop
+  cachedPendingCount = stats.pendingRecords;
   lastPendingCountUpdate = now;
 
   return cachedPendingCount;
@@ -289,7 +293,8 @@ async function getSyncStatus() {
     lastSyncAttempt,
     consecutiveFailures,
     consecutiveFailures,
-    pendingRecords: stats.estimatedPendingRecords,
+    pendingRecords: stats.pendingRecords,
+    deadLetterRecords: stats.deadLetterRecords,
     cachedUsers: stats.cachedUsers
   };
 }
@@ -316,6 +321,99 @@ async function forceSyncNow(io) {
 }
 
 
+/**
+ * Records that gave up syncing, and legacy lines that couldn't be parsed
+ */
+async function getDeadLetters() {
+  return {
+    records: await offlineStorage.queryAttendance({ syncStatus: 'dead_letter' }),
+    unparseable: await offlineStorage.getUnparseableAttendance(),
+  };
+}
+
+/**
+ * Internal: Attendance id of an edited record - it names the Firestore document, so it follows the punch
+ * and is never edited directly. Records stored before attendance ids existed keep their legacy path.
+ */
+function editedAttendanceId(original, edited) {
+  return original.attendanceId ? getAttendanceRecordId(edited) : undefined;
+}
+
+function deadLetterError(message) {
+  const error = new Error(message);
+  error.deadLetter = true;
+  return error;
+}
+
+/**
+ * Retry a dead letter on the next sync
+ * @param {string} entryId - recordId, or the id of an unparseable line
+ * @param {object} [body] - { changes } corrects fields of a record; an unparseable line needs { record }
+ * @returns {Promise<object|null>} The record queued for sync, null when there is no such entry
+ */
+async function retryDeadLetter(entryId, { changes, record } = {}) {
+  const [stored] = await offlineStorage.getAttendanceRecords([entryId]);
+  if (stored && stored.syncStatus === 'dead_letter') {
+    if (changes !== undefined && (typeof changes !== 'object' || changes === null || Array.isArray(changes))) {
+      throw deadLetterError('changes must be an object of record fields');
+    }
+    const edits = { ...changes };
+    STORE_FIELDS.forEach((field) => delete edits[field]);
+
+    const invalid = validateRecord({ ...stored, ...edits });
+    if (invalid) throw deadLetterError(invalid);
+    edits.attendanceId = editedAttendanceId(stored, { ...stored, ...edits });
+
+    const updated = await offlineStorage.editStoredAttendance(entryId, {
+      ...edits,
+      syncStatus: 'pending',
+      syncAttempts: 0,
+      syncError: undefined,
+      deadLetteredAt: undefined,
+    });
+    log('info', `🔁 Dead-lettered record ${entryId} queued for sync again`);
+    return updated;
+  }
+
+  const unparseable = (await offlineStorage.getUnparseableAttendance()).find((entry) => entry.id === entryId);
+  if (!unparseable) return null;
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw deadLetterError('An unparseable line can only be retried with the corrected record as { record }');
+  }
+  const corrected = { ...record };
+  STORE_FIELDS.forEach((field) => delete corrected[field]);
+  const invalid = validateRecord(corrected);
+  if (invalid) throw deadLetterError(invalid);
+  corrected.attendanceId = editedAttendanceId(corrected, corrected);
+
+  if (!await offlineStorage.saveOfflineAttendance(corrected)) {
+    throw new Error('Failed to store the corrected record');
+  }
+  await offlineStorage.removeUnparseableAttendance(entryId);
+  log('info', `🔁 Unparseable line ${entryId} replaced by a corrected record`);
+  return corrected;
+}
+
+/**
+ * Give up on a dead letter: a record is kept locally as discarded (never synced), an unparseable line is deleted
+ * @returns {Promise<object|null>} The discarded entry, null when there is no such entry
+ */
+async function discardDeadLetter(entryId) {
+  const [stored] = await offlineStorage.getAttendanceRecords([entryId]);
+  if (stored && stored.syncStatus === 'dead_letter') {
+    const discarded = await offlineStorage.editStoredAttendance(entryId, {
+      syncStatus: 'discarded',
+      discardedAt: new Date().toISOString(),
+    });
+    log('warning', `🗑️ Dead-lettered record ${entryId} discarded`);
+    return discarded;
+  }
+
+  const removed = await offlineStorage.removeUnparseableAttendance(entryId);
+  if (removed) log('warning', `🗑️ Unparseable line ${entryId} discarded`);
+  return removed;
+}
 
 module.exports = {
   startSync,
@@ -323,5 +421,8 @@ module.exports = {
   getSyncStatus,
   forceSyncNow,
   syncPendingRecords,
-  checkFirebaseConnection
+  checkFirebaseConnection,
+  getDeadLetters,
+  retryDeadLetter,
+  discardDeadLetter
 };
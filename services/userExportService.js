@@ -0,0 +1,112 @@
+/**
+ * User Export Service
+ * Exports a device's users as CSV (for people - the columns the member import reads) or as the
+ * files a ZKTeco terminal loads from a USB stick: user.dat (72-byte user records) and
+ * template.dat (fingerprint templates), zipped together.
+ */
+
+const log = require("../utils/logger");
+const { toCsv } = require("../utils/spreadsheet");
+const { writeZip } = require("../utils/zip");
+const { readTemplates } = require("./fingerprintTemplateService");
+const { encodeUser72 } = require("./memberCredentialService");
+
+const ROLE_NAMES = { 0: "user", 14: "admin" };
+const EXPORT_TIMEOUT_MS = 120000; // Thousands of templates take a while
+
+function fileStamp(device) {
+  return `${device.id}_${new Date().toISOString().replace(/[:.]/g, "-")}`;
+}
+
+function countFingers(templates) {
+  const fingers = new Map();
+  templates.forEach(({ uid }) => fingers.set(uid, (fingers.get(uid) || 0) + 1));
+  return fingers;
+}
+
+/**
+ * Device users as CSV - PINs are left out, only whether one is set
+ * Finger counts are filled in when the device is connected over TCP (templates can't be read over UDP).
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {string} [deviceId] - Primary device when omitted
+ * @returns {Promise<object>} { filename, data, userCount }
+ */
+async function exportUsersCsv(deviceService, io, deviceId) {
+  const device = deviceService.getDeviceInfo(deviceId);
+
+  const { users, templates } = await deviceService.runDeviceCommand(io, device.id, async (zk) => ({
+    users: (await zk.getUsers()).data,
+    templates: zk.connectionType === "tcp" ? await readTemplates(zk) : null,
+  }), { timeoutMs: EXPORT_TIMEOUT_MS });
+
+  const fingers = templates ? countFingers(templates) : null;
+  const rows = [
+    ["id", "name", "card", "role", "uid", "pin_set", "fingers"],
+    ...users
+      .slice()
+      .sort((a, b) => a.uid - b.uid)
+      .map((user) => [
+        user.userId,
+        user.name,
+        Number(user.cardno) || "",
+        ROLE_NAMES[user.role] ?? user.role,
+        user.uid,
+        user.password ? "yes" : "no",
+        fingers ? fingers.get(user.uid) || 0 : "",
+      ]),
+  ];
+
+  log("success", `📤 Exported ${users.length} users from ${device.label} as CSV`);
+  return { filename: `${fileStamp(device)}_users.csv`, data: toCsv(rows), userCount: users.length };
+}
+
+/**
+ * Device users and fingerprint templates in the USB stick layout, zipped
+ * Unzip onto the root of a USB stick and use the terminal's USB upload for users.
+ * @param {object} deviceService
+ * @param {object} io - Socket.IO instance
+ * @param {string} [deviceId] - Primary device when omitted
+ * @returns {Promise<object>} { filename, data, userCount, templateCount }
+ */
+async function exportUsbArchive(deviceService, io, deviceId) {
+  const device = deviceService.getDeviceInfo(deviceId);
+
+  const { users, templates } = await deviceService.runDeviceCommand(io, device.id, async (zk) => ({
+    users: (await zk.getUsers()).data,
+    templates: await readTemplates(zk),
+  }), { timeoutMs: EXPORT_TIMEOUT_MS });
+
+  const uids = new Set(users.map((user) => user.uid));
+
+  // template.dat: [size (2) | uid (2) | finger index (1) | valid (1) | template]...
+  const templateRecords = templates
+    .filter((template) => uids.has(template.uid))
+    .map(({ uid, fid, valid, template }) => {
+      const record = Buffer.alloc(6 + template.length);
+      record.writeUInt16LE(record.length, 0);
+      record.writeUInt16LE(uid, 2);
+      record.writeInt8(fid, 4);
+      record.writeInt8(valid, 5);
+      template.copy(record, 6);
+      return record;
+    });
+
+  const data = writeZip([
+    { name: "user.dat", data: Buffer.concat(users.map(encodeUser72)) },
+    { name: "template.dat", data: Buffer.concat(templateRecords) },
+  ]);
+
+  log("success", `📤 Exported ${users.length} users and ${templateRecords.length} templates from ${device.label} for USB`);
+  return {
+    filename: `${fileStamp(device)}_usb.zip`,
+    data,
+    userCount: users.length,
+    templateCount: templateRecords.length,
+  };
+}
+
+module.exports = {
+  exportUsersCsv,
+  exportUsbArchive,
+};
@@ -174,6 +174,55 @@ function invalidateUserCache(biometricDeviceId) {
   }
 }
 
+/**
+ * Fetch every member that has a biometric device ID (straight from Firestore, no cache)
+ * @returns {Promise<object[]>} Members as { id, ...data } without profileImageUrl
+ */
+async function getAllMembers() {
+  if (!db) {
+    throw new Error("Firestore is not initialized");
+  }
+
+  const snapshot = await db.collection(USERS_COLLECTION)
+    .where("biometricDeviceId", "!=", null) // Only users with biometric IDs
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const userData = { id: doc.id, ...doc.data() };
+    delete userData.profileImageUrl; // Not needed here, saves memory
+    return userData;
+  });
+}
+
+/**
+ * All known members without querying Firestore: the offline cache, overlaid with fresher
+ * in-memory cache entries
+ * @returns {Promise<object[]>}
+ */
+async function getCachedMembers() {
+  const members = new Map();
+  for (const user of await offlineStorage.getCachedUsers(true)) {
+    members.set(String(user.biometricDeviceId), user);
+  }
+  for (const [biometricDeviceId, cached] of userCache) {
+    members.set(biometricDeviceId, cached.data);
+  }
+  return Array.from(members.values());
+}
+
+/**
+ * Store a member that changed in Firestore in both caches
+ * @param {object} userData - { id, ...data }
+ */
+async function updateCachedMember(userData) {
+  const cacheKey = String(userData.biometricDeviceId);
+  const now = Date.now();
+
+  evictOldestIfNeeded();
+  userCache.set(cacheKey, { data: userData, cachedAt: now, expiresAt: now + CACHE_TTL });
+  await offlineStorage.updateCachedUser(userData);
+}
+
 /**
  * Pre-warm cache by loading all users on startup
  * This dramatically improves first-scan performance
@@ -188,25 +237,13 @@ async function prewarmCache() {
     log("info", "🔥 Pre-warming user cache from Firestore...");
     const startTime = Date.now();
 
-    const usersRef = db.collection(USERS_COLLECTION);
-    const snapshot = await usersRef
-      .where("biometricDeviceId", "!=", null) // Only users with biometric IDs
-      .get();
+    const members = await getAllMembers();
 
     const now = Date.now();
     let cachedCount = 0;
     const allUsers = [];
 
-    // Parallel processing for photo saving might be too heavy, doing sequential for safety
-    for (const doc of snapshot.docs) {
-      const userData = {
-        id: doc.id,
-        ...doc.data(),
-      };
-
-      // Remove profileImageUrl from userData to save memory
-      delete userData.profileImageUrl;
-
+    for (const userData of members) {
       const cacheKey = String(userData.biometricDeviceId);
       userCache.set(cacheKey, {
         data: userData,
@@ -277,6 +314,9 @@ function resetCacheStats() {
 
 module.exports = {
   getUserByBiometricId,
+  getAllMembers,
+  getCachedMembers,
+  updateCachedMember,
   clearUserCache,
   invalidateUserCache,
   getCacheStats,
@@ -0,0 +1,882 @@
+/**
+ * ZK Device Emulator
+ * Speaks the ZKTeco binary protocol over TCP/UDP (default 4370) so the real
+ * deviceService + zkteco-js stack can run without hardware: connect, info,
+ * users, fingerprint templates, remote finger enrollment, attendance logs, real-time
+ * events, failed scans and scripted disconnects.
+ *
+ * Used in place of a physical device when DEVICE_CONFIG.useMockDevice is true,
+ * or standalone via scripts/zk-emulator.js.
+ */
+
+const net = require("net");
+const dgram = require("dgram");
+const fs = require("fs-extra");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { COMMANDS } = require("zkteco-js/src/helper/command");
+const { createTCPHeader, createUDPHeader } = require("zkteco-js/src/helper/utils");
+const timeParser = require("zkteco-js/src/helper/time");
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const log = require("../utils/logger");
+
+const TCP_MAGIC = Buffer.from([0x50, 0x50, 0x82, 0x7d]);
+const QUIET_AFTER_REPLY_MS = 150; // Don't interleave real-time events with a command reply
+const QUIET_AFTER_DATA_MS = 1500; // zkteco-js collects CMD_DATA replies for 1s
+const EVENT_SPACING_MS = 50; // One event per socket read on the client side
+const LOG_CAPACITY = 100000;
+const CMD_SAVE_USER_TEMPLATES = 110; // Apply a buffered user + template upload
+const FCT_FINGERTMP = 2;
+const ENROLL_PRESSES = 3;
+// Enroll event result codes (see fingerprintEnrollmentService)
+const ENROLL_RESULT = { OK: 0, DUPLICATE: 5, TIMEOUT: 6, PRESS_OK: 0x64 };
+
+const DEFAULT_OPTIONS = {
+  host: "127.0.0.1",
+  port: 4370,
+  tcp: true,
+  udp: true,
+  serialNumber: "EMU0000000001",
+  deviceName: "ZK Emulator",
+  platform: "ZMM220_TFT",
+  firmware: "Ver 6.60 Apr 28 2020",
+  users: [],
+  enrollOutcome: "success", // CMD_STARTENROLL result: "success", "duplicate" or "timeout"
+  enrollPressDelayMs: 400, // Simulated time between finger presses
+};
+
+class ZkEmulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.users = new Map(); // uid -> { uid, userId, name, password, role, cardno }
+    this.templates = new Map(); // uid -> [{ fid, valid, template }]
+    this.logs = []; // { sn, userId, timestamp, state, verifyType }
+    this.clockOffsetMs = 0; // Device clock = host clock + offset (changed by CMD_SET_TIME)
+    this.tcpServer = null;
+    this.udpSocket = null;
+    this.tcpSessions = new Set();
+    this.udpSessions = new Map(); // "address:port" -> session
+    this.nextSessionId = 1;
+    this.frozenUntil = 0;
+    this.online = false;
+    this.restartTimer = null;
+    this.autoPunchTimer = null;
+
+    // Configured users are enrolled with one finger unless they say otherwise
+    for (const user of this.options.users) {
+      this.addUser({ fingers: 1, ...user });
+    }
+  }
+
+  // ========================================
+  // Lifecycle
+  // ========================================
+
+  async start() {
+    if (this.online) return;
+
+    if (this.options.tcp) {
+      this.tcpServer = net.createServer((socket) => this._acceptTcp(socket));
+      await new Promise((resolve, reject) => {
+        this.tcpServer.once("error", reject);
+        this.tcpServer.listen(this.options.port, this.options.host, () => {
+          this.tcpServer.removeListener("error", reject);
+          resolve();
+        });
+      });
+    }
+
+    if (this.options.udp) {
+      this.udpSocket = dgram.createSocket("udp4");
+      this.udpSocket.on("message", (msg, rinfo) => this._handleUdp(msg, rinfo));
+      await new Promise((resolve, reject) => {
+        this.udpSocket.once("error", reject);
+        this.udpSocket.bind(this.options.port, this.options.host, () => {
+          this.udpSocket.removeListener("error", reject);
+          resolve();
+        });
+      });
+    }
+
+    this.online = true;
+    log("success", `🧪 ZK emulator listening on ${this.options.host}:${this.options.port} (${this.users.size} users, ${this.logs.length} logs)`);
+    this.emit("online");
+  }
+
+  async stop() {
+    this.stopAutoPunch();
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    await this._shutdownTransports();
+  }
+
+  async _shutdownTransports() {
+    this.online = false;
+    this.dropConnections();
+
+    if (this.tcpServer) {
+      const server = this.tcpServer;
+      this.tcpServer = null;
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+    if (this.udpSocket) {
+      const socket = this.udpSocket;
+      this.udpSocket = null;
+      await new Promise((resolve) => socket.close(() => resolve()));
+    }
+    this.emit("offline");
+  }
+
+  // ========================================
+  // Scripted faults
+  // ========================================
+
+  /**
+   * Network blip: drop every open session, keep accepting new ones
+   */
+  dropConnections() {
+    for (const session of this.tcpSessions) {
+      session.socket.destroy();
+    }
+    this.tcpSessions.clear();
+    this.udpSessions.clear();
+  }
+
+  /**
+   * Power loss / reboot: refuse connections for durationMs (forever when omitted)
+   */
+  async goOffline(durationMs) {
+    log("warning", `🧪 ZK emulator going offline${durationMs ? ` for ${durationMs / 1000}s` : ""}`);
+    await this._shutdownTransports();
+
+    if (durationMs) {
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        this.start().catch((err) => log("error", `ZK emulator failed to restart: ${err.message}`));
+      }, durationMs);
+    }
+  }
+
+  /**
+   * Hung device: sockets stay open but nothing is answered for durationMs
+   */
+  freeze(durationMs) {
+    log("warning", `🧪 ZK emulator frozen for ${durationMs / 1000}s`);
+    this.frozenUntil = Date.now() + durationMs;
+  }
+
+  // ========================================
+  // Device data
+  // ========================================
+
+  deviceNow() {
+    return new Date(Date.now() + this.clockOffsetMs);
+  }
+
+  addUser({ userId, name = "", uid, role = 0, password = "", cardno = 0, fingers = 0 }) {
+    const id = String(userId);
+    const existing = this.findUser(id);
+    const assignedUid = uid || (existing && existing.uid) || this._nextUid();
+
+    if (existing && existing.uid !== assignedUid) {
+      this.users.delete(existing.uid);
+    }
+
+    const user = { uid: assignedUid, userId: id, name, password, role, cardno: Number(cardno) || 0 };
+    this.users.set(assignedUid, user);
+    for (let fid = 0; fid < fingers; fid++) {
+      this.enrollFinger(id, fid);
+    }
+    this.emit("user_added", user);
+    return user;
+  }
+
+  /**
+   * Store a fingerprint template for a user (random bytes when no template is given)
+   */
+  enrollFinger(userId, fid = 0, template = crypto.randomBytes(512)) {
+    const user = this.findUser(String(userId));
+    if (!user) return false;
+
+    const fingers = (this.templates.get(user.uid) || []).filter((finger) => finger.fid !== fid);
+    fingers.push({ fid, valid: 1, template: Buffer.from(template) });
+    this.templates.set(user.uid, fingers.sort((a, b) => a.fid - b.fid));
+    return true;
+  }
+
+  removeUser(userId) {
+    const user = this.findUser(String(userId));
+    if (!user) return false;
+    this.users.delete(user.uid);
+    this.templates.delete(user.uid);
+    this.emit("user_removed", user);
+    return true;
+  }
+
+  findUser(userId) {
+    for (const user of this.users.values()) {
+      if (user.userId === String(userId)) return user;
+    }
+    return null;
+  }
+
+  _nextUid() {
+    let uid = 1;
+    while (this.users.has(uid)) uid++;
+    return uid;
+  }
+
+  /**
+   * Simulate a recognized punch: stored in the attendance log and pushed to subscribed clients
+   * @param {string} userId - Enrolled user id (biometric id)
+   * @param {object} [options] - { state, verifyType, timestamp }
+   */
+  punch(userId, { state = 0, verifyType = 1, timestamp } = {}) {
+    const record = {
+      sn: this.logs.length > 0 ? this.logs[this.logs.length - 1].sn + 1 : 1,
+      userId: String(userId),
+      timestamp: timestamp ? new Date(timestamp) : this.deviceNow(),
+      state,
+      verifyType,
+    };
+
+    this.logs.push(record);
+    if (this.logs.length > LOG_CAPACITY) {
+      this.logs.shift(); // Log wraps like a full device
+    }
+
+    this._broadcastEvent(record.userId, record);
+    this.emit("punch", record);
+    return record;
+  }
+
+  /**
+   * Simulate an unrecognized finger: real-time event with user id 0, nothing logged
+   */
+  failedScan() {
+    this._broadcastEvent("0", { timestamp: this.deviceNow(), state: 0, verifyType: 1 });
+    this.emit("failed_scan");
+  }
+
+  clearLogs() {
+    this.logs = [];
+    this.emit("logs_cleared");
+  }
+
+  /**
+   * Punch a random enrolled user every intervalMs (the old mock device behaviour)
+   */
+  startAutoPunch(intervalMs) {
+    this.stopAutoPunch();
+    if (!intervalMs) return;
+
+    this.autoPunchTimer = setInterval(() => {
+      const users = Array.from(this.users.values());
+      if (users.length === 0 || !this.online) return;
+      const user = users[Math.floor(Math.random() * users.length)];
+      this.punch(user.userId);
+    }, intervalMs);
+    this.autoPunchTimer.unref();
+  }
+
+  stopAutoPunch() {
+    if (this.autoPunchTimer) {
+      clearInterval(this.autoPunchTimer);
+      this.autoPunchTimer = null;
+    }
+  }
+
+  /**
+   * Run a scenario: steps execute in order, each after its delayMs
+   * Step actions: punch, failedScan, addUser, removeUser, clearLogs, drop, offline, freeze
+   * @param {object[]} steps - e.g. [{ delayMs: 2000, action: "punch", userId: "5" }]
+   * @param {object} [options] - { loop: false }
+   */
+  async runScript(steps, { loop = false } = {}) {
+    do {
+      for (const step of steps) {
+        if (step.delayMs) {
+          await new Promise((resolve) => setTimeout(resolve, step.delayMs));
+        }
+        await this._runStep(step);
+      }
+    } while (loop);
+  }
+
+  async _runStep(step) {
+    log("info", `🧪 ZK emulator script: ${step.action}${step.userId ? ` (${step.userId})` : ""}`);
+
+    switch (step.action) {
+      case "punch":
+        return this.punch(step.userId, step);
+      case "failedScan":
+        return this.failedScan();
+      case "addUser":
+        return this.addUser(step);
+      case "removeUser":
+        return this.removeUser(step.userId);
+      case "enrollFinger":
+        return this.enrollFinger(step.userId, step.fid || 0);
+      case "clearLogs":
+        return this.clearLogs();
+      case "drop":
+        return this.dropConnections();
+      case "offline":
+        return this.goOffline(step.durationMs);
+      case "freeze":
+        return this.freeze(step.durationMs || 10000);
+      default:
+        log("warning", `🧪 ZK emulator script: unknown action "${step.action}"`);
+    }
+  }
+
+  getState() {
+    return {
+      online: this.online,
+      host: this.options.host,
+      port: this.options.port,
+      users: this.users.size,
+      templates: Array.from(this.templates.values()).reduce((sum, fingers) => sum + fingers.length, 0),
+      logs: this.logs.length,
+      sessions: this.tcpSessions.size + this.udpSessions.size,
+      clockOffsetMs: this.clockOffsetMs,
+    };
+  }
+
+  // ========================================
+  // Transport: TCP
+  // ========================================
+
+  _acceptTcp(socket) {
+    const session = {
+      transport: "tcp",
+      socket,
+      sessionId: 0,
+      subscribed: false,
+      buffer: Buffer.alloc(0),
+      quietUntil: 0,
+      pendingEvents: [],
+      flushTimer: null,
+    };
+    this.tcpSessions.add(session);
+
+    socket.on("data", (chunk) => {
+      session.buffer = Buffer.concat([session.buffer, chunk]);
+      this._drainTcpBuffer(session);
+    });
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      if (session.flushTimer) clearTimeout(session.flushTimer);
+      this.tcpSessions.delete(session);
+    });
+  }
+
+  _drainTcpBuffer(session) {
+    while (session.buffer.length >= 8) {
+      if (session.buffer.compare(TCP_MAGIC, 0, 4, 0, 4) !== 0) {
+        session.buffer = Buffer.alloc(0); // Garbage - resync on the next packet
+        return;
+      }
+
+      const length = session.buffer.readUInt16LE(4);
+      if (session.buffer.length < 8 + length) return;
+
+      const packet = session.buffer.subarray(8, 8 + length);
+      session.buffer = session.buffer.subarray(8 + length);
+      this._handlePacket(session, packet);
+    }
+  }
+
+  // ========================================
+  // Transport: UDP
+  // ========================================
+
+  _handleUdp(msg, rinfo) {
+    const key = `${rinfo.address}:${rinfo.port}`;
+    let session = this.udpSessions.get(key);
+
+    if (!session) {
+      session = {
+        transport: "udp",
+        address: rinfo.address,
+        port: rinfo.port,
+        sessionId: 0,
+        subscribed: false,
+        quietUntil: 0,
+        pendingEvents: [],
+        flushTimer: null,
+      };
+      this.udpSessions.set(key, session);
+    }
+
+    this._handlePacket(session, msg);
+  }
+
+  // ========================================
+  // Protocol
+  // ========================================
+
+  _send(session, command, sessionId, replyId, data = Buffer.alloc(0)) {
+    if (session.transport === "tcp") {
+      if (!session.socket.destroyed) {
+        session.socket.write(createTCPHeader(command, sessionId, replyId, data));
+      }
+    } else if (this.udpSocket) {
+      const packet = createUDPHeader(command, sessionId, replyId, data);
+      this.udpSocket.send(packet, session.port, session.address);
+    }
+  }
+
+  _handlePacket(session, packet) {
+    if (packet.length < 8) return;
+    if (Date.now() < this.frozenUntil) return; // Frozen: swallow everything
+
+    const command = packet.readUInt16LE(0);
+    const replyId = packet.readUInt16LE(6);
+    const data = packet.subarray(8);
+
+    const reply = this._handleCommand(session, command, data);
+    if (!reply) return;
+
+    this._send(session, reply.command, session.sessionId, replyId, reply.data);
+    session.quietUntil = Date.now() + (reply.command === COMMANDS.CMD_DATA ? QUIET_AFTER_DATA_MS : QUIET_AFTER_REPLY_MS);
+
+    if (reply.after) reply.after();
+  }
+
+  _handleCommand(session, command, data) {
+    const ok = (replyData, after) => ({ command: COMMANDS.CMD_ACK_OK, data: replyData, after });
+
+    switch (command) {
+      case COMMANDS.CMD_CONNECT:
+        session.sessionId = this.nextSessionId++ % 0xffff || this.nextSessionId++;
+        this.emit("client_connected", { transport: session.transport, sessionId: session.sessionId });
+        return ok();
+
+      case COMMANDS.CMD_EXIT:
+        return ok(undefined, () => {
+          if (session.transport === "tcp") session.socket.end();
+          else this.udpSessions.delete(`${session.address}:${session.port}`);
+        });
+
+      case COMMANDS.CMD_ENABLEDEVICE:
+      case COMMANDS.CMD_DISABLEDEVICE:
+      case COMMANDS.CMD_FREE_DATA:
+      case COMMANDS.CMD_REFRESHDATA:
+      case COMMANDS.CMD_CLEAR_ADMIN:
+      case COMMANDS.CMD_CLEAR_LCD:
+        return ok();
+
+      case COMMANDS.CMD_REG_EVENT:
+        session.subscribed = true;
+        return ok();
+
+      case COMMANDS.CMD_ACK_OK:
+        return null; // Client acknowledging an event
+
+      case COMMANDS.CMD_STARTENROLL: {
+        const user = this.findUser(data.subarray(0, 24).toString("ascii").replace(/\0/g, ""));
+        if (!user || session.transport !== "tcp") return { command: COMMANDS.CMD_ACK_ERROR };
+        return ok(undefined, () => this._simulateEnrollment(session, user, data.readInt8(24)));
+      }
+
+      case COMMANDS.CMD_CANCELCAPTURE:
+        this._cancelEnrollment(session);
+        return ok();
+
+      case COMMANDS.CMD_STARTVERIFY:
+        return ok();
+
+      case COMMANDS.CMD_GET_FREE_SIZES:
+        return ok(this._encodeFreeSizes());
+
+      case COMMANDS.CMD_OPTIONS_RRQ:
+        return ok(this._encodeOption(data.toString("ascii").replace(/\0/g, "")));
+
+      case COMMANDS.CMD_GET_VERSION:
+        return ok(Buffer.from(`${this.options.firmware}\0`, "ascii"));
+
+      case COMMANDS.CMD_GET_TIME: {
+        const time = Buffer.alloc(4);
+        time.writeUInt32LE(timeParser.encode(this.deviceNow()), 0);
+        return ok(time);
+      }
+
+      case COMMANDS.CMD_SET_TIME: {
+        const target = timeParser.decode(data.readUInt32LE(0));
+        this.clockOffsetMs = target.getTime() - Date.now();
+        this.emit("time_set", target);
+        return ok();
+      }
+
+      case COMMANDS.CMD_USER_WRQ:
+        this._decodeAndStoreUser(data);
+        return ok();
+
+      case COMMANDS.CMD_DELETE_USER: {
+        const user = this.users.get(data.readUInt16LE(0));
+        if (user) this.removeUser(user.userId);
+        return ok();
+      }
+
+      case COMMANDS.CMD_CLEAR_ATTLOG:
+        this.clearLogs();
+        return ok();
+
+      case COMMANDS.CMD_CLEAR_DATA:
+        this.clearLogs();
+        this.users.clear();
+        this.templates.clear();
+        return ok();
+
+      case COMMANDS.CMD_PREPARE_DATA:
+        session.upload = { size: data.readUInt32LE(0), chunks: [] };
+        return ok();
+
+      case COMMANDS.CMD_DATA:
+        if (!session.upload) return { command: COMMANDS.CMD_ACK_ERROR };
+        session.upload.chunks.push(Buffer.from(data));
+        return ok();
+
+      case CMD_SAVE_USER_TEMPLATES: {
+        const upload = session.upload;
+        session.upload = null;
+        const buffer = upload ? Buffer.concat(upload.chunks) : Buffer.alloc(0);
+        if (!upload || buffer.length !== upload.size || !this._storeUserTemplates(buffer)) {
+          return { command: COMMANDS.CMD_ACK_ERROR };
+        }
+        return ok();
+      }
+
+      case COMMANDS.CMD_DATA_WRRQ:
+        return { command: COMMANDS.CMD_DATA, data: this._encodeBulkData(session, data) };
+
+      case COMMANDS.CMD_UNLOCK: {
+        const seconds = data.length >= 4 ? data.readUInt32LE(0) / 10 : 0;
+        this.emit("door_unlocked", { seconds });
+        return ok();
+      }
+
+      case COMMANDS.CMD_TESTVOICE:
+        this.emit("voice_test");
+        return ok();
+
+      case COMMANDS.CMD_WRITE_LCD:
+        this.emit("lcd_message", data.subarray(3).toString("ascii").replace(/\0/g, "").trim());
+        return ok();
+
+      case COMMANDS.CMD_RESTART:
+        return ok(undefined, () => this.goOffline(5000));
+
+      case COMMANDS.CMD_POWEROFF:
+        return ok(undefined, () => this.goOffline());
+
+      default:
+        log("debug", `🧪 ZK emulator: unsupported command ${command}`);
+        return { command: COMMANDS.CMD_ACK_UNKNOWN };
+    }
+  }
+
+  /**
+   * Enroll mode: three presses (EF_FINGER + EF_ENROLLFINGER each), then the result
+   */
+  _simulateEnrollment(session, user, fid) {
+    this._cancelEnrollment(session);
+    const { enrollOutcome, enrollPressDelayMs } = this.options;
+    const result = (code, extra = Buffer.alloc(0)) => {
+      const data = Buffer.alloc(2);
+      data.writeUInt16LE(code, 0);
+      return Buffer.concat([data, extra]);
+    };
+
+    const steps = [];
+    if (enrollOutcome === "timeout") {
+      steps.push([COMMANDS.EF_ENROLLFINGER, result(ENROLL_RESULT.TIMEOUT)]);
+    } else {
+      for (let press = 1; press <= ENROLL_PRESSES; press++) {
+        steps.push([COMMANDS.EF_FINGER, Buffer.alloc(0)]);
+        if (enrollOutcome === "duplicate") {
+          steps.push([COMMANDS.EF_ENROLLFINGER, result(ENROLL_RESULT.DUPLICATE)]);
+          break;
+        }
+        if (press < ENROLL_PRESSES) {
+          steps.push([COMMANDS.EF_ENROLLFINGER, result(ENROLL_RESULT.PRESS_OK)]);
+        }
+      }
+      if (enrollOutcome !== "duplicate") {
+        steps.push([COMMANDS.EF_ENROLLFINGER, null]); // Final result, template stored first
+      }
+    }
+
+    session.enrollTimers = steps.map(([event, data], index) => setTimeout(() => {
+      if (data === null) {
+        this.enrollFinger(user.userId, fid);
+        const template = this.templates.get(user.uid).find((finger) => finger.fid === fid).template;
+        const extra = Buffer.alloc(4);
+        extra.writeUInt16LE(template.length, 0);
+        extra.writeUInt16LE(fid, 2);
+        data = result(ENROLL_RESULT.OK, extra);
+        this.emit("finger_enrolled", { userId: user.userId, fid });
+      }
+      this._send(session, COMMANDS.CMD_REG_EVENT, event, 0, data);
+    }, (index + 1) * enrollPressDelayMs));
+  }
+
+  _cancelEnrollment(session) {
+    for (const timer of session.enrollTimers || []) clearTimeout(timer);
+    session.enrollTimers = [];
+  }
+
+  _encodeFreeSizes() {
+    // Layout read by zkteco-js getInfo(): users @16, logs @32, log capacity @64 (after the 8-byte header)
+    const data = Buffer.alloc(92);
+    data.writeUInt32LE(this.users.size, 16);
+    data.writeUInt32LE(this.logs.length, 32);
+    data.writeUInt32LE(LOG_CAPACITY, 64);
+    return data;
+  }
+
+  _encodeOption(keyword) {
+    const values = {
+      "~SerialNumber": this.options.serialNumber,
+      "~DeviceName": this.options.deviceName,
+      "~Platform": this.options.platform,
+      "~OEMVendor": "ZKTeco Inc.",
+      "~ZKFPVersion": "10",
+      "~OS": "1",
+      "~PIN2Width": "9",
+      "~SSR": "1",
+      "~ProductTime": "2020-04-28 10:00:00",
+      MAC: "00:17:61:00:00:01",
+      WorkCode: "0",
+      FaceFunOn: "0",
+    };
+    const value = values[keyword] !== undefined ? values[keyword] : "";
+    return Buffer.from(`${keyword}=${value}\0`, "ascii");
+  }
+
+  /**
+   * Template upload: [user size, index size, template size] | 73-byte users | 8-byte index | templates
+   */
+  _storeUserTemplates(buffer) {
+    if (buffer.length < 12) return false;
+    const userSize = buffer.readUInt32LE(0);
+    const indexSize = buffer.readUInt32LE(4);
+    const users = buffer.subarray(12, 12 + userSize);
+    const index = buffer.subarray(12 + userSize, 12 + userSize + indexSize);
+    const blobs = buffer.subarray(12 + userSize + indexSize);
+
+    for (let offset = 0; offset + 73 <= users.length; offset += 73) {
+      const record = users.subarray(offset, offset + 73);
+      const uid = record.readUInt16LE(1);
+      this.addUser({
+        uid,
+        role: record.readUInt8(3),
+        password: record.subarray(4, 12).toString("ascii").split("\0")[0],
+        name: record.subarray(12, 36).toString("ascii").split("\0")[0],
+        cardno: record.readUInt32LE(36),
+        userId: record.subarray(49, 73).toString("ascii").split("\0")[0],
+      });
+      this.templates.delete(uid); // Upload replaces the user's fingers
+    }
+
+    for (let offset = 0; offset + 8 <= index.length; offset += 8) {
+      const uid = index.readUInt16LE(offset + 1);
+      const fid = index.readInt8(offset + 3) & 0x0f;
+      const start = index.readUInt32LE(offset + 4);
+      const size = blobs.readUInt16LE(start);
+      const user = this.users.get(uid);
+      if (!user) return false;
+      this.enrollFinger(user.userId, fid, blobs.subarray(start + 2, start + 2 + size));
+    }
+    return true;
+  }
+
+  _decodeAndStoreUser(data) {
+    if (data.length >= 72) {
+      this.addUser({
+        uid: data.readUInt16LE(0),
+        role: data.readUInt8(2),
+        password: data.subarray(3, 11).toString("ascii").split("\0")[0],
+        name: data.subarray(11, 35).toString("ascii").split("\0")[0],
+        cardno: data.readUInt32LE(35),
+        userId: data.subarray(48, 57).toString("ascii").split("\0")[0],
+      });
+    } else if (data.length >= 28) {
+      this.addUser({
+        uid: data.readUInt16LE(0),
+        role: data.readUInt8(2),
+        name: data.subarray(8, 16).toString("ascii").split("\0")[0],
+        userId: String(data.readUInt32LE(24)),
+      });
+    }
+  }
+
+  /**
+   * Users / templates / attendance for CMD_DATA_WRRQ, prefixed with their byte size
+   * TCP uses the 72-byte user / 40-byte record layouts, UDP the 28-byte / 8-byte ones
+   */
+  _encodeBulkData(session, request) {
+    const isUsers = request.length > 1 && request[1] === 0x09;
+    const isTemplates = request.length > 3 && request[1] === COMMANDS.CMD_DB_RRQ && request[3] === FCT_FINGERTMP;
+    const tcp = session.transport === "tcp";
+    let body;
+
+    if (isTemplates) {
+      const entries = [];
+      for (const [uid, fingers] of this.templates) {
+        for (const finger of fingers) {
+          // size (2) | uid (2) | fid (1) | valid (1) | template
+          const header = Buffer.alloc(6);
+          header.writeUInt16LE(6 + finger.template.length, 0);
+          header.writeUInt16LE(uid, 2);
+          header.writeInt8(finger.fid, 4);
+          header.writeInt8(finger.valid, 5);
+          entries.push(header, finger.template);
+        }
+      }
+      body = Buffer.concat(entries);
+    } else if (isUsers) {
+      body = Buffer.concat(Array.from(this.users.values()).map((user) => (tcp ? this._encodeUser72(user) : this._encodeUser28(user))));
+    } else {
+      body = Buffer.concat(this.logs.map((record) => (tcp ? this._encodeRecord40(record) : this._encodeRecord8(record))));
+    }
+
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(body.length, 0);
+    return Buffer.concat([size, body]);
+  }
+
+  _encodeUser72(user) {
+    const buf = Buffer.alloc(72);
+    buf.writeUInt16LE(user.uid, 0);
+    buf.writeUInt8(user.role || 0, 2);
+    buf.write(String(user.password || "").slice(0, 8), 3, "ascii");
+    buf.write(String(user.name || "").slice(0, 24), 11, "ascii");
+    buf.writeUInt32LE(user.cardno || 0, 35);
+    buf.write(String(user.userId).slice(0, 9), 48, "ascii");
+    return buf;
+  }
+
+  _encodeUser28(user) {
+    const buf = Buffer.alloc(28);
+    buf.writeUInt16LE(user.uid, 0);
+    buf.writeUInt8(user.role || 0, 2);
+    buf.write(String(user.name || "").slice(0, 8), 8, "ascii");
+    buf.writeUInt32LE(Number(user.userId) || 0, 24);
+    return buf;
+  }
+
+  _encodeRecord40(record) {
+    const buf = Buffer.alloc(40);
+    buf.writeUInt16LE(record.sn & 0xffff, 0);
+    buf.write(record.userId.slice(0, 9), 2, "ascii");
+    buf.writeUInt8(record.verifyType || 0, 26);
+    buf.writeUInt32LE(timeParser.encode(record.timestamp), 27);
+    buf.writeUInt8(record.state || 0, 31);
+    return buf;
+  }
+
+  _encodeRecord8(record) {
+    const buf = Buffer.alloc(8);
+    buf.writeUInt16LE(Number(record.userId) & 0xffff, 0);
+    buf.writeUInt32LE(timeParser.encode(record.timestamp), 4);
+    return buf;
+  }
+
+  // ========================================
+  // Real-time events
+  // ========================================
+
+  _encodeEvent(session, userId, record) {
+    const t = record.timestamp;
+    const time = Buffer.from([t.getFullYear() - 2000, t.getMonth() + 1, t.getDate(), t.getHours(), t.getMinutes(), t.getSeconds()]);
+
+    if (session.transport === "tcp") {
+      // 52-byte EF_ATTLOG: user id (24) | verify type | state | time (6) | reserved
+      const data = Buffer.alloc(44);
+      data.write(userId.slice(0, 24), 0, "ascii");
+      data.writeUInt8(record.verifyType || 0, 24);
+      data.writeUInt8(record.state || 0, 25);
+      time.copy(data, 26);
+      return data;
+    }
+
+    // 18-byte UDP event: user id (1) | reserved (3) | time (6)
+    const data = Buffer.alloc(10);
+    data.writeUInt8(Number(userId) & 0xff, 0);
+    time.copy(data, 4);
+    return data;
+  }
+
+  _broadcastEvent(userId, record) {
+    const sessions = [...this.tcpSessions, ...this.udpSessions.values()];
+    for (const session of sessions) {
+      if (!session.subscribed) continue;
+      session.pendingEvents.push(this._encodeEvent(session, userId, record));
+      this._flushEvents(session);
+    }
+  }
+
+  _flushEvents(session) {
+    if (session.flushTimer || session.pendingEvents.length === 0) return;
+
+    const wait = Math.max(0, session.quietUntil - Date.now());
+    session.flushTimer = setTimeout(() => {
+      session.flushTimer = null;
+
+      if (Date.now() < session.quietUntil) {
+        return this._flushEvents(session); // A command arrived meanwhile
+      }
+      if (Date.now() < this.frozenUntil || !this.online) {
+        session.pendingEvents = [];
+        return;
+      }
+
+      const event = session.pendingEvents.shift();
+      // Event packets carry EF_ATTLOG in the session id field
+      this._send(session, COMMANDS.CMD_REG_EVENT, COMMANDS.EF_ATTLOG, 0, event);
+      session.quietUntil = Date.now() + EVENT_SPACING_MS;
+      this._flushEvents(session);
+    }, wait);
+  }
+}
+
+/**
+ * Start the emulator used in place of hardware (DEVICE_CONFIG.useMockDevice)
+ * and point the implicit single device at it.
+ * @returns {Promise<ZkEmulator>}
+ */
+async function startEmbeddedEmulator() {
+  const config = DEVICE_CONFIG.emulator || {};
+  const users = config.users && config.users.length > 0
+    ? config.users
+    : Array.from({ length: 10 }, (_, i) => ({ userId: String(i + 1), name: `Emulated User ${i + 1}` }));
+
+  const emulator = new ZkEmulator({ ...config, users });
+  await emulator.start();
+
+  DEVICE_CONFIG.ip = emulator.options.host;
+  DEVICE_CONFIG.port = emulator.options.port;
+  DEVICE_CONFIG.autoDiscoverDevice = false;
+
+  if (config.scriptFile) {
+    const script = await fs.readJson(config.scriptFile);
+    const steps = Array.isArray(script) ? script : script.steps || [];
+    emulator.runScript(steps, { loop: !!script.loop }).catch((err) => {
+      log("error", `ZK emulator script failed: ${err.message}`);
+    });
+  } else {
+    emulator.startAutoPunch(config.autoPunchInterval ?? DEVICE_CONFIG.mockInterval);
+  }
+
+  return emulator;
+}
+
+module.exports = {
+  ZkEmulator,
+  startEmbeddedEmulator,
+};
@@ -0,0 +1,78 @@
+/**
+ * ADMS push receiver, checked with the simulated push client (scripts/simulate-adms-push.js)
+ * against an in-process /iclock endpoint. Runs without Firestore or a device.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-adms-test-"));
+process.env.APPDATA = appData;
+
+const express = require("express");
+const DEVICE_CONFIG = require("../config/deviceConfig");
+
+const SERIAL = "SIM0000000001";
+DEVICE_CONFIG.adms = {
+  ...DEVICE_CONFIG.adms,
+  enabled: true,
+  allowUnregisteredDevices: false,
+  devices: [{ serialNumber: SERIAL, id: "sim-push", label: "Simulated push device" }],
+};
+
+const deviceService = require("../services/deviceService");
+const admsService = require("../services/admsService");
+const iclockRoutes = require("../routes/iclock");
+const { simulate } = require("../scripts/simulate-adms-push");
+
+const io = { emit: () => {}, to: () => io };
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.set("io", io);
+  app.set("deviceService", deviceService);
+  app.use("/iclock", iclockRoutes);
+
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await deviceService.drainAttendanceQueue();
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+test("a registered push device completes a session and its commands are delivered", async () => {
+  await admsService.queueCommand(SERIAL, "add_user", { userId: 101, name: "Test Member" });
+  await simulate({ baseUrl, serialNumber: SERIAL, pins: ["101", "102"], polls: 2 });
+
+  const commands = await admsService.getCommands(SERIAL);
+  assert.ok(commands.length > 0);
+  assert.ok(commands.every((command) => command.status === "completed"));
+});
+
+test("an unregistered serial number is rejected", async () => {
+  const response = await fetch(`${baseUrl}/iclock/cdata?SN=UNKNOWN0001&options=all`);
+  assert.strictEqual(response.status, 403);
+});
+
+test("user commands reject values that could add fields or commands", async () => {
+  const queue = (type, params) => admsService.queueCommand(SERIAL, type, params);
+  await assert.rejects(queue("add_user", { userId: "101\nCLEAR LOG" }), /digits only/);
+  await assert.rejects(queue("add_user", { userId: 101, cardNumber: "12\t34" }), /digits only/);
+  await assert.rejects(queue("add_user", { userId: 101, password: "12a" }), /digits only/);
+  await assert.rejects(queue("delete_user", {}), /userId is required/);
+
+  const { command } = await queue("add_user", { userId: 101, name: "John\n\tC:1:CLEAR LOG" });
+  assert.strictEqual(command.split("\t").length, 7);
+  assert.ok(!command.includes("\n"));
+});
@@ -0,0 +1,75 @@
+/**
+ * Punches processed again (a journal replay after a crash, a backfill or import run twice) through the
+ * real attendance queue: each punch is recognised by its own attendance id, check-outs included.
+ * Runs without Firebase: the member lookup is replaced before the device service loads it.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-replay-test-"));
+process.env.APPDATA = appData;
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const userService = require("../services/userService");
+
+const io = { emit: () => {}, to: () => io };
+const member = { id: "member-7", name: "Member 7", biometricDeviceId: "7", membershipStatus: "active" };
+let deviceService;
+let offlineStorage;
+
+const CHECK_IN = { userId: "7", timestamp: "2025-01-11T08:00:00.000Z" };
+const CHECK_OUT = { userId: "7", timestamp: "2025-01-11T17:00:00.000Z" };
+
+// One at a time - punches in the same queue batch are processed side by side
+async function processEvents(events) {
+  for (const event of events) {
+    deviceService.queueAttendanceEvent(event, "test", io);
+    assert.strictEqual(await deviceService.drainAttendanceQueue(10000), 0);
+  }
+}
+
+before(() => {
+  DEVICE_CONFIG.attendanceSessionMode = "alternate";
+  DEVICE_CONFIG.duplicateCheckWindow = 0; // Only the stored punch ids can stop a replay
+  DEVICE_CONFIG.accessControl = { ...DEVICE_CONFIG.accessControl, enabled: false };
+  DEVICE_CONFIG.timezone = "UTC";
+  userService.getUserByBiometricId = async (biometricId) => (biometricId === member.biometricDeviceId ? { ...member } : null);
+
+  deviceService = require("../services/deviceService");
+  offlineStorage = require("../services/offlineStorage");
+});
+
+after(() => {
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+test("a replayed check-out doesn't open a new session", async () => {
+  await processEvents([CHECK_IN, CHECK_OUT]);
+
+  let records = await offlineStorage.queryAttendance({ memberId: member.id });
+  assert.strictEqual(records.length, 1);
+  const [session] = records;
+  assert.strictEqual(session.checkOutTime, CHECK_OUT.timestamp);
+  assert.ok(session.checkOutAttendanceId);
+  assert.notStrictEqual(session.checkOutAttendanceId, session.attendanceId);
+
+  await processEvents([CHECK_OUT]);
+
+  records = await offlineStorage.queryAttendance({ memberId: member.id });
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].storeVersion, session.storeVersion);
+  assert.strictEqual(records[0].checkOutTime, CHECK_OUT.timestamp);
+});
+
+test("a new punch after the replayed ones still opens the next session", async () => {
+  await processEvents([{ userId: "7", timestamp: "2025-01-11T18:30:00.000Z" }]);
+
+  const records = await offlineStorage.queryAttendance({ memberId: member.id });
+  assert.deepStrictEqual(records.map((record) => record.sessionNumber), [1, 2]);
+  assert.strictEqual(records[1].checkOutTime, null);
+});
@@ -0,0 +1,90 @@
+/**
+ * Pairing punches into check-in / check-out sessions in each attendanceSessionMode.
+ * Every test uses its own member, so their sessions don't mix.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-sessions-test-"));
+process.env.APPDATA = appData;
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const { applyPunch } = require("../services/attendanceSessionService");
+
+after(() => {
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+function punchAt(userId, time) {
+  const checkInTime = `2025-01-11T${time}:00.000Z`;
+  return {
+    userId,
+    name: `Member ${userId}`,
+    date: "2025-01-11",
+    checkInTime,
+    checkOutTime: null,
+    attendanceId: `main_${userId}_${checkInTime}`,
+    verifyMethod: "fingerprint",
+    updatedAt: checkInTime,
+  };
+}
+
+/**
+ * Apply punches in order
+ * @param {Array<[string, number|undefined]>} punches - [HH:mm, punch state]
+ * @returns {Promise<object[]>} applyPunch results
+ */
+async function punchAll(userId, punches) {
+  const results = [];
+  for (const [time, state] of punches) {
+    results.push(await applyPunch(punchAt(userId, time), state));
+  }
+  return results;
+}
+
+test("alternate: in, out, in, out - each pair is its own session", async () => {
+  DEVICE_CONFIG.attendanceSessionMode = "alternate";
+  const results = await punchAll("alternate", [["08:00"], ["12:00"], ["13:00"], ["17:00"]]);
+
+  assert.deepStrictEqual(results.map((result) => result.punchType), ["check_in", "check_out", "check_in", "check_out"]);
+  assert.deepStrictEqual(results.map((result) => result.isUpdate), [false, true, false, true]);
+  assert.deepStrictEqual(results.map((result) => result.record.sessionId), [
+    "alternate_2025-01-11_1", "alternate_2025-01-11_1", "alternate_2025-01-11_2", "alternate_2025-01-11_2",
+  ]);
+
+  const { record } = results[3];
+  assert.strictEqual(record.checkInTime, "2025-01-11T13:00:00.000Z");
+  assert.strictEqual(record.checkOutTime, "2025-01-11T17:00:00.000Z");
+  assert.strictEqual(record.durationMinutes, 240);
+  assert.strictEqual(record.sessionStatus, "closed");
+  assert.strictEqual(record.attendanceId, "main_alternate_2025-01-11T13:00:00.000Z");
+  assert.strictEqual(record.checkOutAttendanceId, "main_alternate_2025-01-11T17:00:00.000Z");
+});
+
+test("first-in-last-out: every later punch moves the check-out, never backwards", async () => {
+  DEVICE_CONFIG.attendanceSessionMode = "first-in-last-out";
+  const results = await punchAll("filo", [["08:00"], ["12:00"], ["17:00"], ["15:00"]]);
+
+  assert.deepStrictEqual(results.map((result) => result.punchType), ["check_in", "check_out", "check_out", "check_out"]);
+  assert.ok(results.every((result) => result.record.sessionId === "filo_2025-01-11_1"));
+
+  const { record } = results[3]; // 15:00 arrived late
+  assert.strictEqual(record.checkOutTime, "2025-01-11T17:00:00.000Z");
+  assert.strictEqual(record.checkOutAttendanceId, "main_filo_2025-01-11T17:00:00.000Z");
+  assert.strictEqual(record.durationMinutes, 540);
+});
+
+test("punch-state: the key pressed on the device decides, a check-out without a session checks in", async () => {
+  DEVICE_CONFIG.attendanceSessionMode = "punch-state";
+  const results = await punchAll("state", [["07:00", 1], ["08:00", 0], ["12:00", 2], ["13:00", 3], ["18:00", 5], ["19:00", 0], ["19:30"]]);
+
+  assert.deepStrictEqual(results.map((result) => result.punchType), [
+    "check_in", "check_in", "check_out", "check_in", "check_out", "check_in", "check_out",
+  ]);
+  assert.deepStrictEqual(results.map((result) => result.record.sessionNumber), [1, 2, 2, 3, 3, 4, 4]);
+});
@@ -0,0 +1,143 @@
+/**
+ * Attendance store (SQLite): adding, syncing and dead-lettering records in a temporary database.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AttendanceStore, SYNC_STATUS } = require("../services/attendanceStore");
+
+let dir;
+let store;
+
+function punch(recordId, overrides = {}) {
+  return {
+    recordId,
+    attendanceId: recordId,
+    sessionId: `session-${recordId}`,
+    userId: "member-1",
+    biometricDeviceId: "7",
+    deviceId: "main",
+    date: "2025-01-11",
+    checkInTime: "2025-01-11T08:00:00.000Z",
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-store-test-"));
+  store = new AttendanceStore(path.join(dir, "attendance.db"));
+});
+
+afterEach(() => {
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("insertMany stores new records as pending and skips stored record ids", () => {
+  assert.strictEqual(store.insertMany([punch("a"), punch("b"), punch("a")]), 2);
+  assert.strictEqual(store.insertMany([punch("b", { userId: "someone-else" }), punch("c")]), 1);
+
+  const [b] = store.getMany(["b"]);
+  assert.strictEqual(b.userId, "member-1");
+  assert.strictEqual(b.syncStatus, SYNC_STATUS.PENDING);
+  assert.strictEqual(b.storeVersion, 1);
+  assert.deepStrictEqual(store.listPending().map(({ recordId }) => recordId), ["a", "b", "c"]);
+});
+
+test("records are queried by date, member and sync status, and kept across reopening", () => {
+  store.insertMany([
+    punch("jan-10", { date: "2025-01-10", checkInTime: "2025-01-10T08:00:00.000Z" }),
+    punch("jan-11", { userId: "member-2" }),
+    punch("jan-12", { date: "2025-01-12", checkInTime: "2025-01-12T08:00:00.000Z" }),
+  ]);
+  store.close();
+
+  const reopened = new AttendanceStore(path.join(dir, "attendance.db"));
+  try {
+    assert.deepStrictEqual(reopened.query({ date: "2025-01-11" }).map((r) => r.recordId), ["jan-11"]);
+    assert.deepStrictEqual(reopened.query({ from: "2025-01-11" }).map((r) => r.recordId), ["jan-11", "jan-12"]);
+    assert.deepStrictEqual(reopened.query({ memberId: "member-1" }).map((r) => r.recordId), ["jan-10", "jan-12"]);
+    assert.deepStrictEqual(reopened.query({ limit: 2 }).map((r) => r.recordId), ["jan-11", "jan-12"]);
+    assert.strictEqual(reopened.count({ syncStatus: SYNC_STATUS.PENDING }), 3);
+  } finally {
+    reopened.close();
+  }
+});
+
+test("markSynced marks the version that was sent, and a record changed since then stays pending as an update", () => {
+  store.insertMany([punch("sent"), punch("changed")]);
+  const pending = store.listPending();
+  store.markSyncFailed([{ recordId: "sent", error: "offline" }], 5);
+  store.updateSession({ sessionId: "session-changed", checkOutTime: "2025-01-11T17:00:00.000Z" });
+
+  store.markSynced(pending);
+
+  const [sent, changed] = store.getMany(["sent", "changed"]);
+  assert.strictEqual(sent.syncStatus, SYNC_STATUS.SYNCED);
+  assert.strictEqual(sent.syncError, undefined);
+  assert.ok(sent.syncedAt);
+  assert.strictEqual(changed.syncStatus, SYNC_STATUS.PENDING);
+  assert.strictEqual(changed.syncAction, "update");
+  assert.strictEqual(changed.storeVersion, 2);
+  assert.strictEqual(changed.checkOutTime, "2025-01-11T17:00:00.000Z");
+  assert.strictEqual(store.count(), 2);
+});
+
+test("a check-out of a synced record sends it again as an update", () => {
+  store.insertMany([punch("a")]);
+  store.markSynced([{ recordId: "a", storeVersion: 1 }]);
+
+  const updated = store.updateSession({ sessionId: "session-a", checkOutTime: "2025-01-11T17:00:00.000Z" });
+  assert.strictEqual(updated.syncStatus, SYNC_STATUS.PENDING);
+  assert.strictEqual(updated.syncAction, "update");
+  assert.strictEqual(store.updateSession({ sessionId: "unknown" }), null);
+});
+
+test("every check-in and check-out attendance id a record was built from is known as a stored punch", () => {
+  store.insertMany([punch("in")]);
+  store.updateSession({ sessionId: "session-in", checkOutTime: "2025-01-11T12:00:00.000Z", checkOutAttendanceId: "out-1" });
+  store.updateSession({ sessionId: "session-in", checkOutTime: "2025-01-11T17:00:00.000Z", checkOutAttendanceId: "out-2" });
+
+  assert.ok(store.hasPunch("in"));
+  assert.ok(store.hasPunch("out-1")); // Replaced by the later check-out, still a stored punch
+  assert.ok(store.hasPunch("out-2"));
+  assert.ok(!store.hasPunch("out-3"));
+  assert.strictEqual(store.count(), 1);
+});
+
+test("markSyncFailed keeps a record pending until its last attempt, and dead-letters permanent failures at once", () => {
+  store.insertMany([punch("retry"), punch("broken")]);
+
+  assert.strictEqual(store.markSyncFailed([{ recordId: "retry", error: "timeout" }], 2), 0);
+  let [retry] = store.getMany(["retry"]);
+  assert.strictEqual(retry.syncStatus, SYNC_STATUS.PENDING);
+  assert.strictEqual(retry.syncAttempts, 1);
+  assert.strictEqual(retry.syncError, "timeout");
+
+  const deadLettered = store.markSyncFailed([
+    { recordId: "retry", error: "timeout" },
+    { recordId: "broken", error: "no userId", permanent: true },
+    { recordId: "missing", error: "gone" },
+  ], 2);
+  assert.strictEqual(deadLettered, 2);
+  [retry] = store.getMany(["retry"]);
+  assert.strictEqual(retry.syncStatus, SYNC_STATUS.DEAD_LETTER);
+  assert.ok(retry.deadLetteredAt);
+  assert.deepStrictEqual(store.query({ syncStatus: SYNC_STATUS.DEAD_LETTER }).map((r) => r.recordId), ["broken", "retry"]);
+  assert.deepStrictEqual(store.listPending(), []);
+});
+
+test("unparseable lines are kept until removed", () => {
+  store.addUnparseable([{ source: "batch-1.ndjson", line: "{\"userId\":" }, { source: "batch-1.ndjson", line: "oops" }]);
+
+  const lines = store.listUnparseable();
+  assert.deepStrictEqual(lines.map((entry) => entry.line), ["{\"userId\":", "oops"]);
+  assert.strictEqual(new Set(lines.map((entry) => entry.id)).size, 2);
+
+  assert.strictEqual(store.removeUnparseable(lines[0].id).line, "{\"userId\":");
+  assert.strictEqual(store.removeUnparseable(lines[0].id), null);
+  assert.strictEqual(store.listUnparseable().length, 1);
+});
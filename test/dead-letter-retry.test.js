@@ -0,0 +1,91 @@
+/**
+ * Retrying dead-lettered attendance: corrected records go back to pending, and their attendance id
+ * (the Firestore document id) follows the corrected punch instead of being edited.
+ * Runs without Firebase - nothing is synced, only the local store is checked.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-dead-letter-test-"));
+process.env.APPDATA = appData;
+
+const offlineStorage = require("../services/offlineStorage");
+const syncService = require("../services/syncService");
+const { getAttendanceRecordId } = require("../services/firestoreService");
+
+function record(overrides = {}) {
+  const punch = {
+    userId: "member-7",
+    name: "Member 7",
+    biometricDeviceId: "7",
+    deviceId: "main",
+    date: "2025-01-11",
+    checkInTime: "2025-01-11T08:00:00.000Z",
+    checkOutTime: null,
+    ...overrides,
+  };
+  return { ...punch, attendanceId: getAttendanceRecordId(punch) };
+}
+
+async function deadLetter(attendanceRecord, error) {
+  assert.ok(await offlineStorage.saveOfflineAttendance(attendanceRecord));
+  const recordId = attendanceRecord.attendanceId;
+  await offlineStorage.markAttendanceSyncFailed([{ recordId, error, permanent: true }], 5);
+  return recordId;
+}
+
+before(async () => {
+  await offlineStorage.ready;
+});
+
+after(() => {
+  offlineStorage.attendanceStore.close();
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+test("a corrected punch time gives the record the attendance id of the corrected punch", async () => {
+  // The device clock was a year behind
+  const recordId = await deadLetter(record({ date: "2024-01-11", checkInTime: "2024-01-11T08:00:00.000Z" }), "Stale punch");
+
+  const retried = await syncService.retryDeadLetter(recordId, {
+    changes: { date: "2025-01-11", checkInTime: "2025-01-11T08:00:00.000Z", attendanceId: "edited", syncAttempts: 9 },
+  });
+
+  assert.strictEqual(retried.recordId, recordId);
+  assert.strictEqual(retried.attendanceId, "main_7_20250111T080000Z");
+  assert.strictEqual(retried.syncStatus, "pending");
+  assert.strictEqual(retried.syncAttempts, 0);
+  assert.strictEqual(retried.syncError, undefined);
+
+  const [stored] = await offlineStorage.getAttendanceRecords([recordId]);
+  assert.strictEqual(stored.attendanceId, "main_7_20250111T080000Z");
+  assert.deepStrictEqual((await offlineStorage.listPendingAttendance()).map((pending) => pending.recordId), [recordId]);
+  assert.ok(await offlineStorage.hasAttendance("main_7_20250111T080000Z"));
+});
+
+test("a record stored before attendance ids existed keeps its legacy document", async () => {
+  const legacy = { ...record({ userId: "", checkInTime: "2025-01-11T09:00:00.000Z" }), attendanceId: undefined };
+  assert.ok(await offlineStorage.saveOfflineAttendance(legacy));
+  const { recordId } = (await offlineStorage.queryAttendance({ date: "2025-01-11" })).find((entry) => !entry.attendanceId);
+  await offlineStorage.markAttendanceSyncFailed([{ recordId, error: "Invalid record: missing userId", permanent: true }], 5);
+
+  const retried = await syncService.retryDeadLetter(recordId, { changes: { userId: "member-7" } });
+  assert.strictEqual(retried.attendanceId, undefined);
+  assert.strictEqual(retried.userId, "member-7");
+});
+
+test("a retry whose changes still don't make a valid record is refused and stays dead-lettered", async () => {
+  const recordId = await deadLetter(record({ biometricDeviceId: "8", date: "11/01/2025" }), "Invalid record: bad date");
+
+  await assert.rejects(syncService.retryDeadLetter(recordId, { changes: { checkInTime: "yesterday" } }), (error) => error.deadLetter === true);
+  await assert.rejects(syncService.retryDeadLetter(recordId, { changes: ["date"] }), /changes must be an object/);
+
+  const [stored] = await offlineStorage.getAttendanceRecords([recordId]);
+  assert.strictEqual(stored.syncStatus, "dead_letter");
+  assert.strictEqual(await syncService.retryDeadLetter("no-such-entry"), null);
+});
@@ -0,0 +1,64 @@
+/**
+ * Duplicate suppression: which window applies to a punch, and which punches fall inside it.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-duplicates-test-"));
+process.env.APPDATA = appData;
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const duplicateSuppression = require("../services/duplicateSuppressionService");
+
+const MINUTE = 60 * 1000;
+
+before(async () => {
+  DEVICE_CONFIG.duplicateCheckWindow = 5 * MINUTE;
+  DEVICE_CONFIG.duplicateWindows = {
+    devices: { gate: 30 },
+    categories: { "personal-training": 0, staff: 600 },
+  };
+  await duplicateSuppression.init();
+});
+
+after(async () => {
+  await duplicateSuppression.flush();
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+test("the member's category window comes before the device's, and that before the default", () => {
+  const { getWindowMs } = duplicateSuppression;
+
+  assert.strictEqual(getWindowMs({ deviceId: "gate", member: { membershipPlanId: "staff" } }), 10 * MINUTE);
+  assert.strictEqual(getWindowMs({ deviceId: "gate", member: { membershipPlanId: "personal-training" } }), 0);
+  assert.strictEqual(getWindowMs({ deviceId: "gate", member: { membershipPlanId: "monthly" } }), 30 * 1000);
+  assert.strictEqual(getWindowMs({ deviceId: "gate", member: null }), 30 * 1000);
+  assert.strictEqual(getWindowMs({ deviceId: "main" }), 5 * MINUTE);
+  assert.strictEqual(getWindowMs(), 5 * MINUTE);
+});
+
+test("a punch within the window of the member's last one is a duplicate and doesn't move the window", () => {
+  const start = Date.parse("2025-01-11T08:00:00.000Z");
+  const check = (biometricId, timeMs, context = {}) => duplicateSuppression.checkAndRecord(biometricId, timeMs, { deviceId: "main", ...context }).duplicate;
+
+  assert.strictEqual(check("7", start), false);
+  assert.strictEqual(check("7", start + 4 * MINUTE), true);
+  assert.strictEqual(check("8", start + 4 * MINUTE), false); // Other members are counted separately
+  assert.strictEqual(check("7", start + 5 * MINUTE), false); // Measured from the last recorded punch
+  assert.strictEqual(check("7", start + 6 * MINUTE), true);
+  assert.strictEqual(check("7", start + 6 * MINUTE, { force: true }), false); // Staff override
+  assert.strictEqual(check("7", start + 7 * MINUTE, { deviceId: "gate" }), false); // 30 s window at the gate
+});
+
+test("a window of 0 never suppresses a punch", () => {
+  const member = { membershipPlanId: "personal-training" };
+  const at = Date.parse("2025-01-11T09:00:00.000Z");
+
+  assert.deepStrictEqual(duplicateSuppression.checkAndRecord("9", at, { member }), { duplicate: false, windowMs: 0 });
+  assert.deepStrictEqual(duplicateSuppression.checkAndRecord("9", at + 1000, { member }), { duplicate: false, windowMs: 0 });
+});
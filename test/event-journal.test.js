@@ -0,0 +1,63 @@
+/**
+ * Attendance event journal: replaying what the previous run left unprocessed, and emptying the
+ * file once every event is done.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-journal-test-"));
+process.env.APPDATA = appData;
+
+const offlineStorage = require("../services/offlineStorage");
+const journal = require("../services/attendanceEventJournal");
+
+const event = (seq, userId) => ({ seq, receivedAt: 1736582400000, data: { userId }, source: "realtime", deviceId: "main" });
+
+before(() => {
+  // A previous run that processed event 1, crashed while writing event 4
+  fs.mkdirSync(path.dirname(offlineStorage.eventJournalFile), { recursive: true });
+  fs.writeFileSync(offlineStorage.eventJournalFile, [
+    JSON.stringify(event(1, "7")),
+    JSON.stringify(event(2, "8")),
+    JSON.stringify({ done: [1] }),
+    "not json",
+    JSON.stringify(event(3, "9")),
+    "{\"seq\":4,\"data\":{\"us",
+  ].join("\n"));
+});
+
+after(() => {
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+test("open replays the events that weren't marked done and drops a partly written last line", () => {
+  const replayed = journal.open();
+
+  assert.deepStrictEqual(replayed.map((entry) => entry.seq), [2, 3]);
+  assert.deepStrictEqual(replayed[0], event(2, "8"));
+  assert.strictEqual(journal.getOutstandingCount(), 2);
+  assert.ok(fs.readFileSync(offlineStorage.eventJournalFile, "utf8").endsWith("\n"));
+  assert.deepStrictEqual(journal.open(), []); // Already open
+});
+
+test("appended events continue the sequence and can be read back from a seq on", () => {
+  const appended = journal.append([{ data: { userId: "10" } }, { data: { userId: "11" } }]);
+
+  assert.deepStrictEqual(appended.map((entry) => entry.seq), [4, 5]);
+  assert.deepStrictEqual(journal.readOutstanding(3, 2).map((entry) => entry.seq), [3, 4]);
+});
+
+test("the journal is emptied once nothing is outstanding", () => {
+  journal.complete([2, 3, 4]);
+  assert.strictEqual(journal.getOutstandingCount(), 1);
+  assert.match(fs.readFileSync(offlineStorage.eventJournalFile, "utf8"), /\{"done":\[2,3,4\]\}\n$/);
+
+  journal.complete([5, 99]);
+  assert.strictEqual(journal.getOutstandingCount(), 0);
+  assert.strictEqual(fs.statSync(offlineStorage.eventJournalFile).size, 0);
+});
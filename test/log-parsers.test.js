@@ -0,0 +1,70 @@
+/**
+ * Attendance log parsers: the attlog .dat file of a USB export and the ATTLOG body of an ADMS push.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-parsers-test-"));
+process.env.APPDATA = appData;
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const { parseAttlog } = require("../services/attlogImportService");
+const { parseAttLog } = require("../services/admsService");
+
+before(() => {
+  DEVICE_CONFIG.timezone = "Asia/Kolkata";
+});
+
+after(() => {
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+test("parseAttlog reads padded user ids in the terminal's time zone and reports unreadable lines", () => {
+  const text = [
+    "\uFEFF        7\t2025-01-11 08:00:00\t1\t0\t1\t0",
+    "",
+    "      102\t2025-01-11 17:30:15\t1\t1\t15\t",
+    "not a punch",
+    "abc\t2025-01-11 09:00:00\t1\t0\t1\t0",
+    "        7\t2025-01-11\t1\t0\t1\t0",
+  ].join("\r\n");
+
+  const { logs, invalid } = parseAttlog(text);
+
+  assert.deepStrictEqual(logs, [
+    { user_id: "7", record_time: "2025-01-11T02:30:00.000Z", state: 0, type: 1, workCode: "0" },
+    { user_id: "102", record_time: "2025-01-11T12:00:15.000Z", state: 1, type: 15, workCode: null },
+  ]);
+  assert.deepStrictEqual(invalid, [4, 5, 6]);
+});
+
+test("parseAttlog leaves a missing punch state or verify type undefined", () => {
+  const { logs, invalid } = parseAttlog("7\t2025-01-11 08:00:00");
+  assert.deepStrictEqual(invalid, []);
+  assert.strictEqual(logs[0].state, undefined);
+  assert.strictEqual(logs[0].type, undefined);
+});
+
+test("ADMS ATTLOG lines become realtime-shaped records; lines without a pin or time are returned as invalid", () => {
+  const body = [
+    "101\t2025-01-11 08:00:00\t0\t1\t0\t0\t0",
+    "102\t2025-01-11 08:05:00",
+    "\t2025-01-11 08:06:00\t0\t1",
+    "103\tyesterday\t0\t1",
+    "",
+  ].join("\n");
+
+  const { records, invalid } = parseAttLog(body);
+
+  assert.deepStrictEqual(records, [
+    { userId: "101", timestamp: "2025-01-11T02:30:00.000Z", state: 0, verifyType: 1, workCode: "0" },
+    { userId: "102", timestamp: "2025-01-11T02:35:00.000Z", state: undefined, verifyType: undefined, workCode: null },
+  ]);
+  assert.deepStrictEqual(invalid, ["\t2025-01-11 08:06:00\t0\t1", "103\tyesterday\t0\t1"]);
+  assert.deepStrictEqual(parseAttLog(undefined), { records: [], invalid: [] });
+});
@@ -0,0 +1,125 @@
+/**
+ * Enrollment queue against two ZK emulators (services/zkEmulator.js) through the real device service.
+ * Runs without Firebase: the jobs are restored from the persisted queue and started with a retry.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Offline data of the test run goes to a temporary folder, not the app data folder
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "zk-enrollment-test-"));
+process.env.APPDATA = appData;
+
+const DEVICE_CONFIG = require("../config/deviceConfig");
+const { ZkEmulator } = require("../services/zkEmulator");
+
+const io = { emit: () => {}, to: () => io };
+const emulators = {};
+let deviceService;
+let enrollment;
+
+function enrollJob(id, biometricDeviceId) {
+  return {
+    id,
+    type: "enroll",
+    registrationId: `registration-${biometricDeviceId}`,
+    memberData: { name: `Member ${biometricDeviceId}`, biometricDeviceId },
+    previousData: null,
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  };
+}
+
+async function startEmulator() {
+  const emulator = new ZkEmulator({
+    port: 0,
+    udp: false,
+    users: Array.from({ length: 5 }, (_, i) => ({ userId: String(i + 1), name: `User ${i + 1}` })),
+  });
+  await emulator.start();
+  return emulator;
+}
+
+function usersWithId(emulator, userIds) {
+  return [...emulator.users.values()].filter((user) => userIds.includes(user.userId));
+}
+
+async function runQueuePass(jobId) {
+  await enrollment.retryEnrollmentJob(jobId);
+  const deadline = Date.now() + 30000;
+  while (enrollment.getEnrollmentQueueStats().isProcessing) {
+    if (Date.now() > deadline) throw new Error("Enrollment queue pass timed out");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+before(async () => {
+  emulators.entrance = await startEmulator();
+  emulators.back = await startEmulator();
+  DEVICE_CONFIG.devices = Object.entries(emulators).map(([id, emulator]) => ({
+    id,
+    label: id,
+    ip: emulator.options.host,
+    port: emulator.tcpServer.address().port,
+  }));
+  DEVICE_CONFIG.clockSync = { ...DEVICE_CONFIG.clockSync, enabled: false };
+
+  // 3001 and 3002 are above the device uid range, so both need the lowest free uid.
+  // 3003 was given up on and is retried by the second test.
+  const storageDir = path.join(appData, "ZK-Attendance", "offline-data");
+  fs.mkdirSync(storageDir, { recursive: true });
+  fs.writeFileSync(path.join(storageDir, "enrollment-queue.json"), JSON.stringify({
+    pending: [enrollJob(1, "3001"), enrollJob(2, "3002")],
+    deadLetter: [enrollJob(3, "3003")],
+    nextJobId: 4,
+  }));
+
+  deviceService = require("../services/deviceService");
+  enrollment = require("../services/memberEnrollmentService");
+  assert.ok(await deviceService.connectToDevice(io, false));
+  enrollment.initializeMemberEnrollmentListener(deviceService);
+});
+
+after(async () => {
+  await deviceService.disconnectFromDevice();
+  await Promise.all(Object.values(emulators).map((emulator) => emulator.stop()));
+  fs.rmSync(appData, { recursive: true, force: true });
+});
+
+test("concurrent enrollments of ids above the uid range get different uids on every device", async () => {
+  await runQueuePass(1); // Runs both queued jobs
+
+  const { pending, deadLetter } = await enrollment.getEnrollmentJobs();
+  assert.deepStrictEqual(pending, []);
+  assert.strictEqual(deadLetter.length, 1);
+
+  for (const emulator of Object.values(emulators)) {
+    const enrolled = usersWithId(emulator, ["3001", "3002"]);
+    assert.strictEqual(enrolled.length, 2);
+    assert.notStrictEqual(enrolled[0].uid, enrolled[1].uid);
+    assert.strictEqual(emulator.users.size, 7);
+  }
+});
+
+test("a device that is offline gets the job once it reconnects, without rewriting the others", async () => {
+  await deviceService.disconnectFromDevice("back");
+  await runQueuePass(3);
+
+  let [job] = (await enrollment.getEnrollmentJobs()).pending;
+  assert.strictEqual(job.id, 3);
+  assert.deepStrictEqual(job.completedDevices, ["entrance"]);
+  assert.strictEqual(job.attempts, 0); // Waiting for a device isn't a failed attempt
+  assert.strictEqual(usersWithId(emulators.entrance, ["3003"]).length, 1);
+  assert.strictEqual(usersWithId(emulators.back, ["3003"]).length, 0);
+
+  emulators.entrance.removeUser("3003"); // Shows whether the entrance is written again
+  assert.ok(await deviceService.connectToDevice(io, false, "back"));
+  await runQueuePass(3);
+
+  assert.deepStrictEqual((await enrollment.getEnrollmentJobs()).pending, []);
+  assert.strictEqual(usersWithId(emulators.back, ["3003"]).length, 1);
+  assert.strictEqual(usersWithId(emulators.entrance, ["3003"]).length, 0);
+});
@@ -45,7 +45,53 @@ function getCurrentDateInTimezone(timezone = "Asia/Kolkata") {
   return getDateInTimezone(new Date(), timezone);
 }
 
+/**
+ * Gets the UTC offset of a timezone at a given instant
+ * @param {Date} date - The instant to check (matters for DST zones)
+ * @param {string} timezone - The IANA timezone (e.g., 'Asia/Kolkata')
+ * @returns {number} Offset in milliseconds (e.g. +19800000 for IST)
+ */
+function getTimezoneOffsetMs(date, timezone = "Asia/Kolkata") {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = formatter.formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+
+  const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a device wall-clock time ("YYYY-MM-DD HH:mm:ss", no offset) to a UTC ISO string
+ * @param {string} dateTime - Local date/time as reported by the device
+ * @param {string} timezone - The IANA timezone the device clock is set to
+ * @returns {string|null} ISO timestamp, or null if the input can't be parsed
+ */
+function parseDateTimeInTimezone(dateTime, timezone = "Asia/Kolkata") {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})$/.exec(String(dateTime).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Second pass corrects the offset when the first guess lands on the other side of a DST change
+  let utc = wallClockAsUtc - getTimezoneOffsetMs(new Date(wallClockAsUtc), timezone);
+  utc = wallClockAsUtc - getTimezoneOffsetMs(new Date(utc), timezone);
+
+  return new Date(utc).toISOString();
+}
+
 module.exports = {
   getDateInTimezone,
-  getCurrentDateInTimezone
+  getCurrentDateInTimezone,
+  getTimezoneOffsetMs,
+  parseDateTimeInTimezone
 };
@@ -0,0 +1,191 @@
+/**
+ * Spreadsheet helpers for member imports and exports
+ * Reads CSV (comma or semicolon separated) and the first sheet of an XLSX workbook, and writes CSV.
+ * XLSX files are zip archives of XML - unpacked with utils/zip, so no spreadsheet library is needed.
+ */
+
+const { readZip, isZip } = require("./zip");
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180 quoting, CRLF or LF line ends)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows of values to CSV text
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Text of all <t> runs inside an element (shared strings and inline strings can be rich text)
+ */
+function textRuns(xml) {
+  let text = "";
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+function columnIndex(cellRef) {
+  const letters = (cellRef.match(/^[A-Z]+/i) || [""])[0].toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Path of the first worksheet, from the workbook and its relationships
+ */
+function firstSheetPath(files) {
+  const workbook = files.get("xl/workbook.xml");
+  const rels = files.get("xl/_rels/workbook.xml.rels");
+  if (workbook && rels) {
+    const sheet = workbook.toString("utf8").match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    if (sheet) {
+      for (const rel of rels.toString("utf8").matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = (rel[0].match(/\bId="([^"]+)"/) || [])[1];
+        const target = (rel[0].match(/\bTarget="([^"]+)"/) || [])[1];
+        if (id === sheet[1] && target) {
+          return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+        }
+      }
+    }
+  }
+  return "xl/worksheets/sheet1.xml";
+}
+
+/**
+ * Parse the first sheet of an XLSX workbook into rows of strings
+ * @param {Buffer} buffer
+ * @returns {string[][]}
+ */
+function parseXlsx(buffer) {
+  const files = readZip(buffer);
+  const sheet = files.get(firstSheetPath(files));
+  if (!sheet) {
+    throw new Error("XLSX file has no worksheet");
+  }
+
+  const sharedStrings = [];
+  const shared = files.get("xl/sharedStrings.xml");
+  if (shared) {
+    for (const match of shared.toString("utf8").matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(textRuns(match[1]));
+    }
+  }
+
+  const rows = [];
+  for (const rowMatch of sheet.toString("utf8").matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const cell of (rowMatch[1] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cell[1];
+      const content = cell[2] || "";
+      const ref = (attributes.match(/\br="([^"]+)"/) || [])[1];
+      const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+      const raw = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = "";
+      if (type === "s") value = sharedStrings[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = textRuns(content);
+      else if (type === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    rows.push(Array.from(row, (value) => value ?? ""));
+  }
+  return rows.filter((r) => r.some((value) => String(value).trim() !== ""));
+}
+
+/**
+ * Parse an uploaded spreadsheet - XLSX when it is a zip archive, CSV otherwise
+ * @param {Buffer} buffer
+ * @returns {{ format: string, rows: string[][] }}
+ */
+function readSpreadsheet(buffer) {
+  if (isZip(buffer)) {
+    return { format: "xlsx", rows: parseXlsx(buffer) };
+  }
+  return { format: "csv", rows: parseCsv(buffer.toString("utf8")) };
+}
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet,
+  toCsv,
+};
@@ -0,0 +1,144 @@
+/**
+ * Zip archives without a zip library: reading (XLSX uploads) and writing (USB exports)
+ * Entries are stored or deflated with zlib.
+ */
+
+const zlib = require("zlib");
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER;
+}
+
+/**
+ * Files in a zip archive by name
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>}
+ */
+function readZip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error("Not a valid zip file (zip directory not found)");
+  }
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw new Error("Not a valid zip file (corrupt zip directory)");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) continue;
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, zlib.inflateRawSync(data));
+  }
+  return files;
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<{ name: string, data: Buffer }>} files
+ * @returns {Buffer}
+ */
+function writeZip(files) {
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  // DOS date and time of "now" for every entry
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const { name, data } of files) {
+    const fileName = Buffer.from(name, "utf8");
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const body = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // Version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(ZIP_CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    entries.push(local, fileName, body);
+    directory.push(central, fileName);
+    offset += local.length + fileName.length + body.length;
+  }
+
+  const directoryData = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(ZIP_END_OF_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directoryData.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...entries, directoryData, end]);
+}
+
+module.exports = {
+  isZip,
+  readZip,
+  writeZip,
+};